@@ -62,6 +62,67 @@ function buildLastSixMonthsSeries(rows) {
   return output;
 }
 
+async function loadZoneBreakdown(pool, daysBack) {
+  const [[requestRows], [waitlistRows]] = await Promise.all([
+    pool.query(
+      `SELECT
+         sr.zone_id,
+         z.name AS zone_name,
+         z.city AS zone_city,
+         COUNT(*) AS request_count,
+         SUM(CASE WHEN LOWER(COALESCE(sr.status, '')) IN ('completed', 'paid') THEN 1 ELSE 0 END) AS completed_count,
+         SUM(CASE WHEN LOWER(COALESCE(sr.status, '')) = 'cancelled' THEN 1 ELSE 0 END) AS cancelled_count,
+         ROUND(IFNULL(SUM(CASE WHEN LOWER(COALESCE(sr.status, '')) IN ('completed', 'paid') THEN sr.amount ELSE 0 END), 0), 2) AS completed_amount
+       FROM service_requests sr
+       LEFT JOIN service_zones z ON z.id = sr.zone_id
+       WHERE sr.created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+       GROUP BY sr.zone_id, z.name, z.city
+       ORDER BY request_count DESC`,
+      [daysBack - 1]
+    ),
+    pool.query(
+      `SELECT zone_id, reason, COUNT(*) AS waitlist_count
+       FROM service_waitlist
+       WHERE created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
+       GROUP BY zone_id, reason`,
+      [daysBack - 1]
+    ),
+  ]);
+
+  const zoneKey = (zoneId) => (zoneId == null ? "none" : String(zoneId));
+  const breakdown = new Map();
+  (requestRows || []).forEach((row) => {
+    breakdown.set(zoneKey(row.zone_id), {
+      zoneId: row.zone_id == null ? null : Number(row.zone_id),
+      zoneName: row.zone_id == null ? "Unzoned" : row.zone_name || `Zone ${row.zone_id}`,
+      city: row.zone_city || null,
+      requestCount: Number(row.request_count || 0),
+      completedCount: Number(row.completed_count || 0),
+      cancelledCount: Number(row.cancelled_count || 0),
+      completedAmount: Number(row.completed_amount || 0),
+      waitlisted: {},
+    });
+  });
+  (waitlistRows || []).forEach((row) => {
+    const key = zoneKey(row.zone_id);
+    if (!breakdown.has(key)) {
+      breakdown.set(key, {
+        zoneId: row.zone_id == null ? null : Number(row.zone_id),
+        zoneName: row.zone_id == null ? "Outside coverage" : `Zone ${row.zone_id}`,
+        city: null,
+        requestCount: 0,
+        completedCount: 0,
+        cancelledCount: 0,
+        completedAmount: 0,
+        waitlisted: {},
+      });
+    }
+    breakdown.get(key).waitlisted[row.reason] = Number(row.waitlist_count || 0);
+  });
+
+  return [...breakdown.values()];
+}
+
 export async function getAnalytics(req, res) {
   try {
     const daysBack = toPositiveInt(req.query?.days, 14, { min: 7, max: 90 });
@@ -190,6 +251,8 @@ export async function getAnalytics(req, res) {
     const activeUsers = Number(totals.active_users || 0);
     const totalRequests = Number(totals.total_service_requests || 0);
     const revenue = Number(totals.total_revenue || 0);
+    const groupByZone = String(req.query?.group_by || "").trim().toLowerCase() === "zone";
+    const zoneBreakdown = groupByZone ? await loadZoneBreakdown(pool, daysBack) : undefined;
 
     return res.json({
       totalTechnicians,
@@ -202,6 +265,7 @@ export async function getAnalytics(req, res) {
       peakHours,
       issueCategoryBreakdown,
       technicianUtilization,
+      ...(groupByZone ? { zoneBreakdown } : {}),
       // Keep legacy keys for existing /admin analytics page compatibility.
       totalUsers,
       totalServiceRequests: totalRequests,
@@ -2,6 +2,13 @@ import { getPool } from "../db.js";
 import { buildPagination, likeFilter, resolveAdminId, toPositiveInt } from "./utils.js";
 import { socketService } from "../services/socket.js";
 import { closeRequestWithFinanceSync } from "../services/requestClosureService.js";
+import { escalateDispatchWaves } from "../services/dispatchWaveService.js";
+import {
+  REQUEST_ACTORS,
+  normalizeRequestStatus,
+  recordRequestEvent,
+  transitionRequestStatus,
+} from "../services/requestStateMachine.js";
 
 const ACTIVE_REQUEST_STATES = [
   "assigned",
@@ -90,10 +97,11 @@ export async function getRequests(req, res) {
       values.push(status);
     }
 
+    // Older rows only carry the priority in the action log.
     if (priority === "high") {
-      whereClauses.push("hp.request_id IS NOT NULL");
+      whereClauses.push("(sr.priority = 'high' OR hp.request_id IS NOT NULL)");
     } else if (priority === "normal") {
-      whereClauses.push("hp.request_id IS NULL");
+      whereClauses.push("(sr.priority <> 'high' AND hp.request_id IS NULL)");
     }
 
     const whereSql = whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
@@ -107,7 +115,7 @@ export async function getRequests(req, res) {
          sr.address AS location,
          COALESCE(t.name, 'Unassigned') AS technician_name,
          sr.status,
-         CASE WHEN hp.request_id IS NULL THEN 'Normal' ELSE 'High' END AS priority,
+         CASE WHEN sr.priority = 'high' OR hp.request_id IS NOT NULL THEN 'High' ELSE 'Normal' END AS priority,
          sr.created_at
        FROM service_requests sr
        LEFT JOIN users u ON u.id = sr.user_id
@@ -187,14 +195,34 @@ export async function assignRequest(req, res) {
       return res.status(404).json({ error: "Technician not found." });
     }
 
-    await pool.execute(
-      `UPDATE service_requests
-       SET technician_id = ?,
-           status = CASE WHEN LOWER(COALESCE(status, '')) IN ('pending', 'open') THEN 'assigned' ELSE status END,
-           updated_at = NOW()
-       WHERE id = ?`,
-      [technicianId, requestId]
-    );
+    // Open requests move to `assigned`; live ones keep their status and only swap technician.
+    const currentStatus = normalizeRequestStatus(requestRow.status);
+    if (currentStatus === "pending") {
+      await transitionRequestStatus(pool, {
+        requestId,
+        to: "assigned",
+        actor: REQUEST_ACTORS.ADMIN,
+        actorId: resolveAdminId(req),
+        set: { technician_id: technicianId },
+        metadata: { technicianId },
+      });
+    } else if (currentStatus === "scheduled" || ACTIVE_REQUEST_STATES.includes(currentStatus)) {
+      await pool.execute(
+        "UPDATE service_requests SET technician_id = ?, updated_at = NOW() WHERE id = ?",
+        [technicianId, requestId]
+      );
+      await recordRequestEvent(pool, {
+        requestId,
+        eventType: "technician_assigned",
+        fromStatus: currentStatus,
+        toStatus: currentStatus,
+        actor: REQUEST_ACTORS.ADMIN,
+        actorId: resolveAdminId(req),
+        metadata: { technicianId, previousTechnicianId: requestRow.technician_id ?? null },
+      });
+    } else {
+      return res.status(409).json({ error: `Cannot assign a technician to a ${requestRow.status} request.` });
+    }
 
     await logAction({
       pool,
@@ -212,6 +240,9 @@ export async function assignRequest(req, res) {
     });
   } catch (error) {
     console.error("[admin.requests.assign] failed:", error?.message || error);
+    if (Number(error?.statusCode) < 500) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     return res.status(500).json({ error: "Failed to assign request." });
   }
 }
@@ -232,6 +263,9 @@ export async function escalateRequest(req, res) {
       return res.status(404).json({ error: "Request not found." });
     }
 
+    // Still searching: send the next wave now, at least `radiusKm` wide.
+    const wave = await escalateDispatchWaves(requestId, { minPriorityLevel: 1, minRadiusKm: radiusKm });
+
     await logAction({
       pool,
       adminId: resolveAdminId(req),
@@ -240,6 +274,7 @@ export async function escalateRequest(req, res) {
       metadata: {
         reason: reason || null,
         radiusKm,
+        dispatchWave: wave?.waveNumber ?? null,
         escalatedAt: new Date().toISOString(),
       },
     });
@@ -248,6 +283,9 @@ export async function escalateRequest(req, res) {
       success: true,
       requestId,
       radiusKm,
+      dispatch: wave
+        ? { waveNumber: wave.waveNumber, radiusKm: wave.radiusKm, offeredCount: wave.offeredCount }
+        : null,
       message: "Request escalated.",
     });
   } catch (error) {
@@ -271,6 +309,9 @@ export async function markHighPriority(req, res) {
       return res.status(404).json({ error: "Request not found." });
     }
 
+    // High priority requests are held to the tighter SLA policies.
+    await pool.query("UPDATE service_requests SET priority = 'high' WHERE id = ?", [requestId]);
+
     await logAction({
       pool,
       adminId: resolveAdminId(req),
@@ -308,6 +349,8 @@ export async function closeRequest(req, res) {
       requestId,
       status: finalStatus,
       reason: reason || "Closed by admin",
+      actor: REQUEST_ACTORS.ADMIN,
+      actorId: resolveAdminId(req),
     });
 
     const pool = await getPool();
@@ -341,19 +384,19 @@ export async function closeRequest(req, res) {
     }
 
     // Keep existing admin pages in sync without manual refresh.
-    socketService.broadcast("admin:request_status_updated", {
+    socketService.notifyAdmins("admin:request_status_updated", {
       requestId,
       status: closureResult.status,
       previousStatus: closureResult.previousStatus,
       at: new Date().toISOString(),
     });
-    socketService.broadcast("admin:payment_update", {
+    socketService.notifyAdmins("admin:payment_update", {
       requestId,
       status: closureResult.status,
       paymentRowsUpdated: closureResult.paymentRowsUpdated,
       at: new Date().toISOString(),
     });
-    socketService.broadcast("admin:analytics_update", {
+    socketService.notifyAdmins("admin:analytics_update", {
       requestId,
       status: closureResult.status,
       at: new Date().toISOString(),
@@ -365,6 +408,7 @@ export async function closeRequest(req, res) {
       status: closureResult.status,
       previousStatus: closureResult.previousStatus,
       paymentRowsUpdated: closureResult.paymentRowsUpdated,
+      refund: closureResult.refund || null,
       alreadyTerminal: closureResult.alreadyTerminal,
       message: "Request closed.",
     });
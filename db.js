@@ -204,6 +204,549 @@ CREATE TABLE IF NOT EXISTS dispatch_offers (
 export async function ensureDispatchOffersTable() {
   const p = await getPool();
   await p.execute(DISPATCH_OFFERS_TABLE_SQL);
+  await addColumnIfNotExists(p, 'dispatch_offers', 'wave_number INT');
+  await addColumnIfNotExists(p, 'dispatch_offers', 'score DECIMAL(6, 4) NULL');
+  await addColumnIfNotExists(p, 'dispatch_offers', 'score_breakdown JSON NULL');
+  await addColumnIfNotExists(p, 'dispatch_offers', 'closed_reason VARCHAR(32) NULL');
+  await addColumnIfNotExists(p, 'dispatch_offers', 'decline_reason VARCHAR(32) NULL');
+  await addColumnIfNotExists(p, 'dispatch_offers', 'decline_note VARCHAR(255) NULL');
+  await addColumnIfNotExists(p, 'dispatch_offers', 'responded_at TIMESTAMP NULL');
+}
+
+const DISPATCH_SCORING_CONFIG_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS dispatch_scoring_config (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  weights JSON,
+  eta_reference_seconds INT NOT NULL DEFAULT 1800,
+  stats_window_days INT NOT NULL DEFAULT 30,
+  updated_by VARCHAR(255),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+)
+`.trim();
+
+export async function ensureDispatchScoringConfigTable() {
+  const p = await getPool();
+  await p.execute(DISPATCH_SCORING_CONFIG_TABLE_SQL);
+}
+
+const SERVICE_ZONES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS service_zones (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(120) NOT NULL,
+  city VARCHAR(120),
+  zone_type VARCHAR(16) NOT NULL DEFAULT 'radius',
+  center_lat DOUBLE NULL,
+  center_lng DOUBLE NULL,
+  radius_km DECIMAL(8, 2) NULL,
+  polygon JSON NULL,
+  pricing_overrides JSON NULL,
+  dispatch_radius_km DECIMAL(8, 2) NULL,
+  operating_hours JSON NULL,
+  priority INT NOT NULL DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  updated_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+)
+`.trim();
+
+export async function ensureServiceZonesTable() {
+  const p = await getPool();
+  await p.execute(SERVICE_ZONES_TABLE_SQL);
+}
+
+const SERVICE_WAITLIST_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS service_waitlist (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  zone_id INT NULL,
+  reason VARCHAR(32) NOT NULL,
+  service_type VARCHAR(100) NOT NULL,
+  vehicle_type VARCHAR(50),
+  address VARCHAR(512),
+  location_lat DOUBLE NULL,
+  location_lng DOUBLE NULL,
+  contact_phone VARCHAR(50),
+  scheduled_for DATETIME NULL,
+  status VARCHAR(32) NOT NULL DEFAULT 'waiting',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_service_waitlist_status (status, created_at),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+)
+`.trim();
+
+export async function ensureServiceWaitlistTable() {
+  const p = await getPool();
+  await p.execute(SERVICE_WAITLIST_TABLE_SQL);
+}
+
+const SURGE_OVERRIDES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS surge_overrides (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  zone_id INT NULL,
+  multiplier DECIMAL(5, 2) NOT NULL,
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NULL,
+  reason VARCHAR(255),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_surge_overrides_window (is_active, starts_at, ends_at)
+)
+`.trim();
+
+export async function ensureSurgeOverridesTable() {
+  const p = await getPool();
+  await p.execute(SURGE_OVERRIDES_TABLE_SQL);
+}
+
+const LOCATION_BREADCRUMBS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS technician_location_breadcrumbs (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  technician_id INT NOT NULL,
+  service_request_id INT NOT NULL,
+  latitude DOUBLE NOT NULL,
+  longitude DOUBLE NOT NULL,
+  accuracy_m DECIMAL(8, 2) NULL,
+  speed_mps DECIMAL(8, 2) NULL,
+  heading DECIMAL(6, 2) NULL,
+  recorded_at DATETIME(3) NOT NULL,
+  INDEX idx_breadcrumbs_request (service_request_id, recorded_at),
+  INDEX idx_breadcrumbs_recorded (recorded_at)
+)
+`.trim();
+
+export async function ensureLocationBreadcrumbsTable() {
+  const p = await getPool();
+  await p.execute(LOCATION_BREADCRUMBS_TABLE_SQL);
+}
+
+const SERVICE_REQUEST_EVENTS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS service_request_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  service_request_id INT NOT NULL,
+  event_type VARCHAR(48) NOT NULL,
+  from_status VARCHAR(50) NULL,
+  to_status VARCHAR(50) NULL,
+  actor_type ENUM('user', 'technician', 'admin', 'system') NOT NULL,
+  actor_id VARCHAR(255) NULL,
+  reason VARCHAR(512) NULL,
+  metadata JSON NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  INDEX idx_request_events_request (service_request_id, created_at),
+  INDEX idx_request_events_created (created_at)
+)
+`.trim();
+
+export async function ensureServiceRequestEventsTable() {
+  const p = await getPool();
+  await p.execute(SERVICE_REQUEST_EVENTS_TABLE_SQL);
+}
+
+const REQUEST_SLA_POLICIES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS request_sla_policies (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  service_domain VARCHAR(64) NOT NULL DEFAULT '*',
+  priority VARCHAR(16) NOT NULL DEFAULT '*',
+  accept_minutes INT NULL,
+  arrive_minutes INT NULL,
+  complete_minutes INT NULL,
+  is_active BOOLEAN DEFAULT TRUE,
+  updated_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_sla_policy_scope (service_domain, priority)
+)
+`.trim();
+
+export async function ensureRequestSlaPoliciesTable() {
+  const p = await getPool();
+  await p.execute(REQUEST_SLA_POLICIES_TABLE_SQL);
+}
+
+const REQUEST_SLA_BREACHES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS request_sla_breaches (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  service_request_id INT NOT NULL,
+  sla_type ENUM('accept', 'arrive', 'complete') NOT NULL,
+  service_domain VARCHAR(64) NOT NULL,
+  priority VARCHAR(16) NOT NULL,
+  threshold_minutes INT NOT NULL,
+  elapsed_minutes INT NOT NULL,
+  status_at_breach VARCHAR(50) NULL,
+  actions JSON NULL,
+  breached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP NULL,
+  resolved_status VARCHAR(50) NULL,
+  UNIQUE KEY uniq_sla_breach (service_request_id, sla_type),
+  INDEX idx_sla_breaches_open (resolved_at, sla_type),
+  INDEX idx_sla_breaches_breached (breached_at),
+  FOREIGN KEY (service_request_id) REFERENCES service_requests(id)
+)
+`.trim();
+
+export async function ensureRequestSlaBreachesTable() {
+  const p = await getPool();
+  await p.execute(REQUEST_SLA_BREACHES_TABLE_SQL);
+}
+
+const OUTBOX_EVENTS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS outbox_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  channel ENUM('socket', 'push', 'email', 'invoice_pdf') NOT NULL,
+  dedupe_key VARCHAR(191) NULL,
+  payload JSON NOT NULL,
+  status ENUM('pending', 'processing', 'delivered', 'dead') NOT NULL DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  last_error VARCHAR(1024) NULL,
+  next_attempt_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  locked_by VARCHAR(64) NULL,
+  locked_at DATETIME(3) NULL,
+  delivered_at DATETIME(3) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  UNIQUE KEY uniq_outbox_dedupe (dedupe_key),
+  INDEX idx_outbox_due (status, next_attempt_at),
+  INDEX idx_outbox_created (created_at)
+)
+`.trim();
+
+export async function ensureOutboxEventsTable() {
+  const p = await getPool();
+  await p.execute(OUTBOX_EVENTS_TABLE_SQL);
+  // Tables created before invoice PDFs moved to the outbox only accept the notification channels
+  try {
+    await p.query("ALTER TABLE outbox_events MODIFY COLUMN channel ENUM('socket', 'push', 'email', 'invoice_pdf') NOT NULL");
+  } catch (err) {
+    console.log("Note: could not modify outbox_events.channel column:", err.message);
+  }
+}
+
+const REFUNDS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS refunds (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  payment_id INT NOT NULL,
+  service_request_id INT NOT NULL,
+  user_id INT NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  status ENUM('pending', 'processing', 'processed', 'failed') NOT NULL DEFAULT 'pending',
+  stage VARCHAR(32) NULL,
+  policy_percent DECIMAL(5, 2) NULL,
+  reason VARCHAR(255) NULL,
+  gateway VARCHAR(32) NOT NULL,
+  gateway_payment_id VARCHAR(64) NULL,
+  gateway_refund_id VARCHAR(64) NULL,
+  idempotency_key VARCHAR(191) NULL,
+  failure_reason VARCHAR(512) NULL,
+  initiated_by ENUM('user', 'technician', 'admin', 'system') NOT NULL DEFAULT 'system',
+  initiated_by_id VARCHAR(64) NULL,
+  submitted_at TIMESTAMP NULL,
+  processed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_refunds_gateway_refund (gateway_refund_id),
+  UNIQUE KEY uniq_refunds_idempotency (idempotency_key),
+  INDEX idx_refunds_request (service_request_id),
+  INDEX idx_refunds_status (status, created_at),
+  FOREIGN KEY (payment_id) REFERENCES payments(id),
+  FOREIGN KEY (service_request_id) REFERENCES service_requests(id)
+)
+`.trim();
+
+export async function ensureRefundsTable() {
+  const p = await getPool();
+  await p.execute(REFUNDS_TABLE_SQL);
+}
+
+const CANCELLATION_FEE_RULES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS cancellation_fee_rules (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(120) NULL,
+  status VARCHAR(32) NOT NULL DEFAULT '*',
+  min_elapsed_minutes INT NOT NULL DEFAULT 0,
+  min_distance_km DECIMAL(8, 2) NOT NULL DEFAULT 0.00,
+  flat_fee DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  per_km_fee DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  max_fee DECIMAL(10, 2) NULL,
+  technician_share_percent DECIMAL(5, 2) NOT NULL DEFAULT 0.00,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by VARCHAR(255) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_cancellation_fee_rules_active (is_active, status)
+)
+`.trim();
+
+export async function ensureCancellationFeeRulesTable() {
+  const p = await getPool();
+  await p.execute(CANCELLATION_FEE_RULES_TABLE_SQL);
+}
+
+const USER_DUES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS user_dues (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  service_request_id INT NULL,
+  due_type VARCHAR(32) NOT NULL DEFAULT 'cancellation_fee',
+  amount DECIMAL(10, 2) NOT NULL,
+  technician_id INT NULL,
+  technician_compensation DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  reason VARCHAR(255) NULL,
+  status ENUM('pending', 'paid', 'waived') NOT NULL DEFAULT 'pending',
+  razorpay_order_id VARCHAR(64) NULL,
+  razorpay_payment_id VARCHAR(64) NULL,
+  resolved_by VARCHAR(255) NULL,
+  paid_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_user_dues_request_type (service_request_id, due_type),
+  INDEX idx_user_dues_user_status (user_id, status),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (service_request_id) REFERENCES service_requests(id)
+)
+`.trim();
+
+export async function ensureUserDuesTable() {
+  const p = await getPool();
+  await p.execute(USER_DUES_TABLE_SQL);
+}
+
+const LEDGER_ACCOUNTS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(64) NOT NULL,
+  name VARCHAR(120) NOT NULL,
+  account_type ENUM('asset', 'liability', 'revenue', 'expense') NOT NULL,
+  technician_id INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_ledger_accounts_code (code),
+  INDEX idx_ledger_accounts_technician (technician_id)
+)
+`.trim();
+
+const LEDGER_ENTRIES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  entry_type VARCHAR(48) NOT NULL,
+  idempotency_key VARCHAR(191) NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  service_request_id INT NULL,
+  payment_id INT NULL,
+  technician_id INT NULL,
+  memo VARCHAR(255) NULL,
+  created_by VARCHAR(255) NULL,
+  created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  UNIQUE KEY uniq_ledger_entries_idempotency (idempotency_key),
+  INDEX idx_ledger_entries_type_created (entry_type, created_at),
+  INDEX idx_ledger_entries_request (service_request_id),
+  INDEX idx_ledger_entries_payment (payment_id)
+)
+`.trim();
+
+const LEDGER_LINES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS ledger_lines (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  entry_id BIGINT NOT NULL,
+  account_id INT NOT NULL,
+  debit DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  credit DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  INDEX idx_ledger_lines_account_entry (account_id, entry_id),
+  INDEX idx_ledger_lines_entry (entry_id),
+  FOREIGN KEY (entry_id) REFERENCES ledger_entries(id),
+  FOREIGN KEY (account_id) REFERENCES ledger_accounts(id)
+)
+`.trim();
+
+// Lines reference entries and accounts, so the three tables are created in order.
+export async function ensureLedgerTables() {
+  const p = await getPool();
+  await p.execute(LEDGER_ACCOUNTS_TABLE_SQL);
+  await p.execute(LEDGER_ENTRIES_TABLE_SQL);
+  await p.execute(LEDGER_LINES_TABLE_SQL);
+}
+
+const PAYOUT_BATCHES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS payout_batches (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  status ENUM('draft', 'approved', 'processing', 'completed', 'cancelled') NOT NULL DEFAULT 'draft',
+  period_start DATETIME NULL,
+  period_end DATETIME NOT NULL,
+  payout_count INT NOT NULL DEFAULT 0,
+  total_gross DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  total_netted DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  total_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  provider VARCHAR(32) NULL,
+  created_by VARCHAR(255) NULL,
+  approved_by VARCHAR(255) NULL,
+  approved_at TIMESTAMP NULL,
+  exported_at TIMESTAMP NULL,
+  completed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_payout_batches_status (status, created_at)
+)
+`.trim();
+
+const PAYOUTS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS payouts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  batch_id INT NOT NULL,
+  technician_id INT NOT NULL,
+  status ENUM('pending', 'approved', 'processing', 'paid', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+  gross_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  netted_dues_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  netted_payment_ids JSON NULL,
+  attempts INT NOT NULL DEFAULT 0,
+  provider VARCHAR(32) NULL,
+  provider_payout_id VARCHAR(64) NULL,
+  reference VARCHAR(64) NULL,
+  failure_reason VARCHAR(512) NULL,
+  beneficiary_name VARCHAR(255) NULL,
+  beneficiary_account VARCHAR(34) NULL,
+  beneficiary_ifsc VARCHAR(11) NULL,
+  submitted_at TIMESTAMP NULL,
+  processed_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_payouts_batch_technician (batch_id, technician_id),
+  UNIQUE KEY uniq_payouts_provider_id (provider_payout_id),
+  INDEX idx_payouts_technician_status (technician_id, status),
+  INDEX idx_payouts_status (status, submitted_at),
+  FOREIGN KEY (batch_id) REFERENCES payout_batches(id),
+  FOREIGN KEY (technician_id) REFERENCES technicians(id)
+)
+`.trim();
+
+// payouts references payout_batches, so the two tables are created in order.
+export async function ensurePayoutTables() {
+  const p = await getPool();
+  await p.execute(PAYOUT_BATCHES_TABLE_SQL);
+  await p.execute(PAYOUTS_TABLE_SQL);
+}
+
+const GATEWAY_RECONCILIATION_RUNS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS gateway_reconciliation_runs (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  status ENUM('running', 'completed', 'failed') NOT NULL DEFAULT 'running',
+  gateway VARCHAR(32) NOT NULL,
+  window_start DATETIME NOT NULL,
+  window_end DATETIME NOT NULL,
+  orders_seen INT NOT NULL DEFAULT 0,
+  payments_seen INT NOT NULL DEFAULT 0,
+  settlement_items_seen INT NOT NULL DEFAULT 0,
+  captured_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  settled_amount DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  gateway_fees DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+  mismatch_count INT NOT NULL DEFAULT 0,
+  auto_finalized_count INT NOT NULL DEFAULT 0,
+  triggered_by VARCHAR(255) NULL,
+  error VARCHAR(512) NULL,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP NULL,
+  INDEX idx_gateway_recon_runs_started (started_at)
+)
+`.trim();
+
+// One row per distinct mismatch (dedupe_key); later runs refresh last_run_id / last_seen_at.
+const GATEWAY_RECONCILIATION_ITEMS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS gateway_reconciliation_items (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  first_run_id INT NOT NULL,
+  last_run_id INT NOT NULL,
+  dedupe_key VARCHAR(191) NOT NULL,
+  mismatch_type VARCHAR(48) NOT NULL,
+  status ENUM('open', 'auto_finalized', 'finalized', 'resolved', 'ignored') NOT NULL DEFAULT 'open',
+  razorpay_order_id VARCHAR(255) NULL,
+  razorpay_payment_id VARCHAR(255) NULL,
+  payment_id INT NULL,
+  service_request_id INT NULL,
+  invoice_id INT NULL,
+  gateway_amount DECIMAL(12, 2) NULL,
+  local_amount DECIMAL(12, 2) NULL,
+  details JSON NULL,
+  resolution_note VARCHAR(512) NULL,
+  resolved_by VARCHAR(255) NULL,
+  resolved_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_gateway_recon_items_key (dedupe_key),
+  INDEX idx_gateway_recon_items_status (status, mismatch_type),
+  INDEX idx_gateway_recon_items_run (last_run_id),
+  FOREIGN KEY (first_run_id) REFERENCES gateway_reconciliation_runs(id),
+  FOREIGN KEY (last_run_id) REFERENCES gateway_reconciliation_runs(id)
+)
+`.trim();
+
+// Items reference runs, so the two tables are created in order.
+export async function ensureGatewayReconciliationTables() {
+  const p = await getPool();
+  await p.execute(GATEWAY_RECONCILIATION_RUNS_TABLE_SQL);
+  await p.execute(GATEWAY_RECONCILIATION_ITEMS_TABLE_SQL);
+}
+
+const USER_SUBSCRIPTIONS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS user_subscriptions (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  plan_id VARCHAR(50) NOT NULL,
+  plan_name VARCHAR(120) NULL,
+  plan_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  period_days INT NOT NULL DEFAULT 30,
+  kind ENUM('new', 'renewal', 'upgrade', 'downgrade', 'legacy') NOT NULL DEFAULT 'new',
+  status ENUM('pending', 'scheduled', 'active', 'grace', 'expired', 'superseded', 'abandoned') NOT NULL DEFAULT 'pending',
+  amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  proration_credit DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+  previous_subscription_id INT NULL,
+  period_start DATETIME NULL,
+  period_end DATETIME NULL,
+  grace_until DATETIME NULL,
+  razorpay_order_id VARCHAR(64) NULL,
+  razorpay_payment_id VARCHAR(64) NULL,
+  paid_at DATETIME NULL,
+  renewal_reminder_sent_at DATETIME NULL,
+  ended_at DATETIME NULL,
+  end_reason VARCHAR(32) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_user_subscriptions_order (razorpay_order_id),
+  INDEX idx_user_subscriptions_user_status (user_id, status),
+  INDEX idx_user_subscriptions_status_end (status, period_end),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+)
+`.trim();
+
+export async function ensureUserSubscriptionsTable() {
+  const p = await getPool();
+  await p.execute(USER_SUBSCRIPTIONS_TABLE_SQL);
+}
+
+const DISPATCH_WAVES_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS dispatch_waves (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  service_request_id INT NOT NULL,
+  wave_number INT NOT NULL,
+  radius_km DECIMAL(8, 2),
+  candidate_count INT DEFAULT 0,
+  offered_count INT DEFAULT 0,
+  status VARCHAR(32) NOT NULL DEFAULT 'open',
+  priority_level INT NOT NULL DEFAULT 0,
+  preempted_count INT DEFAULT 0,
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NULL,
+  closed_at TIMESTAMP NULL,
+  UNIQUE KEY uniq_dispatch_wave (service_request_id, wave_number),
+  INDEX idx_dispatch_waves_status_expiry (status, expires_at),
+  FOREIGN KEY (service_request_id) REFERENCES service_requests(id)
+)
+`.trim();
+
+export async function ensureDispatchWavesTable() {
+  const p = await getPool();
+  await p.execute(DISPATCH_WAVES_TABLE_SQL);
+  await addColumnIfNotExists(p, 'dispatch_waves', 'priority_level INT NOT NULL DEFAULT 0');
+  await addColumnIfNotExists(p, 'dispatch_waves', 'preempted_count INT DEFAULT 0');
 }
 
 const NOTIFICATIONS_TABLE_SQL = `
@@ -256,12 +799,27 @@ async function addColumnIfNotExists(pool, table, columnDef) {
   }
 }
 
+// Same idea for secondary indexes (code 1061: Duplicate key name)
+async function addIndexIfNotExists(pool, table, indexName, columns) {
+  try {
+    await pool.query(`ALTER TABLE ${table} ADD INDEX ${indexName} (${columns})`);
+  } catch (err) {
+    if (err.code !== 'ER_DUP_KEYNAME' && err.errno !== 1061 && !err.message?.includes("Duplicate key name")) {
+      console.log(`Note: Could not add index ${indexName} to ${table}. Error: ${err.message}`);
+    }
+  }
+}
+
 export async function updateTechniciansTableSchema() {
   const p = await getPool();
   await addColumnIfNotExists(p, 'technicians', 'is_active BOOLEAN DEFAULT FALSE');
   await addColumnIfNotExists(p, 'technicians', 'is_available BOOLEAN DEFAULT FALSE');
   await addColumnIfNotExists(p, 'technicians', 'latitude DECIMAL(10, 8)');
   await addColumnIfNotExists(p, 'technicians', 'longitude DECIMAL(11, 8)');
+  // Grid cell of the last known position (see services/technicianGeoIndex.js)
+  await addColumnIfNotExists(p, 'technicians', 'geo_cell_lat INT NULL');
+  await addColumnIfNotExists(p, 'technicians', 'geo_cell_lng INT NULL');
+  await addIndexIfNotExists(p, 'technicians', 'idx_technicians_geo_cell', 'geo_cell_lat, geo_cell_lng');
   await addColumnIfNotExists(p, 'technicians', 'current_job_id INT');
   // New columns for comprehensive technician data model
   await addColumnIfNotExists(p, 'technicians', 'resume_url VARCHAR(1024)');
@@ -290,6 +848,10 @@ export async function updateTechniciansTableSchema() {
   await addColumnIfNotExists(p, 'technicians', 'jobs_completed INT DEFAULT 0');
   await addColumnIfNotExists(p, 'technicians', 'total_earnings DECIMAL(12, 2) DEFAULT 0.00');
   await addColumnIfNotExists(p, 'technicians', 'rating DECIMAL(3, 2) DEFAULT 5.00');
+  // Unpaid cash-job platform fees, kept in step by services/technicianDuesService.js
+  await addColumnIfNotExists(p, 'technicians', 'pending_dues DECIMAL(10, 2) NOT NULL DEFAULT 0.00');
+  // Per-technician credit limit for pending_dues; NULL uses TECHNICIAN_DUES_CREDIT_LIMIT
+  await addColumnIfNotExists(p, 'technicians', 'dues_credit_limit DECIMAL(10, 2) NULL');
 
   // New column for user phone
   await addColumnIfNotExists(p, 'users', 'phone VARCHAR(50)');
@@ -375,6 +937,7 @@ export async function ensurePaymentsTable() {
   await addColumnIfNotExists(p, 'payments', 'platform_fee DECIMAL(10, 2) DEFAULT 0.00');
   await addColumnIfNotExists(p, 'payments', 'technician_amount DECIMAL(10, 2) DEFAULT 0.00');
   await addColumnIfNotExists(p, 'payments', 'is_settled BOOLEAN DEFAULT TRUE');
+  await addColumnIfNotExists(p, 'payments', 'refunded_amount DECIMAL(10, 2) DEFAULT 0.00');
 }
 
 const TECHNICIAN_DUES_TABLE_SQL = `
@@ -433,6 +996,8 @@ export async function ensureInvoicesTable() {
   await addColumnIfNotExists(p, 'invoices', 'technician_amount DECIMAL(12,2) DEFAULT 0.00');
   await addColumnIfNotExists(p, 'invoices', 'gst DECIMAL(12,2) DEFAULT 0.00');
   await addColumnIfNotExists(p, 'invoices', 'total_amount DECIMAL(12,2) DEFAULT 0.00');
+  await addColumnIfNotExists(p, 'invoices', 'surge_amount DECIMAL(12,2) DEFAULT 0.00');
+  await addColumnIfNotExists(p, 'invoices', "invoice_type VARCHAR(32) NOT NULL DEFAULT 'service'");
 }
 
 const PLATFORM_PRICING_CONFIG_TABLE_SQL = `
@@ -518,6 +1083,26 @@ export async function updateServiceRequestsTableSchema() {
   await addColumnIfNotExists(p, 'service_requests', 'completed_at TIMESTAMP NULL');
   await addColumnIfNotExists(p, 'service_requests', 'cancelled_at TIMESTAMP NULL');
   await addColumnIfNotExists(p, 'service_requests', 'cancellation_reason VARCHAR(512)');
+  await addColumnIfNotExists(p, 'service_requests', 'dispatch_state VARCHAR(32) NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'dispatch_priority INT NOT NULL DEFAULT 0');
+  await addColumnIfNotExists(p, 'service_requests', 'scheduled_for DATETIME NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'scheduled_reminder_sent_at TIMESTAMP NULL');
+  await addIndexIfNotExists(p, 'service_requests', 'idx_service_requests_schedule', 'status, scheduled_for');
+  await addColumnIfNotExists(p, 'service_requests', 'zone_id INT NULL');
+  await addIndexIfNotExists(p, 'service_requests', 'idx_service_requests_zone', 'zone_id, created_at');
+  await addColumnIfNotExists(p, 'service_requests', 'surge_multiplier DECIMAL(5,2) NOT NULL DEFAULT 1.00');
+  await addColumnIfNotExists(p, 'service_requests', 'surge_amount DECIMAL(10,2) NOT NULL DEFAULT 0.00');
+  await addColumnIfNotExists(p, 'service_requests', 'distance_travelled_km DECIMAL(8,2) NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'eta_seconds INT NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'eta_distance_meters INT NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'eta_updated_at TIMESTAMP NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'eta_near_notified_at TIMESTAMP NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'arrived_at TIMESTAMP NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'arrival_source VARCHAR(16) NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'arrival_distance_m INT NULL');
+  await addColumnIfNotExists(p, 'service_requests', "priority VARCHAR(16) NOT NULL DEFAULT 'normal'");
+  await addColumnIfNotExists(p, 'service_requests', 'cancellation_fee DECIMAL(10,2) NULL');
+  await addColumnIfNotExists(p, 'service_requests', 'cancellation_fee_technician_amount DECIMAL(10,2) NULL');
 
   // Ensure status column can hold longer status strings like 'payment_pending'
   try {
@@ -527,6 +1112,18 @@ export async function updateServiceRequestsTableSchema() {
     // Ignore if modify fails on some DB versions, but log for visibility
     console.log("Note: could not modify service_requests.status column:", err.message);
   }
+
+  // Fold legacy spellings into the canonical statuses used by services/requestStateMachine.js
+  await p.query(
+    `UPDATE service_requests
+     SET status = CASE status
+       WHEN 'en-route' THEN 'on-the-way'
+       WHEN 'in_progress' THEN 'in-progress'
+       WHEN 'processing' THEN 'accepted'
+       WHEN 'open' THEN 'pending'
+     END
+     WHERE status IN ('en-route', 'in_progress', 'processing', 'open')`
+  );
 }
 
 export async function updateUsersTableSchema() {
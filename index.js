@@ -35,7 +35,29 @@ import { validateEnvironmentOrThrow, logEnvironmentSummary } from "./config/envV
 import { socketService } from "./services/socket.js";
 import { verifyMailerConnection } from "./services/mailer.js";
 import { closePool } from "./db.js";
-import { reconcileTechnicianAvailability } from "./services/technicianStateService.js";
+import {
+  reconcileTechnicianAvailability,
+  startWorkingHoursAvailabilityMonitor,
+  stopWorkingHoursAvailabilityMonitor,
+} from "./services/technicianStateService.js";
+import { startDispatchWaveMonitor, stopDispatchWaveMonitor } from "./services/dispatchWaveService.js";
+import { startScheduledBookingMonitor, stopScheduledBookingMonitor } from "./services/scheduledBookingService.js";
+import { backfillTechnicianGeoCells } from "./services/technicianGeoIndex.js";
+import { startBreadcrumbRetentionMonitor, stopBreadcrumbRetentionMonitor } from "./services/locationBreadcrumbService.js";
+import { startSlaMonitor, stopSlaMonitor } from "./services/requestSlaService.js";
+import { startOutboxDispatcher, stopOutboxDispatcher } from "./services/outboxService.js";
+import { startRefundMonitor, stopRefundMonitor } from "./services/refundService.js";
+import { startPayoutScheduler, stopPayoutScheduler } from "./services/payoutService.js";
+import { syncTechnicianPendingDues } from "./services/technicianDuesService.js";
+import {
+  startPaymentReconciliationMonitor,
+  stopPaymentReconciliationMonitor,
+} from "./services/gatewayReconciliationService.js";
+import {
+  backfillLegacySubscriptions,
+  startSubscriptionMonitor,
+  stopSubscriptionMonitor,
+} from "./services/subscriptionService.js";
 
 const PORT = Number(process.env.PORT || 3001);
 const HOST = "0.0.0.0";
@@ -63,6 +85,23 @@ async function bootstrapDatabase() {
     ensureUserVehiclesTable,
     ensureTechnicianDuesTable,
     ensureDispatchOffersTable,
+    ensureDispatchWavesTable,
+    ensureDispatchScoringConfigTable,
+    ensureServiceZonesTable,
+    ensureServiceWaitlistTable,
+    ensureSurgeOverridesTable,
+    ensureLocationBreadcrumbsTable,
+    ensureServiceRequestEventsTable,
+    ensureRequestSlaPoliciesTable,
+    ensureRequestSlaBreachesTable,
+    ensureOutboxEventsTable,
+    ensureRefundsTable,
+    ensureCancellationFeeRulesTable,
+    ensureUserDuesTable,
+    ensureLedgerTables,
+    ensurePayoutTables,
+    ensureGatewayReconciliationTables,
+    ensureUserSubscriptionsTable,
     ensurePlatformPricingConfigTable,
     updateTechniciansTableSchema,
     updateServiceRequestsTableSchema,
@@ -85,6 +124,23 @@ async function bootstrapDatabase() {
     ensureUserVehiclesTable(),
     ensureTechnicianDuesTable(),
     ensureDispatchOffersTable(),
+    ensureDispatchWavesTable(),
+    ensureDispatchScoringConfigTable(),
+    ensureServiceZonesTable(),
+    ensureServiceWaitlistTable(),
+    ensureSurgeOverridesTable(),
+    ensureLocationBreadcrumbsTable(),
+    ensureServiceRequestEventsTable(),
+    ensureRequestSlaPoliciesTable(),
+    ensureRequestSlaBreachesTable(),
+    ensureOutboxEventsTable(),
+    ensureRefundsTable(),
+    ensureCancellationFeeRulesTable(),
+    ensureUserDuesTable(),
+    ensureLedgerTables(),
+    ensurePayoutTables(),
+    ensureGatewayReconciliationTables(),
+    ensureUserSubscriptionsTable(),
     ensurePlatformPricingConfigTable(),
   ]);
 
@@ -97,6 +153,9 @@ async function bootstrapDatabase() {
   const { getPool } = await import("./db.js");
   const pool = await getPool();
   await reconcileTechnicianAvailability(pool);
+  await backfillTechnicianGeoCells(pool);
+  await syncTechnicianPendingDues(pool);
+  await backfillLegacySubscriptions(pool);
 }
 
 function createApp() {
@@ -209,6 +268,16 @@ async function shutdown(signal) {
     process.exit(1);
   }, 10000);
   forceExitTimer.unref();
+  stopDispatchWaveMonitor();
+  stopScheduledBookingMonitor();
+  stopWorkingHoursAvailabilityMonitor();
+  stopBreadcrumbRetentionMonitor();
+  stopSlaMonitor();
+  stopOutboxDispatcher();
+  stopRefundMonitor();
+  stopPayoutScheduler();
+  stopPaymentReconciliationMonitor();
+  stopSubscriptionMonitor();
 
   httpServer.close(async (err) => {
     if (err) {
@@ -248,6 +317,16 @@ async function startServer() {
   await new Promise((resolve) => {
     httpServer.listen(PORT, HOST, resolve);
   });
+  startDispatchWaveMonitor();
+  startScheduledBookingMonitor();
+  startWorkingHoursAvailabilityMonitor();
+  startBreadcrumbRetentionMonitor();
+  startSlaMonitor();
+  startOutboxDispatcher();
+  startRefundMonitor();
+  startPayoutScheduler();
+  startPaymentReconciliationMonitor();
+  startSubscriptionMonitor();
 
   console.log("\n========================================");
   console.log("SERVER STARTED");
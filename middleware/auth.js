@@ -80,6 +80,60 @@ export function verifyAdmin(req, res, next) {
   }
 }
 
+/**
+ * Accepts user, technician and admin tokens on routes shared by both sides of a job.
+ * Sets the same request fields as the single-role middlewares above.
+ */
+export function verifyUserOrTechnician(req, res, next) {
+  const auth = req.headers.authorization;
+  if (!auth || !auth.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  try {
+    const payload = jwt.verify(auth.slice(7), getJwtSecret());
+    const role = resolveTokenRole(payload);
+    if (role === "technician") {
+      req.technicianId = payload.id || payload.technicianId;
+      req.technicianEmail = payload.email;
+    } else if (!role || role === "user" || role === "admin") {
+      req.user = payload;
+      if (role === "admin") req.adminEmail = payload.email;
+    } else {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    next();
+  } catch (err) {
+    if (err.message === "JWT_SECRET is not configured.") {
+      return res.status(500).json({ error: "Server auth is not configured." });
+    }
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+}
+
+/**
+ * Verify a bearer token outside Express (Socket.IO handshake) with the same rules as the
+ * middlewares above. Returns { role, userId, technicianId, email }; throws on an invalid token.
+ */
+export function verifySocketToken(token) {
+  const raw = String(token || "").replace(/^Bearer\s+/i, "").trim();
+  if (!raw) throw new Error("Unauthorized");
+
+  const payload = jwt.verify(raw, getJwtSecret());
+  const role = resolveTokenRole(payload) || (payload.userId ? "user" : "");
+  if (role === "technician") {
+    const technicianId = payload.id || payload.technicianId;
+    if (!technicianId) throw new Error("Unauthorized");
+    return { role, userId: null, technicianId: String(technicianId), email: payload.email || null };
+  }
+  if (role === "user" && payload.userId) {
+    return { role, userId: String(payload.userId), technicianId: null, email: payload.email || null };
+  }
+  if (role === "admin") {
+    return { role, userId: null, technicianId: null, email: payload.email || null };
+  }
+  throw new Error("Forbidden");
+}
+
 export function getAdminCredentials() {
   return {
     email: process.env.ADMIN_EMAIL || "",
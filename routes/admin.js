@@ -8,6 +8,34 @@ import { getAdminCredentials, signAdminToken, verifyAdmin } from "../middleware/
 import { getFrontendUrl } from "../config/network.js";
 import { canonicalizeServiceDomain, canonicalizeVehicleFamily } from "../services/serviceNormalization.js";
 import { runDispatchMatrixAudit } from "../services/dispatchMatrixAudit.js";
+import { getDispatchWaveHistory } from "../services/dispatchWaveService.js";
+import { findTechniciansNearLocation } from "../services/technicianGeoIndex.js";
+import { getDispatchScoringConfig, saveDispatchScoringConfig } from "../services/dispatchScoring.js";
+import { adminExtendedLogAdminAction } from "../services/adminExtendedActionLogService.js";
+import { getRoutingMetrics } from "../services/routingProvider.js";
+import { getRequestLocationReplay } from "../services/locationBreadcrumbService.js";
+import { getRequestTimeline } from "../services/requestTimelineService.js";
+import {
+  createServiceZone,
+  deactivateServiceZone,
+  getServiceZoneById,
+  listServiceZones,
+  updateServiceZone,
+} from "../services/serviceZoneService.js";
+import {
+  deactivateSlaPolicy,
+  getSlaBreachMetrics,
+  getSlaDefaults,
+  listSlaBreaches,
+  listSlaPolicies,
+  saveSlaPolicy,
+} from "../services/requestSlaService.js";
+import {
+  createSurgeOverride,
+  deactivateSurgeOverride,
+  getSurgeSnapshot,
+  listSurgeOverrides,
+} from "../services/surgePricingService.js";
 import { getDashboard, getAdminAuditLogs } from "../controllers/adminController.js";
 import {
   getRequests,
@@ -45,6 +73,57 @@ import {
   ADMIN_NOTIFICATION_TYPE_FILTER_VALUES,
   normalizeAdminNotificationType,
 } from "../services/adminNotificationTypes.js";
+import {
+  OUTBOX_CHANNELS,
+  getOutboxStats,
+  listOutboxEntries,
+  retryOutboxEntry,
+} from "../services/outboxService.js";
+import {
+  REFUND_STATUSES,
+  createAdminRefund,
+  listRefunds,
+  retryRefund,
+} from "../services/refundService.js";
+import {
+  deactivateCancellationFeeRule,
+  listAllUserDues,
+  listCancellationFeeRules,
+  saveCancellationFeeRule,
+  waiveUserDue,
+} from "../services/cancellationFeeService.js";
+import {
+  backfillLedger,
+  getLedgerReconciliation,
+  getTechnicianLedgerBalance,
+  getTechnicianStatement,
+  getTrialBalance,
+} from "../services/ledgerService.js";
+import {
+  PAYOUT_BATCH_STATUSES,
+  approvePayoutBatch,
+  cancelPayoutBatch,
+  exportPayoutBatchCsv,
+  generatePayoutBatch,
+  getPayoutBatch,
+  listPayoutBatches,
+  markPayoutFailed,
+  markPayoutsPaid,
+  retryPayout,
+  submitPayoutBatch,
+} from "../services/payoutService.js";
+import { listTechnicianDues, setTechnicianDuesLimit } from "../services/technicianDuesService.js";
+import {
+  RECONCILIATION_ITEM_STATUSES,
+  RECONCILIATION_MISMATCH_TYPES,
+  finalizeReconciliationItem,
+  getReconciliationReport,
+  getReconciliationRun,
+  listReconciliationItems,
+  listReconciliationRuns,
+  resolveReconciliationItem,
+  runGatewayReconciliation,
+} from "../services/gatewayReconciliationService.js";
 
 const router = Router();
 const JWT_SECRET = String(process.env.JWT_SECRET || "").trim();
@@ -91,6 +170,412 @@ router.get("/finance/export", exportFinanceCsv);
 router.get("/finance/flagged", getFlaggedPayments);
 router.get("/finance/audit-logs", getAdminAuditLogs);
 
+router.get("/finance/reconciliation", async (req, res) => {
+  try {
+    const reconciliation = await getLedgerReconciliation({ date: req.query.date || null });
+    return res.json(reconciliation);
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin ledger reconciliation]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to reconcile ledger." : err.message });
+  }
+});
+
+router.get("/finance/gateway-reconciliation", async (_req, res) => {
+  try {
+    return res.json(await getReconciliationReport());
+  } catch (err) {
+    console.error("[Admin gateway reconciliation report]", err);
+    return res.status(500).json({ error: "Failed to load reconciliation report." });
+  }
+});
+
+router.get("/finance/gateway-reconciliation/runs", async (req, res) => {
+  try {
+    const runs = await listReconciliationRuns({ limit: req.query.limit });
+    return res.json({ runs });
+  } catch (err) {
+    console.error("[Admin gateway reconciliation runs]", err);
+    return res.status(500).json({ error: "Failed to load reconciliation runs." });
+  }
+});
+
+router.post("/finance/gateway-reconciliation/runs", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const run = await runGatewayReconciliation({
+      from: req.body?.from || null,
+      to: req.body?.to || null,
+      triggeredBy: adminId,
+    });
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "runGatewayReconciliation",
+      targetType: "gateway_reconciliation_run",
+      targetId: run.id,
+      metadata: { mismatchCount: run.mismatchCount, autoFinalizedCount: run.autoFinalizedCount },
+    }).catch(console.error);
+
+    return res.status(201).json(run);
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin gateway reconciliation run]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to run reconciliation." : err.message });
+  }
+});
+
+router.get("/finance/gateway-reconciliation/runs/:runId", async (req, res) => {
+  try {
+    const run = await getReconciliationRun(req.params.runId);
+    if (!run) return res.status(404).json({ error: "Reconciliation run not found." });
+    return res.json(run);
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin gateway reconciliation run]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to load reconciliation run." : err.message });
+  }
+});
+
+router.get("/finance/gateway-reconciliation/items", async (req, res) => {
+  try {
+    const status = String(req.query.status || "open").trim().toLowerCase();
+    if (status !== "all" && !RECONCILIATION_ITEM_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${RECONCILIATION_ITEM_STATUSES.join(", ")}` });
+    }
+    const type = req.query.type ? String(req.query.type).trim().toLowerCase() : null;
+    if (type && !Object.values(RECONCILIATION_MISMATCH_TYPES).includes(type)) {
+      return res.status(400).json({ error: "Invalid mismatch type." });
+    }
+    const items = await listReconciliationItems({ status, type, limit: req.query.limit });
+    return res.json({ items });
+  } catch (err) {
+    console.error("[Admin gateway reconciliation items]", err);
+    return res.status(500).json({ error: "Failed to load reconciliation items." });
+  }
+});
+
+router.post("/finance/gateway-reconciliation/items/:itemId/finalize", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const item = await finalizeReconciliationItem(req.params.itemId, { adminId, note: req.body?.note || null });
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "finalizeReconciliationItem",
+      targetType: "gateway_reconciliation_item",
+      targetId: item.id,
+      metadata: { razorpayOrderId: item.razorpayOrderId, razorpayPaymentId: item.razorpayPaymentId },
+    }).catch(console.error);
+
+    return res.json({ success: true, item });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin gateway reconciliation finalize]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to finalize payment." : err.message });
+  }
+});
+
+router.post("/finance/gateway-reconciliation/items/:itemId/resolve", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const status = String(req.body?.status || "resolved").trim().toLowerCase();
+    const item = await resolveReconciliationItem(req.params.itemId, { status, note: req.body?.note || null, adminId });
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "resolveReconciliationItem",
+      targetType: "gateway_reconciliation_item",
+      targetId: item.id,
+      metadata: { status, note: req.body?.note || null },
+    }).catch(console.error);
+
+    return res.json({ success: true, item });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin gateway reconciliation resolve]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to resolve item." : err.message });
+  }
+});
+
+router.get("/ledger/trial-balance", async (_req, res) => {
+  try {
+    return res.json(await getTrialBalance());
+  } catch (err) {
+    console.error("[Admin ledger trial balance]", err);
+    return res.status(500).json({ error: "Failed to load trial balance." });
+  }
+});
+
+router.get("/ledger/technicians/:technicianId/balance", async (req, res) => {
+  try {
+    return res.json(await getTechnicianLedgerBalance(req.params.technicianId));
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin ledger balance]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to load ledger balance." : err.message });
+  }
+});
+
+router.get("/ledger/technicians/:technicianId/statement", async (req, res) => {
+  try {
+    const statement = await getTechnicianStatement(req.params.technicianId, {
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+    });
+    return res.json(statement);
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin ledger statement]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to load ledger statement." : err.message });
+  }
+});
+
+router.post("/ledger/backfill", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const posted = await backfillLedger({ limit: req.body?.limit });
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "backfillLedger",
+      targetType: "ledger",
+      targetId: null,
+      metadata: posted,
+    }).catch(console.error);
+
+    return res.json({ success: true, posted });
+  } catch (err) {
+    console.error("[Admin ledger backfill]", err);
+    return res.status(500).json({ error: "Failed to backfill ledger." });
+  }
+});
+
+router.get("/payout-batches", async (req, res) => {
+  try {
+    const status = String(req.query.status || "all").trim().toLowerCase();
+    if (status !== "all" && !PAYOUT_BATCH_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: all, ${PAYOUT_BATCH_STATUSES.join(", ")}` });
+    }
+    const batches = await listPayoutBatches({ status, limit: req.query.limit });
+    return res.json({ batches });
+  } catch (err) {
+    console.error("[Admin payout batches]", err);
+    return res.status(500).json({ error: "Failed to load payout batches." });
+  }
+});
+
+router.post("/payout-batches", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const batch = await generatePayoutBatch({ adminId });
+    if (!batch) {
+      return res.json({ success: true, batch: null, message: "No technician is due a payout." });
+    }
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "generatePayoutBatch",
+      targetType: "payout_batch",
+      targetId: batch.id,
+      metadata: { payoutCount: batch.payoutCount, totalAmount: batch.totalAmount },
+    }).catch(console.error);
+
+    return res.status(201).json({ success: true, batch });
+  } catch (err) {
+    console.error("[Admin payout batch generate]", err);
+    return res.status(500).json({ error: "Failed to generate payout batch." });
+  }
+});
+
+router.get("/payout-batches/:batchId", async (req, res) => {
+  try {
+    const batchId = Number(req.params.batchId);
+    if (!Number.isInteger(batchId) || batchId <= 0) {
+      return res.status(400).json({ error: "batchId must be a positive integer." });
+    }
+    const batch = await getPayoutBatch(batchId);
+    if (!batch) return res.status(404).json({ error: "Payout batch not found." });
+    return res.json(batch);
+  } catch (err) {
+    console.error("[Admin payout batch]", err);
+    return res.status(500).json({ error: "Failed to load payout batch." });
+  }
+});
+
+router.post("/payout-batches/:batchId/approve", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const { batch, changed } = await approvePayoutBatch(req.params.batchId, adminId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "approvePayoutBatch",
+      targetType: "payout_batch",
+      targetId: batch.id,
+      metadata: { totalAmount: batch.totalAmount, totalNetted: batch.totalNetted, changed },
+    }).catch(console.error);
+
+    return res.json({ success: true, batch, changed });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin payout batch approve]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to approve payout batch." : err.message });
+  }
+});
+
+router.post("/payout-batches/:batchId/submit", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const batch = await submitPayoutBatch(req.params.batchId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "submitPayoutBatch",
+      targetType: "payout_batch",
+      targetId: batch.id,
+      metadata: { provider: batch.provider, status: batch.status },
+    }).catch(console.error);
+
+    return res.json({ success: true, batch });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin payout batch submit]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to submit payout batch." : err.message });
+  }
+});
+
+router.post("/payout-batches/:batchId/mark-paid", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const payouts = await markPayoutsPaid({ batchId: req.params.batchId, reference: req.body?.reference });
+    const batch = await getPayoutBatch(Number(req.params.batchId));
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "markPayoutBatchPaid",
+      targetType: "payout_batch",
+      targetId: Number(req.params.batchId),
+      metadata: { reference: req.body?.reference || null, payoutIds: payouts.map((payout) => payout.id) },
+    }).catch(console.error);
+
+    return res.json({ success: true, batch, payouts });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin payout batch mark paid]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to mark payouts paid." : err.message });
+  }
+});
+
+router.post("/payout-batches/:batchId/cancel", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const batch = await cancelPayoutBatch(req.params.batchId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "cancelPayoutBatch",
+      targetType: "payout_batch",
+      targetId: batch.id,
+      metadata: null,
+    }).catch(console.error);
+
+    return res.json({ success: true, batch });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin payout batch cancel]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to cancel payout batch." : err.message });
+  }
+});
+
+router.get("/payout-batches/:batchId/export", async (req, res) => {
+  try {
+    const { fileName, csv, skipped } = await exportPayoutBatchCsv(req.params.batchId);
+
+    await adminExtendedLogAdminAction({
+      adminId: resolveAdminId(req),
+      actionType: "exportPayoutBatch",
+      targetType: "payout_batch",
+      targetId: Number(req.params.batchId),
+      metadata: { skipped },
+    }).catch(console.error);
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("X-Payouts-Skipped", String(skipped.length));
+    return res.send(csv);
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin payout batch export]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to export payout batch." : err.message });
+  }
+});
+
+router.post("/payouts/:payoutId/mark-paid", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const [payout] = await markPayoutsPaid({ payoutId: req.params.payoutId, reference: req.body?.reference });
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "markPayoutPaid",
+      targetType: "payout",
+      targetId: payout.id,
+      metadata: { reference: payout.reference, amount: payout.amount },
+    }).catch(console.error);
+
+    return res.json({ success: true, payout });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin payout mark paid]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to mark payout paid." : err.message });
+  }
+});
+
+router.post("/payouts/:payoutId/mark-failed", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const reason = String(req.body?.reason || "").trim() || null;
+    const payout = await markPayoutFailed(req.params.payoutId, reason);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "markPayoutFailed",
+      targetType: "payout",
+      targetId: payout.id,
+      metadata: { reason },
+    }).catch(console.error);
+
+    return res.json({ success: true, payout });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin payout mark failed]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to mark payout failed." : err.message });
+  }
+});
+
+router.post("/payouts/:payoutId/retry", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const payout = await retryPayout(req.params.payoutId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "retryPayout",
+      targetType: "payout",
+      targetId: payout.id,
+      metadata: { attempts: payout.attempts, status: payout.status },
+    }).catch(console.error);
+
+    return res.json({ success: true, payout });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin payout retry]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to retry payout." : err.message });
+  }
+});
+
 router.get("/analytics", getAnalytics);
 
 router.post("/complaints", createComplaint);
@@ -349,6 +834,626 @@ router.delete("/notifications/:id", async (req, res) => {
   }
 });
 
+router.get("/dispatch-queue", async (_req, res) => {
+  try {
+    const rows = await db.query(
+      `SELECT sr.id, sr.service_type, sr.vehicle_type, sr.address, sr.location_lat, sr.location_lng,
+              sr.created_at, sr.dispatch_state, sr.dispatch_priority,
+              (SELECT COUNT(*) FROM dispatch_waves dw WHERE dw.service_request_id = sr.id) AS waves_sent,
+              (SELECT COUNT(*) FROM dispatch_offers o WHERE o.service_request_id = sr.id) AS offers_sent
+       FROM service_requests sr
+       WHERE sr.dispatch_state = 'admin_queue' AND sr.status = 'pending' AND sr.technician_id IS NULL
+       ORDER BY sr.dispatch_priority DESC, sr.created_at ASC`
+    );
+    return res.json({
+      count: rows.length,
+      requests: rows.map((row) => ({
+        ...row,
+        waves_sent: Number(row.waves_sent || 0),
+        offers_sent: Number(row.offers_sent || 0),
+      })),
+    });
+  } catch (err) {
+    console.error("[Admin dispatch queue]", err);
+    return res.status(500).json({ error: "Failed to load dispatch queue." });
+  }
+});
+
+router.get("/routing-metrics", (_req, res) => {
+  return res.json(getRoutingMetrics());
+});
+
+router.get("/dispatch-scoring", async (_req, res) => {
+  try {
+    const config = await getDispatchScoringConfig({ forceRefresh: true });
+    return res.json(config);
+  } catch (err) {
+    console.error("[Admin dispatch scoring]", err);
+    return res.status(500).json({ error: "Failed to load dispatch scoring config." });
+  }
+});
+
+router.put("/dispatch-scoring", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const previous = await getDispatchScoringConfig({ forceRefresh: true });
+    const config = await saveDispatchScoringConfig(req.body || {}, adminId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "updateDispatchScoring",
+      targetType: "dispatch_scoring_config",
+      targetId: config.id,
+      metadata: { previous, next: config },
+    }).catch(console.error);
+
+    return res.json({ success: true, config });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin dispatch scoring update]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to update dispatch scoring config." : err.message });
+  }
+});
+
+router.get("/sla/policies", async (req, res) => {
+  try {
+    const includeInactive = String(req.query.include_inactive || "").toLowerCase() === "true";
+    const policies = await listSlaPolicies({ includeInactive, forceRefresh: true });
+    return res.json({ defaults: getSlaDefaults(), policies });
+  } catch (err) {
+    console.error("[Admin SLA policies]", err);
+    return res.status(500).json({ error: "Failed to load SLA policies." });
+  }
+});
+
+router.put("/sla/policies", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const policy = await saveSlaPolicy(req.body || {}, adminId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "saveSlaPolicy",
+      targetType: "request_sla_policy",
+      targetId: policy?.id,
+      metadata: { policy },
+    }).catch(console.error);
+
+    return res.json({ success: true, policy });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin SLA policy save]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to save SLA policy." : err.message });
+  }
+});
+
+router.delete("/sla/policies/:policyId", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const deactivated = await deactivateSlaPolicy(req.params.policyId, adminId);
+    if (!deactivated) {
+      return res.status(404).json({ error: "SLA policy not found." });
+    }
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "deactivateSlaPolicy",
+      targetType: "request_sla_policy",
+      targetId: req.params.policyId,
+      metadata: null,
+    }).catch(console.error);
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("[Admin SLA policy deactivate]", err);
+    return res.status(500).json({ error: "Failed to deactivate SLA policy." });
+  }
+});
+
+router.get("/sla/breaches", async (req, res) => {
+  try {
+    const state = String(req.query.state || "open").trim().toLowerCase();
+    const breaches = await listSlaBreaches({ state, limit: req.query.limit });
+    return res.json({ breaches });
+  } catch (err) {
+    console.error("[Admin SLA breaches]", err);
+    return res.status(500).json({ error: "Failed to load SLA breaches." });
+  }
+});
+
+router.get("/sla/metrics", async (req, res) => {
+  try {
+    const metrics = await getSlaBreachMetrics({ days: req.query.days });
+    return res.json(metrics);
+  } catch (err) {
+    console.error("[Admin SLA metrics]", err);
+    return res.status(500).json({ error: "Failed to load SLA metrics." });
+  }
+});
+
+const OUTBOX_STATUS_FILTERS = new Set(["pending", "processing", "delivered", "dead", "all"]);
+
+router.get("/outbox", async (req, res) => {
+  try {
+    const status = String(req.query.status || "dead").trim().toLowerCase();
+    if (!OUTBOX_STATUS_FILTERS.has(status)) {
+      return res.status(400).json({ error: "Invalid status filter." });
+    }
+    const channel = req.query.channel ? String(req.query.channel).trim().toLowerCase() : null;
+    if (channel && !Object.values(OUTBOX_CHANNELS).includes(channel)) {
+      return res.status(400).json({ error: "Invalid channel filter." });
+    }
+    const entries = await listOutboxEntries({ status, channel, limit: req.query.limit });
+    return res.json({ entries });
+  } catch (err) {
+    console.error("[Admin outbox]", err);
+    return res.status(500).json({ error: "Failed to load outbox entries." });
+  }
+});
+
+router.get("/outbox/stats", async (req, res) => {
+  try {
+    const stats = await getOutboxStats();
+    return res.json({ stats });
+  } catch (err) {
+    console.error("[Admin outbox stats]", err);
+    return res.status(500).json({ error: "Failed to load outbox stats." });
+  }
+});
+
+router.post("/outbox/:entryId/retry", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const requeued = await retryOutboxEntry(req.params.entryId);
+    if (!requeued) {
+      return res.status(404).json({ error: "Dead outbox entry not found." });
+    }
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "retryOutboxEntry",
+      targetType: "outbox_event",
+      targetId: req.params.entryId,
+      metadata: null,
+    }).catch(console.error);
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("[Admin outbox retry]", err);
+    return res.status(500).json({ error: "Failed to retry outbox entry." });
+  }
+});
+
+router.get("/refunds", async (req, res) => {
+  try {
+    const status = String(req.query.status || "all").trim().toLowerCase();
+    if (status !== "all" && !REFUND_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "Invalid status filter." });
+    }
+    const refunds = await listRefunds({ status, requestId: req.query.requestId || null, limit: req.query.limit });
+    return res.json({ refunds });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin refunds]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to load refunds." : err.message });
+  }
+});
+
+router.post("/requests/:requestId/refunds", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const { paymentId = null, amount = null, reason = null, idempotencyKey = null } = req.body || {};
+    const { refund, duplicate } = await createAdminRefund({
+      requestId: req.params.requestId,
+      paymentId,
+      amount,
+      reason,
+      adminId,
+      idempotencyKey: idempotencyKey || req.get("Idempotency-Key") || null,
+    });
+
+    if (!duplicate) {
+      await adminExtendedLogAdminAction({
+        adminId,
+        actionType: "createRefund",
+        targetType: "service_request",
+        targetId: req.params.requestId,
+        metadata: { refundId: refund?.id ?? null, paymentId: refund?.paymentId ?? null, amount: refund?.amount ?? null, reason },
+      }).catch(console.error);
+    }
+
+    return res.status(duplicate ? 200 : 201).json({ refund, duplicate });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin refund create]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to create refund." : err.message });
+  }
+});
+
+router.post("/refunds/:refundId/retry", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const refund = await retryRefund(req.params.refundId);
+    if (!refund) {
+      return res.status(404).json({ error: "Failed refund not found." });
+    }
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "retryRefund",
+      targetType: "refund",
+      targetId: req.params.refundId,
+      metadata: { status: refund.status },
+    }).catch(console.error);
+
+    return res.json({ refund });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin refund retry]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to retry refund." : err.message });
+  }
+});
+
+router.get("/cancellation-fee-rules", async (req, res) => {
+  try {
+    const includeInactive = String(req.query.include_inactive || "").toLowerCase() === "true";
+    const rules = await listCancellationFeeRules({ includeInactive });
+    return res.json({ rules });
+  } catch (err) {
+    console.error("[Admin cancellation fee rules]", err);
+    return res.status(500).json({ error: "Failed to load cancellation fee rules." });
+  }
+});
+
+router.post("/cancellation-fee-rules", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const rule = await saveCancellationFeeRule(req.body || {}, adminId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "createCancellationFeeRule",
+      targetType: "cancellation_fee_rule",
+      targetId: rule?.id,
+      metadata: { rule },
+    }).catch(console.error);
+
+    return res.status(201).json({ success: true, rule });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin cancellation fee rule create]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to create cancellation fee rule." : err.message });
+  }
+});
+
+router.put("/cancellation-fee-rules/:ruleId", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const rule = await saveCancellationFeeRule(req.body || {}, adminId, req.params.ruleId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "updateCancellationFeeRule",
+      targetType: "cancellation_fee_rule",
+      targetId: req.params.ruleId,
+      metadata: { rule },
+    }).catch(console.error);
+
+    return res.json({ success: true, rule });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin cancellation fee rule update]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to update cancellation fee rule." : err.message });
+  }
+});
+
+router.delete("/cancellation-fee-rules/:ruleId", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const deactivated = await deactivateCancellationFeeRule(req.params.ruleId, adminId);
+    if (!deactivated) {
+      return res.status(404).json({ error: "Cancellation fee rule not found." });
+    }
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "deactivateCancellationFeeRule",
+      targetType: "cancellation_fee_rule",
+      targetId: req.params.ruleId,
+      metadata: null,
+    }).catch(console.error);
+
+    return res.json({ success: true });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin cancellation fee rule deactivate]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to deactivate cancellation fee rule." : err.message });
+  }
+});
+
+router.get("/user-dues", async (req, res) => {
+  try {
+    const status = String(req.query.status || "pending").trim().toLowerCase();
+    if (!["pending", "paid", "waived", "all"].includes(status)) {
+      return res.status(400).json({ error: "Invalid status filter." });
+    }
+    const dues = await listAllUserDues({ status, userId: req.query.userId || null, limit: req.query.limit });
+    return res.json({ dues });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin user dues]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to load user dues." : err.message });
+  }
+});
+
+router.post("/user-dues/:dueId/waive", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const waived = await waiveUserDue(req.params.dueId, adminId);
+    if (!waived) {
+      return res.status(404).json({ error: "Pending due not found." });
+    }
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "waiveUserDue",
+      targetType: "user_due",
+      targetId: req.params.dueId,
+      metadata: { reason: req.body?.reason || null },
+    }).catch(console.error);
+
+    return res.json({ success: true });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin user due waive]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to waive due." : err.message });
+  }
+});
+
+router.get("/technician-dues", async (req, res) => {
+  try {
+    const status = String(req.query.status || "all").trim().toLowerCase();
+    if (!["all", "near_limit", "over_limit"].includes(status)) {
+      return res.status(400).json({ error: "Invalid status filter." });
+    }
+    const technicians = await listTechnicianDues({ status, limit: req.query.limit });
+    return res.json({ technicians });
+  } catch (err) {
+    console.error("[Admin technician dues]", err);
+    return res.status(500).json({ error: "Failed to load technician dues." });
+  }
+});
+
+router.put("/technicians/:technicianId/dues-limit", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const dues = await setTechnicianDuesLimit(req.params.technicianId, req.body?.creditLimit ?? null);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "setTechnicianDuesLimit",
+      targetType: "technician",
+      targetId: req.params.technicianId,
+      metadata: { creditLimit: req.body?.creditLimit ?? null },
+    }).catch(console.error);
+
+    return res.json({ success: true, dues });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin technician dues limit]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to update dues limit." : err.message });
+  }
+});
+
+router.get("/service-zones", async (req, res) => {
+  try {
+    const includeInactive = String(req.query.include_inactive || "").toLowerCase() === "true";
+    const zones = await listServiceZones({ includeInactive, forceRefresh: true });
+    return res.json({ zones });
+  } catch (err) {
+    console.error("[Admin service zones]", err);
+    return res.status(500).json({ error: "Failed to load service zones." });
+  }
+});
+
+router.post("/service-zones", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const zone = await createServiceZone(req.body || {}, adminId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "createServiceZone",
+      targetType: "service_zone",
+      targetId: zone?.id,
+      metadata: { zone },
+    }).catch(console.error);
+
+    return res.status(201).json({ success: true, zone });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin service zone create]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to create service zone." : err.message });
+  }
+});
+
+router.put("/service-zones/:zoneId", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const previous = await getServiceZoneById(req.params.zoneId);
+    if (!previous) {
+      return res.status(404).json({ error: "Service zone not found." });
+    }
+    const zone = await updateServiceZone(previous.id, req.body || {}, adminId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "updateServiceZone",
+      targetType: "service_zone",
+      targetId: previous.id,
+      metadata: { previous, next: zone },
+    }).catch(console.error);
+
+    return res.json({ success: true, zone });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin service zone update]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to update service zone." : err.message });
+  }
+});
+
+router.delete("/service-zones/:zoneId", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const deactivated = await deactivateServiceZone(req.params.zoneId, adminId);
+    if (!deactivated) {
+      return res.status(404).json({ error: "Service zone not found." });
+    }
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "deactivateServiceZone",
+      targetType: "service_zone",
+      targetId: req.params.zoneId,
+      metadata: null,
+    }).catch(console.error);
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("[Admin service zone deactivate]", err);
+    return res.status(500).json({ error: "Failed to deactivate service zone." });
+  }
+});
+
+router.get("/service-waitlist", async (req, res) => {
+  try {
+    const status = String(req.query.status || "waiting").trim().toLowerCase();
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+    const pool = await db.getPool();
+    const [rows] = await pool.query(
+      `SELECT w.*, z.name AS zone_name, u.full_name AS user_name, u.email AS user_email
+       FROM service_waitlist w
+       LEFT JOIN service_zones z ON z.id = w.zone_id
+       LEFT JOIN users u ON u.id = w.user_id
+       WHERE w.status = ?
+       ORDER BY w.created_at DESC
+       LIMIT ?`,
+      [status, limit]
+    );
+    return res.json({ waitlist: rows });
+  } catch (err) {
+    console.error("[Admin service waitlist]", err);
+    return res.status(500).json({ error: "Failed to load service waitlist." });
+  }
+});
+
+router.get("/surge", async (_req, res) => {
+  try {
+    const snapshot = await getSurgeSnapshot();
+    const overrides = await listSurgeOverrides();
+    return res.json({ ...snapshot, overrides });
+  } catch (err) {
+    console.error("[Admin surge]", err);
+    return res.status(500).json({ error: "Failed to load surge pricing." });
+  }
+});
+
+router.get("/surge-overrides", async (req, res) => {
+  try {
+    const includeExpired = String(req.query.include_expired || "").toLowerCase() === "true";
+    const overrides = await listSurgeOverrides({ includeExpired });
+    return res.json({ overrides });
+  } catch (err) {
+    console.error("[Admin surge overrides]", err);
+    return res.status(500).json({ error: "Failed to load surge overrides." });
+  }
+});
+
+router.post("/surge-overrides", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const override = await createSurgeOverride(req.body || {}, adminId);
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "createSurgeOverride",
+      targetType: "surge_override",
+      targetId: override.id,
+      metadata: { override },
+    }).catch(console.error);
+
+    return res.status(201).json({ success: true, override });
+  } catch (err) {
+    const statusCode = Number(err?.statusCode) || 500;
+    if (statusCode >= 500) console.error("[Admin surge override create]", err);
+    return res.status(statusCode).json({ error: statusCode >= 500 ? "Failed to create surge override." : err.message });
+  }
+});
+
+router.delete("/surge-overrides/:overrideId", async (req, res) => {
+  try {
+    const adminId = resolveAdminId(req);
+    const deactivated = await deactivateSurgeOverride(req.params.overrideId);
+    if (!deactivated) {
+      return res.status(404).json({ error: "Surge override not found." });
+    }
+
+    await adminExtendedLogAdminAction({
+      adminId,
+      actionType: "deactivateSurgeOverride",
+      targetType: "surge_override",
+      targetId: req.params.overrideId,
+      metadata: null,
+    }).catch(console.error);
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("[Admin surge override deactivate]", err);
+    return res.status(500).json({ error: "Failed to deactivate surge override." });
+  }
+});
+
+router.get("/location-replay/:requestId", async (req, res) => {
+  try {
+    const requestId = Number(req.params.requestId);
+    if (!Number.isFinite(requestId)) {
+      return res.status(400).json({ error: "Invalid request id." });
+    }
+
+    const pool = await db.getPool();
+    const [reqRows] = await pool.query(
+      `SELECT id, user_id, technician_id, status, address, location_lat, location_lng,
+              started_at, completed_at, distance_travelled_km
+       FROM service_requests
+       WHERE id = ?
+       LIMIT 1`,
+      [requestId]
+    );
+    if (!reqRows?.[0]) {
+      return res.status(404).json({ error: "Service request not found." });
+    }
+
+    const replay = await getRequestLocationReplay(requestId);
+    return res.json({ request: reqRows[0], ...replay });
+  } catch (err) {
+    console.error("[Admin location replay]", err);
+    return res.status(500).json({ error: "Failed to load location replay." });
+  }
+});
+
+router.get("/requests/:requestId/timeline", async (req, res) => {
+  try {
+    const timeline = await getRequestTimeline(req.params.requestId, { role: "admin" });
+    return res.json(timeline);
+  } catch (err) {
+    if (err?.statusCode && err.statusCode < 500) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("[Admin request timeline]", err);
+    return res.status(500).json({ error: "Failed to load request timeline." });
+  }
+});
+
 router.get("/dispatch-audit/:requestId", async (req, res) => {
   try {
     const requestId = Number(req.params.requestId);
@@ -363,11 +1468,23 @@ router.get("/dispatch-audit/:requestId", async (req, res) => {
       return res.status(404).json({ error: "Service request not found." });
     }
 
-    const [technicianRows] = await pool.query("SELECT * FROM technicians");
+    // Default to the technicians around the job (grid-cell lookup); ?scope=all audits the whole fleet.
+    const auditAll = String(req.query.scope || "").trim().toLowerCase() === "all";
+    const auditRadiusKm = Number(req.query.radius_km);
+    const technicianRows = auditAll
+      ? (await pool.query("SELECT * FROM technicians"))[0]
+      : await findTechniciansNearLocation({
+        latitude: requestRow.location_lat,
+        longitude: requestRow.location_lng,
+        radiusKm: Number.isFinite(auditRadiusKm) && auditRadiusKm > 0 ? auditRadiusKm : null,
+        includeUnlocated: true,
+        pool,
+      });
     const [offerRows] = await pool.query(
-      "SELECT technician_id, status, sent_at, expires_at FROM dispatch_offers WHERE service_request_id = ?",
+      "SELECT technician_id, status, wave_number, score, score_breakdown, sent_at, expires_at FROM dispatch_offers WHERE service_request_id = ?",
       [requestId]
     );
+    const waves = await getDispatchWaveHistory(requestId);
     const offerMap = new Map((offerRows || []).map((o) => [String(o.technician_id), o]));
 
     const { jobDispatchService } = await import("../services/jobDispatchService.js");
@@ -404,6 +1521,11 @@ router.get("/dispatch-audit/:requestId", async (req, res) => {
           technician_domains: row.technicianDomains,
           technician_vehicles: row.technicianVehicles,
           dispatch_offer_status: offer?.status || null,
+          dispatch_offer_wave: offer?.wave_number ?? null,
+          dispatch_offer_score: offer?.score == null ? null : Number(offer.score),
+          dispatch_offer_score_breakdown: offer?.score_breakdown
+            ? (typeof offer.score_breakdown === "string" ? JSON.parse(offer.score_breakdown) : offer.score_breakdown)
+            : null,
           dispatch_offer_sent_at: offer?.sent_at || null,
           dispatch_offer_expires_at: offer?.expires_at || null
         };
@@ -416,6 +1538,7 @@ router.get("/dispatch-audit/:requestId", async (req, res) => {
       });
 
     const summary = {
+      scope: auditAll ? "all" : "nearby",
       total_technicians: enriched.length,
       eligible_count: enriched.filter((r) => r.eligible).length,
       rejected_count: enriched.filter((r) => !r.eligible).length,
@@ -426,6 +1549,8 @@ router.get("/dispatch-audit/:requestId", async (req, res) => {
       request: {
         id: requestRow.id,
         status: requestRow.status,
+        dispatch_state: requestRow.dispatch_state || null,
+        dispatch_priority: Number(requestRow.dispatch_priority || 0),
         service_type: requestRow.service_type,
         vehicle_type: requestRow.vehicle_type,
         canonical_service_domain: canonicalizeServiceDomain(String(requestRow.service_type || "").replace(/^(car|bike|ev|commercial)-/i, "")),
@@ -437,6 +1562,7 @@ router.get("/dispatch-audit/:requestId", async (req, res) => {
       },
       criteria,
       summary,
+      waves,
       technicians: enriched
     });
   } catch (err) {
@@ -42,8 +42,8 @@ router.post("/requests/manual-assign", async (req, res) => {
   req.adminExtendedActionType = "adminExtended.requests.manualAssignTechnician";
 
   try {
-    const result = await adminExtendedForceAssign({ requestId, technicianId });
     const adminId = adminExtendedResolveAdminId(req);
+    const result = await adminExtendedForceAssign({ requestId, technicianId, adminId });
 
     await adminExtendedLogAdminAction({
       adminId,
@@ -112,6 +112,9 @@ router.post("/requests/high-priority", async (req, res) => {
       return res.status(404).json({ error: "Service request not found." });
     }
 
+    const pool = await getPool();
+    await pool.query("UPDATE service_requests SET priority = 'high' WHERE id = ?", [requestRow.id]);
+
     const adminId = adminExtendedResolveAdminId(req);
     await adminExtendedLogAdminAction({
       adminId,
@@ -141,9 +144,10 @@ router.post("/dispatch/force-assign", async (req, res) => {
   const { requestId, technicianId } = req.body || {};
 
   try {
-    const result = await adminExtendedForceAssign({ requestId, technicianId });
+    const adminId = adminExtendedResolveAdminId(req);
+    const result = await adminExtendedForceAssign({ requestId, technicianId, adminId });
     await adminExtendedLogAdminAction({
-      adminId: adminExtendedResolveAdminId(req),
+      adminId,
       actionType: "forceAssign",
       targetType: "service_request",
       targetId: requestId,
@@ -189,9 +193,10 @@ router.post("/dispatch/manual-close", async (req, res) => {
   const { requestId, status, reason } = req.body || {};
 
   try {
-    const result = await adminExtendedManualCloseRequest({ requestId, status, reason });
+    const adminId = adminExtendedResolveAdminId(req);
+    const result = await adminExtendedManualCloseRequest({ requestId, status, reason, adminId });
     await adminExtendedLogAdminAction({
-      adminId: adminExtendedResolveAdminId(req),
+      adminId,
       actionType: "manualCloseRequest",
       targetType: "service_request",
       targetId: requestId,
@@ -89,19 +89,53 @@ router.get("/technicians/performance-summary", async (req, res) => {
       visibilityMap.set(String(row.technician_id), adminExtendedToBoolean(metadata?.isVisible, true));
     }
 
-    const summary = rows.map((row) => ({
-      technicianId: row.id,
-      technicianName: row.name,
-      status: row.status,
-      isActive: Boolean(row.is_active),
-      isAvailable: Boolean(row.is_available),
-      isVisible: visibilityMap.has(String(row.id)) ? visibilityMap.get(String(row.id)) : true,
-      totalRequests: Number(row.total_requests || 0),
-      completedRequests: Number(row.completed_requests || 0),
-      activeRequests: Number(row.active_requests || 0),
-      avgResponseMinutes: Number(row.avg_response_minutes || 0),
-      totalRevenue: Number(row.total_revenue || 0),
-    }));
+    const [offerRows] = await pool.query(
+      `SELECT
+         technician_id,
+         decline_reason,
+         COUNT(*) AS offers,
+         SUM(CASE WHEN status = 'accepted' THEN 1 ELSE 0 END) AS accepted_offers,
+         SUM(CASE WHEN closed_reason = 'declined' THEN 1 ELSE 0 END) AS declined_offers
+       FROM dispatch_offers
+       ${hasTechnicianFilter ? "WHERE technician_id = ?" : ""}
+       GROUP BY technician_id, decline_reason`,
+      hasTechnicianFilter ? [technicianId] : []
+    );
+
+    const offerStatsMap = new Map();
+    for (const row of offerRows) {
+      const key = String(row.technician_id);
+      const stats = offerStatsMap.get(key) || { offers: 0, accepted: 0, declined: 0, declineReasons: {} };
+      stats.offers += Number(row.offers || 0);
+      stats.accepted += Number(row.accepted_offers || 0);
+      stats.declined += Number(row.declined_offers || 0);
+      if (row.decline_reason && Number(row.declined_offers || 0) > 0) {
+        stats.declineReasons[row.decline_reason] = Number(row.declined_offers || 0);
+      }
+      offerStatsMap.set(key, stats);
+    }
+
+    const summary = rows.map((row) => {
+      const offerStats = offerStatsMap.get(String(row.id)) || { offers: 0, accepted: 0, declined: 0, declineReasons: {} };
+      return {
+        technicianId: row.id,
+        technicianName: row.name,
+        status: row.status,
+        isActive: Boolean(row.is_active),
+        isAvailable: Boolean(row.is_available),
+        isVisible: visibilityMap.has(String(row.id)) ? visibilityMap.get(String(row.id)) : true,
+        totalRequests: Number(row.total_requests || 0),
+        completedRequests: Number(row.completed_requests || 0),
+        activeRequests: Number(row.active_requests || 0),
+        avgResponseMinutes: Number(row.avg_response_minutes || 0),
+        totalRevenue: Number(row.total_revenue || 0),
+        offersReceived: offerStats.offers,
+        offersAccepted: offerStats.accepted,
+        offersDeclined: offerStats.declined,
+        declineRate: offerStats.offers > 0 ? Number((offerStats.declined / offerStats.offers).toFixed(4)) : 0,
+        declineReasons: offerStats.declineReasons,
+      };
+    });
 
     return res.json({
       technicianPerformanceSummary: summary,
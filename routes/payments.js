@@ -4,17 +4,37 @@ import Razorpay from "razorpay";
 import crypto from "crypto";
 import { getPool } from "../db.js";
 import { verifyAdmin, verifyTechnician, verifyUser } from "../middleware/auth.js";
-import { socketService } from "../services/socket.js";
 import { generateInvoicePDF } from "../services/invoiceService.js";
-import { sendInvoiceEmail } from "../services/mailer.js";
 import {
     computePaymentAmounts,
     getPlatformPricingConfig,
-    getSubscriptionPlanById,
     listSubscriptionPlans
 } from "../services/platformPricing.js";
-import { estimateRequestAmount, estimateRequestAmountAsync } from "../services/pricingEstimator.js";
+import { estimateRequestAmountAsync } from "../services/pricingEstimator.js";
 import { releaseTechnicianAvailability } from "../services/technicianStateService.js";
+import { REQUEST_ACTORS, transitionRequestStatus } from "../services/requestStateMachine.js";
+import { dispatchOutboxSoon, enqueueOutbox, outboxNotifyAdmins, outboxNotifyTechnician, outboxNotifyUser } from "../services/outboxService.js";
+import { handleRefundWebhookEvent } from "../services/refundService.js";
+import { handlePayoutWebhookEvent } from "../services/payoutService.js";
+import { attachDueOrder, getUserDue, listUserDues, markUserDuePaid } from "../services/cancellationFeeService.js";
+import { postCashPayment } from "../services/ledgerService.js";
+import { recordCashJobDue } from "../services/technicianDuesService.js";
+import {
+    finalizeCapturedPaymentFromGateway,
+    finalizeCapturedServicePayment,
+    getStoredPricingOptions,
+    paymentDiag,
+    processFinalizedServicePaymentNotifications,
+    resolveRequestBaseAmount,
+    upsertPendingRazorpayPayment
+} from "../services/paymentFinalizationService.js";
+import {
+    confirmSubscriptionPayment,
+    getUserSubscription,
+    listSubscriptionHistory,
+    quoteSubscription,
+    recordSubscriptionCheckout
+} from "../services/subscriptionService.js";
 
 const router = express.Router();
 const RAZORPAY_KEY_ID = String(process.env.RAZORPAY_KEY_ID || "");
@@ -42,19 +62,6 @@ const ensureRazorpayConfigured = (res) => {
     return false;
 };
 
-function paymentDiag(event, data = {}) {
-    console.log("[PAYMENT_DIAG]", JSON.stringify({
-        timestamp: new Date().toISOString(),
-        event,
-        ...data
-    }));
-}
-
-const toPositiveMoney = (value) => {
-    const parsed = Number(value);
-    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
-};
-
 const normalizeCouponCode = (value) => String(value || "").trim().toUpperCase();
 
 const toPercentOrZero = (value) => {
@@ -69,22 +76,8 @@ const isRequestAlreadyPaid = (requestRow) => {
     return status === "paid" || paymentStatus === "completed";
 };
 
-function getStoredDiscountOptions(requestRow) {
-    const storedPercent = toPercentOrZero(requestRow?.applied_discount_percent);
-    const storedAmount = Number(requestRow?.applied_discount_amount);
-    if (Number.isFinite(storedAmount) && storedAmount > 0) {
-        return {
-            platformFeeDiscountAmount: storedAmount,
-            platformFeeDiscountPercent: storedPercent,
-        };
-    }
-    if (storedPercent > 0) {
-        return {
-            platformFeeDiscountPercent: storedPercent,
-        };
-    }
-    return {};
-}
+// Surge multiplier locked on the request at creation time.
+const getLockedSurgeMultiplier = (requestRow) => Number(requestRow?.surge_multiplier) || 1;
 
 async function evaluateWelcomeCouponForRequest({
     pool,
@@ -197,6 +190,7 @@ async function buildServiceRequestPaymentQuote({
 
     const breakdown = computePaymentAmounts(baseAmount, pricingConfig, {
         platformFeeDiscountPercent: coupon.isApplied ? coupon.discountPercent : 0,
+        surgeMultiplier: getLockedSurgeMultiplier(requestRow),
     });
 
     return {
@@ -205,50 +199,6 @@ async function buildServiceRequestPaymentQuote({
     };
 }
 
-async function resolveRequestBaseAmount(requestRow, pricingConfig) {
-    const technicianId = Number(requestRow?.technician_id);
-    let technicianProfile = null;
-
-    if (Number.isFinite(technicianId) && technicianId > 0) {
-        if (
-            requestRow?.technician_pricing != null ||
-            requestRow?.technician_service_costs != null ||
-            requestRow?.pricing != null ||
-            requestRow?.service_costs != null
-        ) {
-            technicianProfile = {
-                pricing: requestRow?.technician_pricing ?? requestRow?.pricing ?? null,
-                service_costs: requestRow?.technician_service_costs ?? requestRow?.service_costs ?? null
-            };
-        } else {
-            const pool = await getPool();
-            const [techRows] = await pool.query(
-                "SELECT pricing, service_costs FROM technicians WHERE id = ? LIMIT 1",
-                [technicianId]
-            );
-            if (techRows.length > 0) {
-                technicianProfile = techRows[0];
-            }
-        }
-    }
-
-    const techAmount = technicianProfile
-        ? estimateRequestAmount(
-            { service_type: requestRow?.service_type, vehicle_type: requestRow?.vehicle_type },
-            technicianProfile
-        )
-        : null;
-    if (techAmount != null) return techAmount;
-
-    const direct = toPositiveMoney(requestRow?.amount ?? requestRow?.service_charge);
-    if (direct != null) return direct;
-    return estimateRequestAmountAsync(
-        { service_type: requestRow?.service_type, vehicle_type: requestRow?.vehicle_type },
-        null,
-        pricingConfig
-    );
-}
-
 function timingSafeEqualHex(left, right) {
     const a = Buffer.from(String(left || ""), "utf8");
     const b = Buffer.from(String(right || ""), "utf8");
@@ -256,60 +206,6 @@ function timingSafeEqualHex(left, right) {
     return crypto.timingSafeEqual(a, b);
 }
 
-async function upsertPendingRazorpayPayment({
-    pool,
-    userId,
-    requestId,
-    orderId,
-    breakdown
-}) {
-    const [existing] = await pool.query(
-        `SELECT id
-         FROM payments
-         WHERE service_request_id = ? AND razorpay_order_id = ?
-         ORDER BY id DESC
-         LIMIT 1`,
-        [requestId, orderId]
-    );
-
-    if (existing.length > 0) {
-        await pool.execute(
-            `UPDATE payments
-             SET status = ?, amount = ?, platform_fee = ?, technician_amount = ?, is_settled = TRUE
-             WHERE id = ?`,
-            ["PENDING", breakdown.totalAmount, breakdown.platformFee, breakdown.baseAmount, existing[0].id]
-        );
-        return existing[0].id;
-    }
-
-    const [insertResult] = await pool.execute(
-        `INSERT INTO payments (
-            user_id,
-            service_request_id,
-            payment_method,
-            status,
-            amount,
-            platform_fee,
-            technician_amount,
-            is_settled,
-            razorpay_order_id
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-            userId,
-            requestId,
-            "razorpay",
-            "PENDING",
-            breakdown.totalAmount,
-            breakdown.platformFee,
-            breakdown.baseAmount,
-            true,
-            orderId
-        ]
-    );
-
-    return insertResult.insertId;
-}
-
 async function markClientSideVerification({
     pool,
     userId,
@@ -333,7 +229,7 @@ async function markClientSideVerification({
             `UPDATE payments
              SET status = ?, razorpay_payment_id = ?, razorpay_signature = ?, amount = ?, platform_fee = ?, technician_amount = ?, is_settled = TRUE
              WHERE id = ?`,
-            ["PROCESSING", paymentId, signature, breakdown.totalAmount, breakdown.platformFee, breakdown.baseAmount, existing[0].id]
+            ["PROCESSING", paymentId, signature, breakdown.totalAmount, breakdown.platformFee, breakdown.serviceAmount, existing[0].id]
         );
         return existing[0].id;
     }
@@ -359,7 +255,7 @@ async function markClientSideVerification({
             "PROCESSING",
             breakdown.totalAmount,
             breakdown.platformFee,
-            breakdown.baseAmount,
+            breakdown.serviceAmount,
             true,
             orderId,
             paymentId,
@@ -370,316 +266,6 @@ async function markClientSideVerification({
     return insertResult.insertId;
 }
 
-function buildInvoiceData({ invoiceId, request, breakdown, paymentId, orderId }) {
-    return {
-        invoiceId,
-        orderId,
-        requestId: request.id,
-        customerName: request.customer_name || "Customer",
-        customerPhone: request.customer_phone || "N/A",
-        customerAddress: request.address || "N/A",
-        serviceType: request.service_type || "Roadside Assistance",
-        vehicleType: request.vehicle_type || "Vehicle",
-        technicianName: request.technician_name || "Assigned Technician",
-        amount: breakdown.baseAmount,
-        platformFee: breakdown.platformFee,
-        gst: 0,
-        totalAmount: breakdown.totalAmount,
-        paymentMethod: "razorpay",
-        transactionId: paymentId || orderId
-    };
-}
-
-async function sendInvoiceEmailFromDatabase({ pool, invoiceId, toEmail, invoiceData }) {
-    if (!toEmail) return false;
-
-    const [invoiceRows] = await pool.query(
-        "SELECT invoice_pdf FROM invoices WHERE id = ? LIMIT 1",
-        [invoiceId]
-    );
-    if (invoiceRows.length === 0 || !invoiceRows[0].invoice_pdf) {
-        throw new Error(`Invoice PDF not found in DB for invoice id ${invoiceId}`);
-    }
-
-    await sendInvoiceEmail(toEmail, invoiceData, invoiceRows[0].invoice_pdf);
-    await pool.execute("UPDATE invoices SET status = ? WHERE id = ?", ["EMAILED", invoiceId]);
-    return true;
-}
-
-async function finalizeCapturedServicePayment({ orderId, paymentId }) {
-    const pool = await getPool();
-    const conn = await pool.getConnection();
-
-    let result = {
-        processed: false,
-        duplicate: false,
-        requestId: null,
-        userId: null,
-        technicianId: null,
-        invoiceId: null,
-        invoiceStatus: null,
-        customerEmail: null,
-        invoiceData: null,
-    };
-
-    try {
-        await conn.beginTransaction();
-
-        const [paymentRows] = await conn.query(
-            `SELECT *
-             FROM payments
-             WHERE razorpay_order_id = ?
-             ORDER BY id DESC
-             LIMIT 1
-             FOR UPDATE`,
-            [orderId]
-        );
-
-        if (paymentRows.length === 0) {
-            await conn.rollback();
-            return {
-                ...result,
-                processed: false,
-                duplicate: false,
-                reason: "payment_row_not_found"
-            };
-        }
-
-        const paymentRow = paymentRows[0];
-        const requestId = Number(paymentRow.service_request_id);
-        if (!Number.isFinite(requestId) || requestId <= 0) {
-            await conn.rollback();
-            return {
-                ...result,
-                processed: false,
-                duplicate: false,
-                reason: "service_request_missing_on_payment"
-            };
-        }
-
-        const [requestRows] = await conn.query(
-            `SELECT sr.id, sr.user_id, sr.technician_id, sr.service_type, sr.vehicle_type, sr.amount, sr.service_charge,
-                    sr.address, sr.status, sr.payment_status,
-                    sr.applied_coupon_code, sr.applied_discount_percent, sr.applied_discount_amount,
-                    u.email AS customer_email, u.full_name AS customer_name, u.phone AS customer_phone,
-                    t.name AS technician_name, t.pricing AS technician_pricing, t.service_costs AS technician_service_costs
-             FROM service_requests sr
-             JOIN users u ON u.id = sr.user_id
-             LEFT JOIN technicians t ON t.id = sr.technician_id
-             WHERE sr.id = ?
-             LIMIT 1
-             FOR UPDATE`,
-            [requestId]
-        );
-
-        if (requestRows.length === 0) {
-            await conn.rollback();
-            return {
-                ...result,
-                processed: false,
-                duplicate: false,
-                reason: "service_request_not_found"
-            };
-        }
-
-        const request = requestRows[0];
-        const pricingConfig = await getPlatformPricingConfig();
-        const baseAmount = await resolveRequestBaseAmount(request, pricingConfig);
-        const breakdown = computePaymentAmounts(
-            baseAmount,
-            pricingConfig,
-            getStoredDiscountOptions(request)
-        );
-
-        const requestWasPaid = (
-            String(request.status || "").toLowerCase() === "paid" ||
-            String(request.payment_status || "").toLowerCase() === "completed"
-        );
-
-        await conn.execute(
-            `UPDATE payments
-             SET status = ?, amount = ?, platform_fee = ?, technician_amount = ?, is_settled = TRUE, razorpay_payment_id = ?
-             WHERE id = ?`,
-            ["completed", breakdown.totalAmount, breakdown.platformFee, breakdown.baseAmount, paymentId, paymentRow.id]
-        );
-
-        await conn.execute(
-            `UPDATE service_requests
-             SET payment_status = ?, payment_method = ?, status = ?, amount = ?, updated_at = NOW()
-             WHERE id = ?`,
-            ["completed", "razorpay", "paid", breakdown.baseAmount, requestId]
-        );
-        if (request.technician_id) {
-            await releaseTechnicianAvailability(conn, request.technician_id, requestId);
-        }
-
-        let invoiceId = null;
-        let invoiceStatus = null;
-        const [invoiceRows] = await conn.query(
-            `SELECT id, status
-             FROM invoices
-             WHERE order_id = ? OR razorpay_payment_id = ?
-             ORDER BY id DESC
-             LIMIT 1
-             FOR UPDATE`,
-            [orderId, paymentId]
-        );
-
-        if (invoiceRows.length > 0) {
-            invoiceId = invoiceRows[0].id;
-            invoiceStatus = invoiceRows[0].status || "GENERATED";
-
-            await conn.execute(
-                `UPDATE invoices
-                 SET user_id = ?, order_id = ?, service_request_id = ?, technician_id = ?, razorpay_payment_id = ?, amount = ?,
-                     platform_fee = ?, technician_amount = ?, gst = ?, total_amount = ?
-                 WHERE id = ?`,
-                [
-                    request.user_id,
-                    orderId,
-                    requestId,
-                    request.technician_id || null,
-                    paymentId,
-                    breakdown.totalAmount,
-                    breakdown.platformFee,
-                    breakdown.baseAmount,
-                    0,
-                    breakdown.totalAmount,
-                    invoiceId
-                ]
-            );
-        } else {
-            const provisionalInvoiceData = buildInvoiceData({
-                invoiceId: 0,
-                request,
-                breakdown,
-                paymentId,
-                orderId
-            });
-            const invoicePdfBuffer = await generateInvoicePDF(provisionalInvoiceData);
-
-            const [insertInvoiceResult] = await conn.execute(
-                `INSERT INTO invoices (
-                    user_id,
-                    order_id,
-                    razorpay_payment_id,
-                    amount,
-                    invoice_pdf,
-                    status,
-                    service_request_id,
-                    technician_id,
-                    platform_fee,
-                    technician_amount,
-                    gst,
-                    total_amount
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    request.user_id,
-                    orderId,
-                    paymentId,
-                    breakdown.totalAmount,
-                    invoicePdfBuffer,
-                    "GENERATED",
-                    requestId,
-                    request.technician_id || null,
-                    breakdown.platformFee,
-                    breakdown.baseAmount,
-                    0,
-                    breakdown.totalAmount
-                ]
-            );
-            invoiceId = insertInvoiceResult.insertId;
-            invoiceStatus = "GENERATED";
-        }
-
-        if (request.technician_id && !requestWasPaid) {
-            await conn.execute(
-                `UPDATE technicians
-                 SET jobs_completed = jobs_completed + 1,
-                     total_earnings = total_earnings + ?
-                 WHERE id = ?`,
-                [breakdown.baseAmount, request.technician_id]
-            );
-        }
-
-        await conn.commit();
-
-        result = {
-            processed: true,
-            duplicate: requestWasPaid && String(paymentRow.status || "").toLowerCase() === "completed",
-            requestId,
-            userId: request.user_id,
-            technicianId: request.technician_id || null,
-            invoiceId,
-            invoiceStatus,
-            customerEmail: request.customer_email || null,
-            invoiceData: buildInvoiceData({
-                invoiceId,
-                request,
-                breakdown,
-                paymentId,
-                orderId
-            }),
-        };
-
-        return result;
-    } catch (error) {
-        try {
-            await conn.rollback();
-        } catch { }
-        throw error;
-    } finally {
-        conn.release();
-    }
-}
-
-async function processFinalizedServicePaymentNotifications(finalized, { paymentMethod = "razorpay" } = {}) {
-    if (!finalized || !finalized.processed) return;
-    const pool = await getPool();
-
-    if (finalized.invoiceId && finalized.customerEmail && finalized.invoiceStatus !== "EMAILED") {
-        try {
-            await sendInvoiceEmailFromDatabase({
-                pool,
-                invoiceId: finalized.invoiceId,
-                toEmail: finalized.customerEmail,
-                invoiceData: finalized.invoiceData
-            });
-        } catch (emailErr) {
-            console.error("[Payments] Invoice email send failed:", emailErr);
-        }
-    }
-
-    socketService.broadcast("admin:payment_update", {
-        requestId: finalized.requestId,
-        paymentMethod,
-        status: "completed",
-        at: new Date().toISOString()
-    });
-
-    if (finalized.technicianId) {
-        socketService.notifyTechnician(finalized.technicianId, "job:status_update", {
-            requestId: finalized.requestId,
-            status: "paid"
-        });
-        socketService.notifyTechnician(finalized.technicianId, "job:list_update", {
-            requestId: finalized.requestId,
-            action: "updated"
-        });
-    }
-
-    if (finalized.userId) {
-        socketService.notifyUser(finalized.userId, "payment_completed", {
-            requestId: finalized.requestId,
-            status: "paid"
-        });
-        socketService.notifyUser(finalized.userId, "job:status_update", {
-            requestId: finalized.requestId,
-            status: "paid"
-        });
-    }
-}
-
 export async function razorpayWebhookHandler(req, res) {
     if (!RAZORPAY_WEBHOOK_SECRET) {
         return res.status(503).json({ error: "Razorpay webhook verification secret is not configured." });
@@ -708,6 +294,28 @@ export async function razorpayWebhookHandler(req, res) {
     }
 
     const eventName = String(event?.event || "");
+    if (eventName === "refund.processed" || eventName === "refund.failed") {
+        try {
+            const outcome = await handleRefundWebhookEvent(event);
+            paymentDiag("webhook_refund_event", { event: eventName, ...outcome });
+            return res.status(200).json({ received: true, event: eventName, ...outcome });
+        } catch (err) {
+            console.error(`[Razorpay Webhook] Failed to process ${eventName}:`, err);
+            paymentDiag("webhook_refund_failed", { event: eventName, error: err?.message || String(err) });
+            return res.status(500).json({ error: "Failed to process webhook." });
+        }
+    }
+    if (["payout.processed", "payout.failed", "payout.reversed", "payout.rejected"].includes(eventName)) {
+        try {
+            const outcome = await handlePayoutWebhookEvent(event);
+            paymentDiag("webhook_payout_event", { event: eventName, ...outcome });
+            return res.status(200).json({ received: true, event: eventName, ...outcome });
+        } catch (err) {
+            console.error(`[Razorpay Webhook] Failed to process ${eventName}:`, err);
+            paymentDiag("webhook_payout_failed", { event: eventName, error: err?.message || String(err) });
+            return res.status(500).json({ error: "Failed to process webhook." });
+        }
+    }
     if (eventName !== "payment.captured") {
         paymentDiag("webhook_ignored_event", { event: eventName });
         return res.status(200).json({ received: true, ignored: true, event: eventName });
@@ -722,44 +330,53 @@ export async function razorpayWebhookHandler(req, res) {
         return res.status(400).json({ error: "Missing order_id or payment_id in webhook payload." });
     }
 
-    try {
-        let finalized = await finalizeCapturedServicePayment({ orderId, paymentId });
+    // Cancellation fee dues are paid through their own orders, tagged with userDueId.
+    const userDueId = Number(paymentEntity?.notes?.userDueId);
+    if (Number.isInteger(userDueId) && userDueId > 0) {
+        try {
+            const due = await markUserDuePaid({ dueId: userDueId, orderId, paymentId });
+            paymentDiag("webhook_user_due_processed", { orderId, paymentId, userDueId, status: due?.status || null });
+            return res.status(200).json({ received: true, processed: Boolean(due), userDueId });
+        } catch (err) {
+            console.error("[Razorpay Webhook] Failed to settle user due:", err);
+            return res.status(500).json({ error: "Failed to process webhook." });
+        }
+    }
 
-        // Backfill support: if no payment row exists yet, attempt to reconstruct it from Razorpay notes.
-        if (!finalized.processed && finalized.reason === "payment_row_not_found") {
-            const requestIdFromNotes = Number(paymentEntity?.notes?.requestId || paymentEntity?.notes?.request_id);
-            const userIdFromNotes = Number(paymentEntity?.notes?.userId || paymentEntity?.notes?.user_id);
-
-            if (Number.isFinite(requestIdFromNotes) && requestIdFromNotes > 0 && Number.isFinite(userIdFromNotes) && userIdFromNotes > 0) {
-                const pool = await getPool();
-                const pricingConfig = await getPlatformPricingConfig();
-                const [reqRows] = await pool.query(
-                    `SELECT amount, service_charge, service_type, vehicle_type, technician_id,
-                            applied_coupon_code, applied_discount_percent, applied_discount_amount
-                     FROM service_requests
-                     WHERE id = ? AND user_id = ?
-                     LIMIT 1`,
-                    [requestIdFromNotes, userIdFromNotes]
-                );
-
-                if (reqRows.length > 0) {
-                    const baseAmount = await resolveRequestBaseAmount(reqRows[0], pricingConfig);
-                    const breakdown = computePaymentAmounts(
-                        baseAmount,
-                        pricingConfig,
-                        getStoredDiscountOptions(reqRows[0])
-                    );
-                    await upsertPendingRazorpayPayment({
-                        pool,
-                        userId: userIdFromNotes,
-                        requestId: requestIdFromNotes,
-                        orderId,
-                        breakdown
-                    });
-                    finalized = await finalizeCapturedServicePayment({ orderId, paymentId });
-                }
-            }
+    // Subscription orders are tagged with type=subscription.
+    if (String(paymentEntity?.notes?.type || "") === "subscription") {
+        try {
+            const outcome = await confirmSubscriptionPayment({
+                orderId,
+                paymentId,
+                amount: Number(paymentEntity.amount || 0) / 100,
+                notes: paymentEntity.notes
+            });
+            paymentDiag("webhook_subscription_processed", {
+                orderId,
+                paymentId,
+                subscriptionId: outcome.subscription?.id || null,
+                duplicate: outcome.duplicate,
+                reason: outcome.reason
+            });
+            return res.status(200).json({
+                received: true,
+                processed: outcome.processed,
+                duplicate: outcome.duplicate,
+                reason: outcome.reason || undefined
+            });
+        } catch (err) {
+            console.error("[Razorpay Webhook] Failed to activate subscription:", err);
+            return res.status(500).json({ error: "Failed to process webhook." });
         }
+    }
+
+    try {
+        const finalized = await finalizeCapturedPaymentFromGateway({
+            orderId,
+            paymentId,
+            notes: paymentEntity?.notes
+        });
 
         if (!finalized.processed && finalized.reason) {
             paymentDiag("webhook_not_processed", { orderId, paymentId, reason: finalized.reason });
@@ -982,7 +599,7 @@ router.post('/quote', verifyUser, async (req, res) => {
         const pricingConfig = await getPlatformPricingConfig();
         const [rows] = await pool.query(
             `SELECT id, user_id, amount, service_charge, service_type, vehicle_type, technician_id, status, payment_status,
-                    applied_coupon_code, applied_discount_percent, applied_discount_amount
+                    applied_coupon_code, applied_discount_percent, applied_discount_amount, surge_multiplier
              FROM service_requests
              WHERE id = ? AND user_id = ?
              LIMIT 1`,
@@ -1009,6 +626,8 @@ router.post('/quote', verifyUser, async (req, res) => {
             breakdown: {
                 currency: breakdown.currency,
                 base_amount: breakdown.baseAmount,
+                surge_multiplier: breakdown.surgeMultiplier,
+                surge_amount: breakdown.surgeAmount,
                 platform_fee_percent: breakdown.platformFeePercent,
                 original_platform_fee: breakdown.originalPlatformFee,
                 discount_amount: breakdown.discountAmount,
@@ -1048,7 +667,7 @@ router.post('/create-order', verifyUser, async (req, res) => {
         const pricingConfig = await getPlatformPricingConfig();
         const [rows] = await pool.query(
             `SELECT id, user_id, amount, service_charge, service_type, vehicle_type, technician_id, status, payment_status,
-                    applied_coupon_code, applied_discount_percent, applied_discount_amount
+                    applied_coupon_code, applied_discount_percent, applied_discount_amount, surge_multiplier
              FROM service_requests
              WHERE id = ? AND user_id = ?`,
             [requestId, userId]
@@ -1101,6 +720,7 @@ router.post('/create-order', verifyUser, async (req, res) => {
             userId,
             orderId: order.id,
             baseAmount: breakdown.baseAmount,
+            surgeAmount: breakdown.surgeAmount,
             originalPlatformFee: breakdown.originalPlatformFee,
             discountAmount: breakdown.discountAmount,
             platformFee: breakdown.platformFee,
@@ -1139,6 +759,8 @@ router.post('/create-order', verifyUser, async (req, res) => {
         res.json({
             ...order,
             base_amount: breakdown.baseAmount,
+            surge_multiplier: breakdown.surgeMultiplier,
+            surge_amount: breakdown.surgeAmount,
             original_platform_fee: breakdown.originalPlatformFee,
             discount_amount: breakdown.discountAmount,
             platform_fee: breakdown.platformFee,
@@ -1186,7 +808,7 @@ router.post('/confirm', verifyUser, async (req, res) => {
         const pricingConfig = await getPlatformPricingConfig();
         const [reqRows] = await pool.query(
             `SELECT id, amount, service_charge, service_type, vehicle_type, technician_id, user_id, status, payment_status,
-                    applied_coupon_code, applied_discount_percent, applied_discount_amount
+                    applied_coupon_code, applied_discount_percent, applied_discount_amount, surge_multiplier
              FROM service_requests
              WHERE id = ? AND user_id = ?
              LIMIT 1`,
@@ -1203,7 +825,7 @@ router.post('/confirm', verifyUser, async (req, res) => {
         const breakdown = computePaymentAmounts(
             baseAmount,
             pricingConfig,
-            getStoredDiscountOptions(requestRow)
+            getStoredPricingOptions(requestRow)
         );
 
         await markClientSideVerification({
@@ -1304,7 +926,7 @@ router.post('/cash', verifyUser, async (req, res) => {
         const pricingConfig = await getPlatformPricingConfig();
         const [reqRows] = await pool.query(
             `SELECT id, user_id, amount, service_charge, service_type, vehicle_type, technician_id, status, payment_status,
-                    applied_coupon_code, applied_discount_percent, applied_discount_amount
+                    applied_coupon_code, applied_discount_percent, applied_discount_amount, surge_multiplier
              FROM service_requests
              WHERE id = ? AND user_id = ?`,
             [requestId, authUserId]
@@ -1340,50 +962,57 @@ router.post('/cash', verifyUser, async (req, res) => {
             });
         }
 
-        const techAmount = breakdown.baseAmount;
+        const techAmount = breakdown.serviceAmount;
 
         const conn = await pool.getConnection();
         try {
             await conn.beginTransaction();
 
-            await conn.execute(
-                `UPDATE service_requests
-                 SET payment_status = ?,
-                     payment_method = ?,
-                     status = ?,
-                     amount = ?,
-                     applied_coupon_code = ?,
-                     applied_discount_percent = ?,
-                     applied_discount_amount = ?,
-                     updated_at = NOW()
-                 WHERE id = ?`,
-                [
-                    'completed',
-                    'cash',
-                    'paid',
-                    breakdown.baseAmount,
-                    coupon.appliedCode || null,
-                    coupon.isApplied ? coupon.discountPercent : 0,
-                    breakdown.discountAmount,
-                    requestId
-                ]
-            );
+            await transitionRequestStatus(conn, {
+                requestId,
+                to: 'paid',
+                // Recorded by the system: customers cannot move a request to paid themselves.
+                actor: REQUEST_ACTORS.SYSTEM,
+                reason: 'cash_payment',
+                set: {
+                    payment_status: 'completed',
+                    payment_method: 'cash',
+                    amount: breakdown.baseAmount,
+                    surge_amount: breakdown.surgeAmount,
+                    applied_coupon_code: coupon.appliedCode || null,
+                    applied_discount_percent: coupon.isApplied ? coupon.discountPercent : 0,
+                    applied_discount_amount: breakdown.discountAmount
+                },
+                metadata: { paymentMethod: 'cash', totalAmount: breakdown.totalAmount, userId }
+            });
             if (technicianId) {
                 await releaseTechnicianAvailability(conn, technicianId, requestId);
             }
             console.log('REQUEST STATUS UPDATED:', { requestId, status: 'paid', amount: breakdown.baseAmount });
 
-            await conn.execute(
+            const [paymentInsert] = await conn.execute(
                 `INSERT INTO payments (user_id, service_request_id, payment_method, status, amount, platform_fee, technician_amount, is_settled)
                  VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
                 [userId, requestId, 'cash', 'completed', breakdown.totalAmount, breakdown.platformFee, techAmount, false]
             );
+            await postCashPayment(conn, {
+                paymentId: paymentInsert.insertId,
+                requestId,
+                technicianId,
+                amount: breakdown.totalAmount,
+                technicianAmount: techAmount
+            });
+            const duesNotifications = await recordCashJobDue(conn, {
+                technicianId,
+                requestId,
+                amount: breakdown.platformFee
+            });
 
             const [invResult] = await conn.execute(
                 `INSERT INTO invoices (
                     user_id, order_id, razorpay_payment_id, amount, invoice_pdf, status,
-                    service_request_id, technician_id, platform_fee, technician_amount, gst, total_amount
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    service_request_id, technician_id, platform_fee, technician_amount, surge_amount, gst, total_amount
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     userId,
                     `cash_${requestId}_${Date.now()}`,
@@ -1395,6 +1024,7 @@ router.post('/cash', verifyUser, async (req, res) => {
                     technicianId || null,
                     breakdown.platformFee,
                     techAmount,
+                    breakdown.surgeAmount,
                     0,
                     breakdown.totalAmount
                 ]
@@ -1413,6 +1043,8 @@ router.post('/cash', verifyUser, async (req, res) => {
                     vehicleType: reqRows[0].vehicle_type || "Vehicle",
                     technicianName: "Assigned Technician",
                     amount: breakdown.baseAmount,
+                    surgeAmount: breakdown.surgeAmount,
+                    surgeMultiplier: breakdown.surgeMultiplier,
                     platformFee: breakdown.platformFee,
                     totalAmount: breakdown.totalAmount,
                     paymentMethod: "cash",
@@ -1428,7 +1060,24 @@ router.post('/cash', verifyUser, async (req, res) => {
                 await conn.execute('UPDATE technicians SET jobs_completed = jobs_completed + 1 WHERE id = ?', [technicianId]);
             }
 
+            const dedupeKey = `cash_paid:${requestId}`;
+            await enqueueOutbox(conn, [
+                outboxNotifyAdmins("admin:payment_update", {
+                    requestId,
+                    paymentMethod: "cash",
+                    status: "completed",
+                    totalAmount: breakdown.totalAmount,
+                    at: new Date().toISOString()
+                }, { dedupeKey }),
+                technicianId ? outboxNotifyTechnician(technicianId, 'job:status_update', { requestId, status: 'paid' }, { dedupeKey }) : [],
+                technicianId ? outboxNotifyTechnician(technicianId, 'job:list_update', { requestId, action: 'updated' }, { dedupeKey }) : [],
+                outboxNotifyUser(userId, 'payment_completed', { requestId, status: 'paid' }, { dedupeKey }),
+                outboxNotifyUser(userId, 'job:status_update', { requestId, status: 'paid' }, { dedupeKey }),
+                duesNotifications
+            ]);
+
             await conn.commit();
+            dispatchOutboxSoon();
             paymentDiag("cash_payment_success", {
                 requestId,
                 userId,
@@ -1441,20 +1090,6 @@ router.post('/cash', verifyUser, async (req, res) => {
                 technicianAmount: techAmount,
                 couponCode: coupon.appliedCode || null
             });
-            socketService.broadcast("admin:payment_update", {
-                requestId,
-                paymentMethod: "cash",
-                status: "completed",
-                totalAmount: breakdown.totalAmount,
-                at: new Date().toISOString()
-            });
-
-            if (technicianId) {
-                socketService.notifyTechnician(technicianId, 'job:status_update', { requestId, status: 'paid' });
-                socketService.notifyTechnician(technicianId, 'job:list_update', { requestId, action: 'updated' });
-            }
-            socketService.notifyUser(userId, 'payment_completed', { requestId, status: 'paid' });
-            socketService.notifyUser(userId, 'job:status_update', { requestId, status: 'paid' });
 
             const [updatedRows] = await pool.query('SELECT * FROM service_requests WHERE id = ?', [requestId]);
             res.json({ success: true, request: updatedRows[0] });
@@ -1463,6 +1098,9 @@ router.post('/cash', verifyUser, async (req, res) => {
             await conn.rollback();
             console.error('Cash payment transaction error:', txErr);
             paymentDiag("cash_payment_tx_failed", { requestId, userId: req.user.userId, error: txErr?.message || String(txErr) });
+            if (Number(txErr?.statusCode) < 500) {
+                return res.status(txErr.statusCode).json({ error: txErr.message });
+            }
             return res.status(500).json({ error: 'Failed to process cash payment' });
         } finally {
             conn.release();
@@ -1628,121 +1266,326 @@ router.get('/diagnostics/request/:requestId', verifyAdmin, async (req, res) => {
     }
 });
 
-// --- Subscription endpoints ---
+// --- Cancellation fee dues ---
 
 /**
- * POST /api/payments/create-subscription-order
+ * GET /api/payments/dues
+ * The user's cancellation fee dues (pending by default; ?status=paid|waived|all)
  */
-router.post("/create-subscription-order", verifyUser, async (req, res) => {
+router.get("/dues", verifyUser, async (req, res) => {
     try {
-        if (!ensureRazorpayConfigured(res)) return;
-        const userId = req.user.userId;
-        const { planId } = req.body;
-        if (!planId) {
-            return res.status(400).json({ error: "Missing planId" });
-        }
-
-        const pricingConfig = await getPlatformPricingConfig();
-        const plan = getSubscriptionPlanById(planId, pricingConfig);
-        if (!plan || plan.active === false) {
-            return res.status(400).json({ error: "Invalid or inactive planId" });
+        const status = String(req.query.status || "pending").trim().toLowerCase();
+        if (!["pending", "paid", "waived", "all"].includes(status)) {
+            return res.status(400).json({ error: "status must be one of pending, paid, waived, all." });
         }
+        const dues = await listUserDues(req.user.userId, { status });
+        res.json({
+            dues,
+            pendingTotal: Math.round(dues.filter((due) => due.status === "pending").reduce((sum, due) => sum + due.amount, 0) * 100) / 100
+        });
+    } catch (err) {
+        console.error("[Payments] List dues error:", err);
+        res.status(500).json({ error: "Failed to load dues." });
+    }
+});
 
-        const amount = Math.round(Number(plan.amount || 0) * 100);
-        if (!Number.isFinite(amount) || amount <= 0) {
-            return res.status(400).json({ error: "Selected plan does not require online payment" });
+/**
+ * POST /api/payments/dues/:dueId/order
+ * Create a Razorpay order to pay a pending due
+ */
+router.post("/dues/:dueId/order", verifyUser, async (req, res) => {
+    try {
+        if (!ensureRazorpayConfigured(res)) return;
+        const userId = req.user.userId;
+        const due = await getUserDue(req.params.dueId, userId);
+        if (!due) return res.status(404).json({ error: "Due not found." });
+        if (due.status !== "pending") {
+            return res.status(409).json({ error: `Due is already ${due.status}.` });
         }
 
-        const options = {
-            amount,
-            currency: pricingConfig.currency || "INR",
-            receipt: `sub_${planId}_${userId}_${Date.now()}`,
+        const order = await razorpay.orders.create({
+            amount: Math.round(due.amount * 100),
+            currency: "INR",
+            receipt: `due_${due.id}_${Date.now()}`,
             notes: {
-                userId,
-                planId,
-                planAmount: String(plan.amount),
-                type: "subscription"
+                userDueId: String(due.id),
+                userId: String(userId),
+                type: "user_due"
             }
-        };
-
-        const order = await razorpay.orders.create(options);
+        });
+        await attachDueOrder(due.id, order.id);
 
         res.json({
             success: true,
             order_id: order.id,
             amount: order.amount,
             currency: order.currency,
-            key_id: RAZORPAY_KEY_ID
+            key_id: RAZORPAY_KEY_ID,
+            due
         });
     } catch (err) {
-        console.error("[Payments] Create subscription order error:", err);
-        res.status(500).json({ error: "Failed to create subscription order." });
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error("[Payments] Create due order error:", err);
+        res.status(500).json({ error: "Failed to create due payment order." });
     }
 });
 
 /**
- * POST /api/payments/verify-subscription-payment
+ * POST /api/payments/dues/:dueId/verify
+ * Confirm a due payment from the checkout callback
  */
-router.post("/verify-subscription-payment", verifyUser, async (req, res) => {
+router.post("/dues/:dueId/verify", verifyUser, async (req, res) => {
     try {
         if (!ensureRazorpayConfigured(res)) return;
         const userId = req.user.userId;
-        const {
-            razorpay_order_id,
-            razorpay_payment_id,
-            razorpay_signature,
-            planId
-        } = req.body;
-        if (!planId) {
-            return res.status(400).json({ error: "Missing planId" });
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            return res.status(400).json({ error: "Missing payment verification fields." });
         }
 
-        const pricingConfig = await getPlatformPricingConfig();
-        const plan = getSubscriptionPlanById(planId, pricingConfig);
-        if (!plan || plan.active === false) {
-            return res.status(400).json({ error: "Invalid or inactive planId" });
+        const due = await getUserDue(req.params.dueId, userId);
+        if (!due) return res.status(404).json({ error: "Due not found." });
+        if (due.razorpayOrderId !== razorpay_order_id) {
+            return res.status(400).json({ error: "Order does not belong to this due." });
         }
 
-        const generated_signature = crypto
+        const expected = crypto
             .createHmac("sha256", RAZORPAY_KEY_SECRET)
-            .update(razorpay_order_id + "|" + razorpay_payment_id)
+            .update(`${razorpay_order_id}|${razorpay_payment_id}`)
             .digest("hex");
+        if (!timingSafeEqualHex(razorpay_signature, expected)) {
+            return res.status(400).json({ error: "Invalid payment signature." });
+        }
 
-        console.log("[Debug] Subscription Verification:", {
-            secret_exists: true,
-            secret_len: RAZORPAY_KEY_SECRET.length,
-            generated: generated_signature,
-            received: razorpay_signature,
-            input: razorpay_order_id + "|" + razorpay_payment_id
+        const updated = await markUserDuePaid({
+            dueId: due.id,
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id
         });
+        res.json({ success: updated?.status === "paid", due: updated });
+    } catch (err) {
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error("[Payments] Verify due payment error:", err);
+        res.status(500).json({ error: "Due payment verification failed." });
+    }
+});
 
-        if (generated_signature === razorpay_signature) {
-            // Payment verified
-            // Update user subscription in database
-            const pool = await getPool();
+// --- Subscription endpoints ---
 
-            try {
-                // Map planId to db enum if necessary (e.g. 'basic' matches db enum)
-                // Assuming table 'users' has column 'subscription'
-                await pool.execute(
-                    "UPDATE users SET subscription = ? WHERE id = ?",
-                    [planId, userId]
-                );
-            } catch (dbErr) {
-                console.error("[Payments] Subscription DB Update Error:", dbErr);
-                return res.status(500).json({ error: "Database update failed during subscription verification." });
-            }
+/**
+ * Create the Razorpay order for a subscription quote and record the checkout. Plan changes fully
+ * covered by the proration credit need no order and are applied straight away.
+ */
+async function createSubscriptionCheckout(userId, quote) {
+    if (quote.amount <= 0) {
+        const subscription = await recordSubscriptionCheckout(userId, quote);
+        return { success: true, order_id: null, quote, subscription };
+    }
+
+    const order = await razorpay.orders.create({
+        amount: Math.round(quote.amount * 100),
+        currency: quote.currency,
+        receipt: `sub_${quote.planId}_${userId}_${Date.now()}`,
+        notes: {
+            userId,
+            planId: quote.planId,
+            planAmount: String(quote.planAmount),
+            kind: quote.kind,
+            type: "subscription"
+        }
+    });
+    const subscription = await recordSubscriptionCheckout(userId, quote, { orderId: order.id });
 
-            // Access to AuthContext update happens on frontend, but we ensure DB is correct here.
+    return {
+        success: true,
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        key_id: RAZORPAY_KEY_ID,
+        quote,
+        subscription
+    };
+}
+
+/**
+ * GET /api/payments/subscription
+ * Current plan, billing period and renewals already paid for
+ */
+router.get("/subscription", verifyUser, async (req, res) => {
+    try {
+        res.json(await getUserSubscription(req.user.userId));
+    } catch (err) {
+        console.error("[Payments] Get subscription error:", err);
+        res.status(500).json({ error: "Failed to load subscription." });
+    }
+});
+
+/**
+ * GET /api/payments/subscription/history
+ */
+router.get("/subscription/history", verifyUser, async (req, res) => {
+    try {
+        const subscriptions = await listSubscriptionHistory(req.user.userId, {
+            limit: req.query.limit,
+            includeUnpaid: String(req.query.includeUnpaid || "").toLowerCase() === "true"
+        });
+        res.json({ subscriptions });
+    } catch (err) {
+        console.error("[Payments] Subscription history error:", err);
+        res.status(500).json({ error: "Failed to load subscription history." });
+    }
+});
+
+/**
+ * GET /api/payments/subscription/quote?planId=
+ * Price of buying, renewing or switching to a plan, including proration
+ */
+router.get("/subscription/quote", verifyUser, async (req, res) => {
+    try {
+        res.json({ quote: await quoteSubscription(req.user.userId, req.query.planId || null) });
+    } catch (err) {
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error("[Payments] Subscription quote error:", err);
+        res.status(500).json({ error: "Failed to price subscription." });
+    }
+});
+
+/**
+ * POST /api/payments/create-subscription-order
+ * Buy a plan; renews, upgrades or downgrades when the user already has one
+ */
+router.post("/create-subscription-order", verifyUser, async (req, res) => {
+    try {
+        if (!ensureRazorpayConfigured(res)) return;
+        const { planId } = req.body;
+        if (!planId) {
+            return res.status(400).json({ error: "Missing planId" });
+        }
 
-            res.json({
+        const quote = await quoteSubscription(req.user.userId, planId);
+        res.json(await createSubscriptionCheckout(req.user.userId, quote));
+    } catch (err) {
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error("[Payments] Create subscription order error:", err);
+        res.status(500).json({ error: "Failed to create subscription order." });
+    }
+});
+
+/**
+ * POST /api/payments/subscription/renew
+ * Order for the next period of the current plan
+ */
+router.post("/subscription/renew", verifyUser, async (req, res) => {
+    try {
+        if (!ensureRazorpayConfigured(res)) return;
+        const quote = await quoteSubscription(req.user.userId);
+        res.json(await createSubscriptionCheckout(req.user.userId, quote));
+    } catch (err) {
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error("[Payments] Renew subscription error:", err);
+        res.status(500).json({ error: "Failed to create renewal order." });
+    }
+});
+
+/**
+ * POST /api/payments/subscription/change-plan
+ * Prorated upgrade or downgrade of the current plan
+ */
+router.post("/subscription/change-plan", verifyUser, async (req, res) => {
+    try {
+        if (!ensureRazorpayConfigured(res)) return;
+        const { planId } = req.body;
+        if (!planId) {
+            return res.status(400).json({ error: "Missing planId" });
+        }
+
+        const quote = await quoteSubscription(req.user.userId, planId);
+        if (quote.kind !== "upgrade" && quote.kind !== "downgrade") {
+            return res.status(409).json({
+                error: quote.kind === "renewal"
+                    ? "You are already on this plan; renew it instead."
+                    : "You have no active plan to change."
+            });
+        }
+        res.json(await createSubscriptionCheckout(req.user.userId, quote));
+    } catch (err) {
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error("[Payments] Change subscription plan error:", err);
+        res.status(500).json({ error: "Failed to change plan." });
+    }
+});
+
+/**
+ * POST /api/payments/verify-subscription-payment
+ * Checkout callback. The plan is only activated once the payment is confirmed as captured by the
+ * gateway; otherwise the payment.captured webhook activates it later.
+ */
+router.post("/verify-subscription-payment", verifyUser, async (req, res) => {
+    try {
+        if (!ensureRazorpayConfigured(res)) return;
+        const userId = req.user.userId;
+        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+            return res.status(400).json({ error: "Missing payment verification fields." });
+        }
+
+        const expected = crypto
+            .createHmac("sha256", RAZORPAY_KEY_SECRET)
+            .update(`${razorpay_order_id}|${razorpay_payment_id}`)
+            .digest("hex");
+        if (!timingSafeEqualHex(razorpay_signature, expected)) {
+            return res.status(400).json({ error: "Invalid payment signature." });
+        }
+
+        let payment = null;
+        try {
+            payment = await razorpay.payments.fetch(razorpay_payment_id);
+        } catch (fetchErr) {
+            console.error("[Payments] Subscription payment fetch failed:", fetchErr?.message || fetchErr);
+        }
+        if (payment?.order_id && payment.order_id !== razorpay_order_id) {
+            return res.status(400).json({ error: "Payment does not belong to this order." });
+        }
+        if (String(payment?.status || "").toLowerCase() !== "captured") {
+            return res.status(202).json({
                 success: true,
-                message: "Subscription verified successfully."
+                pending: true,
+                message: "Payment received. Your plan will be activated once the payment is confirmed."
             });
-        } else {
-            res.status(400).json({ error: "Invalid payment signature." });
         }
+
+        const outcome = await confirmSubscriptionPayment({
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            amount: Number(payment.amount || 0) / 100,
+            notes: payment.notes,
+            userId
+        });
+        if (!outcome.processed) {
+            return res.status(409).json({ error: "Payment could not be matched to a subscription.", reason: outcome.reason });
+        }
+
+        res.json({
+            success: true,
+            message: "Subscription verified successfully.",
+            subscription: outcome.subscription
+        });
     } catch (err) {
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
         console.error("[Payments] Verify subscription payment error:", err);
         res.status(500).json({ error: "Payment verification failed." });
     }
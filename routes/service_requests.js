@@ -2,7 +2,7 @@
 import express from "express";
 import { getPool } from "../db.js";
 import crypto from 'crypto';
-import { verifyUser, verifyTechnician } from "../middleware/auth.js";
+import { verifyUser, verifyTechnician, verifyUserOrTechnician } from "../middleware/auth.js";
 import { socketService } from "../services/socket.js";
 import * as mail from "../services/mailer.js";
 import Razorpay from "razorpay";
@@ -21,6 +21,40 @@ import {
     markTechnicianReserved,
     releaseTechnicianAvailability
 } from "../services/technicianStateService.js";
+import { parseScheduledFor, validateScheduledSlot } from "../services/scheduledBookingService.js";
+import { isWithinWorkingHours } from "../services/workingHours.js";
+import {
+    SERVICE_ZONE_COVERAGE_POLICY,
+    addToServiceWaitlist,
+    applyZonePricing,
+    checkZoneCoverage
+} from "../services/serviceZoneService.js";
+import { resolveSurge } from "../services/surgePricingService.js";
+import { updateRequestDistanceTravelled } from "../services/locationBreadcrumbService.js";
+import { getRequestTimeline } from "../services/requestTimelineService.js";
+import {
+    dispatchOutboxSoon,
+    enqueueOutbox,
+    outboxEmail,
+    outboxNotifyTechnician,
+    outboxNotifyUser
+} from "../services/outboxService.js";
+import { submitQueuedRefunds } from "../services/refundService.js";
+import { postCashPayment } from "../services/ledgerService.js";
+import { recordCashJobDue } from "../services/technicianDuesService.js";
+import {
+    CANCELLATION_DUES_BLOCK_BOOKING,
+    getPendingDuesTotal,
+    quoteCancellationFee,
+    settleUserCancellation
+} from "../services/cancellationFeeService.js";
+import {
+    REQUEST_ACTORS,
+    canTransition,
+    normalizeRequestStatus,
+    recordRequestEvent,
+    transitionRequestStatus
+} from "../services/requestStateMachine.js";
 
 const RAZORPAY_KEY_ID = String(process.env.RAZORPAY_KEY_ID || "");
 const RAZORPAY_KEY_SECRET = String(process.env.RAZORPAY_KEY_SECRET || "");
@@ -113,29 +147,37 @@ const ensureRazorpayConfigured = (res) => {
     return false;
 };
 
-// Allowed statuses and a small normalization helper to accept variants used in the UI
-const VALID_STATUSES = new Set([
-    'pending', 'assigned', 'accepted', 'processing', 'on-the-way', 'en-route', 'arrived', 'in-progress', 'payment_pending', 'completed', 'cancelled', 'rejected'
-]);
-
+// Accept the status variants used in the UI; 'rejected' is a technician handing the job back,
+// not a stored status. Allowed moves are decided by services/requestStateMachine.js.
 function normalizeStatus(status) {
-    if (!status && status !== 0) return null;
-    const s = String(status).trim();
-    const map = {
-        'on_the_way': 'on-the-way',
-        'on the way': 'on-the-way',
-        'on-the-way': 'on-the-way',
-        'in_progress': 'in-progress',
-        'in progress': 'in-progress',
-        'in-progress': 'in-progress',
-        'processing': 'processing',
-        'en_route': 'en-route',
-        'en-route': 'en-route',
-        'payment_pending': 'payment_pending'
-    };
-    if (map[s]) return map[s];
-    if (VALID_STATUSES.has(s)) return s;
-    return null;
+    if (String(status ?? '').trim().toLowerCase() === 'rejected') return 'rejected';
+    return normalizeRequestStatus(status);
+}
+
+// Notifications for a customer cancellation, written to the outbox in the cancelling transaction
+// like the technician status changes. Keyed on the recorded status event.
+async function buildUserCancellationOutboxEntries(conn, { requestId, userId, technicianId, reason, eventId }) {
+    const dedupeKey = `user_cancel:${eventId}`;
+    const entries = [
+        outboxNotifyUser(userId, 'job:status_update', { requestId, status: 'cancelled' }, { dedupeKey })
+    ];
+    if (technicianId) {
+        entries.push(outboxNotifyTechnician(technicianId, 'job:status_update', {
+            requestId,
+            status: 'cancelled',
+            reason: reason || "User cancelled"
+        }, { dedupeKey }));
+
+        const [techs] = await conn.query("SELECT email, name FROM technicians WHERE id = ?", [technicianId]);
+        entries.push(outboxEmail({
+            to: techs[0]?.email,
+            subject: "Job Cancelled - ResQNow",
+            html: `<h3>Hello ${techs[0]?.name},</h3>
+                   <p>The job #${requestId} has been cancelled by the customer.</p>
+                   <p>You are now available for other requests.</p>`
+        }, { dedupeKey }));
+    }
+    return entries;
 }
 
 /**
@@ -223,7 +265,8 @@ router.post("/", verifyUser, async (req, res) => {
             description,
             location_lat,
             location_lng,
-            technician_id
+            technician_id,
+            scheduled_for
         } = req.body;
 
         console.log(`[Create Request] User: ${userId}, Service: ${service_type}, Lat: ${location_lat}, Lng: ${location_lng}`);
@@ -241,11 +284,21 @@ router.post("/", verifyUser, async (req, res) => {
         }
         const canonicalServiceType = `${inferredVehicle}-${inferredDomain}`;
 
+        const isScheduled = scheduled_for !== undefined && scheduled_for !== null && String(scheduled_for).trim() !== "";
+        let scheduledFor = null;
+        if (isScheduled) {
+            try {
+                scheduledFor = parseScheduledFor(scheduled_for);
+            } catch (scheduleErr) {
+                return res.status(scheduleErr.statusCode || 400).json({ error: scheduleErr.message });
+            }
+        }
+
         const pool = await getPool();
 
         // 1. Prevent Duplicate Bookings
         const [recentRequests] = await pool.query(
-            "SELECT id FROM service_requests WHERE user_id = ? AND service_type = ? AND status IN ('pending', 'assigned', 'accepted') AND created_at > DATE_SUB(NOW(), INTERVAL 5 MINUTE)",
+            "SELECT id FROM service_requests WHERE user_id = ? AND service_type = ? AND status IN ('pending', 'scheduled', 'assigned', 'accepted') AND created_at > DATE_SUB(NOW(), INTERVAL 5 MINUTE)",
             [userId, canonicalServiceType]
         );
 
@@ -256,7 +309,56 @@ router.post("/", verifyUser, async (req, res) => {
             });
         }
 
-        // 2. Validate selection + resolve server-side amount
+        // Unpaid cancellation fees must be settled before booking again.
+        if (CANCELLATION_DUES_BLOCK_BOOKING) {
+            const pendingDues = await getPendingDuesTotal(userId);
+            if (pendingDues > 0) {
+                return res.status(402).json({
+                    error: "Please pay your outstanding cancellation fee before booking again.",
+                    code: "cancellation_fee_due",
+                    amount: pendingDues
+                });
+            }
+        }
+
+        // 2. Service zone coverage (skipped while no zones are configured)
+        const coverage = await checkZoneCoverage({
+            latitude: location_lat,
+            longitude: location_lng,
+            at: scheduledFor || new Date()
+        });
+        if (!coverage.covered && SERVICE_ZONE_COVERAGE_POLICY !== "allow") {
+            const coverageError = coverage.reason === "zone_closed"
+                ? `We are not operating in ${coverage.zone?.name || "this area"} at the requested time.`
+                : "This location is outside our service area.";
+
+            if (SERVICE_ZONE_COVERAGE_POLICY === "reject") {
+                return res.status(422).json({ error: coverageError, code: coverage.reason });
+            }
+
+            const waitlistId = await addToServiceWaitlist({
+                user_id: userId,
+                zone_id: coverage.zone?.id || null,
+                reason: coverage.reason,
+                service_type: canonicalServiceType,
+                vehicle_type: inferredVehicle,
+                address,
+                location_lat,
+                location_lng,
+                contact_phone,
+                scheduled_for: scheduledFor
+            });
+            console.log(`[Create Request] User ${userId} waitlisted (#${waitlistId}, ${coverage.reason}).`);
+            return res.status(202).json({
+                waitlisted: true,
+                waitlist_id: waitlistId,
+                code: coverage.reason,
+                message: `${coverageError} We have added you to the waitlist and will notify you when service is available.`
+            });
+        }
+        const zone = coverage.covered ? coverage.zone : null;
+
+        // 3. Validate selection + resolve server-side amount
         const incomingAmount = Number(req.body.amount ?? req.body.price);
         const hasDirectTechnician = technician_id !== undefined && technician_id !== null && String(technician_id).trim() !== "";
         let directTechnicianId = hasDirectTechnician ? Number(technician_id) : null;
@@ -269,7 +371,7 @@ router.post("/", verifyUser, async (req, res) => {
             }
 
             const [techRows] = await pool.query(
-                "SELECT id, status, is_active, is_available, current_job_id, latitude, longitude, service_area_range, service_type, specialties, pricing, service_costs, vehicle_types FROM technicians WHERE id = ? LIMIT 1",
+                "SELECT id, status, is_active, is_available, current_job_id, latitude, longitude, service_area_range, service_type, specialties, pricing, service_costs, vehicle_types, working_hours FROM technicians WHERE id = ? LIMIT 1",
                 [directTechnicianId]
             );
             const tech = techRows?.[0];
@@ -280,12 +382,16 @@ router.post("/", verifyUser, async (req, res) => {
             if (String(tech.status || "").toLowerCase() !== "approved") {
                 return res.status(400).json({ error: "Selected technician is not approved." });
             }
-            if (!tech.is_active || !tech.is_available) {
+            // Scheduled bookings only need the technician later; availability is rechecked at dispatch time.
+            if (!tech.is_active || (!isScheduled && !tech.is_available)) {
                 return res.status(400).json({ error: "Selected technician is not currently available." });
             }
-            if (tech.current_job_id != null) {
+            if (!isScheduled && tech.current_job_id != null) {
                 return res.status(400).json({ error: "Selected technician is currently on another active job." });
             }
+            if (!isScheduled && !isWithinWorkingHours(tech.working_hours)) {
+                return res.status(400).json({ error: "Selected technician is outside their working hours." });
+            }
             const serviceDomains = [
                 canonicalizeServiceDomain(tech.service_type),
                 ...(Array.isArray(safeParse(tech.specialties)) ? safeParse(tech.specialties).map((s) => canonicalizeServiceDomain(s)) : []),
@@ -312,6 +418,20 @@ router.post("/", verifyUser, async (req, res) => {
             }
         }
 
+        if (isScheduled) {
+            try {
+                await validateScheduledSlot({
+                    scheduledFor,
+                    technician: selectedTechnician,
+                    latitude: location_lat,
+                    longitude: location_lng
+                });
+            } catch (slotErr) {
+                if (!slotErr.statusCode) throw slotErr;
+                return res.status(slotErr.statusCode).json({ error: slotErr.message });
+            }
+        }
+
         let initialAmount = null;
         if (hasDirectTechnician && selectedTechnician) {
             initialAmount = await estimateRequestAmountAsync(
@@ -323,15 +443,34 @@ router.post("/", verifyUser, async (req, res) => {
         if (initialAmount == null) {
             initialAmount = Number.isFinite(incomingAmount) && incomingAmount > 0
                 ? incomingAmount
-                : await estimateRequestAmountAsync({ service_type: canonicalServiceType, vehicle_type: inferredVehicle });
+                : applyZonePricing(
+                    await estimateRequestAmountAsync({ service_type: canonicalServiceType, vehicle_type: inferredVehicle }),
+                    zone,
+                    { service_type: canonicalServiceType, vehicle_type: inferredVehicle }
+                );
+        }
+
+        // 4. Lock the surge multiplier for this request; payment quotes reuse it.
+        let surge = { multiplier: 1, source: "none" };
+        try {
+            surge = await resolveSurge({
+                zone,
+                latitude: location_lat,
+                longitude: location_lng,
+                at: scheduledFor || new Date(),
+                scheduled: isScheduled
+            });
+        } catch (surgeErr) {
+            console.error("[Create Request] Surge lookup failed, pricing without surge:", surgeErr?.message || surgeErr);
         }
+        const surgeAmount = Math.round(Number(initialAmount || 0) * (surge.multiplier - 1) * 100) / 100;
 
-        const initialStatus = hasDirectTechnician ? "assigned" : "pending";
+        const initialStatus = isScheduled ? "scheduled" : hasDirectTechnician ? "assigned" : "pending";
 
         const [result] = await pool.execute(
             `INSERT INTO service_requests 
-      (user_id, service_type, vehicle_type, vehicle_model, address, contact_name, contact_email, contact_phone, description, location_lat, location_lng, technician_id, status, amount) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      (user_id, service_type, vehicle_type, vehicle_model, address, contact_name, contact_email, contact_phone, description, location_lat, location_lng, technician_id, status, amount, scheduled_for, zone_id, surge_multiplier, surge_amount) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 userId,
                 canonicalServiceType,
@@ -346,19 +485,60 @@ router.post("/", verifyUser, async (req, res) => {
                 location_lng || null,
                 directTechnicianId,
                 initialStatus,
-                initialAmount
+                initialAmount,
+                scheduledFor,
+                zone?.id || null,
+                surge.multiplier,
+                surgeAmount
             ]
         );
 
         const newRequestId = result.insertId;
         console.log(`[Create Job] Created Request #${newRequestId}`);
+        recordRequestEvent(pool, {
+            requestId: newRequestId,
+            eventType: "created",
+            toStatus: initialStatus,
+            actor: REQUEST_ACTORS.USER,
+            actorId: userId,
+            metadata: {
+                technicianId: directTechnicianId || null,
+                scheduledFor: isScheduled ? scheduledFor.toISOString() : null,
+                zoneId: zone?.id || null,
+                surgeMultiplier: surge.multiplier
+            }
+        }).catch((err) => console.error(`[Create Job] Event log failed for #${newRequestId}:`, err?.message || err));
+
+        if (isScheduled) {
+            // The scheduled booking monitor reserves/dispatches shortly before the slot.
+            console.log(`[Create Job] Request #${newRequestId} scheduled for ${scheduledFor.toISOString()}`);
+            if (hasDirectTechnician && directTechnicianId) {
+                socketService.notifyTechnician(directTechnicianId, "job:list_update", {
+                    requestId: String(newRequestId),
+                    action: "scheduled",
+                    scheduledFor: scheduledFor.toISOString()
+                });
+            }
+            return res.json({
+                id: newRequestId,
+                user_id: userId,
+                service_type: canonicalServiceType,
+                canonical_service_type: canonicalServiceType,
+                status: initialStatus,
+                technician_id: directTechnicianId,
+                scheduled_for: scheduledFor,
+                surge_multiplier: surge.multiplier,
+                message: "Booking scheduled. We will start finding your technician shortly before the slot.",
+                created_at: new Date()
+            });
+        }
 
         if (hasDirectTechnician && directTechnicianId) {
             await markTechnicianReserved(pool, directTechnicianId, newRequestId);
             console.log(`[Create Job] Reserved technician ${directTechnicianId} for direct request #${newRequestId}.`);
         }
 
-        // 3. Trigger Direct Notify or Smart Dispatch (Async)
+        // 5. Trigger Direct Notify or Smart Dispatch (Async)
         // We do this asynchronously so we can return quickly to the UI
         (async () => {
             try {
@@ -387,26 +567,24 @@ router.post("/", verifyUser, async (req, res) => {
                     return;
                 }
 
-                const { jobDispatchService } = await import("../services/jobDispatchService.js");
+                const { startDispatchWaves } = await import("../services/dispatchWaveService.js");
                 const jobRequest = {
                     id: newRequestId,
+                    user_id: userId,
                     location_lat,
                     location_lng,
                     service_type: canonicalServiceType,
                     vehicle_type: inferredVehicle,
                     address,
                     amount: initialAmount,
-                    contact_name: req.body.contact_name || null
+                    contact_name: req.body.contact_name || null,
+                    zone_id: zone?.id || null
                 };
 
-                const candidates = await jobDispatchService.findTopTechnicians(jobRequest);
-                console.log(`[Create Job] Found ${candidates.length} candidates for #${newRequestId}`);
-
-                if (candidates.length > 0) {
-                    await jobDispatchService.dispatchJob(jobRequest, candidates);
-                } else {
-                    // No technicians found immediately
-                    // Provide fallback or keep pending for admin manual assignment
+                // Offers go out in timed waves; the wave monitor widens the radius on expiry
+                // and hands the request to the admin queue once every wave is exhausted.
+                const wave = await startDispatchWaves(jobRequest);
+                if (!wave) {
                     console.log(`[Create Job] No auto-match candidates for #${newRequestId}`);
                 }
             } catch (dispatchErr) {
@@ -421,6 +599,9 @@ router.post("/", verifyUser, async (req, res) => {
             canonical_service_type: canonicalServiceType,
             status: initialStatus,
             technician_id: directTechnicianId,
+            zone_id: zone?.id || null,
+            surge_multiplier: surge.multiplier,
+            surge_amount: surgeAmount,
             message: hasDirectTechnician
                 ? "Request created and assigned. Technician has been notified."
                 : "Request created. Searching for nearby technicians...",
@@ -474,6 +655,41 @@ router.post("/:id/accept", verifyTechnician, async (req, res) => {
 });
 
 
+/**
+ * POST /api/service-requests/:id/decline
+ * Technician declines a broadcast job offer with a reason code
+ */
+router.post("/:id/decline", verifyTechnician, async (req, res) => {
+    try {
+        const technicianId = req.technicianId;
+        const requestId = req.params.id;
+        const { reason, note } = req.body || {};
+
+        const { declineDispatchOffer } = await import("../services/dispatchWaveService.js");
+        const result = await declineDispatchOffer(technicianId, requestId, { reason, note });
+
+        if (!result.success) {
+            if (result.code === "invalid_reason") {
+                return res.status(400).json({ error: result.reason });
+            }
+            if (result.code === "not_found") {
+                return res.status(404).json({ error: result.reason });
+            }
+            return res.status(409).json({ error: result.reason });
+        }
+
+        res.json({
+            success: true,
+            idempotent: !!result.idempotent,
+            redispatched: !!result.redispatched
+        });
+    } catch (err) {
+        console.error("[Decline Job] Error:", err);
+        res.status(500).json({ error: "Failed to decline job." });
+    }
+});
+
+
 /**
  * PATCH /api/service-requests/:id/technician-status
  * Update request status (For Technician)
@@ -508,16 +724,24 @@ router.patch("/:id/technician-status", verifyTechnician, async (req, res) => {
             return res.status(400).json({ error: "Invalid status value." });
         }
 
+        // Validate before any side effects (reassignment, availability). A rejection ends in
+        // 'assigned' or 'pending', which technicians may reach from the same states.
+        const currentStatus = normalizeRequestStatus(request.status);
+        const checkedStatus = normalized === 'rejected'
+            ? 'pending'
+            : (normalized === 'completed' && currentStatus !== 'paid' ? 'payment_pending' : normalized);
+        if (currentStatus !== checkedStatus && !canTransition(currentStatus, checkedStatus, REQUEST_ACTORS.TECHNICIAN)) {
+            return res.status(409).json({ error: `Cannot move request from '${request.status}' to '${checkedStatus}'.` });
+        }
+
         let newStatus = normalized;
         let newTechId = technicianId;
         let reassignedAmount = null;
+        let nextMatch = null;
 
         if (normalized === 'rejected') {
-            await releaseTechnicianAvailability(pool, technicianId, requestId);
-            // ... (keep reassignment logic)
             const { jobMatcher } = await import("../services/jobMatcher.js");
-            const nextMatch = await jobMatcher.findBestMatch(request, [technicianId]);
-
+            nextMatch = await jobMatcher.findBestMatch(request, [technicianId]);
             if (nextMatch) {
                 newTechId = nextMatch.id;
                 newStatus = 'assigned';
@@ -525,67 +749,9 @@ router.patch("/:id/technician-status", verifyTechnician, async (req, res) => {
                     { service_type: request.service_type, vehicle_type: request.vehicle_type },
                     nextMatch
                 );
-                await markTechnicianReserved(pool, newTechId, requestId);
-                await pool.query(
-                    "UPDATE dispatch_offers SET status = 'rejected' WHERE service_request_id = ? AND technician_id = ?",
-                    [requestId, technicianId]
-                );
-                const [existingNextOffer] = await pool.query(
-                    "SELECT id FROM dispatch_offers WHERE service_request_id = ? AND technician_id = ? LIMIT 1",
-                    [requestId, newTechId]
-                );
-                if (existingNextOffer.length > 0) {
-                    await pool.query(
-                        "UPDATE dispatch_offers SET status = 'accepted' WHERE id = ?",
-                        [existingNextOffer[0].id]
-                    );
-                } else {
-                    await pool.query(
-                        "INSERT INTO dispatch_offers (service_request_id, technician_id, status) VALUES (?, ?, 'accepted')",
-                        [requestId, newTechId]
-                    );
-                }
-                // Notify new technician
-                socketService.notifyTechnician(newTechId, 'job:assigned', {
-                    id: String(requestId),
-                    jobId: String(requestId),
-                    requestId: String(requestId),
-                    customerName: userName || "Customer",
-                    serviceType: request.service_type,
-                    vehicleType: request.vehicle_type,
-                    location: {
-                        lat: request.location_lat,
-                        lng: request.location_lng,
-                        address: request.address
-                    },
-                    locationDistance: Number.isFinite(Number(nextMatch.distance))
-                        ? `${Number(nextMatch.distance).toFixed(1)} km`
-                        : (nextMatch.distanceText || "Nearby"),
-                    distance: Number(nextMatch.distance) || 0,
-                    amount: reassignedAmount ?? request.amount ?? request.service_charge ?? 0,
-                    priceAmount: reassignedAmount ?? request.amount ?? request.service_charge ?? 0
-                });
-                socketService.notifyTechnician(newTechId, "job:list_update", {
-                    requestId: String(requestId),
-                    action: "updated"
-                });
-
-                if (nextMatch.email) {
-                    mail.sendMail({
-                        to: nextMatch.email,
-                        subject: "New Job Assigned (Re-assigned) - ResQNow",
-                        html: `<p>A job has been re-assigned to you.</p>
-                               <p>Type: ${request.service_type}</p>
-                               <p>Location: ${request.address}</p>`
-                    }).catch(console.error);
-                }
             } else {
                 newTechId = null;
                 newStatus = 'pending';
-                await pool.query(
-                    "UPDATE dispatch_offers SET status = 'rejected' WHERE service_request_id = ? AND technician_id = ?",
-                    [requestId, technicianId]
-                );
             }
         }
 
@@ -595,81 +761,193 @@ router.patch("/:id/technician-status", verifyTechnician, async (req, res) => {
             newStatus = 'payment_pending';
         }
 
+        const isCompletion = normalized === 'completed' || newStatus === 'payment_pending' || newStatus === 'paid';
+
         // Timestamp logic
-        let timestampUpdate = "";
-        if (newStatus === 'en-route' || newStatus === 'in-progress' || newStatus === 'on-the-way') {
-            timestampUpdate = ", started_at = COALESCE(started_at, NOW())";
-        } else if (normalized === 'completed' || newStatus === 'payment_pending' || newStatus === 'paid') {
+        const timestampSql = [];
+        if (newStatus === 'in-progress' || newStatus === 'on-the-way') {
+            timestampSql.push("started_at = COALESCE(started_at, NOW())");
+        } else if (newStatus === 'arrived') {
+            // Geofence detection may already have recorded the arrival; keep the first one.
+            timestampSql.push("arrived_at = COALESCE(arrived_at, NOW())", "arrival_source = COALESCE(arrival_source, 'manual')");
+        } else if (isCompletion) {
             // mark completed_at
-            timestampUpdate = ", completed_at = NOW()";
-            await releaseTechnicianAvailability(pool, technicianId, requestId);
+            timestampSql.push("completed_at = NOW()");
         }
 
-        const shouldUpdateAmount = toPositiveMoney(reassignedAmount) != null;
-        const amountUpdateClause = shouldUpdateAmount ? ", amount = ?" : "";
-        const updateParams = shouldUpdateAmount
-            ? [newStatus, newTechId, reassignedAmount, requestId]
-            : [newStatus, newTechId, requestId];
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
 
-        await pool.execute(
-            `UPDATE service_requests SET status = ?, technician_id = ? ${amountUpdateClause} ${timestampUpdate}, updated_at = NOW() WHERE id = ?`,
-            updateParams
-        );
+            // Lock the request first (same order as acceptJob) and make sure it is still ours.
+            const [lockedRows] = await conn.query(
+                "SELECT technician_id FROM service_requests WHERE id = ? LIMIT 1 FOR UPDATE",
+                [requestId]
+            );
+            if (String(lockedRows[0]?.technician_id ?? "") !== String(technicianId)) {
+                await conn.rollback();
+                return res.status(409).json({ error: "Request is no longer assigned to you." });
+            }
 
-        if (newTechId && isActiveJobStatus(newStatus)) {
-            await markTechnicianReserved(pool, newTechId, requestId);
-        } else if (!isActiveJobStatus(newStatus) && isTerminalJobStatus(newStatus)) {
-            await releaseTechnicianAvailability(pool, technicianId, requestId);
-        }
+            if (normalized === 'rejected') {
+                await releaseTechnicianAvailability(conn, technicianId, requestId);
+                await conn.query(
+                    "UPDATE dispatch_offers SET status = 'rejected' WHERE service_request_id = ? AND technician_id = ?",
+                    [requestId, technicianId]
+                );
+                if (nextMatch) {
+                    await markTechnicianReserved(conn, newTechId, requestId);
+                    const [existingNextOffer] = await conn.query(
+                        "SELECT id FROM dispatch_offers WHERE service_request_id = ? AND technician_id = ? LIMIT 1",
+                        [requestId, newTechId]
+                    );
+                    if (existingNextOffer.length > 0) {
+                        await conn.query(
+                            "UPDATE dispatch_offers SET status = 'accepted' WHERE id = ?",
+                            [existingNextOffer[0].id]
+                        );
+                    } else {
+                        await conn.query(
+                            "INSERT INTO dispatch_offers (service_request_id, technician_id, status) VALUES (?, ?, 'accepted')",
+                            [requestId, newTechId]
+                        );
+                    }
+                }
+            } else if (isCompletion) {
+                await releaseTechnicianAvailability(conn, technicianId, requestId);
+            }
 
-        // Notify Customer via Socket
-        if (request.user_id) {
-            socketService.notifyUser(request.user_id, 'job:status_update', {
+            const transition = await transitionRequestStatus(conn, {
                 requestId,
-                status: newStatus,
-                technicianId: newTechId,
-                started_at: (newStatus === 'en-route' || newStatus === 'in-progress') ? new Date().toISOString() : undefined,
-                completed_at: (normalized === 'completed' || newStatus === 'payment_pending') ? new Date().toISOString() : undefined
+                to: newStatus,
+                actor: REQUEST_ACTORS.TECHNICIAN,
+                actorId: technicianId,
+                reason: normalized === 'rejected' ? 'technician_rejected' : null,
+                set: {
+                    technician_id: newTechId,
+                    ...(toPositiveMoney(reassignedAmount) != null ? { amount: reassignedAmount } : {})
+                },
+                setSql: timestampSql,
+                metadata: normalized === 'rejected'
+                    ? { previousTechnicianId: Number(technicianId), technicianId: newTechId ? Number(newTechId) : null }
+                    : null
             });
-        }
 
-        // Email Notifications for Customer based on status transitions
-        if (userEmail) {
-            let emailSubject = "";
-            let emailHtml = "";
-
-            if (newStatus === 'accepted') {
-                emailSubject = "Technician Accepted Your Request - ResQNow";
-                emailHtml = `<p>Hello ${userName || 'there'},</p>
-                             <p><b>${techName}</b> has accepted your request for ${request.service_type}.</p>
-                             <p>They will begin moving towards your location shortly.</p>`;
-            } else if (newStatus === 'on-the-way') {
-                emailSubject = "Technician is On The Way - ResQNow";
-                emailHtml = `<p><b>${techName}</b> is now on the way to your location (${request.address}).</p>
-                             <p>Stay where you are, help is coming!</p>`;
-            } else if (newStatus === 'arrived') {
-                emailSubject = "Technician Has Arrived - ResQNow";
-                emailHtml = `<p><b>${techName}</b> has arrived at your location.</p>
-                             <p>Please look for them and meet at the specified address.</p>`;
-            } else if (newStatus === 'payment_pending') {
-                emailSubject = "Service Completed – Payment Pending - ResQNow";
-                emailHtml = `<p>Your ${request.service_type} service has been completed by <b>${techName}</b>.</p>
-                             <p>Please complete the payment to finalize the request. You can pay via the app.</p>`;
+            if (newTechId && isActiveJobStatus(newStatus)) {
+                await markTechnicianReserved(conn, newTechId, requestId);
+            } else if (!isActiveJobStatus(newStatus) && isTerminalJobStatus(newStatus)) {
+                await releaseTechnicianAvailability(conn, technicianId, requestId);
             }
 
-            if (emailSubject) {
-                mail.sendMail({
-                    to: userEmail,
-                    subject: emailSubject,
-                    html: emailHtml
-                }).catch(console.error);
+            // A repeated write of the current status records no event and sends nothing new.
+            if (transition.eventId) {
+                // Notifications are written to the outbox in the same transaction as the status change,
+                // so they are delivered exactly when the change commits. The key comes from the recorded
+                // status event, so a transition that repeats (e.g. reassignment back to a technician) still notifies.
+                const dedupeKey = `tech_status:${transition.eventId}`;
+                const outboxEntries = [];
+
+                if (nextMatch) {
+                    outboxEntries.push(
+                        outboxNotifyTechnician(newTechId, 'job:assigned', {
+                            id: String(requestId),
+                            jobId: String(requestId),
+                            requestId: String(requestId),
+                            customerName: userName || "Customer",
+                            serviceType: request.service_type,
+                            vehicleType: request.vehicle_type,
+                            location: {
+                                lat: request.location_lat,
+                                lng: request.location_lng,
+                                address: request.address
+                            },
+                            locationDistance: Number.isFinite(Number(nextMatch.distance))
+                                ? `${Number(nextMatch.distance).toFixed(1)} km`
+                                : (nextMatch.distanceText || "Nearby"),
+                            distance: Number(nextMatch.distance) || 0,
+                            amount: reassignedAmount ?? request.amount ?? request.service_charge ?? 0,
+                            priceAmount: reassignedAmount ?? request.amount ?? request.service_charge ?? 0
+                        }, { dedupeKey }),
+                        outboxNotifyTechnician(newTechId, "job:list_update", {
+                            requestId: String(requestId),
+                            action: "updated"
+                        }, { dedupeKey }),
+                        outboxEmail({
+                            to: nextMatch.email,
+                            subject: "New Job Assigned (Re-assigned) - ResQNow",
+                            html: `<p>A job has been re-assigned to you.</p>
+                                       <p>Type: ${request.service_type}</p>
+                                       <p>Location: ${request.address}</p>`
+                        }, { dedupeKey })
+                    );
+                }
+
+                // Notify Customer via Socket
+                if (request.user_id) {
+                    outboxEntries.push(outboxNotifyUser(request.user_id, 'job:status_update', {
+                        requestId,
+                        status: newStatus,
+                        technicianId: newTechId,
+                        started_at: (newStatus === 'on-the-way' || newStatus === 'in-progress') ? new Date().toISOString() : undefined,
+                        completed_at: (normalized === 'completed' || newStatus === 'payment_pending') ? new Date().toISOString() : undefined
+                    }, { dedupeKey }));
+                }
+
+                // Email Notifications for Customer based on status transitions
+                if (userEmail) {
+                    let emailSubject = "";
+                    let emailHtml = "";
+
+                    if (newStatus === 'accepted') {
+                        emailSubject = "Technician Accepted Your Request - ResQNow";
+                        emailHtml = `<p>Hello ${userName || 'there'},</p>
+                                     <p><b>${techName}</b> has accepted your request for ${request.service_type}.</p>
+                                     <p>They will begin moving towards your location shortly.</p>`;
+                    } else if (newStatus === 'on-the-way') {
+                        emailSubject = "Technician is On The Way - ResQNow";
+                        emailHtml = `<p><b>${techName}</b> is now on the way to your location (${request.address}).</p>
+                                     <p>Stay where you are, help is coming!</p>`;
+                    } else if (newStatus === 'arrived') {
+                        emailSubject = "Technician Has Arrived - ResQNow";
+                        emailHtml = `<p><b>${techName}</b> has arrived at your location.</p>
+                                     <p>Please look for them and meet at the specified address.</p>`;
+                    } else if (newStatus === 'payment_pending') {
+                        emailSubject = "Service Completed – Payment Pending - ResQNow";
+                        emailHtml = `<p>Your ${request.service_type} service has been completed by <b>${techName}</b>.</p>
+                                     <p>Please complete the payment to finalize the request. You can pay via the app.</p>`;
+                    }
+
+                    if (emailSubject) {
+                        outboxEntries.push(outboxEmail({
+                            to: userEmail,
+                            subject: emailSubject,
+                            html: emailHtml
+                        }, { dedupeKey }));
+                    }
+                }
+                await enqueueOutbox(conn, outboxEntries);
             }
+            await conn.commit();
+        } catch (txErr) {
+            await conn.rollback().catch(() => {});
+            throw txErr;
+        } finally {
+            conn.release();
+        }
+
+        dispatchOutboxSoon();
+        if (isCompletion) {
+            updateRequestDistanceTravelled(requestId)
+                .catch((err) => console.error(`[Tech Status Update] Distance calc failed for #${requestId}:`, err?.message || err));
         }
 
         res.json({ success: true, status: newStatus });
 
     } catch (err) {
         console.error("[Service Requests] Tech Update status error:", err);
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
         res.status(500).json({ error: "Failed to update status." });
     }
 });
@@ -697,47 +975,78 @@ router.patch("/:id/status", verifyUser, async (req, res) => {
             return res.status(400).json({ error: "Invalid status value." });
         }
 
-        if (normalized === 'cancelled') {
-            // Rule: Cannot cancel if technician has arrived or job is done
-            if (['arrived', 'in-progress', 'payment_pending', 'completed', 'paid'].includes(reqData.status)) {
-                return res.status(400).json({ error: `Cannot cancel request when status is '${reqData.status}'.` });
-            }
+        // Users can only cancel, and not once the technician has arrived (see requestStateMachine).
+        if (normalized !== 'cancelled') {
+            return res.status(400).json({ error: "Users can only cancel a request." });
         }
-
-        await pool.execute(
-            "UPDATE service_requests SET status = ?, updated_at = NOW() WHERE id = ?",
-            [normalized, requestId]
-        );
-
-        if (reqData.technician_id && (normalized === 'cancelled' || isTerminalJobStatus(normalized))) {
-            await releaseTechnicianAvailability(pool, reqData.technician_id, requestId);
+        if (normalized !== normalizeRequestStatus(reqData.status) && !canTransition(reqData.status, normalized, REQUEST_ACTORS.USER)) {
+            return res.status(400).json({ error: `Cannot change request to '${normalized}' when status is '${reqData.status}'.` });
         }
 
-        // Notify Technician if assigned
-        if (reqData.technician_id) {
-            socketService.notifyTechnician(reqData.technician_id, 'job:status_update', {
+        let refundPlan = null;
+        let cancellationFee = null;
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            const transition = await transitionRequestStatus(conn, {
                 requestId,
-                status: normalized
+                to: normalized,
+                actor: REQUEST_ACTORS.USER,
+                actorId: userId,
+                reason: normalized === 'cancelled' ? (req.body?.reason || null) : null,
+                ...(normalized === 'cancelled'
+                    ? {
+                        set: { technician_id: null, cancellation_reason: req.body?.reason || null },
+                        setSql: ["cancelled_at = NOW()"],
+                        metadata: reqData.technician_id ? { technicianId: Number(reqData.technician_id) } : null
+                    }
+                    : {})
             });
 
             if (normalized === 'cancelled') {
-                // Fetch tech email
-                const [techs] = await pool.query("SELECT email, name FROM technicians WHERE id = ?", [reqData.technician_id]);
-                if (techs[0]?.email) {
-                    mail.sendMail({
-                        to: techs[0].email,
-                        subject: "Job Cancelled - ResQNow",
-                        html: `<h3>Hello ${techs[0].name},</h3>
-                               <p>The job #${requestId} has been cancelled by the customer.</p>
-                               <p>You are now available for other requests.</p>`
-                    }).catch(console.error);
-                }
+                ({ refund: refundPlan, cancellationFee } = await settleUserCancellation(conn, {
+                    requestId,
+                    userId,
+                    previousStatus: transition.from,
+                    technicianId: transition.technicianId,
+                    reason: req.body?.reason || null
+                }));
+            }
+
+            if (reqData.technician_id && (normalized === 'cancelled' || isTerminalJobStatus(normalized))) {
+                await releaseTechnicianAvailability(conn, reqData.technician_id, requestId);
+            }
+            if (transition.eventId) {
+                await enqueueOutbox(conn, await buildUserCancellationOutboxEntries(conn, {
+                    requestId,
+                    userId,
+                    technicianId: reqData.technician_id,
+                    reason: req.body?.reason || null,
+                    eventId: transition.eventId
+                }));
             }
+            await conn.commit();
+        } catch (txErr) {
+            await conn.rollback();
+            throw txErr;
+        } finally {
+            conn.release();
         }
 
-        res.json({ success: true, status: normalized });
+        dispatchOutboxSoon();
+        const refunds = refundPlan ? await submitQueuedRefunds(refundPlan) : [];
+
+        res.json({
+            success: true,
+            status: normalized,
+            ...(refundPlan ? { refund: { stage: refundPlan.stage, percent: refundPlan.percent, refunds } } : {}),
+            ...(normalized === 'cancelled' ? { cancellationFee } : {})
+        });
     } catch (err) {
         console.error("[Service Requests] Update status error:", err);
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
         res.status(500).json({ error: "Failed to update status." });
     }
 });
@@ -758,10 +1067,13 @@ router.patch("/:id/cancel", verifyUser, async (req, res) => {
 
         const current = rows[0];
 
-        // Strict Rule: Allow cancel at ANY status as long as it's not already cancelled
-        if (String(current.status) === 'cancelled') {
+        if (normalizeRequestStatus(current.status) === 'cancelled') {
             return res.status(400).json({ error: 'Request is already cancelled.' });
         }
+        // Cancellation is closed once the technician has arrived (see requestStateMachine).
+        if (!canTransition(current.status, 'cancelled', REQUEST_ACTORS.USER)) {
+            return res.status(400).json({ error: `Cannot cancel request when status is '${current.status}'.` });
+        }
 
         const { reason } = req.body;
 
@@ -773,30 +1085,58 @@ router.patch("/:id/cancel", verifyUser, async (req, res) => {
             // also set technician_id to NULL to free them.
             // set cancelled_at to NOW()
 
-            await conn.execute(
-                'UPDATE service_requests SET status = ?, technician_id = NULL, cancelled_at = NOW(), cancellation_reason = ? WHERE id = ?',
-                ['cancelled', reason || null, requestId]
-            );
+            const transition = await transitionRequestStatus(conn, {
+                requestId,
+                to: 'cancelled',
+                actor: REQUEST_ACTORS.USER,
+                actorId: userId,
+                reason: reason || null,
+                set: { technician_id: null, cancellation_reason: reason || null },
+                setSql: ["cancelled_at = NOW()"],
+                metadata: current.technician_id ? { technicianId: Number(current.technician_id) } : null
+            });
 
-            // Release Technician
-            if (current.technician_id) {
+            // Any cancellation fee is charged first; captured online payments are then refunded
+            // according to how far the job had progressed.
+            const { refund: refundPlan, cancellationFee } = await settleUserCancellation(conn, {
+                requestId,
+                userId,
+                previousStatus: transition.from,
+                technicianId: transition.technicianId,
+                reason: reason || null
+            });
+
+            // Release Technician (scheduled bookings have not reserved anyone yet)
+            if (current.technician_id && String(current.status) !== 'scheduled') {
                 await releaseTechnicianAvailability(conn, current.technician_id, requestId);
             }
 
+            await enqueueOutbox(conn, await buildUserCancellationOutboxEntries(conn, {
+                requestId,
+                userId,
+                technicianId: current.technician_id,
+                reason: reason || null,
+                eventId: transition.eventId
+            }));
             await conn.commit();
+            dispatchOutboxSoon();
+            const refunds = await submitQueuedRefunds(refundPlan);
 
             console.log('REQUEST STATUS UPDATED:', { requestId, status: 'cancelled' });
 
-            if (current.technician_id) {
-                socketService.notifyTechnician(current.technician_id, 'job:status_update', { requestId, status: 'cancelled', reason: reason || "User cancelled" });
-            }
-            socketService.notifyUser(userId, 'job:status_update', { requestId, status: 'cancelled' });
-
             const [updatedRows] = await pool.query('SELECT * FROM service_requests WHERE id = ?', [requestId]);
-            return res.json({ success: true, request: updatedRows[0] });
+            return res.json({
+                success: true,
+                request: updatedRows[0],
+                refund: { stage: refundPlan.stage, percent: refundPlan.percent, refunds },
+                cancellationFee
+            });
         } catch (txErr) {
             await conn.rollback();
             console.error('Cancel transaction error:', txErr);
+            if (Number(txErr?.statusCode) < 500) {
+                return res.status(txErr.statusCode).json({ error: txErr.message });
+            }
             return res.status(500).json({ error: 'Failed to cancel request' });
         } finally {
             conn.release();
@@ -807,6 +1147,120 @@ router.patch("/:id/cancel", verifyUser, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/service-requests/:id/cancellation-fee
+ * Fee the user would be charged for cancelling now (User)
+ */
+router.get("/:id/cancellation-fee", verifyUser, async (req, res) => {
+    try {
+        const fee = await quoteCancellationFee(req.params.id, req.user.userId);
+        const cancellable = canTransition(fee.status, 'cancelled', REQUEST_ACTORS.USER);
+        res.json({ cancellable, ...fee });
+    } catch (err) {
+        if (Number(err?.statusCode) < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('[Service Requests] Cancellation fee preview error:', err);
+        res.status(500).json({ error: 'Failed to load cancellation fee' });
+    }
+});
+
+/**
+ * PATCH /api/service-requests/:id/reschedule
+ * Move a scheduled booking to a new slot (User). Only allowed before dispatch has started.
+ */
+router.patch("/:id/reschedule", verifyUser, async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const requestId = req.params.id;
+        const pool = await getPool();
+
+        const [rows] = await pool.query(
+            "SELECT id, status, technician_id, location_lat, location_lng, scheduled_for FROM service_requests WHERE id = ? AND user_id = ?",
+            [requestId, userId]
+        );
+        if (rows.length === 0) return res.status(404).json({ error: 'Request not found or unauthorized' });
+
+        const current = rows[0];
+        if (String(current.status) !== 'scheduled') {
+            return res.status(400).json({ error: 'Only scheduled bookings that have not started dispatch can be rescheduled.' });
+        }
+
+        let technician = null;
+        if (current.technician_id) {
+            const [techRows] = await pool.query(
+                "SELECT id, status, is_active, working_hours FROM technicians WHERE id = ? LIMIT 1",
+                [current.technician_id]
+            );
+            technician = techRows[0] || null;
+            if (!technician || String(technician.status || '').toLowerCase() !== 'approved' || !technician.is_active) {
+                return res.status(400).json({ error: 'Selected technician is no longer available for bookings.' });
+            }
+        }
+
+        let scheduledFor;
+        try {
+            scheduledFor = parseScheduledFor(req.body?.scheduled_for);
+            await validateScheduledSlot({
+                scheduledFor,
+                technician,
+                latitude: current.location_lat,
+                longitude: current.location_lng
+            });
+        } catch (slotErr) {
+            if (!slotErr.statusCode) throw slotErr;
+            return res.status(slotErr.statusCode).json({ error: slotErr.message });
+        }
+
+        const [result] = await pool.query(
+            "UPDATE service_requests SET scheduled_for = ?, scheduled_reminder_sent_at = NULL WHERE id = ? AND status = 'scheduled'",
+            [scheduledFor, requestId]
+        );
+        if (!result.affectedRows) {
+            return res.status(409).json({ error: 'Dispatch has already started for this booking.' });
+        }
+
+        const payload = {
+            requestId,
+            status: 'scheduled',
+            scheduledFor: scheduledFor.toISOString(),
+            previousScheduledFor: current.scheduled_for
+        };
+        if (current.technician_id) {
+            socketService.notifyTechnician(current.technician_id, 'job:list_update', { ...payload, action: 'rescheduled' });
+        }
+        socketService.notifyUser(userId, 'job:status_update', payload);
+
+        const [updatedRows] = await pool.query('SELECT * FROM service_requests WHERE id = ?', [requestId]);
+        return res.json({ success: true, request: updatedRows[0] });
+    } catch (err) {
+        console.error('[Service Requests] Reschedule error:', err);
+        res.status(500).json({ error: 'Failed to reschedule request' });
+    }
+});
+
+/**
+ * GET /api/service-requests/:id/timeline
+ * Ordered history of the request for the customer or a technician involved in it
+ */
+router.get("/:id/timeline", verifyUserOrTechnician, async (req, res) => {
+    try {
+        const viewer = req.technicianId
+            ? { role: "technician", technicianId: req.technicianId }
+            : req.adminEmail
+                ? { role: "admin" }
+                : { role: "user", userId: req.user.userId };
+        const timeline = await getRequestTimeline(req.params.id, viewer);
+        res.json(timeline);
+    } catch (err) {
+        if (err?.statusCode && err.statusCode < 500) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error("[Service Requests] Error fetching timeline:", err);
+        res.status(500).json({ error: "Failed to fetch request timeline." });
+    }
+});
+
 /**
  * GET /api/service-requests/:id
  * Fetch single request (for tracking)
@@ -891,7 +1345,9 @@ router.post("/:id/payment-order", verifyUser, async (req, res) => {
         }
 
         const serviceCharge = await resolveRequestBaseAmount(request, pricingConfig);
-        const breakdown = computePaymentAmounts(serviceCharge, pricingConfig);
+        const breakdown = computePaymentAmounts(serviceCharge, pricingConfig, {
+            surgeMultiplier: request.surge_multiplier
+        });
 
         console.log(
             `[Payment Order] Request: ${requestId}, ServiceCharge: ${breakdown.baseAmount}, Fee: ${breakdown.platformFee}, Total: ${breakdown.totalAmount}`
@@ -925,7 +1381,7 @@ router.post("/:id/payment-order", verifyUser, async (req, res) => {
                 `UPDATE payments
                  SET status = ?, amount = ?, platform_fee = ?, technician_amount = ?, is_settled = TRUE
                  WHERE id = ?`,
-                ["PENDING", breakdown.totalAmount, breakdown.platformFee, breakdown.baseAmount, existingPayment[0].id]
+                ["PENDING", breakdown.totalAmount, breakdown.platformFee, breakdown.serviceAmount, existingPayment[0].id]
             );
         } else {
             await pool.execute(
@@ -933,7 +1389,7 @@ router.post("/:id/payment-order", verifyUser, async (req, res) => {
                     user_id, service_request_id, payment_method, status, amount,
                     platform_fee, technician_amount, is_settled, razorpay_order_id
                 ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [userId, requestId, "razorpay", "PENDING", breakdown.totalAmount, breakdown.platformFee, breakdown.baseAmount, true, order.id]
+                [userId, requestId, "razorpay", "PENDING", breakdown.totalAmount, breakdown.platformFee, breakdown.serviceAmount, true, order.id]
             );
         }
 
@@ -945,6 +1401,8 @@ router.post("/:id/payment-order", verifyUser, async (req, res) => {
         res.json({
             ...order,
             base_amount: breakdown.baseAmount,
+            surge_multiplier: breakdown.surgeMultiplier,
+            surge_amount: breakdown.surgeAmount,
             platform_fee: breakdown.platformFee,
             platform_fee_percent: breakdown.platformFeePercent,
             total_amount: breakdown.totalAmount
@@ -982,7 +1440,7 @@ router.post("/:id/verify-payment", verifyUser, async (req, res) => {
         const pool = await getPool();
         const pricingConfig = await getPlatformPricingConfig();
         const [reqRows] = await pool.query(
-            "SELECT amount, service_charge, service_type, vehicle_type, technician_id, status, payment_status FROM service_requests WHERE id = ? AND user_id = ? LIMIT 1",
+            "SELECT amount, service_charge, service_type, vehicle_type, technician_id, status, payment_status, surge_multiplier FROM service_requests WHERE id = ? AND user_id = ? LIMIT 1",
             [requestId, userId]
         );
         if (reqRows.length === 0) {
@@ -995,7 +1453,9 @@ router.post("/:id/verify-payment", verifyUser, async (req, res) => {
         }
 
         const amount = await resolveRequestBaseAmount(requestRow, pricingConfig);
-        const breakdown = computePaymentAmounts(amount, pricingConfig);
+        const breakdown = computePaymentAmounts(amount, pricingConfig, {
+            surgeMultiplier: requestRow.surge_multiplier
+        });
 
         const [existing] = await pool.query(
             `SELECT id
@@ -1012,7 +1472,7 @@ router.post("/:id/verify-payment", verifyUser, async (req, res) => {
                  SET status = ?, amount = ?, platform_fee = ?, technician_amount = ?, is_settled = TRUE,
                      razorpay_payment_id = ?, razorpay_signature = ?
                  WHERE id = ?`,
-                ["PROCESSING", breakdown.totalAmount, breakdown.platformFee, breakdown.baseAmount, razorpay_payment_id, razorpay_signature, existing[0].id]
+                ["PROCESSING", breakdown.totalAmount, breakdown.platformFee, breakdown.serviceAmount, razorpay_payment_id, razorpay_signature, existing[0].id]
             );
         } else {
             await pool.execute(
@@ -1027,7 +1487,7 @@ router.post("/:id/verify-payment", verifyUser, async (req, res) => {
                     "PROCESSING",
                     breakdown.totalAmount,
                     breakdown.platformFee,
-                    breakdown.baseAmount,
+                    breakdown.serviceAmount,
                     true,
                     razorpay_order_id,
                     razorpay_payment_id,
@@ -1066,7 +1526,7 @@ router.post("/:id/payment-cash", verifyUser, async (req, res) => {
         const pool = await getPool();
         const pricingConfig = await getPlatformPricingConfig();
         const [reqRows] = await pool.query(
-            "SELECT amount, service_charge, service_type, vehicle_type, technician_id FROM service_requests WHERE id = ? AND user_id = ? LIMIT 1",
+            "SELECT amount, service_charge, service_type, vehicle_type, technician_id, surge_multiplier FROM service_requests WHERE id = ? AND user_id = ? LIMIT 1",
             [requestId, userId]
         );
         if (reqRows.length === 0) {
@@ -1074,7 +1534,9 @@ router.post("/:id/payment-cash", verifyUser, async (req, res) => {
         }
 
         const amount = await resolveRequestBaseAmount(reqRows[0], pricingConfig);
-        const breakdown = computePaymentAmounts(amount, pricingConfig);
+        const breakdown = computePaymentAmounts(amount, pricingConfig, {
+            surgeMultiplier: reqRows[0].surge_multiplier
+        });
         const technicianId = reqRows[0]?.technician_id;
 
         console.log(
@@ -1099,37 +1561,51 @@ router.post("/:id/payment-cash", verifyUser, async (req, res) => {
             await conn.beginTransaction();
 
             // 1. Update Request
-            await conn.execute(
-                "UPDATE service_requests SET payment_status = 'completed', payment_method = 'cash', status = 'paid', amount = ?, updated_at = NOW() WHERE id = ?",
-                [breakdown.baseAmount, requestId]
-            );
+            await transitionRequestStatus(conn, {
+                requestId,
+                to: 'paid',
+                // Recorded by the system: customers cannot move a request to paid themselves.
+                actor: REQUEST_ACTORS.SYSTEM,
+                reason: 'cash_payment',
+                set: {
+                    payment_status: 'completed',
+                    payment_method: 'cash',
+                    amount: breakdown.baseAmount,
+                    surge_amount: breakdown.surgeAmount
+                },
+                metadata: { paymentMethod: 'cash', totalAmount: breakdown.totalAmount, userId }
+            });
             if (technicianId) {
                 await releaseTechnicianAvailability(conn, technicianId, requestId);
             }
 
             // 2. Insert Payment Record (Cash)
-            await conn.execute(
+            const [paymentInsert] = await conn.execute(
                 `INSERT INTO payments (user_id, service_request_id, payment_method, status, amount, platform_fee, is_settled) 
                  VALUES (?, ?, ?, ?, ?, ?, ?)`,
                 [userId, requestId, 'cash', 'completed', breakdown.totalAmount, breakdown.platformFee, false]
             );
+            await postCashPayment(conn, {
+                paymentId: paymentInsert.insertId,
+                requestId,
+                technicianId,
+                amount: breakdown.totalAmount,
+                technicianAmount: breakdown.serviceAmount
+            });
 
-            // 3. Insert Technician Due (CRITICAL REQUIREMENT)
-            if (technicianId && breakdown.platformFee > 0) {
-                await conn.execute(
-                    `INSERT INTO technician_dues (technician_id, service_request_id, amount, status)
-                      VALUES (?, ?, ?, 'pending')`,
-                    [technicianId, requestId, breakdown.platformFee]
-                );
-                console.log(`Created Technician Due: Tech ${technicianId}, Request ${requestId}, Amount ${breakdown.platformFee}`);
-            }
+            // 3. Record the platform fee as a technician due (CRITICAL REQUIREMENT)
+            const duesNotifications = await recordCashJobDue(conn, {
+                technicianId,
+                requestId,
+                amount: breakdown.platformFee
+            });
 
             // 4. Create Invoice
             const [invResult] = await conn.execute(
                 `INSERT INTO invoices (
                     user_id, order_id, razorpay_payment_id, amount, invoice_pdf, status,
-                    service_request_id, technician_id, platform_fee, technician_amount, gst, total_amount
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    service_request_id, technician_id, platform_fee, technician_amount, surge_amount, gst, total_amount
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     userId,
                     `cash_${requestId}_${Date.now()}`,
@@ -1140,7 +1616,8 @@ router.post("/:id/payment-cash", verifyUser, async (req, res) => {
                     requestId,
                     technicianId || null,
                     breakdown.platformFee,
-                    breakdown.baseAmount,
+                    breakdown.serviceAmount,
+                    breakdown.surgeAmount,
                     0,
                     breakdown.totalAmount
                 ]
@@ -1159,6 +1636,8 @@ router.post("/:id/payment-cash", verifyUser, async (req, res) => {
                     vehicleType: reqRows[0]?.vehicle_type || "Vehicle",
                     technicianName: invDetails.technician_name || "Technician",
                     amount: breakdown.baseAmount,
+                    surgeAmount: breakdown.surgeAmount,
+                    surgeMultiplier: breakdown.surgeMultiplier,
                     platformFee: breakdown.platformFee,
                     totalAmount: breakdown.totalAmount,
                     paymentMethod: "cash",
@@ -1171,11 +1650,13 @@ router.post("/:id/payment-cash", verifyUser, async (req, res) => {
                 if (technicianId) {
                     await conn.execute(
                         "UPDATE technicians SET jobs_completed = jobs_completed + 1, total_earnings = total_earnings + ? WHERE id = ?",
-                        [breakdown.baseAmount, technicianId]
+                        [breakdown.serviceAmount, technicianId]
                     );
                 }
 
+                await enqueueOutbox(conn, duesNotifications);
                 await conn.commit();
+                dispatchOutboxSoon();
                 console.log('Cash payment transaction committed.');
 
                 // Notify parties
@@ -1197,6 +1678,8 @@ router.post("/:id/payment-cash", verifyUser, async (req, res) => {
                             serviceType: invDetails.service_type,
                             technicianName: invDetails.technician_name || 'Technician',
                             amount: breakdown.baseAmount,
+                            surgeAmount: breakdown.surgeAmount,
+                            surgeMultiplier: breakdown.surgeMultiplier,
                             gst: 0,
                             totalAmount: breakdown.totalAmount,
                             paymentMethod: 'cash',
@@ -1220,6 +1703,9 @@ router.post("/:id/payment-cash", verifyUser, async (req, res) => {
         } catch (txErr) {
             await conn.rollback();
             console.error('Cash payment transaction error:', txErr);
+            if (Number(txErr?.statusCode) < 500) {
+                return res.status(txErr.statusCode).json({ error: txErr.message });
+            }
             return res.status(500).json({ error: 'Failed to process cash payment' });
         } finally {
             conn.release();
@@ -1244,7 +1730,7 @@ router.get("/:id/invoice", verifyUser, async (req, res) => {
         const [rows] = await pool.query(
             `SELECT
                 id, service_request_id, user_id, order_id, razorpay_payment_id,
-                amount, platform_fee, technician_amount, gst, total_amount, status,
+                amount, platform_fee, technician_amount, surge_amount, gst, total_amount, status, invoice_type,
                 (invoice_pdf IS NOT NULL) AS has_invoice_pdf,
                 created_at
              FROM invoices
@@ -1264,9 +1750,11 @@ router.get("/:id/invoice", verifyUser, async (req, res) => {
             amount: parseFloat(inv.amount || 0),
             platform_fee: parseFloat(inv.platform_fee || 0),
             technician_amount: parseFloat(inv.technician_amount || 0),
+            surge_amount: parseFloat(inv.surge_amount || 0),
             gst: parseFloat(inv.gst || 0),
             total_amount: parseFloat(inv.total_amount || 0),
             status: inv.status || "GENERATED",
+            invoice_type: inv.invoice_type || "service",
             pdf_available: !!inv.has_invoice_pdf,
             pdf_url: inv.has_invoice_pdf ? `/api/service-requests/${requestId}/invoice/pdf` : null,
             created_at: inv.created_at
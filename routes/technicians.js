@@ -17,6 +17,15 @@ import {
 import { estimateRequestAmount, estimateRequestAmountAsync } from "../services/pricingEstimator.js";
 import { getPlatformPricingConfig } from "../services/platformPricing.js";
 import { ADMIN_NOTIFICATION_TYPES } from "../services/adminNotificationTypes.js";
+import { findTechniciansNearLocation, updateTechnicianLocation } from "../services/technicianGeoIndex.js";
+import { recordLocationBreadcrumb } from "../services/locationBreadcrumbService.js";
+import {
+  getTechnicianLedgerBalance,
+  getTechnicianStatement,
+  postTechnicianDuesPayment,
+} from "../services/ledgerService.js";
+import { listTechnicianPayouts } from "../services/payoutService.js";
+import { describeTechnicianDues, refreshTechnicianPendingDues } from "../services/technicianDuesService.js";
 
 const router = Router();
 const RAZORPAY_KEY_ID = String(process.env.RAZORPAY_KEY_ID || "");
@@ -182,13 +191,64 @@ async function fetchTechnicianFinancialSnapshot(pool, technicianId) {
     `,
     [technicianId]
   );
+  const [limitRows] = await pool.query(
+    "SELECT dues_credit_limit FROM technicians WHERE id = ? LIMIT 1",
+    [technicianId]
+  );
+  const pendingDues = roundMoney(rows?.[0]?.pending_dues || 0);
+  const dues = describeTechnicianDues({ pending_dues: pendingDues, dues_credit_limit: limitRows?.[0]?.dues_credit_limit });
 
   return {
     total_earnings: roundMoney(rows?.[0]?.total_earnings || 0),
-    pending_dues: roundMoney(rows?.[0]?.pending_dues || 0),
+    pending_dues: pendingDues,
+    dues_credit_limit: dues.creditLimit,
+    available_credit: dues.availableCredit,
+    dues_limit_exceeded: dues.limitExceeded,
   };
 }
 
+/**
+ * Settle every unpaid platform fee from cash jobs inside `conn`'s transaction and post the
+ * payment to the ledger. `reference` is the gateway payment id.
+ */
+async function settleTechnicianCashDues(conn, technicianId, reference) {
+  const [pendingRows] = await conn.query(
+    `
+    SELECT p.id, p.platform_fee
+    FROM payments p
+    JOIN service_requests sr ON p.service_request_id = sr.id
+    WHERE sr.technician_id = ? AND p.status = 'completed' AND p.is_settled = FALSE
+    FOR UPDATE
+    `,
+    [technicianId]
+  );
+  const settledAmount = roundMoney(pendingRows.reduce((sum, row) => sum + Number(row.platform_fee || 0), 0));
+
+  // Mark all pending platform dues as settled in payments ledger.
+  await conn.execute(
+    `
+    UPDATE payments p
+    JOIN service_requests sr ON p.service_request_id = sr.id
+    SET p.is_settled = TRUE
+    WHERE sr.technician_id = ? AND p.status = 'completed' AND p.is_settled = FALSE
+    `,
+    [technicianId]
+  );
+
+  // Keep legacy dues table in sync when rows exist.
+  await conn.execute(
+    "UPDATE technician_dues SET status = 'paid' WHERE technician_id = ? AND status = 'pending'",
+    [technicianId]
+  );
+
+  if (settledAmount > 0) {
+    await postTechnicianDuesPayment(conn, { technicianId, amount: settledAmount, reference });
+  }
+  // Lifts the dues_limit_exceeded dispatch block.
+  await refreshTechnicianPendingDues(conn, technicianId);
+  return settledAmount;
+}
+
 async function resolveTechnicianJobAmount(jobRow, technicianProfile, pricingConfig = null) {
   const techAmount = technicianProfile
     ? estimateRequestAmount(
@@ -370,7 +430,7 @@ router.post("/register", async (req, res) => {
       );
 
       // Use SocketService to broadcast to admins (if they are listening on a channel)
-      socketService.broadcast("admin:notification", { title, message, created_at: new Date() });
+      socketService.notifyAdmins("admin:notification", { title, message, created_at: new Date() });
     } catch { }
 
     // Send Confirmation Email
@@ -551,7 +611,7 @@ router.patch("/me/status", verifyTechnician, async (req, res) => {
     // Doing it here ensures backend state is consistent for other queries.
 
     // Explicitly notify that this technician's status changed
-    socketService.broadcast("technician:status_update", {
+    socketService.notifyAdmins("technician:status_update", {
       technicianId: req.technicianId,
       active
     });
@@ -571,13 +631,17 @@ router.patch("/me/location", verifyTechnician, async (req, res) => {
     }
 
     const pool = await db.getPool();
-    await pool.execute(
-      "UPDATE technicians SET latitude = ?, longitude = ? WHERE id = ?",
-      [latitude, longitude, req.technicianId]
-    );
+    const updated = await updateTechnicianLocation(pool, req.technicianId, latitude, longitude);
+    if (!updated) {
+      return res.status(400).json({ error: "Invalid latitude or longitude." });
+    }
+    recordLocationBreadcrumb(req.technicianId, { latitude, longitude, accuracy: req.body.accuracy })
+      .catch((err) => console.error("[Technician location] Breadcrumb persist error:", err?.message || err));
+    socketService.refreshLiveEta(req.technicianId, latitude, longitude);
+    socketService.checkGeofenceArrival(req.technicianId, { latitude, longitude, accuracy: req.body.accuracy });
 
-    // Broadcast location update
-    socketService.broadcast("technician:location_update", {
+    // Live positions are only pushed to admins; customers get them through their request room.
+    socketService.notifyAdmins("technician:location_update", {
       technicianId: req.technicianId,
       lat: latitude,
       lng: longitude
@@ -732,7 +796,12 @@ router.get('/me/dues', verifyTechnician, async (req, res) => {
   try {
     const pool = await db.getPool();
     const snapshot = await fetchTechnicianFinancialSnapshot(pool, req.technicianId);
-    res.json({ total: snapshot.pending_dues });
+    res.json({
+      total: snapshot.pending_dues,
+      creditLimit: snapshot.dues_credit_limit,
+      availableCredit: snapshot.available_credit,
+      limitExceeded: snapshot.dues_limit_exceeded,
+    });
   } catch (err) {
     console.error("Fetch dues error:", err);
     res.status(500).json({ error: "Failed to fetch dues" });
@@ -791,24 +860,7 @@ router.post('/me/pay-dues/verify', verifyTechnician, async (req, res) => {
     const conn = await pool.getConnection();
     try {
       await conn.beginTransaction();
-
-      // Mark all pending platform dues as settled in payments ledger.
-      await conn.execute(
-        `
-        UPDATE payments p
-        JOIN service_requests sr ON p.service_request_id = sr.id
-        SET p.is_settled = TRUE
-        WHERE sr.technician_id = ? AND p.status = 'completed' AND p.is_settled = FALSE
-        `,
-        [technicianId]
-      );
-
-      // Keep legacy dues table in sync when rows exist.
-      await conn.execute(
-        "UPDATE technician_dues SET status = 'paid' WHERE technician_id = ? AND status = 'pending'",
-        [technicianId]
-      );
-
+      await settleTechnicianCashDues(conn, technicianId, razorpay_payment_id);
       await conn.commit();
       const snapshot = await fetchTechnicianFinancialSnapshot(pool, technicianId);
       socketService.notifyTechnician(technicianId, "technician:financials_update", snapshot);
@@ -863,8 +915,16 @@ router.get("/nearby", async (req, res) => {
 
     console.log(`[API NEARBY] Request from ${clientIp} - lat=${userLat}, lng=${userLng}, service=${serviceType}, vehicle=${vehicle_type}`);
 
-    // Fetch all approved and active technicians
-    const rows = await db.query("SELECT * FROM technicians WHERE status = 'approved' AND is_active = TRUE");
+    // Fetch approved and active technicians; with a user location only the surrounding grid cells are scanned
+    // (technicians without a location are still included as before).
+    const rows = Number.isFinite(userLat) && Number.isFinite(userLng)
+      ? await findTechniciansNearLocation({
+        latitude: userLat,
+        longitude: userLng,
+        where: "status = 'approved' AND is_active = TRUE",
+        includeUnlocated: true,
+      })
+      : await db.query("SELECT * FROM technicians WHERE status = 'approved' AND is_active = TRUE");
 
     const technicians = rows
       .map(row => {
@@ -1130,10 +1190,14 @@ router.patch("/location", verifyTechnician, async (req, res) => {
   try {
     const { latitude, longitude } = req.body;
     const pool = await db.getPool();
-    await pool.execute(
-      "UPDATE technicians SET latitude = ?, longitude = ? WHERE id = ?",
-      [latitude, longitude, req.technicianId]
-    );
+    const updated = await updateTechnicianLocation(pool, req.technicianId, latitude, longitude);
+    if (!updated) {
+      return res.status(400).json({ error: "Invalid latitude or longitude." });
+    }
+    recordLocationBreadcrumb(req.technicianId, { latitude, longitude, accuracy: req.body.accuracy })
+      .catch((err) => console.error("[Technician location] Breadcrumb persist error:", err?.message || err));
+    socketService.refreshLiveEta(req.technicianId, latitude, longitude);
+    socketService.checkGeofenceArrival(req.technicianId, { latitude, longitude, accuracy: req.body.accuracy });
     // Optionally trigger socket event here if not already handled by client socket
     res.json({ success: true });
   } catch (err) {
@@ -1280,6 +1344,7 @@ router.get("/me/payout-transactions", verifyTechnician, async (req, res) => {
     );
 
     const transactions = (rows || []).map((row) => ({
+      entry_type: "job_payment",
       payment_id: row.payment_id,
       service_request_id: row.service_request_id,
       payment_method: row.payment_method,
@@ -1295,7 +1360,26 @@ router.get("/me/payout-transactions", verifyTechnician, async (req, res) => {
       created_at: row.created_at,
     }));
 
-    res.json(transactions);
+    // Bank transfers from payout batches, interleaved with the job payments they pay out.
+    const payouts = (await listTechnicianPayouts(technicianId, { limit })).map((payout) => ({
+      entry_type: "payout",
+      payout_id: payout.id,
+      batch_id: payout.batchId,
+      status: payout.status,
+      gross_amount: payout.grossAmount,
+      netted_dues_amount: payout.nettedDuesAmount,
+      amount: payout.amount,
+      reference: payout.reference,
+      failure_reason: payout.failureReason,
+      created_at: payout.createdAt,
+      processed_at: payout.processedAt,
+    }));
+
+    res.json(
+      [...transactions, ...payouts]
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .slice(0, limit)
+    );
   } catch (err) {
     console.error("Fetch payout transactions error:", err);
     res.status(500).json({ error: "Failed to fetch payout transactions" });
@@ -1446,6 +1530,41 @@ router.get("/me/financials", verifyTechnician, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/technicians/me/ledger/balance
+ * Ledger balance: owed to the technician (payable), platform fees held in cash, and the net
+ */
+router.get("/me/ledger/balance", verifyTechnician, async (req, res) => {
+  try {
+    const balance = await getTechnicianLedgerBalance(req.technicianId);
+    res.json(balance);
+  } catch (err) {
+    console.error("Fetch ledger balance error:", err);
+    res.status(500).json({ error: "Failed to fetch ledger balance" });
+  }
+});
+
+/**
+ * GET /api/technicians/me/ledger/statement?from=&to=&limit=
+ * Ledger entries with running balance (default: last 30 days)
+ */
+router.get("/me/ledger/statement", verifyTechnician, async (req, res) => {
+  try {
+    const statement = await getTechnicianStatement(req.technicianId, {
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+    });
+    res.json(statement);
+  } catch (err) {
+    if (Number(err?.statusCode) < 500) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    console.error("Fetch ledger statement error:", err);
+    res.status(500).json({ error: "Failed to fetch ledger statement" });
+  }
+});
+
 /**
  * POST /api/technicians/me/pay-dues
  * Pay pending platform fees
@@ -1499,20 +1618,7 @@ router.post("/me/verify-dues", verifyTechnician, async (req, res) => {
     const conn = await pool.getConnection();
     try {
       await conn.beginTransaction();
-
-      await conn.execute(`
-        UPDATE payments p
-        JOIN service_requests sr ON p.service_request_id = sr.id
-        SET p.is_settled = TRUE
-        WHERE sr.technician_id = ? AND p.status = 'completed' AND p.is_settled = FALSE
-        `, [technicianId]);
-
-      // Keep legacy dues rows consistent if present.
-      await conn.execute(
-        "UPDATE technician_dues SET status = 'paid' WHERE technician_id = ? AND status = 'pending'",
-        [technicianId]
-      );
-
+      await settleTechnicianCashDues(conn, technicianId, razorpay_payment_id);
       await conn.commit();
     } catch (txErr) {
       await conn.rollback();
@@ -1590,7 +1696,7 @@ router.patch("/:id/approve", verifyAdmin, async (req, res) => {
         console.error("[Approval email failed]", mailErr?.message || mailErr);
       }
     }
-    socketService.broadcast("admin:technician_audit_update", {
+    socketService.notifyAdmins("admin:technician_audit_update", {
       technicianId: id,
       action: "approved",
       adminEmail: req.adminEmail || "unknown-admin",
@@ -1623,7 +1729,7 @@ router.patch("/:id/reject", verifyAdmin, async (req, res) => {
       VALUES (?, 'rejected', ?, 'rejected', ?, ?)`,
       [id, previousStatus, reason || "Rejected by admin", req.adminEmail || "unknown-admin"]
     );
-    socketService.broadcast("admin:technician_audit_update", {
+    socketService.notifyAdmins("admin:technician_audit_update", {
       technicianId: id,
       action: "rejected",
       adminEmail: req.adminEmail || "unknown-admin",
@@ -4,6 +4,7 @@ import {
     getServiceMatrixAmount,
     listSubscriptionPlans,
 } from "./platformPricing.js";
+import { listServiceZones } from "./serviceZoneService.js";
 
 const sessions = new Map();
 
@@ -13,6 +14,15 @@ const formatAmount = (currency, amount) => {
     return `${String(currency || "INR").toUpperCase()} ${Math.round(safe)}`;
 };
 
+async function resolveCoverageCities() {
+    try {
+        const zones = await listServiceZones();
+        return [...new Set(zones.map((zone) => zone.city || zone.name).filter(Boolean))];
+    } catch {
+        return [];
+    }
+}
+
 async function resolvePricingConfig() {
     try {
         return await getPlatformPricingConfig();
@@ -93,7 +103,9 @@ class ChatbotService {
 
         // AVAILABILITY
         if (lower.includes("available") || lower.includes("where") || lower.includes("location") || lower.includes("city") || lower.includes("area")) {
-            return { text: "We are active in major cities including Coimbatore, Chennai, and Bangalore. You can check exact technician availability by allowing location access on the home page." };
+            const cities = await resolveCoverageCities();
+            const cityText = cities.length > 0 ? cities.join(", ") : "Coimbatore, Chennai, and Bangalore";
+            return { text: `We are active in major cities including ${cityText}. You can check exact technician availability by allowing location access on the home page.` };
         }
 
         // TRACKING
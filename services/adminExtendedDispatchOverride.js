@@ -2,6 +2,7 @@ import { getPool } from "../db.js";
 import { jobDispatchService } from "./jobDispatchService.js";
 import { socketService } from "./socket.js";
 import { closeRequestWithFinanceSync } from "./requestClosureService.js";
+import { REQUEST_ACTORS } from "./requestStateMachine.js";
 
 function adminExtendedParsePositiveInt(value, fieldName) {
   const parsed = Number(value);
@@ -18,11 +19,14 @@ function adminExtendedNormalizeCloseStatus(value) {
   return normalized === "completed" ? "completed" : "cancelled";
 }
 
-export async function adminExtendedForceAssign({ requestId, technicianId }) {
+export async function adminExtendedForceAssign({ requestId, technicianId, adminId = null }) {
   const parsedRequestId = adminExtendedParsePositiveInt(requestId, "requestId");
   const parsedTechnicianId = adminExtendedParsePositiveInt(technicianId, "technicianId");
 
-  const result = await jobDispatchService.acceptJob(parsedTechnicianId, parsedRequestId);
+  const result = await jobDispatchService.acceptJob(parsedTechnicianId, parsedRequestId, {
+    actor: REQUEST_ACTORS.ADMIN,
+    actorId: adminId,
+  });
   return {
     requestId: parsedRequestId,
     technicianId: parsedTechnicianId,
@@ -58,13 +62,15 @@ export async function adminExtendedReRouteSearchRadius({ requestId, radiusKm })
   };
 }
 
-export async function adminExtendedManualCloseRequest({ requestId, status, reason }) {
+export async function adminExtendedManualCloseRequest({ requestId, status, reason, adminId = null }) {
   const parsedRequestId = adminExtendedParsePositiveInt(requestId, "requestId");
   const closeStatus = adminExtendedNormalizeCloseStatus(status);
   const result = await closeRequestWithFinanceSync({
     requestId: parsedRequestId,
     status: closeStatus,
     reason: reason || "Closed by adminExtended override",
+    actor: REQUEST_ACTORS.ADMIN,
+    actorId: adminId,
   });
 
   if (result.userId) {
@@ -81,25 +87,25 @@ export async function adminExtendedManualCloseRequest({ requestId, status, reaso
     });
   }
 
-  socketService.broadcast("admin:dispatch_override", {
+  socketService.notifyAdmins("admin:dispatch_override", {
     requestId: parsedRequestId,
     status: result.status,
     reason: reason || null,
     at: new Date().toISOString(),
   });
-  socketService.broadcast("admin:request_status_updated", {
+  socketService.notifyAdmins("admin:request_status_updated", {
     requestId: parsedRequestId,
     status: result.status,
     previousStatus: result.previousStatus,
     at: new Date().toISOString(),
   });
-  socketService.broadcast("admin:payment_update", {
+  socketService.notifyAdmins("admin:payment_update", {
     requestId: parsedRequestId,
     status: result.status,
     paymentRowsUpdated: result.paymentRowsUpdated,
     at: new Date().toISOString(),
   });
-  socketService.broadcast("admin:analytics_update", {
+  socketService.notifyAdmins("admin:analytics_update", {
     requestId: parsedRequestId,
     status: result.status,
     at: new Date().toISOString(),
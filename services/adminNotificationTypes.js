@@ -2,6 +2,8 @@ export const ADMIN_NOTIFICATION_TYPES = Object.freeze({
   NEW_TECHNICIAN_APPLICATION: "NEW_TECHNICIAN_APPLICATION",
   TECHNICIAN_APPROVED: "TECHNICIAN_APPROVED",
   SYSTEM_ALERT: "SYSTEM_ALERT",
+  SLA_BREACH: "SLA_BREACH",
+  REFUND_UPDATE: "REFUND_UPDATE",
 });
 
 const ADMIN_NOTIFICATION_ALIASES = Object.freeze({
@@ -18,6 +20,12 @@ const ADMIN_NOTIFICATION_ALIASES = Object.freeze({
     "emergency_message",
     "technician_broadcast",
   ],
+  [ADMIN_NOTIFICATION_TYPES.SLA_BREACH]: [
+    "sla_breach",
+  ],
+  [ADMIN_NOTIFICATION_TYPES.REFUND_UPDATE]: [
+    "refund_update",
+  ],
 });
 
 export const ADMIN_NOTIFICATION_TYPE_FILTER_VALUES = Object.freeze(
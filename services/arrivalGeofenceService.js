@@ -0,0 +1,130 @@
+import { getPool } from "../db.js";
+import { REQUEST_ACTORS, transitionRequestStatus } from "./requestStateMachine.js";
+
+/**
+ * Automatic "arrived" detection from technician location pings.
+ * A technician on an `on-the-way`/`en-route` job is marked arrived once ARRIVAL_GEOFENCE_MIN_PINGS
+ * consecutive accurate pings fall within ARRIVAL_GEOFENCE_RADIUS_M of the request location, spanning
+ * at least ARRIVAL_GEOFENCE_DWELL_MS. A single ping outside the radius resets the count, so GPS
+ * jitter or a drive-by does not trigger arrival.
+ */
+
+const ARRIVAL_GEOFENCE_ENABLED = String(process.env.ARRIVAL_GEOFENCE_ENABLED || "true").toLowerCase() !== "false";
+const ARRIVAL_GEOFENCE_RADIUS_M = Math.max(20, Number(process.env.ARRIVAL_GEOFENCE_RADIUS_M || 100));
+const ARRIVAL_GEOFENCE_MIN_PINGS = Math.max(1, Math.floor(Number(process.env.ARRIVAL_GEOFENCE_MIN_PINGS || 2)));
+const ARRIVAL_GEOFENCE_DWELL_MS = Math.max(0, Number(process.env.ARRIVAL_GEOFENCE_DWELL_MS || 15000));
+const ARRIVAL_GEOFENCE_MAX_ACCURACY_M = Math.max(5, Number(process.env.ARRIVAL_GEOFENCE_MAX_ACCURACY_M || 75));
+// How long a technician's job lookup is reused before asking the database again.
+const JOB_REFRESH_MS = 30000;
+const EN_ROUTE_STATUSES = ["on-the-way", "en-route"];
+
+// technicianId -> { requestId, userId, lat, lng, lookedUpAt, insideCount, insideSince }
+const fenceState = new Map();
+
+function toCoordinate(value, limit) {
+  if (value == null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && Math.abs(parsed) <= limit ? parsed : null;
+}
+
+function haversineMeters(lat1, lon1, lat2, lon2) {
+  const r = 6371000;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+    Math.cos((lat2 * Math.PI) / 180) *
+    Math.sin(dLon / 2) *
+    Math.sin(dLon / 2);
+  return r * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+async function loadEnRouteJob(pool, technicianId) {
+  const [rows] = await pool.query(
+    `SELECT sr.id, sr.user_id, sr.location_lat, sr.location_lng
+     FROM technicians t
+     JOIN service_requests sr ON sr.id = t.current_job_id
+     WHERE t.id = ? AND sr.technician_id = t.id AND sr.status IN (?)
+     LIMIT 1`,
+    [technicianId, EN_ROUTE_STATUSES]
+  );
+  const row = rows?.[0];
+  const lat = toCoordinate(row?.location_lat, 90);
+  const lng = toCoordinate(row?.location_lng, 180);
+  if (!row || lat == null || lng == null) return null;
+  return { requestId: Number(row.id), userId: row.user_id, lat, lng };
+}
+
+/**
+ * Feed a location ping into the geofence. Returns
+ * { requestId, userId, technicianId, distanceMeters, arrivedAt, source: "geofence" }
+ * when this ping moved the request to `arrived`, otherwise null.
+ */
+export async function detectGeofenceArrival(technicianId, { latitude, longitude, accuracy } = {}) {
+  if (!ARRIVAL_GEOFENCE_ENABLED) return null;
+  const key = String(technicianId || "");
+  const lat = toCoordinate(latitude, 90);
+  const lng = toCoordinate(longitude, 180);
+  if (!key || lat == null || lng == null) return null;
+
+  // Imprecise fixes neither count towards arrival nor reset the streak.
+  const accuracyM = accuracy == null || accuracy === "" ? null : Number(accuracy);
+  if (Number.isFinite(accuracyM) && accuracyM > ARRIVAL_GEOFENCE_MAX_ACCURACY_M) return null;
+
+  const now = Date.now();
+  const pool = await getPool();
+  let state = fenceState.get(key);
+  if (!state || now - state.lookedUpAt >= JOB_REFRESH_MS) {
+    const job = await loadEnRouteJob(pool, key);
+    const sameJob = job && state?.requestId === job.requestId;
+    state = {
+      ...job,
+      lookedUpAt: now,
+      insideCount: sameJob ? state.insideCount : 0,
+      insideSince: sameJob ? state.insideSince : null,
+    };
+    fenceState.set(key, state);
+  }
+  if (!state.requestId) return null;
+
+  const distanceMeters = haversineMeters(lat, lng, state.lat, state.lng);
+  if (distanceMeters > ARRIVAL_GEOFENCE_RADIUS_M) {
+    state.insideCount = 0;
+    state.insideSince = null;
+    return null;
+  }
+
+  state.insideCount += 1;
+  state.insideSince = state.insideSince ?? now;
+  if (state.insideCount < ARRIVAL_GEOFENCE_MIN_PINGS || now - state.insideSince < ARRIVAL_GEOFENCE_DWELL_MS) {
+    return null;
+  }
+
+  // `fromStatuses` makes this a no-op if the technician (or another instance) got there first.
+  const arrivedAt = new Date(now);
+  const roundedDistance = Math.round(distanceMeters);
+  fenceState.delete(key);
+  const result = await transitionRequestStatus(pool, {
+    requestId: state.requestId,
+    to: "arrived",
+    actor: REQUEST_ACTORS.SYSTEM,
+    fromStatuses: EN_ROUTE_STATUSES,
+    reason: "geofence",
+    set: { arrived_at: arrivedAt, arrival_source: "geofence", arrival_distance_m: roundedDistance },
+    metadata: { technicianId: Number(key), distanceMeters: roundedDistance },
+  });
+  if (!result?.changed) return null;
+
+  console.log(
+    `[Geofence] Request #${state.requestId} marked arrived for technician ${key} (${roundedDistance} m).`
+  );
+  return {
+    requestId: state.requestId,
+    userId: state.userId,
+    technicianId: Number(key),
+    distanceMeters: roundedDistance,
+    arrivedAt: arrivedAt.toISOString(),
+    source: "geofence",
+  };
+}
@@ -0,0 +1,547 @@
+import { getPool } from "../db.js";
+import { postCancellationFee, postUserDuePayment, postUserDueWaiver } from "./ledgerService.js";
+import { getRequestLocationReplay } from "./locationBreadcrumbService.js";
+import { dispatchOutboxSoon, enqueueOutbox, outboxInvoicePdf, outboxNotifyTechnician, outboxNotifyUser } from "./outboxService.js";
+import { queueCancellationRefunds } from "./refundService.js";
+import { REQUEST_STATUSES, normalizeRequestStatus } from "./requestStateMachine.js";
+
+/**
+ * Cancellation fees for customer cancellations.
+ * Admins keep rules in cancellation_fee_rules. A rule applies when the request's status matches
+ * (or the rule uses '*'), the technician accepted at least `min_elapsed_minutes` ago and has
+ * travelled at least `min_distance_km`. The fee is `flat_fee + per_km_fee * distance`, capped at
+ * `max_fee`; when several rules match the highest fee wins.
+ *
+ * The fee is kept back from the refund of a captured online payment first. Whatever that does not
+ * cover becomes a user due that must be paid before the next booking. The technician is credited
+ * `technician_share_percent` of the fee straight away, and a cancellation invoice is issued.
+ */
+
+// Pending dues block new bookings unless CANCELLATION_DUES_BLOCK_BOOKING=false.
+export const CANCELLATION_DUES_BLOCK_BOOKING =
+  String(process.env.CANCELLATION_DUES_BLOCK_BOOKING ?? "true").trim().toLowerCase() !== "false";
+
+const CANCELLATION_DUE_TYPE = "cancellation_fee";
+const RULE_STATUSES = new Set(["*", ...REQUEST_STATUSES.filter((status) => !["completed", "cancelled", "paid"].includes(status))]);
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function toNonNegativeNumber(value, label, { allowNull = false } = {}) {
+  if (value == null || value === "") {
+    if (allowNull) return null;
+    return 0;
+  }
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw createHttpError(`${label} must be a non-negative number.`, 400);
+  }
+  return parsed;
+}
+
+function toPositiveId(value, label) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createHttpError(`${label} must be a positive integer.`, 400);
+  }
+  return parsed;
+}
+
+function serializeRule(row) {
+  return {
+    id: Number(row.id),
+    name: row.name || null,
+    status: row.status,
+    minElapsedMinutes: Number(row.min_elapsed_minutes || 0),
+    minDistanceKm: Number(row.min_distance_km || 0),
+    flatFee: roundMoney(row.flat_fee),
+    perKmFee: roundMoney(row.per_km_fee),
+    maxFee: row.max_fee == null ? null : roundMoney(row.max_fee),
+    technicianSharePercent: Number(row.technician_share_percent || 0),
+    isActive: Boolean(row.is_active),
+    updatedBy: row.updated_by || null,
+    updatedAt: row.updated_at || null,
+  };
+}
+
+function serializeDue(row) {
+  return {
+    id: Number(row.id),
+    userId: Number(row.user_id),
+    requestId: row.service_request_id == null ? null : Number(row.service_request_id),
+    type: row.due_type,
+    amount: roundMoney(row.amount),
+    reason: row.reason || null,
+    status: row.status,
+    razorpayOrderId: row.razorpay_order_id || null,
+    razorpayPaymentId: row.razorpay_payment_id || null,
+    resolvedBy: row.resolved_by || null,
+    paidAt: row.paid_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+export async function listCancellationFeeRules({ includeInactive = false } = {}) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM cancellation_fee_rules
+     ${includeInactive ? "" : "WHERE is_active = TRUE"}
+     ORDER BY status = '*' ASC, status ASC, min_elapsed_minutes ASC, min_distance_km ASC, id ASC`
+  );
+  return (rows || []).map(serializeRule);
+}
+
+/**
+ * Create a rule, or update `ruleId` when given. Field names follow the table columns.
+ */
+export async function saveCancellationFeeRule(input = {}, adminId = null, ruleId = null) {
+  const status = input.status == null || input.status === "" ? "*" : normalizeRequestStatus(input.status) || String(input.status);
+  if (!RULE_STATUSES.has(status)) {
+    throw createHttpError(`status must be '*' or one of: ${[...RULE_STATUSES].filter((s) => s !== "*").join(", ")}.`, 400);
+  }
+  const technicianSharePercent = toNonNegativeNumber(input.technician_share_percent, "technician_share_percent");
+  if (technicianSharePercent > 100) {
+    throw createHttpError("technician_share_percent cannot exceed 100.", 400);
+  }
+  const values = {
+    name: input.name ? String(input.name).trim().slice(0, 120) : null,
+    status,
+    min_elapsed_minutes: Math.floor(toNonNegativeNumber(input.min_elapsed_minutes, "min_elapsed_minutes")),
+    min_distance_km: roundMoney(toNonNegativeNumber(input.min_distance_km, "min_distance_km")),
+    flat_fee: roundMoney(toNonNegativeNumber(input.flat_fee, "flat_fee")),
+    per_km_fee: roundMoney(toNonNegativeNumber(input.per_km_fee, "per_km_fee")),
+    max_fee: toNonNegativeNumber(input.max_fee, "max_fee", { allowNull: true }),
+    technician_share_percent: technicianSharePercent,
+    is_active: input.is_active === undefined ? true : Boolean(input.is_active),
+  };
+  if (!(values.flat_fee > 0) && !(values.per_km_fee > 0)) {
+    throw createHttpError("A rule needs a flat_fee or a per_km_fee.", 400);
+  }
+
+  const pool = await getPool();
+  const columns = Object.keys(values);
+  if (ruleId) {
+    const [result] = await pool.query(
+      `UPDATE cancellation_fee_rules
+       SET ${columns.map((column) => `${column} = ?`).join(", ")}, updated_by = ?
+       WHERE id = ?`,
+      [...Object.values(values), adminId, toPositiveId(ruleId, "ruleId")]
+    );
+    if (!result?.affectedRows) throw createHttpError("Cancellation fee rule not found.", 404);
+  } else {
+    const [result] = await pool.query(
+      `INSERT INTO cancellation_fee_rules (${columns.join(", ")}, updated_by) VALUES (?)`,
+      [[...Object.values(values), adminId]]
+    );
+    ruleId = result.insertId;
+  }
+
+  const [rows] = await pool.query("SELECT * FROM cancellation_fee_rules WHERE id = ?", [ruleId]);
+  return serializeRule(rows[0]);
+}
+
+export async function deactivateCancellationFeeRule(ruleId, adminId = null) {
+  const pool = await getPool();
+  const [result] = await pool.query(
+    "UPDATE cancellation_fee_rules SET is_active = FALSE, updated_by = ? WHERE id = ? AND is_active = TRUE",
+    [adminId, toPositiveId(ruleId, "ruleId")]
+  );
+  return Number(result?.affectedRows || 0) > 0;
+}
+
+async function loadCancellationContext(db, requestId, technicianId) {
+  const [rows] = await db.query(
+    `SELECT TIMESTAMPDIFF(SECOND,
+              COALESCE(
+                (SELECT MAX(e.created_at)
+                 FROM service_request_events e
+                 WHERE e.service_request_id = sr.id AND e.event_type = 'status_changed' AND e.to_status = 'accepted'),
+                sr.started_at
+              ),
+              NOW()) AS engaged_seconds
+     FROM service_requests sr
+     WHERE sr.id = ?
+     LIMIT 1`,
+    [requestId]
+  );
+  const elapsedMinutes = Math.max(0, Math.floor(Number(rows?.[0]?.engaged_seconds || 0) / 60));
+
+  let distanceKm = 0;
+  if (technicianId) {
+    const replay = await getRequestLocationReplay(requestId);
+    const trail = replay.summary.technicians.find((entry) => String(entry.technicianId) === String(technicianId));
+    distanceKm = trail ? Number(trail.distanceKm) || 0 : 0;
+  }
+  return { elapsedMinutes, distanceKm };
+}
+
+function pickRule(rules, { status, elapsedMinutes, distanceKm }) {
+  let best = null;
+  for (const rule of rules) {
+    if (rule.status !== "*" && rule.status !== status) continue;
+    if (elapsedMinutes < rule.minElapsedMinutes || distanceKm < rule.minDistanceKm) continue;
+
+    let fee = rule.flatFee + rule.perKmFee * distanceKm;
+    if (rule.maxFee != null) fee = Math.min(fee, rule.maxFee);
+    fee = roundMoney(fee);
+    const specific = rule.status !== "*";
+    if (
+      !best ||
+      fee > best.fee ||
+      (fee === best.fee && specific && best.rule.status === "*")
+    ) {
+      best = { rule, fee };
+    }
+  }
+  return best;
+}
+
+/**
+ * Fee a customer would pay to cancel now. `status` and `technicianId` are the request's values
+ * before cancellation.
+ * Returns { amount, technicianCompensation, ruleId, status, elapsedMinutes, distanceKm }.
+ */
+export async function evaluateCancellationFee(db, { requestId, status, technicianId = null }) {
+  const normalizedStatus = normalizeRequestStatus(status);
+  const context = await loadCancellationContext(db, requestId, technicianId);
+  const rules = await listCancellationFeeRules();
+  const match = pickRule(rules, { status: normalizedStatus, ...context });
+  const amount = match ? match.fee : 0;
+  return {
+    amount,
+    technicianCompensation: technicianId && match
+      ? roundMoney((amount * match.rule.technicianSharePercent) / 100)
+      : 0,
+    ruleId: match ? match.rule.id : null,
+    status: normalizedStatus,
+    elapsedMinutes: context.elapsedMinutes,
+    distanceKm: roundMoney(context.distanceKm),
+  };
+}
+
+/**
+ * Fee preview for the customer's cancel screen.
+ */
+export async function quoteCancellationFee(requestId, userId) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    "SELECT id, status, technician_id FROM service_requests WHERE id = ? AND user_id = ? LIMIT 1",
+    [requestId, userId]
+  );
+  if (!rows?.[0]) throw createHttpError("Request not found or unauthorized.", 404);
+  return evaluateCancellationFee(pool, {
+    requestId: rows[0].id,
+    status: rows[0].status,
+    technicianId: rows[0].technician_id,
+  });
+}
+
+async function issueCancellationInvoice(conn, { requestId, fee, technicianId }) {
+  const [rows] = await conn.query(
+    `SELECT sr.id, sr.user_id, sr.address, sr.service_type, sr.vehicle_type,
+            u.full_name AS customer_name, u.phone AS customer_phone
+     FROM service_requests sr
+     JOIN users u ON u.id = sr.user_id
+     WHERE sr.id = ?
+     LIMIT 1`,
+    [requestId]
+  );
+  const request = rows?.[0];
+  if (!request) return null;
+
+  const orderId = `cancel_${requestId}`;
+  const invoiceData = (invoiceId) => ({
+    invoiceId,
+    title: "CANCELLATION INVOICE",
+    orderId,
+    requestId,
+    customerName: request.customer_name || "Customer",
+    customerPhone: request.customer_phone || "N/A",
+    customerAddress: request.address || "N/A",
+    serviceType: request.service_type || "Roadside Assistance",
+    vehicleType: request.vehicle_type || "Vehicle",
+    lineItems: [{
+      item: "Cancellation",
+      description: `Cancellation fee for request #${requestId}${fee.distanceKm > 0 ? ` (${fee.distanceKm} km travelled)` : ""}`,
+      amount: fee.amount,
+    }],
+    gst: 0,
+    totalAmount: fee.amount,
+  });
+
+  const [insertResult] = await conn.query(
+    `INSERT INTO invoices
+       (user_id, order_id, amount, status, service_request_id, technician_id, platform_fee,
+        technician_amount, surge_amount, gst, total_amount, invoice_type)
+     VALUES (?, ?, ?, 'GENERATED', ?, ?, ?, ?, 0, 0, ?, 'cancellation')`,
+    [
+      request.user_id,
+      orderId,
+      fee.amount,
+      requestId,
+      technicianId || null,
+      roundMoney(fee.amount - fee.technicianCompensation),
+      fee.technicianCompensation,
+      fee.amount,
+    ]
+  );
+  const invoiceId = insertResult.insertId;
+  // The PDF is rendered by the outbox after commit so pdfkit does not run under this transaction's locks.
+  return {
+    invoiceId,
+    outboxEntry: outboxInvoicePdf(invoiceId, invoiceData(invoiceId), { dedupeKey: `cancel_invoice:${requestId}` }),
+  };
+}
+
+/**
+ * Everything money-related for a customer cancellation, inside the cancelling transaction and
+ * after the status change: evaluate the fee, queue refunds net of it, record any remainder as a
+ * user due, credit the technician for the part collected and issue the cancellation invoice.
+ * `previousStatus` and `technicianId` are the values from before the cancellation.
+ * Returns { refund, cancellationFee } where `refund` goes to submitQueuedRefunds() after commit.
+ */
+export async function settleUserCancellation(conn, { requestId, userId, previousStatus, technicianId = null, reason = null }) {
+  const fee = await evaluateCancellationFee(conn, { requestId, status: previousStatus, technicianId });
+
+  const refund = await queueCancellationRefunds(conn, {
+    requestId,
+    previousStatus,
+    actor: "user",
+    actorId: userId,
+    reason,
+    withholdAmount: fee.amount,
+  });
+  if (!(fee.amount > 0)) {
+    return { refund, cancellationFee: null };
+  }
+
+  const dueAmount = roundMoney(fee.amount - refund.withheldAmount);
+  // The technician is only credited for fee money actually collected: their share of the part kept
+  // from a payment now, and the share of the due when the customer pays it (markUserDuePaid()).
+  const compensation = technicianId ? fee.technicianCompensation : 0;
+  const compensationNow = roundMoney((compensation * refund.withheldAmount) / fee.amount);
+  const compensationOnDue = roundMoney(compensation - compensationNow);
+  let dueId = null;
+  if (dueAmount > 0) {
+    const [dueResult] = await conn.query(
+      `INSERT INTO user_dues (user_id, service_request_id, due_type, amount, technician_id, technician_compensation, reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE id = id`,
+      [
+        userId,
+        requestId,
+        CANCELLATION_DUE_TYPE,
+        dueAmount,
+        compensationOnDue > 0 ? technicianId : null,
+        compensationOnDue,
+        `Cancellation fee for request #${requestId}`,
+      ]
+    );
+    dueId = dueResult?.insertId || null;
+  }
+
+  await conn.query(
+    "UPDATE service_requests SET cancellation_fee = ?, cancellation_fee_technician_amount = ? WHERE id = ?",
+    [fee.amount, fee.technicianCompensation, requestId]
+  );
+
+  const outboxEntries = [];
+  if (compensationNow > 0) {
+    await conn.query(
+      "UPDATE technicians SET total_earnings = total_earnings + ? WHERE id = ?",
+      [compensationNow, technicianId]
+    );
+    outboxEntries.push(outboxNotifyTechnician(technicianId, "job:cancellation_compensation", {
+      requestId: Number(requestId),
+      amount: compensationNow,
+      pendingAmount: compensationOnDue,
+    }, { dedupeKey: `cancel_fee:${requestId}` }));
+  }
+
+  await postCancellationFee(conn, {
+    requestId,
+    technicianId,
+    amount: fee.amount,
+    technicianCompensation: compensationNow,
+    collectedFromPayment: refund.withheldAmount,
+    dueAmount,
+  });
+
+  const invoice = await issueCancellationInvoice(conn, { requestId, fee, technicianId });
+  const invoiceId = invoice?.invoiceId || null;
+  if (invoice) outboxEntries.push(invoice.outboxEntry);
+  const cancellationFee = {
+    amount: fee.amount,
+    technicianCompensation: fee.technicianCompensation,
+    technicianCompensationOnDue: compensationOnDue,
+    collectedFromPayment: refund.withheldAmount,
+    dueAmount,
+    dueId,
+    invoiceId,
+    ruleId: fee.ruleId,
+    elapsedMinutes: fee.elapsedMinutes,
+    distanceKm: fee.distanceKm,
+  };
+  outboxEntries.push(outboxNotifyUser(userId, "payment:cancellation_fee", {
+    requestId: Number(requestId),
+    ...cancellationFee,
+  }, { dedupeKey: `cancel_fee:${requestId}` }));
+  await enqueueOutbox(conn, outboxEntries);
+
+  return { refund, cancellationFee };
+}
+
+export async function listUserDues(userId, { status = "pending" } = {}) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM user_dues
+     WHERE user_id = ?${status && status !== "all" ? " AND status = ?" : ""}
+     ORDER BY id DESC`,
+    status && status !== "all" ? [userId, status] : [userId]
+  );
+  return (rows || []).map(serializeDue);
+}
+
+export async function getPendingDuesTotal(userId) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    "SELECT COALESCE(SUM(amount), 0) AS total FROM user_dues WHERE user_id = ? AND status = 'pending'",
+    [userId]
+  );
+  return roundMoney(rows?.[0]?.total);
+}
+
+export async function listAllUserDues({ status = "pending", userId = null, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status && status !== "all") {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (userId) {
+    where.push("user_id = ?");
+    params.push(toPositiveId(userId, "userId"));
+  }
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM user_dues
+     ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT ?`,
+    [...params, Math.min(500, Math.max(1, Number(limit) || 100))]
+  );
+  return (rows || []).map(serializeDue);
+}
+
+export async function getUserDue(dueId, userId = null) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM user_dues WHERE id = ?${userId ? " AND user_id = ?" : ""} LIMIT 1`,
+    userId ? [toPositiveId(dueId, "dueId"), userId] : [toPositiveId(dueId, "dueId")]
+  );
+  return rows?.[0] ? serializeDue(rows[0]) : null;
+}
+
+export async function attachDueOrder(dueId, orderId) {
+  const pool = await getPool();
+  await pool.query(
+    "UPDATE user_dues SET razorpay_order_id = ? WHERE id = ? AND status = 'pending'",
+    [orderId, dueId]
+  );
+}
+
+/**
+ * Mark a due paid by a captured Razorpay payment and credit the technician's share of it.
+ * Idempotent; returns the due, or null when the order does not belong to it.
+ */
+export async function markUserDuePaid({ dueId, orderId, paymentId }) {
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  let credited = false;
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      `UPDATE user_dues
+       SET status = 'paid', razorpay_payment_id = ?, paid_at = NOW()
+       WHERE id = ? AND razorpay_order_id = ? AND status = 'pending'`,
+      [paymentId, dueId, orderId]
+    );
+    const [rows] = await conn.query(
+      "SELECT * FROM user_dues WHERE id = ? AND razorpay_order_id = ? LIMIT 1",
+      [dueId, orderId]
+    );
+    const due = rows?.[0];
+    if (result?.affectedRows && due) {
+      const compensation = due.technician_id ? roundMoney(due.technician_compensation) : 0;
+      await postUserDuePayment(conn, {
+        dueId: due.id,
+        requestId: due.service_request_id,
+        amount: due.amount,
+        gatewayPaymentId: paymentId,
+        technicianId: due.technician_id,
+        technicianCompensation: compensation,
+      });
+      if (compensation > 0) {
+        await conn.query(
+          "UPDATE technicians SET total_earnings = total_earnings + ? WHERE id = ?",
+          [compensation, due.technician_id]
+        );
+        await enqueueOutbox(conn, outboxNotifyTechnician(due.technician_id, "job:cancellation_compensation", {
+          requestId: Number(due.service_request_id),
+          amount: compensation,
+          pendingAmount: 0,
+        }, { dedupeKey: `cancel_fee:${due.service_request_id}:due:${due.id}` }));
+        credited = true;
+      }
+    }
+    await conn.commit();
+    if (credited) dispatchOutboxSoon();
+    return due ? serializeDue(due) : null;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+export async function waiveUserDue(dueId, adminId = null) {
+  const id = toPositiveId(dueId, "dueId");
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [rows] = await conn.query(
+      "SELECT id, service_request_id, amount FROM user_dues WHERE id = ? AND status = 'pending' FOR UPDATE",
+      [id]
+    );
+    if (!rows?.[0]) {
+      await conn.commit();
+      return false;
+    }
+    await conn.query(
+      "UPDATE user_dues SET status = 'waived', resolved_by = ?, paid_at = NOW() WHERE id = ?",
+      [adminId, id]
+    );
+    await postUserDueWaiver(conn, {
+      dueId: id,
+      requestId: rows[0].service_request_id,
+      amount: rows[0].amount,
+      adminId,
+    });
+    await conn.commit();
+    return true;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
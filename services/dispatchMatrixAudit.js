@@ -6,6 +6,8 @@ import {
   parseVehicleTypes,
   serviceDomainsFromCosts,
 } from "./serviceNormalization.js";
+import { isWithinWorkingHours } from "./workingHours.js";
+import { listServiceZones } from "./serviceZoneService.js";
 
 const DEFAULT_AUDIT_SERVICE_DOMAINS = [
   "towing",
@@ -20,6 +22,7 @@ const DEFAULT_AUDIT_SERVICE_DOMAINS = [
 
 const DEFAULT_AUDIT_VEHICLE_TYPES = ["bike", "car", "commercial", "ev"];
 
+// Used only when no technician has coordinates and no service zone is configured.
 const FALLBACK_AUDIT_LOCATION = { lat: 11.0168, lng: 76.9558 }; // Coimbatore
 
 const safeParse = (value) => {
@@ -65,7 +68,17 @@ function supportsCombo(tech, serviceDomain, vehicleType) {
   return domains.includes(serviceDomain) && vehicles.includes(vehicleType);
 }
 
-function chooseProbeLocation(technicians, comboTechnicians) {
+async function resolveFallbackLocation() {
+  try {
+    const zone = (await listServiceZones()).find((entry) => entry.center_lat != null && entry.center_lng != null);
+    if (zone) return { lat: zone.center_lat, lng: zone.center_lng, source: `zone_${zone.id}` };
+  } catch (err) {
+    console.error("[DispatchMatrixAudit] Zone lookup failed:", err?.message || err);
+  }
+  return { ...FALLBACK_AUDIT_LOCATION, source: "fallback_default" };
+}
+
+function chooseProbeLocation(technicians, comboTechnicians, fallbackLocation) {
   const comboWithCoords = (comboTechnicians || []).find(hasValidCoords);
   if (comboWithCoords) {
     return {
@@ -84,10 +97,10 @@ function chooseProbeLocation(technicians, comboTechnicians) {
     };
   }
 
-  return { ...FALLBACK_AUDIT_LOCATION, source: "fallback_default" };
+  return fallbackLocation;
 }
 
-function buildProbeLocations(technicians, comboTechs, readyTechsWithCoords) {
+function buildProbeLocations(technicians, comboTechs, readyTechsWithCoords, fallbackLocation) {
   const probes = [];
   const seen = new Set();
 
@@ -102,7 +115,7 @@ function buildProbeLocations(technicians, comboTechs, readyTechsWithCoords) {
 
   if (probes.length > 0) return probes;
 
-  const fallbackProbe = chooseProbeLocation(technicians, comboTechs);
+  const fallbackProbe = chooseProbeLocation(technicians, comboTechs, fallbackLocation);
   return [fallbackProbe];
 }
 
@@ -120,6 +133,8 @@ function buildTechnicianPoolSummary(technicians) {
   const withValidCoords = technicians.filter(hasValidCoords).length;
   const missingVehicleProfile = technicians.filter((t) => getTechnicianVehicleFamilies(t).length === 0).length;
   const missingServiceProfile = technicians.filter((t) => getTechnicianDomains(t).length === 0).length;
+  const now = new Date();
+  const outsideWorkingHours = technicians.filter((t) => !isWithinWorkingHours(t.working_hours, now)).length;
 
   return {
     total,
@@ -130,6 +145,7 @@ function buildTechnicianPoolSummary(technicians) {
     with_valid_coords: withValidCoords,
     missing_vehicle_profile: missingVehicleProfile,
     missing_service_profile: missingServiceProfile,
+    outside_working_hours: outsideWorkingHours,
   };
 }
 
@@ -164,6 +180,7 @@ export async function runDispatchMatrixAudit(options = {}) {
   const pool = poolOverride || (await db.getPool());
   const [rows] = await pool.query("SELECT * FROM technicians");
   const technicians = rows || [];
+  const fallbackLocation = await resolveFallbackLocation();
 
   const matrix = [];
   const statusCounts = {
@@ -185,7 +202,7 @@ export async function runDispatchMatrixAudit(options = {}) {
       );
       const readyCount = readyTechsWithCoords.length;
 
-      const probeLocations = buildProbeLocations(technicians, configuredTechs, readyTechsWithCoords);
+      const probeLocations = buildProbeLocations(technicians, configuredTechs, readyTechsWithCoords, fallbackLocation);
       let bestEligibleNow = -1;
       let bestCriteria = null;
       let bestReasonCounts = {};
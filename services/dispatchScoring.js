@@ -0,0 +1,307 @@
+import { getPool } from "../db.js";
+
+const CACHE_TTL_MS = Math.max(5000, Number(process.env.DISPATCH_SCORING_CACHE_TTL_MS || 30000));
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const round4 = (value) => Math.round((Number(value) + Number.EPSILON) * 10000) / 10000;
+
+export const DISPATCH_SCORING_FACTORS = Object.freeze([
+  "eta",
+  "rating",
+  "acceptance",
+  "completion",
+  "cancellations",
+  "workload",
+]);
+
+export const DEFAULT_DISPATCH_SCORING_CONFIG = Object.freeze({
+  id: null,
+  weights: Object.freeze({
+    eta: 0.45,
+    rating: 0.2,
+    acceptance: 0.15,
+    completion: 0.1,
+    cancellations: 0.05,
+    workload: 0.05,
+  }),
+  // ETA at or beyond this scores 0 on the eta factor.
+  eta_reference_seconds: 1800,
+  // Look-back window for acceptance/completion/cancellation history.
+  stats_window_days: 30,
+});
+
+const toNonNegativeNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+const parseJson = (value) => {
+  if (value == null) return null;
+  if (typeof value === "string") {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return null;
+    }
+  }
+  return value;
+};
+
+function normalizeWeights(rawWeights, fallback = DEFAULT_DISPATCH_SCORING_CONFIG.weights) {
+  const parsed = parseJson(rawWeights) || {};
+  const weights = {};
+  DISPATCH_SCORING_FACTORS.forEach((factor) => {
+    weights[factor] = toNonNegativeNumber(parsed[factor], fallback[factor]);
+  });
+  return weights;
+}
+
+function normalizeConfigRow(row) {
+  const fallback = DEFAULT_DISPATCH_SCORING_CONFIG;
+  const weights = normalizeWeights(row?.weights);
+  const totalWeight = Object.values(weights).reduce((sum, value) => sum + value, 0);
+  return {
+    id: row?.id ? Number(row.id) : null,
+    weights: totalWeight > 0 ? weights : clone(fallback.weights),
+    eta_reference_seconds: Math.max(60, toNonNegativeNumber(row?.eta_reference_seconds, fallback.eta_reference_seconds)),
+    stats_window_days: Math.max(1, Math.round(toNonNegativeNumber(row?.stats_window_days, fallback.stats_window_days))),
+    updated_by: row?.updated_by || null,
+    updated_at: row?.updated_at || null,
+  };
+}
+
+let cachedConfig = null;
+let cacheTimestamp = 0;
+
+export async function getDispatchScoringConfig({ forceRefresh = false } = {}) {
+  const isFresh = cachedConfig && (Date.now() - cacheTimestamp < CACHE_TTL_MS);
+  if (!forceRefresh && isFresh) {
+    return clone(cachedConfig);
+  }
+
+  try {
+    const pool = await getPool();
+    const [rows] = await pool.query(
+      "SELECT * FROM dispatch_scoring_config WHERE is_active = TRUE ORDER BY id DESC LIMIT 1"
+    );
+    cachedConfig = normalizeConfigRow(rows?.[0] || null);
+  } catch (err) {
+    console.error("[dispatchScoring] Falling back to defaults:", err?.message || err);
+    cachedConfig = normalizeConfigRow(null);
+  }
+  cacheTimestamp = Date.now();
+  return clone(cachedConfig);
+}
+
+/**
+ * Validate and store a new active scoring config. Unspecified fields keep their current value.
+ */
+export async function saveDispatchScoringConfig(input = {}, updatedBy = "admin") {
+  const current = await getDispatchScoringConfig({ forceRefresh: true });
+
+  if (input.weights != null && (typeof input.weights !== "object" || Array.isArray(input.weights))) {
+    const error = new Error("weights must be an object keyed by factor.");
+    error.statusCode = 400;
+    throw error;
+  }
+  const unknownFactors = Object.keys(input.weights || {}).filter((key) => !DISPATCH_SCORING_FACTORS.includes(key));
+  if (unknownFactors.length > 0) {
+    const error = new Error(`Unknown scoring factor(s): ${unknownFactors.join(", ")}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const invalidFactors = Object.entries(input.weights || {})
+    .filter(([, value]) => !(Number.isFinite(Number(value)) && Number(value) >= 0))
+    .map(([key]) => key);
+  if (invalidFactors.length > 0) {
+    const error = new Error(`Weights must be non-negative numbers: ${invalidFactors.join(", ")}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const weights = normalizeWeights({ ...current.weights, ...(input.weights || {}) }, current.weights);
+  if (Object.values(weights).reduce((sum, value) => sum + value, 0) <= 0) {
+    const error = new Error("At least one scoring weight must be greater than zero.");
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const etaReferenceSeconds = Math.max(
+    60,
+    toNonNegativeNumber(input.eta_reference_seconds, current.eta_reference_seconds)
+  );
+  const statsWindowDays = Math.max(
+    1,
+    Math.round(toNonNegativeNumber(input.stats_window_days, current.stats_window_days))
+  );
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    await conn.query("UPDATE dispatch_scoring_config SET is_active = FALSE WHERE is_active = TRUE");
+    await conn.query(
+      `INSERT INTO dispatch_scoring_config (weights, eta_reference_seconds, stats_window_days, updated_by, is_active)
+       VALUES (?, ?, ?, ?, TRUE)`,
+      [JSON.stringify(weights), etaReferenceSeconds, statsWindowDays, String(updatedBy || "admin")]
+    );
+    await conn.commit();
+  } catch (err) {
+    try { await conn.rollback(); } catch { /* ignore rollback errors */ }
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  return getDispatchScoringConfig({ forceRefresh: true });
+}
+
+/**
+ * Historical behaviour per technician over the config window, keyed by technician id.
+ */
+export async function loadTechnicianDispatchStats(technicianIds, config = DEFAULT_DISPATCH_SCORING_CONFIG) {
+  const ids = Array.from(
+    new Set((technicianIds || []).map((id) => Number(id)).filter((id) => Number.isInteger(id) && id > 0))
+  );
+  const stats = new Map(ids.map((id) => [String(id), {
+    offers_responded: 0,
+    offers_accepted: 0,
+    jobs_assigned: 0,
+    jobs_completed: 0,
+    recent_cancellations: 0,
+    open_offers: 0,
+    jobs_today: 0,
+  }]));
+  if (ids.length === 0) return stats;
+
+  const windowDays = Math.max(1, Number(config?.stats_window_days) || DEFAULT_DISPATCH_SCORING_CONFIG.stats_window_days);
+  const pool = await getPool();
+  const [[offerRows], [jobRows]] = await Promise.all([
+    pool.query(
+      `SELECT technician_id,
+              SUM(CASE WHEN status <> 'pending' AND sent_at >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN 1 ELSE 0 END) AS offers_responded,
+              SUM(CASE WHEN status = 'accepted' AND sent_at >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN 1 ELSE 0 END) AS offers_accepted,
+              SUM(CASE WHEN status = 'pending' AND (expires_at IS NULL OR expires_at > NOW()) THEN 1 ELSE 0 END) AS open_offers
+       FROM dispatch_offers
+       WHERE technician_id IN (?)
+       GROUP BY technician_id`,
+      [windowDays, windowDays, ids]
+    ),
+    pool.query(
+      `SELECT technician_id,
+              SUM(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN 1 ELSE 0 END) AS jobs_assigned,
+              SUM(CASE WHEN created_at >= DATE_SUB(NOW(), INTERVAL ? DAY) AND status IN ('completed', 'paid') THEN 1 ELSE 0 END) AS jobs_completed,
+              SUM(CASE WHEN status = 'cancelled' AND COALESCE(cancelled_at, updated_at) >= DATE_SUB(NOW(), INTERVAL ? DAY) THEN 1 ELSE 0 END) AS recent_cancellations,
+              SUM(CASE WHEN created_at >= CURDATE() THEN 1 ELSE 0 END) AS jobs_today
+       FROM service_requests
+       WHERE technician_id IN (?)
+       GROUP BY technician_id`,
+      [windowDays, windowDays, windowDays, ids]
+    ),
+  ]);
+
+  (offerRows || []).forEach((row) => {
+    const entry = stats.get(String(row.technician_id));
+    if (!entry) return;
+    entry.offers_responded = Number(row.offers_responded || 0);
+    entry.offers_accepted = Number(row.offers_accepted || 0);
+    entry.open_offers = Number(row.open_offers || 0);
+  });
+  (jobRows || []).forEach((row) => {
+    const entry = stats.get(String(row.technician_id));
+    if (!entry) return;
+    entry.jobs_assigned = Number(row.jobs_assigned || 0);
+    entry.jobs_completed = Number(row.jobs_completed || 0);
+    entry.recent_cancellations = Number(row.recent_cancellations || 0);
+    entry.jobs_today = Number(row.jobs_today || 0);
+  });
+
+  return stats;
+}
+
+// Laplace-smoothed ratio so technicians with little history start near 0.5 instead of 0 or 1.
+const smoothedRatio = (hits, total) => (Number(hits || 0) + 1) / (Number(total || 0) + 2);
+
+/**
+ * Score a single candidate. Every factor is normalized to 0..1 (higher is better) and the
+ * result is the weight-averaged sum, with the per-factor breakdown kept for audit.
+ */
+export function scoreCandidate(candidate, stats, config = DEFAULT_DISPATCH_SCORING_CONFIG) {
+  const weights = config?.weights || DEFAULT_DISPATCH_SCORING_CONFIG.weights;
+  const etaReference = Number(config?.eta_reference_seconds) || DEFAULT_DISPATCH_SCORING_CONFIG.eta_reference_seconds;
+  const history = stats || {};
+
+  const etaSeconds = Number(candidate?.etaSeconds);
+  const rating = Number(candidate?.rating);
+  const workload = Number(history.open_offers || 0) + Number(history.jobs_today || 0);
+
+  const factors = {
+    eta: {
+      value: Number.isFinite(etaSeconds) ? Math.round(etaSeconds) : null,
+      normalized: Number.isFinite(etaSeconds) ? Math.max(0, 1 - etaSeconds / etaReference) : 0,
+    },
+    rating: {
+      value: Number.isFinite(rating) ? rating : null,
+      normalized: Number.isFinite(rating) ? Math.min(1, Math.max(0, rating / 5)) : 0.5,
+    },
+    acceptance: {
+      value: { accepted: history.offers_accepted || 0, responded: history.offers_responded || 0 },
+      normalized: smoothedRatio(history.offers_accepted, history.offers_responded),
+    },
+    completion: {
+      value: { completed: history.jobs_completed || 0, assigned: history.jobs_assigned || 0 },
+      normalized: smoothedRatio(history.jobs_completed, history.jobs_assigned),
+    },
+    cancellations: {
+      value: history.recent_cancellations || 0,
+      normalized: 1 / (1 + Number(history.recent_cancellations || 0)),
+    },
+    workload: {
+      value: workload,
+      normalized: 1 / (1 + workload),
+    },
+  };
+
+  const totalWeight = DISPATCH_SCORING_FACTORS.reduce((sum, factor) => sum + Number(weights[factor] || 0), 0) || 1;
+  let score = 0;
+  const breakdown = {};
+  DISPATCH_SCORING_FACTORS.forEach((factor) => {
+    const weight = Number(weights[factor] || 0) / totalWeight;
+    const contribution = factors[factor].normalized * weight;
+    score += contribution;
+    breakdown[factor] = {
+      value: factors[factor].value,
+      normalized: round4(factors[factor].normalized),
+      weight: round4(weight),
+      contribution: round4(contribution),
+    };
+  });
+
+  return { score: round4(score), breakdown };
+}
+
+/**
+ * Attach dispatchScore/scoreBreakdown to each candidate and sort best-first (ETA breaks ties).
+ */
+export async function rankCandidates(candidates) {
+  if (!Array.isArray(candidates) || candidates.length === 0) return [];
+
+  const config = await getDispatchScoringConfig();
+  let stats = new Map();
+  try {
+    stats = await loadTechnicianDispatchStats(candidates.map((candidate) => candidate.id), config);
+  } catch (err) {
+    console.error("[dispatchScoring] Stats lookup failed; scoring without history:", err?.message || err);
+  }
+
+  candidates.forEach((candidate) => {
+    const { score, breakdown } = scoreCandidate(candidate, stats.get(String(candidate.id)), config);
+    candidate.dispatchScore = score;
+    candidate.scoreBreakdown = breakdown;
+  });
+
+  return candidates.sort((a, b) => {
+    if (b.dispatchScore !== a.dispatchScore) return b.dispatchScore - a.dispatchScore;
+    return a.etaSeconds - b.etaSeconds;
+  });
+}
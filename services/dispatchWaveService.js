@@ -0,0 +1,496 @@
+import { getPool } from "../db.js";
+import { jobDispatchService, DISPATCH_OFFER_TTL_SECONDS } from "./jobDispatchService.js";
+import { socketService } from "./socket.js";
+import { getPlatformPricingConfig, getSubscriptionPlanById } from "./platformPricing.js";
+import { getServiceZoneById } from "./serviceZoneService.js";
+
+const DISPATCH_WAVE_SIZE = Math.max(1, Number(process.env.DISPATCH_WAVE_SIZE || 5));
+const DISPATCH_MAX_WAVES = Math.max(1, Number(process.env.DISPATCH_MAX_WAVES || 4));
+const DISPATCH_WAVE_INITIAL_RADIUS_KM = Math.max(1, Number(process.env.DISPATCH_WAVE_INITIAL_RADIUS_KM || 10));
+const DISPATCH_WAVE_RADIUS_STEP_KM = Math.max(0, Number(process.env.DISPATCH_WAVE_RADIUS_STEP_KM || 10));
+const DISPATCH_WAVE_MAX_RADIUS_KM = Math.max(
+  DISPATCH_WAVE_INITIAL_RADIUS_KM,
+  Number(process.env.DISPATCH_WAVE_MAX_RADIUS_KM || 50)
+);
+const DISPATCH_WAVE_POLL_MS = Math.max(1000, Number(process.env.DISPATCH_WAVE_POLL_MS || 5000));
+// Subscription priority: per plan level, extra offers in the first wave and extra radius on every wave.
+const DISPATCH_PRIORITY_EXTRA_OFFERS = Math.max(0, Number(process.env.DISPATCH_PRIORITY_EXTRA_OFFERS || 3));
+const DISPATCH_PRIORITY_EXTRA_RADIUS_KM = Math.max(0, Number(process.env.DISPATCH_PRIORITY_EXTRA_RADIUS_KM || 5));
+
+// Structured reasons a technician can give when declining an offer.
+export const DISPATCH_DECLINE_REASONS = ["too_far", "no_equipment", "busy", "price_too_low", "other"];
+
+let waveMonitorTimer = null;
+let waveMonitorBusy = false;
+
+function toPositiveInt(value) {
+  const parsed = Number(value);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+}
+
+function isDispatchable(requestRow) {
+  return (
+    !!requestRow &&
+    requestRow.technician_id == null &&
+    String(requestRow.status || "").trim().toLowerCase() === "pending"
+  );
+}
+
+/**
+ * `initialRadiusKm` lets a service zone replace the default first-wave radius.
+ */
+export function resolveWaveRadiusKm(waveNumber, priorityLevel = 0, initialRadiusKm = null) {
+  const step = Math.max(0, Number(waveNumber) - 1);
+  const bonus = Math.max(0, Number(priorityLevel) || 0) * DISPATCH_PRIORITY_EXTRA_RADIUS_KM;
+  const initial = Number(initialRadiusKm) > 0 ? Number(initialRadiusKm) : DISPATCH_WAVE_INITIAL_RADIUS_KM;
+  return Math.min(
+    Math.max(DISPATCH_WAVE_MAX_RADIUS_KM, initial) + bonus,
+    initial + bonus + step * DISPATCH_WAVE_RADIUS_STEP_KM
+  );
+}
+
+async function resolveZoneDispatchRadius(jobRequest) {
+  if (!jobRequest?.zone_id) return null;
+  try {
+    const zone = await getServiceZoneById(jobRequest.zone_id);
+    return zone?.dispatch_radius_km || null;
+  } catch (err) {
+    console.error(`[DispatchWave] Zone lookup failed for request #${jobRequest.id}:`, err?.message || err);
+    return null;
+  }
+}
+
+function resolveWaveSize(waveNumber, priorityLevel = 0) {
+  if (Number(waveNumber) !== 1) return DISPATCH_WAVE_SIZE;
+  return DISPATCH_WAVE_SIZE + Math.max(0, Number(priorityLevel) || 0) * DISPATCH_PRIORITY_EXTRA_OFFERS;
+}
+
+/**
+ * Dispatch priority comes from the requester's subscription plan (plan.dispatch_priority).
+ * It is stored on the request so later waves and preemption checks use the same level.
+ */
+async function resolveRequestPriority(pool, jobRequest) {
+  if (jobRequest.dispatch_priority != null && Number(jobRequest.dispatch_priority) > 0) {
+    return Number(jobRequest.dispatch_priority);
+  }
+
+  let userId = jobRequest.user_id;
+  if (!userId) {
+    const [rows] = await pool.query("SELECT user_id FROM service_requests WHERE id = ? LIMIT 1", [jobRequest.id]);
+    userId = rows?.[0]?.user_id;
+  }
+  if (!userId) return 0;
+
+  const [userRows] = await pool.query("SELECT subscription FROM users WHERE id = ? LIMIT 1", [userId]);
+  const pricingConfig = await getPlatformPricingConfig();
+  const plan = getSubscriptionPlanById(userRows?.[0]?.subscription || "free", pricingConfig);
+  const level = plan && plan.active !== false ? Number(plan.dispatch_priority || 0) : 0;
+
+  if (level > 0) {
+    await pool.query("UPDATE service_requests SET dispatch_priority = ? WHERE id = ?", [level, jobRequest.id]);
+  }
+  return level;
+}
+
+/**
+ * When supply is scarce, pull pending offers that lower-priority requests hold on our candidates
+ * so those technicians only see the priority job.
+ */
+async function preemptLowerPriorityOffers(pool, jobRequest, technicianIds, priorityLevel) {
+  if (priorityLevel <= 0 || technicianIds.length === 0) return 0;
+
+  const [offers] = await pool.query(
+    `SELECT o.id, o.service_request_id, o.technician_id
+     FROM dispatch_offers o
+     INNER JOIN service_requests sr ON sr.id = o.service_request_id
+     WHERE o.technician_id IN (?)
+       AND o.status = 'pending'
+       AND o.service_request_id <> ?
+       AND COALESCE(sr.dispatch_priority, 0) < ?`,
+    [technicianIds, jobRequest.id, priorityLevel]
+  );
+  if (!offers || offers.length === 0) return 0;
+
+  await pool.query(
+    "UPDATE dispatch_offers SET status = 'expired', closed_reason = 'preempted' WHERE id IN (?) AND status = 'pending'",
+    [offers.map((offer) => offer.id)]
+  );
+  offers.forEach((offer) => {
+    socketService.io?.to(`technician_${offer.technician_id}`).emit("job:revoked", {
+      requestId: offer.service_request_id,
+      reason: "preempted",
+    });
+  });
+
+  console.log(
+    `[DispatchWave] Request #${jobRequest.id} (priority ${priorityLevel}) preempted ${offers.length} lower-priority offer(s).`
+  );
+  return offers.length;
+}
+
+async function loadRequest(pool, requestId) {
+  const [rows] = await pool.query("SELECT * FROM service_requests WHERE id = ? LIMIT 1", [requestId]);
+  return rows?.[0] || null;
+}
+
+/**
+ * `minRadiusKm` is set by escalations to search at least that far regardless of the wave number.
+ */
+async function openDispatchWave(pool, jobRequest, waveNumber, priorityLevel = 0, initialRadiusKm = null, minRadiusKm = null) {
+  const radiusKm = Math.max(resolveWaveRadiusKm(waveNumber, priorityLevel, initialRadiusKm), Number(minRadiusKm) || 0);
+  const waveSize = resolveWaveSize(waveNumber, priorityLevel);
+  const candidates = await jobDispatchService.findTopTechnicians(jobRequest, radiusKm);
+
+  const [offeredRows] = await pool.query(
+    "SELECT technician_id FROM dispatch_offers WHERE service_request_id = ?",
+    [jobRequest.id]
+  );
+  const offeredSet = new Set((offeredRows || []).map((row) => String(row.technician_id)));
+  const waveCandidates = candidates
+    .filter((tech) => !offeredSet.has(String(tech.id)))
+    .slice(0, waveSize);
+  const hasOffers = waveCandidates.length > 0;
+
+  let waveId = null;
+  try {
+    const [insertResult] = await pool.query(
+      `INSERT INTO dispatch_waves
+        (service_request_id, wave_number, radius_km, candidate_count, offered_count, status, priority_level, expires_at, closed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ${hasOffers ? "DATE_ADD(NOW(), INTERVAL ? SECOND)" : "NULL"}, ${hasOffers ? "NULL" : "NOW()"})`,
+      [
+        jobRequest.id,
+        waveNumber,
+        radiusKm,
+        candidates.length,
+        waveCandidates.length,
+        hasOffers ? "open" : "empty",
+        priorityLevel,
+        ...(hasOffers ? [DISPATCH_OFFER_TTL_SECONDS] : []),
+      ]
+    );
+    waveId = insertResult?.insertId || null;
+  } catch (err) {
+    // Another worker already opened this wave for the request.
+    if (err?.code === "ER_DUP_ENTRY") return null;
+    throw err;
+  }
+
+  // Scarce supply: fewer candidates than a full wave.
+  if (hasOffers && priorityLevel > 0 && waveCandidates.length < waveSize) {
+    const preempted = await preemptLowerPriorityOffers(
+      pool,
+      jobRequest,
+      waveCandidates.map((tech) => tech.id),
+      priorityLevel
+    );
+    if (preempted > 0 && waveId) {
+      await pool.query("UPDATE dispatch_waves SET preempted_count = ? WHERE id = ?", [preempted, waveId]);
+    }
+  }
+
+  if (hasOffers) {
+    await jobDispatchService.dispatchJob(jobRequest, waveCandidates, {
+      waveNumber,
+      expiresInSeconds: DISPATCH_OFFER_TTL_SECONDS,
+    });
+  }
+
+  await pool.query(
+    "UPDATE service_requests SET dispatch_state = 'searching' WHERE id = ? AND status = 'pending' AND technician_id IS NULL",
+    [jobRequest.id]
+  );
+
+  console.log(
+    `[DispatchWave] Request #${jobRequest.id} wave ${waveNumber}: radius=${radiusKm}km, priority=${priorityLevel}, candidates=${candidates.length}, offered=${waveCandidates.length}`
+  );
+  return {
+    waveNumber,
+    radiusKm,
+    priorityLevel,
+    candidateCount: candidates.length,
+    offeredCount: waveCandidates.length,
+  };
+}
+
+async function moveRequestToAdminQueue(pool, jobRequest, lastWaveNumber) {
+  const [result] = await pool.query(
+    "UPDATE service_requests SET dispatch_state = 'admin_queue' WHERE id = ? AND status = 'pending' AND technician_id IS NULL",
+    [jobRequest.id]
+  );
+  if (!result?.affectedRows) return false;
+
+  console.warn(`[DispatchWave] Request #${jobRequest.id} exhausted ${lastWaveNumber} wave(s); moved to admin queue.`);
+
+  pool.query(
+    "INSERT INTO notifications (type, title, message, created_at) VALUES (?, ?, ?, NOW())",
+    [
+      "dispatch_escalation",
+      "Dispatch needs attention",
+      `Request #${jobRequest.id} (${jobRequest.service_type}) found no technician after ${lastWaveNumber} wave(s).`,
+    ]
+  ).catch(console.error);
+
+  socketService.notifyAdmins("admin:dispatch_queue_update", {
+    requestId: jobRequest.id,
+    dispatchState: "admin_queue",
+    waves: lastWaveNumber,
+    at: new Date().toISOString(),
+  });
+  return true;
+}
+
+async function advanceDispatchWaves(pool, jobRequest, lastWaveNumber, { minRadiusKm = null } = {}) {
+  const priorityLevel = await resolveRequestPriority(pool, jobRequest);
+  const initialRadiusKm = await resolveZoneDispatchRadius(jobRequest);
+  for (let waveNumber = lastWaveNumber + 1; waveNumber <= DISPATCH_MAX_WAVES; waveNumber += 1) {
+    const wave = await openDispatchWave(pool, jobRequest, waveNumber, priorityLevel, initialRadiusKm, minRadiusKm);
+    if (!wave) return null;
+    if (wave.offeredCount > 0) return wave;
+  }
+
+  await moveRequestToAdminQueue(pool, jobRequest, DISPATCH_MAX_WAVES);
+  return null;
+}
+
+/**
+ * Start (or resume) wave-based dispatch for a pending request.
+ * Each wave offers the job to the next best candidates at a wider radius.
+ */
+export async function startDispatchWaves(jobRequest) {
+  const requestId = toPositiveInt(jobRequest?.id);
+  if (!requestId) return null;
+
+  const pool = await getPool();
+  const [waveRows] = await pool.query(
+    "SELECT MAX(wave_number) AS last_wave FROM dispatch_waves WHERE service_request_id = ?",
+    [requestId]
+  );
+  const lastWaveNumber = Number(waveRows?.[0]?.last_wave || 0);
+  return advanceDispatchWaves(pool, jobRequest, lastWaveNumber);
+}
+
+/**
+ * Record a technician's decline of a pending offer. When nobody in the open wave is left to
+ * answer, the wave closes early and the next one goes out instead of waiting for expiry.
+ */
+export async function declineDispatchOffer(technicianId, requestId, { reason, note = null } = {}) {
+  const declineReason = String(reason || "").trim().toLowerCase();
+  if (!DISPATCH_DECLINE_REASONS.includes(declineReason)) {
+    return { success: false, code: "invalid_reason", reason: `reason must be one of: ${DISPATCH_DECLINE_REASONS.join(", ")}` };
+  }
+
+  const pool = await getPool();
+  const [offerRows] = await pool.query(
+    `SELECT id, status, wave_number, closed_reason
+     FROM dispatch_offers
+     WHERE service_request_id = ? AND technician_id = ?
+     ORDER BY id DESC
+     LIMIT 1`,
+    [requestId, technicianId]
+  );
+  const offer = offerRows?.[0];
+  if (!offer) return { success: false, code: "not_found", reason: "No offer found for this job." };
+  if (offer.status === "rejected" && offer.closed_reason === "declined") {
+    return { success: true, idempotent: true, redispatched: false };
+  }
+  if (offer.status !== "pending") {
+    return { success: false, code: "not_pending", reason: `Offer is already ${offer.status}.` };
+  }
+
+  const trimmedNote = note == null ? null : String(note).trim().slice(0, 255) || null;
+  const [update] = await pool.query(
+    `UPDATE dispatch_offers
+     SET status = 'rejected', closed_reason = 'declined', decline_reason = ?, decline_note = ?, responded_at = NOW()
+     WHERE id = ? AND status = 'pending'`,
+    [declineReason, trimmedNote, offer.id]
+  );
+  if (!update?.affectedRows) {
+    return { success: false, code: "not_pending", reason: "Offer is no longer open." };
+  }
+
+  console.log(`[DispatchWave] Technician ${technicianId} declined request #${requestId} (${declineReason}).`);
+
+  const [[pendingRow]] = await pool.query(
+    "SELECT COUNT(*) AS pending_count FROM dispatch_offers WHERE service_request_id = ? AND status = 'pending'",
+    [requestId]
+  );
+  if (Number(pendingRow?.pending_count || 0) > 0) {
+    return { success: true, idempotent: false, redispatched: false };
+  }
+
+  const [waveRows] = await pool.query(
+    "SELECT id, wave_number FROM dispatch_waves WHERE service_request_id = ? AND status = 'open' ORDER BY wave_number DESC LIMIT 1",
+    [requestId]
+  );
+  const wave = waveRows?.[0];
+  if (!wave) return { success: true, idempotent: false, redispatched: false };
+
+  const [claim] = await pool.query(
+    "UPDATE dispatch_waves SET status = 'declined', closed_at = NOW() WHERE id = ? AND status = 'open'",
+    [wave.id]
+  );
+  if (!claim?.affectedRows) return { success: true, idempotent: false, redispatched: false };
+
+  const requestRow = await loadRequest(pool, requestId);
+  if (!isDispatchable(requestRow)) return { success: true, idempotent: false, redispatched: false };
+
+  // Re-dispatch in the background so the technician gets an immediate response.
+  advanceDispatchWaves(pool, requestRow, Number(wave.wave_number)).catch((err) =>
+    console.error(`[DispatchWave] Re-dispatch after declines failed for request #${requestId}:`, err)
+  );
+  return { success: true, idempotent: false, redispatched: true };
+}
+
+/**
+ * Escalate dispatch for a request that is still searching: close the open wave now and send the
+ * next one straight away. `minPriorityLevel` raises the request's dispatch priority (wider radius,
+ * preemption) and `minRadiusKm` sets a floor on the next wave's radius. Offers from earlier waves
+ * stay open until they expire. Returns the new wave, or null when nothing more can be sent.
+ */
+export async function escalateDispatchWaves(requestId, { minPriorityLevel = 0, minRadiusKm = null } = {}) {
+  const pool = await getPool();
+  const requestRow = await loadRequest(pool, requestId);
+  if (!isDispatchable(requestRow) || requestRow.dispatch_state === "admin_queue") return null;
+
+  const priorityLevel = Math.max(0, Math.floor(Number(minPriorityLevel) || 0));
+  if (priorityLevel > Number(requestRow.dispatch_priority || 0)) {
+    await pool.query(
+      "UPDATE service_requests SET dispatch_priority = ? WHERE id = ? AND dispatch_priority < ?",
+      [priorityLevel, requestRow.id, priorityLevel]
+    );
+    requestRow.dispatch_priority = priorityLevel;
+  }
+
+  const [waveRows] = await pool.query(
+    "SELECT id, wave_number, status FROM dispatch_waves WHERE service_request_id = ? ORDER BY wave_number DESC LIMIT 1",
+    [requestRow.id]
+  );
+  const lastWave = waveRows?.[0];
+  if (lastWave?.status === "open") {
+    const [claim] = await pool.query(
+      "UPDATE dispatch_waves SET status = 'escalated', closed_at = NOW() WHERE id = ? AND status = 'open'",
+      [lastWave.id]
+    );
+    // The monitor or a decline is already advancing this request.
+    if (!claim?.affectedRows) return null;
+  }
+
+  const lastWaveNumber = Number(lastWave?.wave_number || 0);
+  if (lastWaveNumber >= DISPATCH_MAX_WAVES) {
+    await moveRequestToAdminQueue(pool, requestRow, lastWaveNumber);
+    return null;
+  }
+  console.log(`[DispatchWave] Request #${requestRow.id} escalated after wave ${lastWaveNumber}.`);
+  return advanceDispatchWaves(pool, requestRow, lastWaveNumber, { minRadiusKm });
+}
+
+/**
+ * Mark pending offers whose window has passed as expired and revoke them on the technician app.
+ */
+export async function expireStaleDispatchOffers() {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT id, service_request_id, technician_id
+     FROM dispatch_offers
+     WHERE status = 'pending' AND expires_at IS NOT NULL AND expires_at <= NOW()`
+  );
+  if (!rows || rows.length === 0) return 0;
+
+  const [result] = await pool.query(
+    "UPDATE dispatch_offers SET status = 'expired' WHERE id IN (?) AND status = 'pending'",
+    [rows.map((row) => row.id)]
+  );
+
+  rows.forEach((row) => {
+    socketService.io?.to(`technician_${row.technician_id}`).emit("job:revoked", {
+      requestId: row.service_request_id,
+      reason: "expired",
+    });
+  });
+
+  return Number(result?.affectedRows || 0);
+}
+
+/**
+ * Close waves whose window has passed and escalate their requests to the next wave.
+ */
+export async function processDueDispatchWaves() {
+  await expireStaleDispatchOffers();
+
+  const pool = await getPool();
+  const [dueWaves] = await pool.query(
+    `SELECT id, service_request_id, wave_number
+     FROM dispatch_waves
+     WHERE status = 'open' AND expires_at <= NOW()
+     ORDER BY priority_level DESC, expires_at ASC
+     LIMIT 50`
+  );
+
+  let escalated = 0;
+  for (const wave of dueWaves || []) {
+    const [claim] = await pool.query(
+      "UPDATE dispatch_waves SET status = 'expired', closed_at = NOW() WHERE id = ? AND status = 'open'",
+      [wave.id]
+    );
+    if (!claim?.affectedRows) continue;
+
+    try {
+      const requestRow = await loadRequest(pool, wave.service_request_id);
+      if (!isDispatchable(requestRow)) continue;
+      await advanceDispatchWaves(pool, requestRow, Number(wave.wave_number));
+      escalated += 1;
+    } catch (err) {
+      console.error(`[DispatchWave] Escalation failed for request #${wave.service_request_id}:`, err);
+    }
+  }
+  return escalated;
+}
+
+export async function getDispatchWaveHistory(requestId) {
+  const pool = await getPool();
+  const [[waveRows], [offerRows]] = await Promise.all([
+    pool.query(
+      `SELECT id, wave_number, radius_km, candidate_count, offered_count, status, priority_level, preempted_count,
+              started_at, expires_at, closed_at
+       FROM dispatch_waves
+       WHERE service_request_id = ?
+       ORDER BY wave_number ASC`,
+      [requestId]
+    ),
+    pool.query(
+      `SELECT technician_id, wave_number, status, closed_reason, decline_reason, score, sent_at, expires_at
+       FROM dispatch_offers
+       WHERE service_request_id = ? AND wave_number IS NOT NULL
+       ORDER BY id ASC`,
+      [requestId]
+    ),
+  ]);
+
+  return (waveRows || []).map((wave) => ({
+    ...wave,
+    radius_km: wave.radius_km == null ? null : Number(wave.radius_km),
+    offers: (offerRows || []).filter((offer) => Number(offer.wave_number) === Number(wave.wave_number)),
+  }));
+}
+
+export function startDispatchWaveMonitor() {
+  if (waveMonitorTimer) return;
+
+  waveMonitorTimer = setInterval(() => {
+    if (waveMonitorBusy) return;
+    waveMonitorBusy = true;
+    processDueDispatchWaves()
+      .catch((err) => console.error("[DispatchWave] Monitor tick failed:", err?.message || err))
+      .finally(() => {
+        waveMonitorBusy = false;
+      });
+  }, DISPATCH_WAVE_POLL_MS);
+  waveMonitorTimer.unref?.();
+  console.log(`[DispatchWave] Monitor started (poll ${DISPATCH_WAVE_POLL_MS}ms, ${DISPATCH_MAX_WAVES} waves x ${DISPATCH_WAVE_SIZE}).`);
+}
+
+export function stopDispatchWaveMonitor() {
+  if (!waveMonitorTimer) return;
+  clearInterval(waveMonitorTimer);
+  waveMonitorTimer = null;
+}
@@ -0,0 +1,656 @@
+import { getPool } from "../db.js";
+import { dispatchOutboxSoon, enqueueOutbox, outboxNotifyAdmins } from "./outboxService.js";
+import {
+  finalizeCapturedPaymentFromGateway,
+  processFinalizedServicePaymentNotifications,
+} from "./paymentFinalizationService.js";
+import { getReconciliationGateway } from "./reconciliationGateway.js";
+
+/**
+ * Matches gateway orders, payments and settlements against `payments`, `invoices` and
+ * `service_requests` for a time window and records every mismatch as a reconciliation item.
+ *
+ * Captured payments that never got finalized are finalized automatically when it is safe: the local
+ * payment row exists, its amount equals the captured amount and the request was not cancelled.
+ * Everything else stays `open` for an admin to finalize, resolve or ignore.
+ *
+ * Only service-request orders are reconciled; user dues, subscriptions, technician dues and
+ * registration orders are counted as skipped.
+ */
+
+export const RECONCILIATION_MISMATCH_TYPES = Object.freeze({
+  CAPTURED_NOT_FINALIZED: "captured_not_finalized",
+  AMOUNT_MISMATCH: "amount_mismatch",
+  DUPLICATE_CAPTURE: "duplicate_capture",
+  ORPHANED_ORDER: "orphaned_order",
+  NOT_CAPTURED_AT_GATEWAY: "not_captured_at_gateway",
+  MISSING_INVOICE: "missing_invoice",
+  REQUEST_NOT_MARKED_PAID: "request_not_marked_paid",
+});
+export const RECONCILIATION_ITEM_STATUSES = Object.freeze(["open", "auto_finalized", "finalized", "resolved", "ignored"]);
+
+// How often the job runs; 0 disables the schedule (admins can still run it on demand).
+const PAYMENT_RECONCILIATION_INTERVAL_MINUTES = Math.max(0, Number(process.env.PAYMENT_RECONCILIATION_INTERVAL_MINUTES ?? 60) || 0);
+const PAYMENT_RECONCILIATION_LOOKBACK_HOURS = Math.max(1, Number(process.env.PAYMENT_RECONCILIATION_LOOKBACK_HOURS || 48));
+// Payments newer than this may still be on their way through checkout, webhook and finalize.
+const PAYMENT_RECONCILIATION_GRACE_MINUTES = Math.max(0, Number(process.env.PAYMENT_RECONCILIATION_GRACE_MINUTES ?? 15) || 0);
+const PAYMENT_RECONCILIATION_AUTO_FINALIZE = String(process.env.PAYMENT_RECONCILIATION_AUTO_FINALIZE ?? "true").trim().toLowerCase() !== "false";
+// Local completed payments missing from the gateway listing are fetched one by one, up to this many.
+const MAX_GATEWAY_LOOKUPS = 50;
+
+const FINALIZABLE_TYPES = new Set([
+  RECONCILIATION_MISMATCH_TYPES.CAPTURED_NOT_FINALIZED,
+  RECONCILIATION_MISMATCH_TYPES.ORPHANED_ORDER,
+]);
+
+let reconciliationTimer = null;
+let reconciliationBusy = false;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function amountsMatch(left, right) {
+  return Math.abs(roundMoney(left) - roundMoney(right)) < 0.01;
+}
+
+function toPositiveId(value, label) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createHttpError(`${label} must be a positive integer.`, 400);
+  }
+  return parsed;
+}
+
+function parseWindowDate(value, label) {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw createHttpError(`${label} must be a valid date.`, 400);
+  return date;
+}
+
+function safeParse(value, fallback) {
+  if (value == null) return fallback;
+  try {
+    return typeof value === "string" ? JSON.parse(value) : value;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * What a gateway order paid for, from its notes or receipt prefix (see the order routes).
+ */
+function classifyOrder(order) {
+  const type = String(order?.notes?.type || "").toLowerCase();
+  if (type) return type;
+  const receipt = String(order?.receipt || "");
+  if (receipt.startsWith("receipt_") || receipt.startsWith("service_receipt_")) return "service_request";
+  if (receipt.startsWith("due_")) return "user_due";
+  if (receipt.startsWith("sub_")) return "subscription";
+  if (receipt.startsWith("dues_") || receipt.startsWith("tech_dues_")) return "technician_dues";
+  if (receipt.startsWith("reg_receipt_")) return "registration";
+  return "unknown";
+}
+
+function notesRequestId(notes) {
+  const id = Number(notes?.requestId || notes?.request_id);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function serializeRun(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    status: row.status,
+    gateway: row.gateway,
+    windowStart: row.window_start,
+    windowEnd: row.window_end,
+    ordersSeen: Number(row.orders_seen || 0),
+    paymentsSeen: Number(row.payments_seen || 0),
+    settlementItemsSeen: Number(row.settlement_items_seen || 0),
+    capturedAmount: roundMoney(row.captured_amount),
+    settledAmount: roundMoney(row.settled_amount),
+    gatewayFees: roundMoney(row.gateway_fees),
+    mismatchCount: Number(row.mismatch_count || 0),
+    autoFinalizedCount: Number(row.auto_finalized_count || 0),
+    triggeredBy: row.triggered_by || null,
+    error: row.error || null,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at || null,
+  };
+}
+
+function serializeItem(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    mismatchType: row.mismatch_type,
+    status: row.status,
+    razorpayOrderId: row.razorpay_order_id || null,
+    razorpayPaymentId: row.razorpay_payment_id || null,
+    paymentId: row.payment_id ? Number(row.payment_id) : null,
+    serviceRequestId: row.service_request_id ? Number(row.service_request_id) : null,
+    invoiceId: row.invoice_id ? Number(row.invoice_id) : null,
+    gatewayAmount: row.gateway_amount == null ? null : roundMoney(row.gateway_amount),
+    localAmount: row.local_amount == null ? null : roundMoney(row.local_amount),
+    details: safeParse(row.details, {}) || {},
+    resolutionNote: row.resolution_note || null,
+    resolvedBy: row.resolved_by || null,
+    resolvedAt: row.resolved_at || null,
+    firstRunId: Number(row.first_run_id),
+    lastRunId: Number(row.last_run_id),
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+  };
+}
+
+async function loadLocalPayments(pool, { orderIds, paymentIds }) {
+  if (orderIds.length === 0 && paymentIds.length === 0) return [];
+  const [rows] = await pool.query(
+    `SELECT p.id, p.service_request_id, p.status, p.amount, p.razorpay_order_id, p.razorpay_payment_id, p.created_at,
+            sr.status AS request_status, sr.payment_status AS request_payment_status
+     FROM payments p
+     LEFT JOIN service_requests sr ON sr.id = p.service_request_id
+     WHERE p.razorpay_order_id IN (?) OR p.razorpay_payment_id IN (?)
+     ORDER BY p.id ASC`,
+    [orderIds.length ? orderIds : [""], paymentIds.length ? paymentIds : [""]]
+  );
+  return rows || [];
+}
+
+async function loadInvoices(pool, { orderIds, paymentIds }) {
+  if (orderIds.length === 0 && paymentIds.length === 0) return [];
+  const [rows] = await pool.query(
+    `SELECT id, order_id, razorpay_payment_id, amount, total_amount
+     FROM invoices
+     WHERE order_id IN (?) OR razorpay_payment_id IN (?)`,
+    [orderIds.length ? orderIds : [""], paymentIds.length ? paymentIds : [""]]
+  );
+  return rows || [];
+}
+
+/**
+ * Compare the gateway listings with local records. Returns
+ * { items, capturedAmount, gatewayFees, skippedOrders }; nothing is written.
+ */
+async function findMismatches(pool, gateway, { orders, payments, settlementItems, from, to, graceCutoff }) {
+  const items = [];
+  const ordersById = new Map(orders.map((order) => [order.id, order]));
+  const settlementByPayment = new Map(
+    settlementItems.filter((item) => item.type === "payment" && item.entityId).map((item) => [item.entityId, item])
+  );
+
+  const capturedPayments = payments.filter((payment) => payment.status === "captured");
+  const orderIds = [...new Set([...orders.map((order) => order.id), ...payments.map((payment) => payment.orderId).filter(Boolean)])];
+  const paymentIds = payments.map((payment) => payment.id);
+  const localRows = await loadLocalPayments(pool, { orderIds, paymentIds });
+  const invoices = await loadInvoices(pool, { orderIds, paymentIds });
+
+  // Latest local row per order wins, like finalizeCapturedServicePayment.
+  const localByOrder = new Map();
+  for (const row of localRows) {
+    if (row.razorpay_order_id) localByOrder.set(row.razorpay_order_id, row);
+  }
+  const invoiceByOrder = new Map(invoices.filter((row) => row.order_id).map((row) => [row.order_id, row]));
+  const invoiceByPayment = new Map(invoices.filter((row) => row.razorpay_payment_id).map((row) => [row.razorpay_payment_id, row]));
+
+  const isServiceOrder = (orderId, notes) => {
+    const order = ordersById.get(orderId);
+    if (order) return classifyOrder(order) === "service_request";
+    // Order created before the window: trust a local service payment row, then the payment notes.
+    return localByOrder.has(orderId) || String(notes?.type || "") === "service_request";
+  };
+
+  let skippedOrders = 0;
+  for (const order of orders) {
+    if (classifyOrder(order) !== "service_request") skippedOrders += 1;
+  }
+
+  const capturedByOrder = new Map();
+  for (const payment of capturedPayments) {
+    if (!payment.orderId || !isServiceOrder(payment.orderId, payment.notes)) continue;
+    const list = capturedByOrder.get(payment.orderId) || [];
+    list.push(payment);
+    capturedByOrder.set(payment.orderId, list);
+  }
+
+  for (const [orderId, orderPayments] of capturedByOrder) {
+    const local = localByOrder.get(orderId) || null;
+    const order = ordersById.get(orderId) || null;
+    const notes = { ...(order?.notes || {}), ...(orderPayments[0]?.notes || {}) };
+
+    if (orderPayments.length > 1) {
+      items.push({
+        type: RECONCILIATION_MISMATCH_TYPES.DUPLICATE_CAPTURE,
+        orderId,
+        paymentId: null,
+        local,
+        gatewayAmount: roundMoney(orderPayments.reduce((sum, payment) => sum + payment.amount, 0)),
+        details: { capturedPaymentIds: orderPayments.map((payment) => payment.id) },
+      });
+    }
+
+    for (const payment of orderPayments) {
+      if (payment.createdAt && payment.createdAt > graceCutoff) continue;
+      const settlement = settlementByPayment.get(payment.id) || null;
+      const base = {
+        orderId,
+        paymentId: payment.id,
+        local,
+        gatewayAmount: payment.amount,
+        details: {
+          gatewayStatus: payment.status,
+          method: payment.method,
+          settlementId: settlement?.settlementId || null,
+          settlementUtr: settlement?.utr || null,
+        },
+      };
+
+      if (!local || String(local.status || "").toLowerCase() !== "completed") {
+        const requestId = local?.service_request_id || notesRequestId(notes);
+        if (!local && !requestId) {
+          items.push({ ...base, type: RECONCILIATION_MISMATCH_TYPES.ORPHANED_ORDER, details: { ...base.details, notes } });
+          continue;
+        }
+        items.push({
+          ...base,
+          type: RECONCILIATION_MISMATCH_TYPES.CAPTURED_NOT_FINALIZED,
+          requestId,
+          details: {
+            ...base.details,
+            notes,
+            localStatus: local?.status || null,
+            requestStatus: local?.request_status || null,
+          },
+          safeToFinalize: Boolean(
+            local &&
+            local.service_request_id &&
+            amountsMatch(local.amount, payment.amount) &&
+            String(local.request_status || "").toLowerCase() !== "cancelled"
+          ),
+        });
+        continue;
+      }
+
+      if (local.razorpay_payment_id && local.razorpay_payment_id !== payment.id && orderPayments.length === 1) {
+        items.push({
+          ...base,
+          type: RECONCILIATION_MISMATCH_TYPES.DUPLICATE_CAPTURE,
+          details: { ...base.details, localRazorpayPaymentId: local.razorpay_payment_id },
+        });
+      }
+      if (!amountsMatch(local.amount, payment.amount)) {
+        items.push({ ...base, type: RECONCILIATION_MISMATCH_TYPES.AMOUNT_MISMATCH, source: "payment" });
+      }
+
+      const invoice = invoiceByOrder.get(orderId) || invoiceByPayment.get(payment.id) || null;
+      if (!invoice) {
+        items.push({ ...base, type: RECONCILIATION_MISMATCH_TYPES.MISSING_INVOICE });
+      } else if (!amountsMatch(invoice.total_amount ?? invoice.amount, local.amount)) {
+        items.push({
+          ...base,
+          type: RECONCILIATION_MISMATCH_TYPES.AMOUNT_MISMATCH,
+          source: "invoice",
+          invoiceId: invoice.id,
+          details: { ...base.details, invoiceAmount: roundMoney(invoice.total_amount ?? invoice.amount) },
+        });
+      }
+
+      const requestStatus = String(local.request_status || "").toLowerCase();
+      if (
+        local.service_request_id &&
+        requestStatus !== "cancelled" &&
+        String(local.request_payment_status || "").toLowerCase() !== "completed"
+      ) {
+        items.push({
+          ...base,
+          type: RECONCILIATION_MISMATCH_TYPES.REQUEST_NOT_MARKED_PAID,
+          details: { ...base.details, requestStatus, requestPaymentStatus: local.request_payment_status || null },
+        });
+      }
+    }
+  }
+
+  // Paid orders whose capture is outside the listing and that left no local trace.
+  for (const order of orders) {
+    if (classifyOrder(order) !== "service_request" || order.status !== "paid") continue;
+    if (capturedByOrder.has(order.id) || localByOrder.has(order.id)) continue;
+    if (order.createdAt && order.createdAt > graceCutoff) continue;
+    items.push({
+      type: RECONCILIATION_MISMATCH_TYPES.ORPHANED_ORDER,
+      orderId: order.id,
+      paymentId: null,
+      local: null,
+      gatewayAmount: order.amountPaid || order.amount,
+      details: { orderStatus: order.status, receipt: order.receipt, notes: order.notes },
+    });
+  }
+
+  // Local completed online payments the gateway does not show as captured.
+  const gatewayPayments = new Map(payments.map((payment) => [payment.id, payment]));
+  const [completedRows] = await pool.query(
+    `SELECT p.id, p.service_request_id, p.amount, p.razorpay_order_id, p.razorpay_payment_id
+     FROM payments p
+     WHERE p.payment_method = 'razorpay' AND p.status = 'completed'
+       AND p.razorpay_payment_id IS NOT NULL AND p.razorpay_payment_id <> ''
+       AND p.created_at BETWEEN ? AND ?`,
+    [from, graceCutoff < to ? graceCutoff : to]
+  );
+  let lookups = 0;
+  for (const row of completedRows || []) {
+    let gatewayPayment = gatewayPayments.get(row.razorpay_payment_id);
+    if (!gatewayPayment) {
+      if (lookups >= MAX_GATEWAY_LOOKUPS) continue;
+      lookups += 1;
+      gatewayPayment = await gateway.fetchPayment(row.razorpay_payment_id);
+    }
+    if (gatewayPayment && ["captured", "refunded"].includes(gatewayPayment.status)) continue;
+    items.push({
+      type: RECONCILIATION_MISMATCH_TYPES.NOT_CAPTURED_AT_GATEWAY,
+      orderId: row.razorpay_order_id,
+      paymentId: row.razorpay_payment_id,
+      local: { ...row, status: "completed" },
+      gatewayAmount: gatewayPayment?.amount ?? null,
+      details: { gatewayStatus: gatewayPayment?.status || "not_found" },
+    });
+  }
+
+  return {
+    items,
+    capturedAmount: roundMoney(capturedPayments.reduce((sum, payment) => sum + payment.amount, 0)),
+    gatewayFees: roundMoney(capturedPayments.reduce((sum, payment) => sum + (payment.fee || 0), 0)),
+    skippedOrders,
+  };
+}
+
+async function saveItems(pool, runId, items) {
+  for (const item of items) {
+    const dedupeKey = [item.type, item.source || "", item.orderId || "", item.paymentId || ""].join(":").slice(0, 191);
+    await pool.query(
+      `INSERT INTO gateway_reconciliation_items (
+         first_run_id, last_run_id, dedupe_key, mismatch_type, status, razorpay_order_id, razorpay_payment_id,
+         payment_id, service_request_id, invoice_id, gateway_amount, local_amount, details
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         last_run_id = VALUES(last_run_id),
+         last_seen_at = NOW(),
+         status = IF(status = 'open', VALUES(status), status),
+         payment_id = VALUES(payment_id),
+         service_request_id = VALUES(service_request_id),
+         gateway_amount = VALUES(gateway_amount),
+         local_amount = VALUES(local_amount),
+         details = VALUES(details)`,
+      [
+        runId,
+        runId,
+        dedupeKey,
+        item.type,
+        item.status || "open",
+        item.orderId || null,
+        item.paymentId || null,
+        item.local?.id || null,
+        item.local?.service_request_id || item.requestId || null,
+        item.invoiceId || null,
+        item.gatewayAmount == null ? null : roundMoney(item.gatewayAmount),
+        item.local?.amount == null ? null : roundMoney(item.local.amount),
+        JSON.stringify(item.details || {}),
+      ]
+    );
+  }
+}
+
+/**
+ * Reconcile one window (default: the last PAYMENT_RECONCILIATION_LOOKBACK_HOURS). Returns the run
+ * with the items it found.
+ */
+export async function runGatewayReconciliation({ from = null, to = null, triggeredBy = "system" } = {}) {
+  const windowEnd = parseWindowDate(to, "to") || new Date();
+  const windowStart = parseWindowDate(from, "from") ||
+    new Date(windowEnd.getTime() - PAYMENT_RECONCILIATION_LOOKBACK_HOURS * 3600 * 1000);
+  if (windowStart >= windowEnd) throw createHttpError("from must be before to.", 400);
+
+  const gateway = getReconciliationGateway();
+  if (!gateway.configured) throw createHttpError("Payment gateway is not configured for reconciliation.", 503);
+
+  const pool = await getPool();
+  const [runInsert] = await pool.query(
+    "INSERT INTO gateway_reconciliation_runs (status, gateway, window_start, window_end, triggered_by) VALUES ('running', ?, ?, ?, ?)",
+    [gateway.name, windowStart, windowEnd, triggeredBy]
+  );
+  const runId = runInsert.insertId;
+
+  try {
+    const [orders, payments, settlementItems] = await Promise.all([
+      gateway.listOrders({ from: windowStart, to: windowEnd }),
+      gateway.listPayments({ from: windowStart, to: windowEnd }),
+      gateway.listSettlementItems({ from: windowStart, to: windowEnd }),
+    ]);
+    const graceCutoff = new Date(Date.now() - PAYMENT_RECONCILIATION_GRACE_MINUTES * 60 * 1000);
+    const { items, capturedAmount, gatewayFees, skippedOrders } = await findMismatches(pool, gateway, {
+      orders,
+      payments,
+      settlementItems,
+      from: windowStart,
+      to: windowEnd,
+      graceCutoff,
+    });
+
+    let autoFinalized = 0;
+    if (PAYMENT_RECONCILIATION_AUTO_FINALIZE) {
+      for (const item of items) {
+        if (item.type !== RECONCILIATION_MISMATCH_TYPES.CAPTURED_NOT_FINALIZED || !item.safeToFinalize) continue;
+        try {
+          const finalized = await finalizeCapturedPaymentFromGateway({
+            orderId: item.orderId,
+            paymentId: item.paymentId,
+            notes: item.details?.notes,
+          });
+          if (finalized.processed) {
+            item.status = "auto_finalized";
+            autoFinalized += 1;
+            await processFinalizedServicePaymentNotifications(finalized, { paymentMethod: "razorpay" });
+          } else {
+            item.details = { ...item.details, autoFinalizeSkipped: finalized.reason || "not_processed" };
+          }
+        } catch (err) {
+          console.error(`[Reconciliation] Auto-finalize failed for order ${item.orderId}:`, err?.message || err);
+          item.details = { ...item.details, autoFinalizeError: err?.message || String(err) };
+        }
+      }
+    }
+
+    await saveItems(pool, runId, items);
+    const settledAmount = roundMoney(
+      settlementItems.filter((item) => item.type === "payment").reduce((sum, item) => sum + item.amount, 0)
+    );
+    await pool.query(
+      `UPDATE gateway_reconciliation_runs
+       SET status = 'completed', orders_seen = ?, payments_seen = ?, settlement_items_seen = ?,
+           captured_amount = ?, settled_amount = ?, gateway_fees = ?, mismatch_count = ?, auto_finalized_count = ?,
+           finished_at = NOW()
+       WHERE id = ?`,
+      [orders.length, payments.length, settlementItems.length, capturedAmount, settledAmount, gatewayFees, items.length, autoFinalized, runId]
+    );
+
+    const openCount = items.filter((item) => (item.status || "open") === "open").length;
+    if (openCount > 0) {
+      await enqueueOutbox(pool, outboxNotifyAdmins("admin:payment_reconciliation", {
+        runId,
+        openCount,
+        autoFinalized,
+        skippedOrders,
+        windowStart: windowStart.toISOString(),
+        windowEnd: windowEnd.toISOString(),
+      }, { dedupeKey: `payment_reconciliation:${runId}` }));
+      dispatchOutboxSoon();
+    }
+  } catch (err) {
+    await pool.query(
+      "UPDATE gateway_reconciliation_runs SET status = 'failed', error = ?, finished_at = NOW() WHERE id = ?",
+      [String(err?.message || err).slice(0, 512), runId]
+    );
+    throw err;
+  }
+
+  return getReconciliationRun(runId);
+}
+
+export async function getReconciliationRun(runId) {
+  const id = toPositiveId(runId, "runId");
+  const pool = await getPool();
+  const [rows] = await pool.query("SELECT * FROM gateway_reconciliation_runs WHERE id = ? LIMIT 1", [id]);
+  if (!rows?.[0]) return null;
+  const [items] = await pool.query(
+    "SELECT * FROM gateway_reconciliation_items WHERE first_run_id = ? OR last_run_id = ? ORDER BY id",
+    [id, id]
+  );
+  return { ...serializeRun(rows[0]), items: (items || []).map(serializeItem) };
+}
+
+export async function listReconciliationRuns({ limit = 20 } = {}) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    "SELECT * FROM gateway_reconciliation_runs ORDER BY id DESC LIMIT ?",
+    [Math.min(200, Math.max(1, Number(limit) || 20))]
+  );
+  return (rows || []).map(serializeRun);
+}
+
+export async function listReconciliationItems({ status = "open", type = null, limit = 100 } = {}) {
+  const pool = await getPool();
+  const where = [];
+  const params = [];
+  if (status && status !== "all") {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (type) {
+    where.push("mismatch_type = ?");
+    params.push(type);
+  }
+  const [rows] = await pool.query(
+    `SELECT * FROM gateway_reconciliation_items
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY last_seen_at DESC, id DESC
+     LIMIT ?`,
+    [...params, Math.min(500, Math.max(1, Number(limit) || 100))]
+  );
+  return (rows || []).map(serializeItem);
+}
+
+/**
+ * Report for the admin screen: open items by type plus the latest run.
+ */
+export async function getReconciliationReport() {
+  const pool = await getPool();
+  const [countRows] = await pool.query(
+    `SELECT mismatch_type, COUNT(*) AS count, COALESCE(SUM(gateway_amount), 0) AS gateway_amount
+     FROM gateway_reconciliation_items
+     WHERE status = 'open'
+     GROUP BY mismatch_type`
+  );
+  const [runRows] = await pool.query("SELECT * FROM gateway_reconciliation_runs ORDER BY id DESC LIMIT 1");
+  const openByType = Object.fromEntries(
+    Object.values(RECONCILIATION_MISMATCH_TYPES).map((type) => [type, { count: 0, gatewayAmount: 0 }])
+  );
+  for (const row of countRows || []) {
+    openByType[row.mismatch_type] = { count: Number(row.count || 0), gatewayAmount: roundMoney(row.gateway_amount) };
+  }
+  return {
+    gateway: getReconciliationGateway().name,
+    autoFinalize: PAYMENT_RECONCILIATION_AUTO_FINALIZE,
+    openCount: Object.values(openByType).reduce((sum, entry) => sum + entry.count, 0),
+    openByType,
+    latestRun: serializeRun(runRows?.[0]),
+  };
+}
+
+async function loadItem(pool, itemId) {
+  const [rows] = await pool.query("SELECT * FROM gateway_reconciliation_items WHERE id = ? LIMIT 1", [itemId]);
+  if (!rows?.[0]) throw createHttpError("Reconciliation item not found.", 404);
+  return rows[0];
+}
+
+/**
+ * Admin override: finalize the captured payment behind an open item even when the automatic
+ * checks did not pass (e.g. an amount difference the admin has accepted).
+ */
+export async function finalizeReconciliationItem(itemId, { adminId = null, note = null } = {}) {
+  const id = toPositiveId(itemId, "itemId");
+  const pool = await getPool();
+  const item = await loadItem(pool, id);
+  if (item.status !== "open") throw createHttpError(`Item is already ${item.status}.`, 409);
+  if (!FINALIZABLE_TYPES.has(item.mismatch_type) || !item.razorpay_order_id || !item.razorpay_payment_id) {
+    throw createHttpError("Only captured payments that were never finalized can be finalized.", 409);
+  }
+
+  const details = safeParse(item.details, {}) || {};
+  const finalized = await finalizeCapturedPaymentFromGateway({
+    orderId: item.razorpay_order_id,
+    paymentId: item.razorpay_payment_id,
+    notes: details.notes,
+  });
+  if (!finalized.processed) {
+    throw createHttpError(`Payment could not be finalized (${finalized.reason || "not processed"}).`, 409);
+  }
+  await processFinalizedServicePaymentNotifications(finalized, { paymentMethod: "razorpay" });
+
+  await pool.query(
+    `UPDATE gateway_reconciliation_items
+     SET status = 'finalized', resolution_note = ?, resolved_by = ?, resolved_at = NOW(), service_request_id = ?
+     WHERE id = ?`,
+    [note ? String(note).slice(0, 512) : null, adminId, finalized.requestId || item.service_request_id, id]
+  );
+  return serializeItem(await loadItem(pool, id));
+}
+
+/**
+ * Close an item after handling it outside the system (`resolved`) or accepting it (`ignored`).
+ */
+export async function resolveReconciliationItem(itemId, { status = "resolved", note = null, adminId = null } = {}) {
+  const id = toPositiveId(itemId, "itemId");
+  if (!["resolved", "ignored"].includes(status)) throw createHttpError("status must be resolved or ignored.", 400);
+  const pool = await getPool();
+  const item = await loadItem(pool, id);
+  if (item.status !== "open") throw createHttpError(`Item is already ${item.status}.`, 409);
+
+  await pool.query(
+    "UPDATE gateway_reconciliation_items SET status = ?, resolution_note = ?, resolved_by = ?, resolved_at = NOW() WHERE id = ?",
+    [status, note ? String(note).slice(0, 512) : null, adminId, id]
+  );
+  return serializeItem(await loadItem(pool, id));
+}
+
+export function startPaymentReconciliationMonitor() {
+  if (reconciliationTimer || PAYMENT_RECONCILIATION_INTERVAL_MINUTES <= 0) return;
+  const gateway = getReconciliationGateway();
+  if (!gateway.configured) {
+    console.warn("[Reconciliation] Payment gateway is not configured; scheduled reconciliation is off.");
+    return;
+  }
+
+  reconciliationTimer = setInterval(() => {
+    if (reconciliationBusy) return;
+    reconciliationBusy = true;
+    runGatewayReconciliation({ triggeredBy: "system" })
+      .catch((err) => console.error("[Reconciliation] Scheduled run failed:", err?.message || err))
+      .finally(() => {
+        reconciliationBusy = false;
+      });
+  }, PAYMENT_RECONCILIATION_INTERVAL_MINUTES * 60 * 1000);
+  reconciliationTimer.unref?.();
+  console.log(`[Reconciliation] Monitor started (every ${PAYMENT_RECONCILIATION_INTERVAL_MINUTES} min, gateway ${gateway.name}).`);
+}
+
+export function stopPaymentReconciliationMonitor() {
+  if (!reconciliationTimer) return;
+  clearInterval(reconciliationTimer);
+  reconciliationTimer = null;
+}
@@ -19,7 +19,7 @@ export async function generateInvoicePDF(data) {
             doc.fontSize(24).font("Helvetica-Bold").fillColor("#EAB308").text("ResQNow", 50, 45);
             doc.fontSize(10).font("Helvetica").fillColor("#64748B").text("Roadside Assistance Services", 50, 75);
 
-            doc.fontSize(16).font("Helvetica-Bold").fillColor("#0F172A").text("TAX INVOICE", 400, 45, { align: "right" });
+            doc.fontSize(16).font("Helvetica-Bold").fillColor("#0F172A").text(data.title || "TAX INVOICE", 300, 45, { align: "right", width: 245 });
             doc.fontSize(10).font("Helvetica").fillColor("#64748B").text(`Invoice #: ${data.invoiceId}`, 400, 70, { align: "right" });
             doc.text(`Date: ${new Date().toLocaleDateString()}`, 400, 85, { align: "right" });
 
@@ -58,14 +58,28 @@ export async function generateInvoicePDF(data) {
             doc.font("Helvetica").fontSize(10).fillColor("#334155");
             const rowY = tableTop + 35;
 
-            doc.text("Service", itemX + 5, rowY);
-            doc.text(`${data.serviceType} - ${data.vehicleType || "Vehicle"}`, descX, rowY);
-            doc.text(Number(data.amount || 0).toFixed(2), amountX, rowY, { align: "right", width: 90 });
-
-            const rowY2 = rowY + 20;
-            doc.text("Fee", itemX + 5, rowY2);
-            doc.text("Platform & Convenience Fee", descX, rowY2);
-            doc.text(Number(data.platformFee || 0).toFixed(2), amountX, rowY2, { align: "right", width: 90 });
+            // `lineItems` replaces the service breakdown, e.g. on a cancellation invoice.
+            const lines = Array.isArray(data.lineItems) ? data.lineItems : [
+                { item: "Service", description: `${data.serviceType} - ${data.vehicleType || "Vehicle"}`, amount: data.amount },
+                ...(Number(data.surgeAmount || 0) > 0
+                    ? [{
+                        item: "Surge",
+                        description: Number.isFinite(Number(data.surgeMultiplier)) && Number(data.surgeMultiplier) > 1
+                            ? `Demand surge (x${Number(data.surgeMultiplier).toFixed(2)})`
+                            : "Demand surge",
+                        amount: data.surgeAmount
+                    }]
+                    : []),
+                { item: "Fee", description: "Platform & Convenience Fee", amount: data.platformFee },
+            ];
+
+            let rowY2 = rowY;
+            lines.forEach((line, index) => {
+                if (index > 0) rowY2 += 20;
+                doc.text(line.item, itemX + 5, rowY2);
+                doc.text(line.description || "", descX, rowY2);
+                doc.text(Number(line.amount || 0).toFixed(2), amountX, rowY2, { align: "right", width: 90 });
+            });
 
             doc.moveTo(50, rowY2 + 25).lineTo(550, rowY2 + 25).strokeColor("#E2E8F0").stroke();
 
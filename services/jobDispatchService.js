@@ -1,6 +1,5 @@
 import * as db from "../db.js";
 import { socketService } from "./socket.js";
-import axios from "axios";
 import {
     canonicalizeServiceDomain,
     canonicalizeVehicleFamily,
@@ -11,17 +10,119 @@ import {
 import { estimateRequestAmountAsync } from "./pricingEstimator.js";
 import { getPlatformPricingConfig } from "./platformPricing.js";
 import { markTechnicianReserved } from "./technicianStateService.js";
+import { REQUEST_ACTORS, transitionRequestStatus } from "./requestStateMachine.js";
+import { findTechniciansNearLocation } from "./technicianGeoIndex.js";
+import { rankCandidates } from "./dispatchScoring.js";
+import { estimateTravelTimes } from "./routingProvider.js";
+import { getShiftStatus } from "./workingHours.js";
+import { isDuesLimitExceeded } from "./technicianDuesService.js";
+import {
+    dispatchOutboxSoon,
+    enqueueOutbox,
+    outboxNotifyTechnician,
+    outboxNotifyUser,
+    outboxSocketEmit,
+} from "./outboxService.js";
 
 
 /**
  * Job Dispatch Service
- * Handles finding nearest technicians, calculating ETAs via Google Matrix API,
+ * Handles finding nearest technicians, calculating ETAs via the routing provider,
  * and managing dispatch offers.
  */
 
-// OSRM Public Server (Demo only - use own instance for prod)
-const OSRM_BASE_URL = process.env.OSRM_URL || "http://router.project-osrm.org/route/v1/driving";
+// How long a technician has to accept an offer before the wave monitor expires it.
+export const DISPATCH_OFFER_TTL_SECONDS = Math.max(5, Number(process.env.DISPATCH_OFFER_TTL_SECONDS || 20));
+
 
+/**
+ * Socket and push side effects of an accepted job, built inside the accept transaction.
+ */
+async function buildAcceptOutboxEntries(conn, {
+    requestId,
+    eventId,
+    technicianId,
+    tech,
+    sourceJob,
+    acceptedJob,
+    idempotent,
+    assignedAmount,
+    revokedTechnicianIds,
+}) {
+    // Keyed on the accept's status event: the same technician can accept the same request again.
+    const dedupeKey = `accept:${eventId}`;
+    const [userRows] = await conn.query(
+        "SELECT full_name FROM users WHERE id = ? LIMIT 1",
+        [sourceJob?.user_id]
+    );
+    const customerName = String(
+        sourceJob?.contact_name ||
+        userRows?.[0]?.full_name ||
+        "Customer"
+    ).trim();
+
+    const userLat = Number(sourceJob?.location_lat);
+    const userLng = Number(sourceJob?.location_lng);
+    const techLat = Number(tech?.latitude);
+    const techLng = Number(tech?.longitude);
+    const locationDistance =
+        Number.isFinite(userLat) &&
+        Number.isFinite(userLng) &&
+        Number.isFinite(techLat) &&
+        Number.isFinite(techLng)
+            ? `${getDistanceFromLatLonInKm(userLat, userLng, techLat, techLng).toFixed(1)} km`
+            : "Nearby";
+
+    const entries = revokedTechnicianIds.map((revokedId) =>
+        outboxSocketEmit(`technician_${revokedId}`, "job:revoked", { requestId }, { dedupeKey })
+    );
+
+    const techInfo = {
+        id: tech.id,
+        name: tech.name,
+        phone: tech.phone,
+        location: { lat: tech.latitude, lng: tech.longitude }
+    };
+    const acceptedPayload = {
+        success: true,
+        idempotent,
+        request: acceptedJob
+    };
+
+    entries.push(
+        outboxSocketEmit(
+            [`request_${requestId}`, `user_${sourceJob?.user_id}`],
+            `job_update_${requestId}`,
+            { status: "accepted", technician: techInfo },
+            { dedupeKey }
+        ),
+        outboxNotifyUser(sourceJob?.user_id, "job:status_update", {
+            requestId,
+            status: "accepted",
+            technicianId
+        }, { dedupeKey }),
+        outboxSocketEmit(`technician_${technicianId}`, "job_assigned", acceptedPayload, { dedupeKey }),
+        outboxNotifyTechnician(technicianId, "job:assigned", {
+            ...acceptedPayload,
+            id: String(requestId),
+            jobId: String(requestId),
+            requestId: String(requestId),
+            status: "accepted",
+            customerName,
+            serviceType: sourceJob?.service_type,
+            locationDistance,
+            priceAmount: assignedAmount ?? 0,
+            amount: assignedAmount ?? 0,
+            location: {
+                lat: sourceJob?.location_lat,
+                lng: sourceJob?.location_lng,
+                address: sourceJob?.address
+            },
+            address: sourceJob?.address
+        }, { dedupeKey })
+    );
+    return entries;
+}
 
 // Helper: safe JSON parse
 const safeParse = (str) => {
@@ -47,6 +148,33 @@ function getDistanceFromLatLonInKm(lat1, lon1, lat2, lon2) {
     return R * c;
 }
 
+// Reject the other technicians' live offers on an accept. Returns their ids so only they are told
+// the job is gone (not technicians who declined or lost the job earlier).
+async function rejectOtherPendingOffers(conn, requestId, technicianId) {
+    const [offers] = await conn.query(
+        "SELECT technician_id FROM dispatch_offers WHERE service_request_id = ? AND technician_id != ? AND status = 'pending' FOR UPDATE",
+        [requestId, technicianId]
+    );
+    if (offers.length === 0) return [];
+    await conn.query(
+        "UPDATE dispatch_offers SET status = 'rejected' WHERE service_request_id = ? AND technician_id != ? AND status = 'pending'",
+        [requestId, technicianId]
+    );
+    return offers.map((offer) => offer.technician_id);
+}
+
+// Stop any running offer wave once the request has an owner.
+async function closeOpenDispatchWaves(conn, requestId) {
+    await conn.query(
+        "UPDATE dispatch_waves SET status = 'accepted', closed_at = NOW() WHERE service_request_id = ? AND status = 'open'",
+        [requestId]
+    );
+    await conn.query(
+        "UPDATE service_requests SET dispatch_state = 'accepted' WHERE id = ?",
+        [requestId]
+    );
+}
+
 export const jobDispatchService = {
     buildRequestCriteria(jobRequest, radiusKm = null) {
         const userLat = Number(jobRequest.location_lat);
@@ -55,12 +183,15 @@ export const jobDispatchService = {
         const reqType = canonicalizeDomain(reqRawType);
         const reqVehicle = canonicalizeVehicleFamily(jobRequest.vehicle_type);
         const globalRadius = Number.isFinite(Number(radiusKm)) ? Number(radiusKm) : null;
-        return { userLat, userLng, reqType, reqVehicle, globalRadius };
+        // Working hours are checked at the booked slot for scheduled requests, otherwise now.
+        const scheduledAt = jobRequest.scheduled_for ? new Date(jobRequest.scheduled_for) : null;
+        const at = scheduledAt && scheduledAt.getTime() > Date.now() ? scheduledAt : new Date();
+        return { userLat, userLng, reqType, reqVehicle, globalRadius, at };
     },
 
     evaluateTechnicianForRequest(tech, criteria) {
         const reasons = [];
-        const { userLat, userLng, reqType, reqVehicle, globalRadius } = criteria;
+        const { userLat, userLng, reqType, reqVehicle, globalRadius, at } = criteria;
 
         if (!Number.isFinite(userLat) || !Number.isFinite(userLng)) {
             return { eligible: false, reasons: ["invalid_job_location"] };
@@ -73,6 +204,10 @@ export const jobDispatchService = {
         if (!tech.is_active) reasons.push("inactive");
         if (!tech.is_available) reasons.push("unavailable");
         if (tech.current_job_id != null) reasons.push("busy");
+        if (isDuesLimitExceeded(tech)) reasons.push("dues_limit_exceeded");
+
+        const shift = getShiftStatus(tech.working_hours, at || new Date());
+        if (!shift.working) reasons.push("outside_working_hours");
 
         const tLat = Number(tech.latitude);
         const tLng = Number(tech.longitude);
@@ -109,6 +244,7 @@ export const jobDispatchService = {
             eligible: reasons.length === 0,
             reasons,
             distanceKm: distKm,
+            shiftStatus: shift.reason,
             matchedDomain: reqType,
             matchedVehicle: reqVehicle,
             technicianDomains: domains,
@@ -142,10 +278,10 @@ export const jobDispatchService = {
     },
 
     /**
-     * Find top technicians for a job request (ETA prioritized).
-     * 1. Check DB for active, available, and compatible techs within radius.
-     * 2. Calculate ETA using Google Distance Matrix.
-     * 3. Sort by ETA (fastest first).
+     * Find top technicians for a job request.
+     * 1. Load techs from the grid cells around the job, then apply the eligibility rules.
+     * 2. Calculate ETA via the routing provider (matrix call, cached; haversine fallback).
+     * 3. Rank by the multi-factor dispatch score (see dispatchScoring.js).
      * 4. Return top candidates.
      */
     async findTopTechnicians(jobRequest, radiusKm = null) {
@@ -158,8 +294,12 @@ export const jobDispatchService = {
         }
 
         try {
-            // 1. Get technicians from DB and analyze with strict eligibility rules
-            const rows = await db.query("SELECT * FROM technicians");
+            // 1. Get nearby technicians from the spatial index and analyze with strict eligibility rules
+            const rows = await findTechniciansNearLocation({
+                latitude: userLat,
+                longitude: userLng,
+                radiusKm
+            });
             const { criteria, analysis, reasonCounts } = this.analyzeTechnicians(jobRequest, rows, radiusKm);
 
             if (!criteria.reqType || !criteria.reqVehicle) {
@@ -186,7 +326,7 @@ export const jobDispatchService = {
             }
 
             // 3. ETA scoring
-            // Use fallback ETA for everyone; enrich top N with OSRM for better ordering.
+            // Use fallback ETA for everyone; enrich top N with the routing matrix for better ordering.
             candidates.sort((a, b) => a.haversineDist - b.haversineDist);
             candidates.forEach((tech) => {
                 tech.etaSeconds = (tech.haversineDist / 30) * 3600; // fallback 30km/h
@@ -198,27 +338,33 @@ export const jobDispatchService = {
             const matrixCandidates = candidates.slice(0, matrixLimit);
 
             try {
-                // Fetch ETA for each candidate in parallel
-                await Promise.all(matrixCandidates.map(async (tech) => {
-                    try {
-                        const url = `${OSRM_BASE_URL}/${tech.longitude},${tech.latitude};${userLng},${userLat}?overview=false`;
-                        const res = await axios.get(url, { timeout: 3000 });
-
-                        if (res.data && res.data.routes && res.data.routes.length > 0) {
-                            const route = res.data.routes[0];
-                            tech.etaSeconds = route.duration; // seconds
-                            tech.etaText = `${Math.ceil(route.duration / 60)} mins`;
-                            tech.distanceText = `${(route.distance / 1000).toFixed(1)} km`;
-                        } else throw new Error("No route found");
-                    } catch { }
-                }));
-
+                // One matrix lookup for all candidates (cache hits skip the provider entirely)
+                const routes = await estimateTravelTimes(
+                    matrixCandidates.map((tech) => ({ lat: tech.latitude, lng: tech.longitude })),
+                    { lat: userLat, lng: userLng }
+                );
+                matrixCandidates.forEach((tech, index) => {
+                    const route = routes[index];
+                    if (!route || !Number.isFinite(route.durationSeconds)) return;
+                    const approximate = route.source === "haversine";
+                    tech.etaSeconds = route.durationSeconds;
+                    tech.etaSource = route.source;
+                    tech.etaText = `${approximate ? "~" : ""}${Math.ceil(route.durationSeconds / 60)} mins`;
+                    if (Number.isFinite(route.distanceMeters)) {
+                        tech.distanceText = `${(route.distanceMeters / 1000).toFixed(1)} km`;
+                    }
+                });
             } catch (err) {
-                console.error("[Dispatch] OSRM Error:", err.message);
+                console.error("[Dispatch] Routing Error:", err.message);
             }
 
-            // 4. Sort by Fastest ETA
+            // 4. Rank by blended score (ETA, rating, acceptance, completion, cancellations, workload)
             candidates.sort((a, b) => a.etaSeconds - b.etaSeconds);
+            try {
+                await rankCandidates(candidates);
+            } catch (scoreErr) {
+                console.error("[Dispatch] Scoring failed; keeping ETA order:", scoreErr.message);
+            }
 
             // Return all matching technicians
             return candidates;
@@ -231,10 +377,11 @@ export const jobDispatchService = {
 
     /**
      * Dispatch Job to Technicians.
-     * Creates offers and sends socket notifications.
+     * Creates offers (with a server-enforced expiry) and sends socket notifications.
+     * Returns the technicians that received a new offer.
      */
-    async dispatchJob(jobRequest, technicians) {
-        if (!technicians || technicians.length === 0) return;
+    async dispatchJob(jobRequest, technicians, { waveNumber = null, expiresInSeconds = DISPATCH_OFFER_TTL_SECONDS } = {}) {
+        if (!technicians || technicians.length === 0) return [];
         const pool = await db.getPool();
         const pricingConfig = await getPlatformPricingConfig();
 
@@ -247,17 +394,27 @@ export const jobDispatchService = {
         const freshTechnicians = technicians.filter((t) => !offeredSet.has(String(t.id)));
         if (freshTechnicians.length === 0) {
             console.log(`[Dispatch] No new technicians to notify for request #${jobRequest.id}.`);
-            return;
+            return [];
         }
 
-        // 1. Create Offers
-        const values = freshTechnicians.map(t => [jobRequest.id, t.id, 'pending']);
-        if (values.length > 0) {
-            const sql = "INSERT INTO dispatch_offers (service_request_id, technician_id, status) VALUES ?";
-            const q = pool.format(sql, [values]);
-            await pool.query(q);
-            console.log(`[Dispatch] Created ${values.length} offer(s) for request #${jobRequest.id}.`);
-        }
+        // 1. Create Offers (expiry is computed by the DB clock so the wave monitor can compare against NOW())
+        const ttlSeconds = Math.max(1, Math.round(Number(expiresInSeconds) || DISPATCH_OFFER_TTL_SECONDS));
+        const placeholders = freshTechnicians
+            .map(() => "(?, ?, 'pending', ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))")
+            .join(", ");
+        const params = freshTechnicians.flatMap((t) => [
+            jobRequest.id,
+            t.id,
+            waveNumber,
+            Number.isFinite(t.dispatchScore) ? t.dispatchScore : null,
+            t.scoreBreakdown ? JSON.stringify(t.scoreBreakdown) : null,
+            ttlSeconds
+        ]);
+        await pool.query(
+            `INSERT INTO dispatch_offers (service_request_id, technician_id, status, wave_number, score, score_breakdown, expires_at) VALUES ${placeholders}`,
+            params
+        );
+        console.log(`[Dispatch] Created ${freshTechnicians.length} offer(s) for request #${jobRequest.id} (wave ${waveNumber ?? "-"}, ttl ${ttlSeconds}s).`);
 
         // 2. Send WebSocket Alerts
         for (const t of freshTechnicians) {
@@ -277,7 +434,8 @@ export const jobDispatchService = {
                 distance: t.distanceText,
                 locationDistance: t.distanceText,
                 eta: t.etaText,
-                expiresIn: 20 // 20 seconds countdown
+                waveNumber,
+                expiresIn: ttlSeconds
             };
 
             // Emit to technician room and push notification
@@ -295,12 +453,15 @@ export const jobDispatchService = {
                 `Service: ${jobRequest.service_type}. ETA: ${t.etaText}`
             ]).catch(() => { });
         }
+
+        return freshTechnicians;
     },
 
     /**
      * Technician Accepts Job (Atomic Locking)
+     * `actor`/`actorId` attribute the transition when an admin force-assigns on the technician's behalf.
      */
-    async acceptJob(technicianId, requestId) {
+    async acceptJob(technicianId, requestId, { actor = REQUEST_ACTORS.TECHNICIAN, actorId = technicianId } = {}) {
         const pool = await db.getPool();
         const conn = await pool.getConnection();
         let acceptedJob = null;
@@ -308,8 +469,9 @@ export const jobDispatchService = {
         let tech = null;
         let idempotent = false;
         let shouldNotify = false;
-        let shouldRevokeOffers = false;
+        let revokedTechnicianIds = [];
         let assignedAmount = null;
+        let acceptEventId = null;
 
         try {
             await conn.beginTransaction();
@@ -382,20 +544,21 @@ export const jobDispatchService = {
 
                 // Legacy compatibility: convert stale "assigned" into "accepted".
                 if (currentStatus === "assigned") {
-                    await conn.query(
-                        "UPDATE service_requests SET status = 'accepted', amount = COALESCE(amount, ?), updated_at = NOW() WHERE id = ?",
-                        [assignedAmount, requestId]
-                    );
+                    ({ eventId: acceptEventId } = await transitionRequestStatus(conn, {
+                        requestId,
+                        to: "accepted",
+                        actor,
+                        actorId,
+                        setSql: [{ sql: "amount = COALESCE(amount, ?)", params: [assignedAmount] }],
+                        metadata: { technicianId: Number(technicianId) },
+                    }));
                     await conn.query(
                         "UPDATE dispatch_offers SET status = 'accepted' WHERE service_request_id = ? AND technician_id = ?",
                         [requestId, technicianId]
                     );
-                    await conn.query(
-                        "UPDATE dispatch_offers SET status = 'rejected' WHERE service_request_id = ? AND technician_id != ? AND status = 'pending'",
-                        [requestId, technicianId]
-                    );
+                    revokedTechnicianIds = await rejectOtherPendingOffers(conn, requestId, technicianId);
+                    await closeOpenDispatchWaves(conn, requestId);
                     shouldNotify = true;
-                    shouldRevokeOffers = true;
                     acceptedJob = {
                         ...sourceJob,
                         technician_id: technicianId,
@@ -412,7 +575,6 @@ export const jobDispatchService = {
                 }
 
                 await markTechnicianReserved(conn, technicianId, requestId);
-                await conn.commit();
             } else {
                 // Conflict: already owned by another technician in non-pending states.
                 if (currentStatus !== "pending" || (existingTechnicianId && !sameTechnician)) {
@@ -424,20 +586,41 @@ export const jobDispatchService = {
                     };
                 }
 
+                // Technicians can only accept a live offer; expired, preempted and declined offers are final.
+                if (actor === REQUEST_ACTORS.TECHNICIAN) {
+                    const [offerRows] = await conn.query(
+                        `SELECT id FROM dispatch_offers
+                         WHERE service_request_id = ? AND technician_id = ? AND status = 'pending' AND expires_at > NOW()
+                         LIMIT 1 FOR UPDATE`,
+                        [requestId, technicianId]
+                    );
+                    if (offerRows.length === 0) {
+                        await conn.rollback();
+                        return {
+                            success: false,
+                            code: "offer_expired",
+                            reason: "This job offer has expired or is no longer available."
+                        };
+                    }
+                }
+
                 // Fresh accept path.
-                await conn.query(
-                    "UPDATE service_requests SET technician_id = ?, status = 'accepted', amount = ?, updated_at = NOW() WHERE id = ? AND status = 'pending'",
-                    [technicianId, resolvedAmount, requestId]
-                );
+                ({ eventId: acceptEventId } = await transitionRequestStatus(conn, {
+                    requestId,
+                    to: "accepted",
+                    actor,
+                    actorId,
+                    fromStatuses: ["pending"],
+                    set: { technician_id: technicianId, amount: resolvedAmount },
+                    metadata: { technicianId: Number(technicianId) },
+                }));
 
                 await conn.query(
-                    "UPDATE dispatch_offers SET status = 'accepted' WHERE service_request_id = ? AND technician_id = ?",
-                    [requestId, technicianId]
-                );
-                await conn.query(
-                    "UPDATE dispatch_offers SET status = 'rejected' WHERE service_request_id = ? AND technician_id != ?",
+                    "UPDATE dispatch_offers SET status = 'accepted' WHERE service_request_id = ? AND technician_id = ? AND status = 'pending'",
                     [requestId, technicianId]
                 );
+                revokedTechnicianIds = await rejectOtherPendingOffers(conn, requestId, technicianId);
+                await closeOpenDispatchWaves(conn, requestId);
                 await markTechnicianReserved(conn, technicianId, requestId);
 
                 acceptedJob = {
@@ -448,10 +631,23 @@ export const jobDispatchService = {
                     updated_at: new Date().toISOString(),
                 };
                 shouldNotify = true;
-                shouldRevokeOffers = true;
-                await conn.commit();
             }
 
+            // Notifications commit with the accept, so a crash cannot lose them.
+            if (shouldNotify) {
+                await enqueueOutbox(conn, await buildAcceptOutboxEntries(conn, {
+                    requestId,
+                    eventId: acceptEventId,
+                    technicianId,
+                    tech,
+                    sourceJob,
+                    acceptedJob,
+                    idempotent,
+                    assignedAmount,
+                    revokedTechnicianIds,
+                }));
+            }
+            await conn.commit();
         } catch (err) {
             try { await conn.rollback(); } catch { /* ignore rollback errors */ }
             throw err;
@@ -459,83 +655,7 @@ export const jobDispatchService = {
             conn.release();
         }
 
-        if (shouldNotify) {
-            try {
-                const [userRows] = await pool.query(
-                    "SELECT full_name FROM users WHERE id = ? LIMIT 1",
-                    [sourceJob?.user_id]
-                );
-                const customerName = String(
-                    sourceJob?.contact_name ||
-                    userRows?.[0]?.full_name ||
-                    "Customer"
-                ).trim();
-
-                const userLat = Number(sourceJob?.location_lat);
-                const userLng = Number(sourceJob?.location_lng);
-                const techLat = Number(tech?.latitude);
-                const techLng = Number(tech?.longitude);
-                const locationDistance =
-                    Number.isFinite(userLat) &&
-                    Number.isFinite(userLng) &&
-                    Number.isFinite(techLat) &&
-                    Number.isFinite(techLng)
-                        ? `${getDistanceFromLatLonInKm(userLat, userLng, techLat, techLng).toFixed(1)} km`
-                        : "Nearby";
-
-                if (shouldRevokeOffers) {
-                    const [rejectedOffers] = await pool.query(
-                        "SELECT technician_id FROM dispatch_offers WHERE service_request_id = ? AND status = 'rejected'",
-                        [requestId]
-                    );
-                    rejectedOffers.forEach((offer) => {
-                        socketService.io.to(`technician_${offer.technician_id}`).emit("job:revoked", { requestId });
-                    });
-                }
-
-                const techInfo = {
-                    id: tech.id,
-                    name: tech.name,
-                    phone: tech.phone,
-                    location: { lat: tech.latitude, lng: tech.longitude }
-                };
-
-                socketService.io.emit(`job_update_${requestId}`, { status: "accepted", technician: techInfo });
-                socketService.notifyUser(sourceJob?.user_id, "job:status_update", {
-                    requestId,
-                    status: "accepted",
-                    technicianId
-                });
-
-                const acceptedPayload = {
-                    success: true,
-                    idempotent,
-                    request: acceptedJob
-                };
-
-                socketService.io.to(`technician_${technicianId}`).emit("job_assigned", acceptedPayload);
-                socketService.notifyTechnician(technicianId, "job:assigned", {
-                    ...acceptedPayload,
-                    id: String(requestId),
-                    jobId: String(requestId),
-                    requestId: String(requestId),
-                    status: "accepted",
-                    customerName,
-                    serviceType: sourceJob?.service_type,
-                    locationDistance,
-                    priceAmount: assignedAmount ?? 0,
-                    amount: assignedAmount ?? 0,
-                    location: {
-                        lat: sourceJob?.location_lat,
-                        lng: sourceJob?.location_lng,
-                        address: sourceJob?.address
-                    },
-                    address: sourceJob?.address
-                });
-            } catch (notifyErr) {
-                console.error("[Dispatch] Accept notification sync failed:", notifyErr);
-            }
-        }
+        if (shouldNotify) dispatchOutboxSoon();
 
         console.log(
             `[Dispatch] Accept resolved for request #${requestId}: technician=${technicianId}, idempotent=${idempotent}`
@@ -1,10 +1,13 @@
-import * as db from "../db.js";
 import { jobDispatchService } from "./jobDispatchService.js";
+import { findTechniciansNearLocation } from "./technicianGeoIndex.js";
 
 export const jobMatcher = {
     async findBestMatch(jobRequest, excludeTechnicianIds = []) {
         try {
-            const rows = await db.query("SELECT * FROM technicians");
+            const rows = await findTechniciansNearLocation({
+                latitude: jobRequest.location_lat,
+                longitude: jobRequest.location_lng
+            });
             const { analysis } = jobDispatchService.analyzeTechnicians(jobRequest, rows, null);
             const excluded = new Set((excludeTechnicianIds || []).map((id) => String(id)));
 
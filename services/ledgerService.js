@@ -0,0 +1,770 @@
+import { getPool } from "../db.js";
+
+/**
+ * Double-entry ledger for money moving between customers, the platform and technicians.
+ * Every posting is one ledger_entries row plus balanced ledger_lines (total debits == total
+ * credits). Entries carry an idempotency key, so posting the same event twice is a no-op.
+ *
+ * Accounts:
+ * - platform:gateway_clearing      asset      money captured by (or refunded through) Razorpay
+ * - platform:customer_deposits     liability  captured money not yet earned (e.g. a cancelled job)
+ * - platform:payout_clearing       liability  technician payouts approved but not yet confirmed paid
+ * - platform:user_dues_receivable  asset      cancellation fees the customer still owes
+ * - platform:revenue               revenue    platform fees, subscriptions and the platform share of cancellation fees
+ * - platform:refunds               expense    refunds of money that had already been earned
+ * - platform:write_offs            expense    waived customer dues
+ * - technician:<id>:payable        liability  what the platform owes the technician
+ * - technician:<id>:cash_in_hand   asset      cash a technician collected on the platform's behalf
+ *
+ * A technician's net balance is payable minus cash in hand: positive means the platform owes the
+ * technician, negative means the technician owes platform fees from cash jobs.
+ */
+
+export const LEDGER_ACCOUNTS = Object.freeze({
+  GATEWAY_CLEARING: "platform:gateway_clearing",
+  CUSTOMER_DEPOSITS: "platform:customer_deposits",
+  PAYOUT_CLEARING: "platform:payout_clearing",
+  USER_DUES_RECEIVABLE: "platform:user_dues_receivable",
+  REVENUE: "platform:revenue",
+  REFUNDS: "platform:refunds",
+  WRITE_OFFS: "platform:write_offs",
+});
+
+export const LEDGER_ENTRY_TYPES = Object.freeze({
+  SERVICE_PAYMENT: "service_payment",
+  CASH_PAYMENT: "cash_payment",
+  TECHNICIAN_DUES_PAYMENT: "technician_dues_payment",
+  REFUND: "refund",
+  CANCELLATION_FEE: "cancellation_fee",
+  USER_DUE_PAYMENT: "user_due_payment",
+  USER_DUE_WAIVER: "user_due_waiver",
+  PAYOUT_NETTING: "payout_netting",
+  PAYOUT_RESERVE: "payout_reserve",
+  PAYOUT_PAID: "payout_paid",
+  PAYOUT_REVERSAL: "payout_reversal",
+  SUBSCRIPTION_PAYMENT: "subscription_payment",
+});
+
+const PLATFORM_ACCOUNT_DEFINITIONS = Object.freeze({
+  [LEDGER_ACCOUNTS.GATEWAY_CLEARING]: { name: "Gateway clearing", type: "asset" },
+  [LEDGER_ACCOUNTS.CUSTOMER_DEPOSITS]: { name: "Customer deposits", type: "liability" },
+  [LEDGER_ACCOUNTS.PAYOUT_CLEARING]: { name: "Payouts in transit", type: "liability" },
+  [LEDGER_ACCOUNTS.USER_DUES_RECEIVABLE]: { name: "Customer dues receivable", type: "asset" },
+  [LEDGER_ACCOUNTS.REVENUE]: { name: "Platform revenue", type: "revenue" },
+  [LEDGER_ACCOUNTS.REFUNDS]: { name: "Refunds", type: "expense" },
+  [LEDGER_ACCOUNTS.WRITE_OFFS]: { name: "Write-offs", type: "expense" },
+});
+
+// Payment entries whose `amount` is the gross collected from the customer.
+const PAYMENT_ENTRY_TYPES = [LEDGER_ENTRY_TYPES.SERVICE_PAYMENT, LEDGER_ENTRY_TYPES.CASH_PAYMENT];
+
+// Mirrors the effective payment status used by the finance summary.
+const EFFECTIVE_PAYMENT_STATUS_SQL = `LOWER(COALESCE(
+  CASE
+    WHEN LOWER(COALESCE(sr.status, '')) = 'cancelled' THEN 'cancelled'
+    WHEN LOWER(COALESCE(sr.status, '')) IN ('completed', 'paid') THEN 'completed'
+    ELSE p.status
+  END,
+  ''
+))`;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function toPositiveId(value, label) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createHttpError(`${label} must be a positive integer.`, 400);
+  }
+  return parsed;
+}
+
+export function technicianPayableAccount(technicianId) {
+  return `technician:${Number(technicianId)}:payable`;
+}
+
+export function technicianCashAccount(technicianId) {
+  return `technician:${Number(technicianId)}:cash_in_hand`;
+}
+
+function describeAccount(code) {
+  if (PLATFORM_ACCOUNT_DEFINITIONS[code]) {
+    return { code, ...PLATFORM_ACCOUNT_DEFINITIONS[code], technicianId: null };
+  }
+  const match = /^technician:(\d+):(payable|cash_in_hand)$/.exec(code);
+  if (!match) throw new Error(`Unknown ledger account '${code}'.`);
+  const technicianId = Number(match[1]);
+  return match[2] === "payable"
+    ? { code, name: `Technician #${technicianId} payable`, type: "liability", technicianId }
+    : { code, name: `Technician #${technicianId} cash in hand`, type: "asset", technicianId };
+}
+
+async function resolveAccountIds(db, codes) {
+  const unique = [...new Set(codes)];
+  const definitions = unique.map(describeAccount);
+  await db.query(
+    "INSERT IGNORE INTO ledger_accounts (code, name, account_type, technician_id) VALUES ?",
+    [definitions.map((account) => [account.code, account.name, account.type, account.technicianId])]
+  );
+  const [rows] = await db.query("SELECT id, code FROM ledger_accounts WHERE code IN (?)", [unique]);
+  return new Map((rows || []).map((row) => [row.code, Number(row.id)]));
+}
+
+/**
+ * Post a balanced entry on `conn` (call inside the transaction that records the business event).
+ * `lines` are { account, debit } or { account, credit }; zero lines are dropped.
+ * Returns the entry id, or null when the idempotency key was already posted or nothing moved.
+ */
+export async function postLedgerEntry(conn, {
+  type,
+  idempotencyKey,
+  amount,
+  requestId = null,
+  paymentId = null,
+  technicianId = null,
+  memo = null,
+  createdBy = null,
+  lines,
+}) {
+  const normalizedLines = (lines || [])
+    .map((line) => ({
+      account: line.account,
+      debit: roundMoney(line.debit),
+      credit: roundMoney(line.credit),
+    }))
+    .filter((line) => line.debit > 0 || line.credit > 0);
+  if (normalizedLines.length === 0) return null;
+
+  const totalDebit = roundMoney(normalizedLines.reduce((sum, line) => sum + line.debit, 0));
+  const totalCredit = roundMoney(normalizedLines.reduce((sum, line) => sum + line.credit, 0));
+  if (Math.abs(totalDebit - totalCredit) > 0.005) {
+    throw new Error(`Unbalanced ledger entry '${idempotencyKey}': debits ${totalDebit}, credits ${totalCredit}.`);
+  }
+
+  const [entryResult] = await conn.query(
+    `INSERT INTO ledger_entries
+       (entry_type, idempotency_key, amount, service_request_id, payment_id, technician_id, memo, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE id = id`,
+    [
+      type,
+      String(idempotencyKey).slice(0, 191),
+      roundMoney(amount ?? totalDebit),
+      requestId || null,
+      paymentId || null,
+      technicianId || null,
+      memo ? String(memo).slice(0, 255) : null,
+      createdBy ? String(createdBy) : null,
+    ]
+  );
+  // ON DUPLICATE KEY no-ops report 0 affected rows.
+  if (!entryResult?.affectedRows) return null;
+  const entryId = entryResult.insertId;
+
+  const accountIds = await resolveAccountIds(conn, normalizedLines.map((line) => line.account));
+  await conn.query(
+    "INSERT INTO ledger_lines (entry_id, account_id, debit, credit) VALUES ?",
+    [normalizedLines.map((line) => [entryId, accountIds.get(line.account), line.debit, line.credit])]
+  );
+  return entryId;
+}
+
+/**
+ * Captured online payment. When the job was completed the technician's share goes to their payable
+ * account and the rest is revenue; otherwise (`recognized` false, e.g. the request was cancelled)
+ * the money is held as a customer deposit until it is refunded or kept as a fee.
+ */
+export function postServicePayment(conn, { paymentId, requestId, technicianId = null, amount, technicianAmount, recognized = true }) {
+  const gross = roundMoney(amount);
+  const technicianShare = technicianId && recognized ? Math.min(gross, roundMoney(technicianAmount)) : 0;
+  const lines = [{ account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, debit: gross }];
+  if (technicianId && recognized) {
+    lines.push(
+      { account: LEDGER_ACCOUNTS.REVENUE, credit: roundMoney(gross - technicianShare) },
+      { account: technicianPayableAccount(technicianId), credit: technicianShare }
+    );
+  } else {
+    lines.push({ account: LEDGER_ACCOUNTS.CUSTOMER_DEPOSITS, credit: gross });
+  }
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.SERVICE_PAYMENT,
+    idempotencyKey: `payment:${paymentId}`,
+    amount: gross,
+    requestId,
+    paymentId,
+    technicianId,
+    memo: recognized ? `Online payment for request #${requestId}` : `Online payment held for request #${requestId}`,
+    lines,
+  });
+}
+
+/**
+ * Cash job: the technician collects the full amount, keeps their share and holds the platform fee
+ * in cash until they pay their dues.
+ */
+export function postCashPayment(conn, { paymentId, requestId, technicianId, amount, technicianAmount }) {
+  if (!technicianId) return null;
+  const gross = roundMoney(amount);
+  const technicianShare = Math.min(gross, roundMoney(technicianAmount));
+  const payable = technicianPayableAccount(technicianId);
+  const cashInHand = technicianCashAccount(technicianId);
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.CASH_PAYMENT,
+    idempotencyKey: `payment:${paymentId}`,
+    amount: gross,
+    requestId,
+    paymentId,
+    technicianId,
+    memo: `Cash collected for request #${requestId}`,
+    lines: [
+      { account: cashInHand, debit: gross },
+      { account: LEDGER_ACCOUNTS.REVENUE, credit: roundMoney(gross - technicianShare) },
+      { account: payable, credit: technicianShare },
+      // The technician keeps their share out of the cash collected.
+      { account: payable, debit: technicianShare },
+      { account: cashInHand, credit: technicianShare },
+    ],
+  });
+}
+
+/**
+ * A technician paid the platform fees they held from cash jobs.
+ */
+export function postTechnicianDuesPayment(conn, { technicianId, amount, reference }) {
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.TECHNICIAN_DUES_PAYMENT,
+    idempotencyKey: `tech_dues:${reference}`,
+    amount,
+    technicianId,
+    memo: `Platform dues paid by technician #${technicianId}`,
+    lines: [
+      { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, debit: amount },
+      { account: technicianCashAccount(technicianId), credit: amount },
+    ],
+  });
+}
+
+async function getRequestDepositBalance(conn, requestId) {
+  const [rows] = await conn.query(
+    `SELECT COALESCE(SUM(l.credit - l.debit), 0) AS balance
+     FROM ledger_lines l
+     JOIN ledger_entries e ON e.id = l.entry_id
+     JOIN ledger_accounts a ON a.id = l.account_id
+     WHERE a.code = ? AND e.service_request_id = ?`,
+    [LEDGER_ACCOUNTS.CUSTOMER_DEPOSITS, requestId]
+  );
+  return roundMoney(rows?.[0]?.balance);
+}
+
+/**
+ * A processed refund. It is paid out of the request's customer deposit first; anything beyond
+ * that was already earned and is booked as a refund expense.
+ */
+export async function postRefund(conn, { refundId, paymentId, requestId, amount }) {
+  const refundAmount = roundMoney(amount);
+  const fromDeposit = Math.min(refundAmount, Math.max(0, await getRequestDepositBalance(conn, requestId)));
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.REFUND,
+    idempotencyKey: `refund:${refundId}`,
+    amount: refundAmount,
+    requestId,
+    paymentId,
+    memo: `Refund #${refundId} for request #${requestId}`,
+    lines: [
+      { account: LEDGER_ACCOUNTS.CUSTOMER_DEPOSITS, debit: fromDeposit },
+      { account: LEDGER_ACCOUNTS.REFUNDS, debit: roundMoney(refundAmount - fromDeposit) },
+      { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, credit: refundAmount },
+    ],
+  });
+}
+
+/**
+ * Cancellation fee: kept from the customer's deposit and/or owed as a due, split between
+ * platform revenue and the technician's compensation. Pass only the compensation on the part kept
+ * from a payment; the rest is credited by postUserDuePayment() when the due is paid.
+ */
+export function postCancellationFee(conn, { requestId, technicianId = null, amount, technicianCompensation = 0, collectedFromPayment = 0, dueAmount = 0 }) {
+  const compensation = technicianId ? roundMoney(technicianCompensation) : 0;
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.CANCELLATION_FEE,
+    idempotencyKey: `cancel_fee:${requestId}`,
+    amount,
+    requestId,
+    technicianId,
+    memo: `Cancellation fee for request #${requestId}`,
+    lines: [
+      { account: LEDGER_ACCOUNTS.CUSTOMER_DEPOSITS, debit: collectedFromPayment },
+      { account: LEDGER_ACCOUNTS.USER_DUES_RECEIVABLE, debit: dueAmount },
+      { account: LEDGER_ACCOUNTS.REVENUE, credit: roundMoney(amount - compensation) },
+      ...(compensation > 0 ? [{ account: technicianPayableAccount(technicianId), credit: compensation }] : []),
+    ],
+  });
+}
+
+/**
+ * A customer paid a due. The technician's share of a cancellation fee that was owed as this due
+ * moves from revenue to their payable now that the money has been collected.
+ */
+export function postUserDuePayment(conn, { dueId, requestId = null, amount, gatewayPaymentId = null, technicianId = null, technicianCompensation = 0 }) {
+  const compensation = technicianId ? roundMoney(technicianCompensation) : 0;
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.USER_DUE_PAYMENT,
+    idempotencyKey: `user_due:${dueId}:paid`,
+    amount,
+    requestId,
+    technicianId: compensation > 0 ? technicianId : null,
+    memo: `Customer due #${dueId} paid${gatewayPaymentId ? ` (${gatewayPaymentId})` : ""}`,
+    lines: [
+      { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, debit: amount },
+      { account: LEDGER_ACCOUNTS.USER_DUES_RECEIVABLE, credit: amount },
+      ...(compensation > 0
+        ? [
+          { account: LEDGER_ACCOUNTS.REVENUE, debit: compensation },
+          { account: technicianPayableAccount(technicianId), credit: compensation },
+        ]
+        : []),
+    ],
+  });
+}
+
+export function postUserDueWaiver(conn, { dueId, requestId = null, amount, adminId = null }) {
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.USER_DUE_WAIVER,
+    idempotencyKey: `user_due:${dueId}:waived`,
+    amount,
+    requestId,
+    createdBy: adminId,
+    memo: `Customer due #${dueId} waived`,
+    lines: [
+      { account: LEDGER_ACCOUNTS.WRITE_OFFS, debit: amount },
+      { account: LEDGER_ACCOUNTS.USER_DUES_RECEIVABLE, credit: amount },
+    ],
+  });
+}
+
+export function postSubscriptionPayment(conn, { subscriptionId, amount, gatewayPaymentId = null }) {
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.SUBSCRIPTION_PAYMENT,
+    idempotencyKey: `subscription:${subscriptionId}:paid`,
+    amount,
+    memo: `Subscription #${subscriptionId} paid${gatewayPaymentId ? ` (${gatewayPaymentId})` : ""}`,
+    lines: [
+      { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, debit: amount },
+      { account: LEDGER_ACCOUNTS.REVENUE, credit: amount },
+    ],
+  });
+}
+
+/**
+ * Platform fees a technician held from cash jobs, deducted from their earnings in a payout.
+ */
+export function postPayoutNetting(conn, { payoutId, technicianId, amount }) {
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.PAYOUT_NETTING,
+    idempotencyKey: `payout:${payoutId}:netting`,
+    amount,
+    technicianId,
+    memo: `Cash dues netted in payout #${payoutId}`,
+    lines: [
+      { account: technicianPayableAccount(technicianId), debit: amount },
+      { account: technicianCashAccount(technicianId), credit: amount },
+    ],
+  });
+}
+
+/**
+ * An approved payout moves out of the technician's payable into payouts in transit. `attempt`
+ * distinguishes a retry after a failed transfer.
+ */
+export function postPayoutReserve(conn, { payoutId, technicianId, amount, attempt = 1 }) {
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.PAYOUT_RESERVE,
+    idempotencyKey: `payout:${payoutId}:reserve:${attempt}`,
+    amount,
+    technicianId,
+    memo: `Payout #${payoutId} approved`,
+    lines: [
+      { account: technicianPayableAccount(technicianId), debit: amount },
+      { account: LEDGER_ACCOUNTS.PAYOUT_CLEARING, credit: amount },
+    ],
+  });
+}
+
+export function postPayoutPaid(conn, { payoutId, technicianId, amount, reference = null }) {
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.PAYOUT_PAID,
+    idempotencyKey: `payout:${payoutId}:paid`,
+    amount,
+    technicianId,
+    memo: `Payout #${payoutId} paid${reference ? ` (${reference})` : ""}`,
+    lines: [
+      { account: LEDGER_ACCOUNTS.PAYOUT_CLEARING, debit: amount },
+      { account: LEDGER_ACCOUNTS.GATEWAY_CLEARING, credit: amount },
+    ],
+  });
+}
+
+/**
+ * A failed or reversed transfer gives the amount back to the technician's payable.
+ */
+export function postPayoutReversal(conn, { payoutId, technicianId, amount, attempt = 1 }) {
+  return postLedgerEntry(conn, {
+    type: LEDGER_ENTRY_TYPES.PAYOUT_REVERSAL,
+    idempotencyKey: `payout:${payoutId}:reversal:${attempt}`,
+    amount,
+    technicianId,
+    memo: `Payout #${payoutId} failed`,
+    lines: [
+      { account: LEDGER_ACCOUNTS.PAYOUT_CLEARING, debit: amount },
+      { account: technicianPayableAccount(technicianId), credit: amount },
+    ],
+  });
+}
+
+/**
+ * Payable balance per technician, for technicians who are owed money. Pass `technicianId` to
+ * read a single technician.
+ */
+export async function listTechnicianPayables(db, { technicianId = null } = {}) {
+  const [rows] = await db.query(
+    `SELECT a.technician_id, COALESCE(SUM(l.credit - l.debit), 0) AS payable
+     FROM ledger_accounts a
+     JOIN ledger_lines l ON l.account_id = a.id
+     WHERE a.code LIKE 'technician:%:payable'${technicianId ? " AND a.technician_id = ?" : ""}
+     GROUP BY a.technician_id
+     HAVING payable > 0.005`,
+    technicianId ? [technicianId] : []
+  );
+  return (rows || []).map((row) => ({ technicianId: Number(row.technician_id), payable: roundMoney(row.payable) }));
+}
+
+/**
+ * Current balances for a technician: `payable` (owed to them), `cashInHand` (platform fees they
+ * hold) and `net` = payable - cashInHand.
+ */
+export async function getTechnicianLedgerBalance(technicianId, db = null) {
+  const id = toPositiveId(technicianId, "technicianId");
+  const pool = db || await getPool();
+  const [rows] = await pool.query(
+    `SELECT a.code, COALESCE(SUM(l.debit), 0) AS debit, COALESCE(SUM(l.credit), 0) AS credit
+     FROM ledger_accounts a
+     LEFT JOIN ledger_lines l ON l.account_id = a.id
+     WHERE a.code IN (?, ?)
+     GROUP BY a.code`,
+    [technicianPayableAccount(id), technicianCashAccount(id)]
+  );
+  const byCode = new Map((rows || []).map((row) => [row.code, row]));
+  const payableRow = byCode.get(technicianPayableAccount(id));
+  const cashRow = byCode.get(technicianCashAccount(id));
+  const payable = roundMoney(Number(payableRow?.credit || 0) - Number(payableRow?.debit || 0));
+  const cashInHand = roundMoney(Number(cashRow?.debit || 0) - Number(cashRow?.credit || 0));
+  return { technicianId: id, payable, cashInHand, net: roundMoney(payable - cashInHand) };
+}
+
+function parseStatementDate(value, label) {
+  if (value == null || value === "") return null;
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) throw createHttpError(`${label} must be a valid date.`, 400);
+  return parsed;
+}
+
+/**
+ * Entries that touched a technician's accounts between `from` and `to`, oldest first, with the
+ * change to their net balance and the running balance after each entry.
+ */
+export async function getTechnicianStatement(technicianId, { from = null, to = null, limit = 100 } = {}) {
+  const id = toPositiveId(technicianId, "technicianId");
+  const fromDate = parseStatementDate(from, "from") || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const toDate = parseStatementDate(to, "to") || new Date();
+  if (fromDate > toDate) throw createHttpError("from must be before to.", 400);
+  const pageSize = Math.min(500, Math.max(1, Number(limit) || 100));
+  const accounts = [technicianPayableAccount(id), technicianCashAccount(id)];
+
+  const pool = await getPool();
+  const [openingRows] = await pool.query(
+    `SELECT COALESCE(SUM(l.credit - l.debit), 0) AS balance
+     FROM ledger_lines l
+     JOIN ledger_accounts a ON a.id = l.account_id
+     JOIN ledger_entries e ON e.id = l.entry_id
+     WHERE a.code IN (?) AND e.created_at < ?`,
+    [accounts, fromDate]
+  );
+  const [rows] = await pool.query(
+    `SELECT e.id, e.entry_type, e.amount, e.service_request_id, e.payment_id, e.memo, e.created_at,
+            SUM(l.credit - l.debit) AS net_change
+     FROM ledger_lines l
+     JOIN ledger_accounts a ON a.id = l.account_id
+     JOIN ledger_entries e ON e.id = l.entry_id
+     WHERE a.code IN (?) AND e.created_at >= ? AND e.created_at <= ?
+     GROUP BY e.id
+     ORDER BY e.created_at ASC, e.id ASC
+     LIMIT ?`,
+    [accounts, fromDate, toDate, pageSize + 1]
+  );
+
+  const openingBalance = roundMoney(openingRows?.[0]?.balance);
+  let balance = openingBalance;
+  const entries = (rows || []).slice(0, pageSize).map((row) => {
+    const change = roundMoney(row.net_change);
+    balance = roundMoney(balance + change);
+    return {
+      entryId: Number(row.id),
+      type: row.entry_type,
+      requestId: row.service_request_id == null ? null : Number(row.service_request_id),
+      paymentId: row.payment_id == null ? null : Number(row.payment_id),
+      grossAmount: roundMoney(row.amount),
+      memo: row.memo || null,
+      change,
+      balance,
+      at: row.created_at,
+    };
+  });
+
+  return {
+    technicianId: id,
+    from: fromDate,
+    to: toDate,
+    openingBalance,
+    closingBalance: balance,
+    entries,
+    hasMore: (rows || []).length > pageSize,
+  };
+}
+
+/**
+ * Debit and credit totals per account. `balanced` is false only if an entry was written unbalanced.
+ */
+export async function getTrialBalance() {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT a.code, a.name, a.account_type, a.technician_id,
+            COALESCE(SUM(l.debit), 0) AS debit, COALESCE(SUM(l.credit), 0) AS credit
+     FROM ledger_accounts a
+     LEFT JOIN ledger_lines l ON l.account_id = a.id
+     GROUP BY a.id
+     ORDER BY a.technician_id IS NOT NULL, a.code`
+  );
+  const accounts = (rows || []).map((row) => {
+    const debit = roundMoney(row.debit);
+    const credit = roundMoney(row.credit);
+    return {
+      code: row.code,
+      name: row.name,
+      type: row.account_type,
+      technicianId: row.technician_id == null ? null : Number(row.technician_id),
+      debit,
+      credit,
+      // Natural balance: debit-normal for assets and expenses, credit-normal otherwise.
+      balance: ["asset", "expense"].includes(row.account_type) ? roundMoney(debit - credit) : roundMoney(credit - debit),
+    };
+  });
+  const totalDebit = roundMoney(accounts.reduce((sum, account) => sum + account.debit, 0));
+  const totalCredit = roundMoney(accounts.reduce((sum, account) => sum + account.credit, 0));
+  return { accounts, totalDebit, totalCredit, balanced: Math.abs(totalDebit - totalCredit) < 0.005 };
+}
+
+/**
+ * Compare the ledger with the payments table for one day, using the same rules as the admin
+ * finance summary (payments created that day whose effective status is completed).
+ * `date` is YYYY-MM-DD; defaults to today.
+ */
+export async function getLedgerReconciliation({ date = null } = {}) {
+  if (date != null && date !== "" && !/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+    throw createHttpError("date must be YYYY-MM-DD.", 400);
+  }
+  const day = date ? String(date) : null;
+  const dayFilter = day ? "DATE(p.created_at) = ?" : "DATE(p.created_at) = CURDATE()";
+  const dayParams = day ? [day] : [];
+
+  const pool = await getPool();
+  const [[summaryRows], [ledgerRows], [unpostedRows], [mismatchRows], trialBalance] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(*) AS count, IFNULL(SUM(p.amount), 0) AS total
+       FROM payments p
+       LEFT JOIN service_requests sr ON sr.id = p.service_request_id
+       WHERE ${EFFECTIVE_PAYMENT_STATUS_SQL} = 'completed' AND ${dayFilter}`,
+      dayParams
+    ),
+    pool.query(
+      `SELECT ${EFFECTIVE_PAYMENT_STATUS_SQL} = 'completed' AS in_summary,
+              COUNT(*) AS count, IFNULL(SUM(e.amount), 0) AS total
+       FROM ledger_entries e
+       JOIN payments p ON p.id = e.payment_id
+       LEFT JOIN service_requests sr ON sr.id = p.service_request_id
+       WHERE e.entry_type IN (?) AND ${dayFilter}
+       GROUP BY in_summary`,
+      [PAYMENT_ENTRY_TYPES, ...dayParams]
+    ),
+    pool.query(
+      `SELECT p.id, p.service_request_id, p.payment_method, p.amount
+       FROM payments p
+       LEFT JOIN service_requests sr ON sr.id = p.service_request_id
+       LEFT JOIN ledger_entries e ON e.payment_id = p.id AND e.entry_type IN (?)
+       WHERE ${EFFECTIVE_PAYMENT_STATUS_SQL} = 'completed' AND ${dayFilter} AND e.id IS NULL
+       ORDER BY p.id
+       LIMIT 100`,
+      [PAYMENT_ENTRY_TYPES, ...dayParams]
+    ),
+    pool.query(
+      `SELECT p.id, p.service_request_id, p.amount AS payment_amount, e.id AS entry_id, e.amount AS ledger_amount
+       FROM ledger_entries e
+       JOIN payments p ON p.id = e.payment_id
+       WHERE e.entry_type IN (?) AND ${dayFilter} AND ABS(e.amount - COALESCE(p.amount, 0)) > 0.005
+       ORDER BY p.id
+       LIMIT 100`,
+      [PAYMENT_ENTRY_TYPES, ...dayParams]
+    ),
+    getTrialBalance(),
+  ]);
+
+  const ledgerInSummary = (ledgerRows || []).find((row) => Number(row.in_summary) === 1);
+  const ledgerOutsideSummary = (ledgerRows || []).find((row) => Number(row.in_summary) !== 1);
+  const financeSummary = {
+    total: roundMoney(summaryRows?.[0]?.total),
+    count: Number(summaryRows?.[0]?.count || 0),
+  };
+  const ledger = {
+    total: roundMoney(ledgerInSummary?.total),
+    count: Number(ledgerInSummary?.count || 0),
+  };
+
+  return {
+    date: day || new Date().toISOString().slice(0, 10),
+    financeSummary,
+    ledger,
+    difference: roundMoney(financeSummary.total - ledger.total),
+    reconciled:
+      Math.abs(financeSummary.total - ledger.total) < 0.005 &&
+      financeSummary.count === ledger.count &&
+      (mismatchRows || []).length === 0,
+    // Posted payments the summary leaves out, e.g. money captured for a cancelled request.
+    postedOutsideSummary: {
+      total: roundMoney(ledgerOutsideSummary?.total),
+      count: Number(ledgerOutsideSummary?.count || 0),
+    },
+    unpostedPayments: (unpostedRows || []).map((row) => ({
+      paymentId: Number(row.id),
+      requestId: row.service_request_id == null ? null : Number(row.service_request_id),
+      paymentMethod: row.payment_method,
+      amount: roundMoney(row.amount),
+    })),
+    amountMismatches: (mismatchRows || []).map((row) => ({
+      paymentId: Number(row.id),
+      requestId: row.service_request_id == null ? null : Number(row.service_request_id),
+      entryId: Number(row.entry_id),
+      paymentAmount: roundMoney(row.payment_amount),
+      ledgerAmount: roundMoney(row.ledger_amount),
+    })),
+    trialBalance: {
+      totalDebit: trialBalance.totalDebit,
+      totalCredit: trialBalance.totalCredit,
+      balanced: trialBalance.balanced,
+    },
+  };
+}
+
+/**
+ * Post completed payments, settled cash dues and processed refunds that predate the ledger (or
+ * were missed). Safe to run repeatedly. Returns counts of entries created.
+ */
+export async function backfillLedger({ limit = 500 } = {}) {
+  const batchSize = Math.min(5000, Math.max(1, Number(limit) || 500));
+  const pool = await getPool();
+  const counts = { payments: 0, cashDues: 0, refunds: 0 };
+
+  const [payments] = await pool.query(
+    `SELECT p.id, p.service_request_id, p.payment_method, p.amount, p.platform_fee, p.technician_amount,
+            p.is_settled, sr.status AS request_status, sr.technician_id
+     FROM payments p
+     JOIN service_requests sr ON sr.id = p.service_request_id
+     LEFT JOIN ledger_entries e ON e.idempotency_key = CONCAT('payment:', p.id)
+     WHERE e.id IS NULL AND LOWER(COALESCE(p.status, '')) IN ('completed', 'refunded')
+     ORDER BY p.id
+     LIMIT ?`,
+    [batchSize]
+  );
+
+  for (const payment of payments || []) {
+    const technicianAmount = Number(payment.technician_amount) > 0
+      ? Number(payment.technician_amount)
+      : Number(payment.amount || 0) - Number(payment.platform_fee || 0);
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      if (String(payment.payment_method || "").toLowerCase() === "cash") {
+        const entryId = await postCashPayment(conn, {
+          paymentId: payment.id,
+          requestId: payment.service_request_id,
+          technicianId: payment.technician_id,
+          amount: payment.amount,
+          technicianAmount,
+        });
+        if (entryId) counts.payments += 1;
+        const heldFee = roundMoney(Number(payment.amount || 0) - Math.min(Number(payment.amount || 0), technicianAmount));
+        if (entryId && payment.is_settled && heldFee > 0) {
+          const settled = await postTechnicianDuesPayment(conn, {
+            technicianId: payment.technician_id,
+            amount: heldFee,
+            reference: `payment:${payment.id}`,
+          });
+          if (settled) counts.cashDues += 1;
+        }
+      } else {
+        const recognized = ["paid", "completed"].includes(String(payment.request_status || "").toLowerCase());
+        const entryId = await postServicePayment(conn, {
+          paymentId: payment.id,
+          requestId: payment.service_request_id,
+          technicianId: payment.technician_id,
+          amount: payment.amount,
+          technicianAmount,
+          recognized,
+        });
+        if (entryId) counts.payments += 1;
+      }
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  const [refunds] = await pool.query(
+    `SELECT r.id, r.payment_id, r.service_request_id, r.amount
+     FROM refunds r
+     LEFT JOIN ledger_entries e ON e.idempotency_key = CONCAT('refund:', r.id)
+     WHERE r.status = 'processed' AND e.id IS NULL
+     ORDER BY r.id
+     LIMIT ?`,
+    [batchSize]
+  );
+  for (const refund of refunds || []) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const entryId = await postRefund(conn, {
+        refundId: refund.id,
+        paymentId: refund.payment_id,
+        requestId: refund.service_request_id,
+        amount: refund.amount,
+      });
+      if (entryId) counts.refunds += 1;
+      await conn.commit();
+    } catch (error) {
+      await conn.rollback();
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  return counts;
+}
@@ -0,0 +1,86 @@
+import { getPool } from "../db.js";
+import { estimateTravelTime } from "./routingProvider.js";
+
+/**
+ * Live ETA for requests whose technician is on the way.
+ * Location pings trigger a recompute at most once per LIVE_ETA_MIN_INTERVAL_MS per technician;
+ * the latest ETA is stored on the request and the "nearby" threshold is claimed once per request.
+ */
+
+const LIVE_ETA_MIN_INTERVAL_MS = Math.max(5000, Number(process.env.LIVE_ETA_MIN_INTERVAL_MS || 20000));
+const LIVE_ETA_NEAR_SECONDS = Math.max(30, Number(process.env.LIVE_ETA_NEAR_SECONDS || 120));
+const EN_ROUTE_STATUSES = new Set(["on-the-way", "en-route"]);
+
+// technicianId -> last recompute timestamp
+const lastRecomputeAt = new Map();
+
+function toCoordinate(value, limit) {
+  if (value == null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && Math.abs(parsed) <= limit ? parsed : null;
+}
+
+/**
+ * Recompute the ETA for the technician's current job from a location ping.
+ * Returns null when throttled or when the job is not en route; otherwise
+ * { requestId, userId, technicianId, etaSeconds, etaMinutes, distanceMeters, source, updatedAt, nearby }
+ * where `nearby` is true only for the first update under the threshold.
+ */
+export async function recomputeLiveEta(technicianId, latitude, longitude) {
+  const key = String(technicianId || "");
+  const lat = toCoordinate(latitude, 90);
+  const lng = toCoordinate(longitude, 180);
+  if (!key || lat == null || lng == null) return null;
+
+  const now = Date.now();
+  if (now - (lastRecomputeAt.get(key) || 0) < LIVE_ETA_MIN_INTERVAL_MS) return null;
+  lastRecomputeAt.set(key, now);
+
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT sr.id, sr.user_id, sr.status, sr.location_lat, sr.location_lng, sr.eta_near_notified_at
+     FROM technicians t
+     JOIN service_requests sr ON sr.id = t.current_job_id
+     WHERE t.id = ? AND sr.technician_id = t.id
+     LIMIT 1`,
+    [key]
+  );
+  const request = rows?.[0];
+  if (!request || !EN_ROUTE_STATUSES.has(String(request.status || "").toLowerCase())) return null;
+
+  const estimate = await estimateTravelTime(
+    { lat, lng },
+    { lat: request.location_lat, lng: request.location_lng }
+  );
+  if (!estimate || !Number.isFinite(estimate.durationSeconds)) return null;
+
+  const etaSeconds = Math.max(0, Math.round(estimate.durationSeconds));
+  const distanceMeters = Number.isFinite(estimate.distanceMeters) ? Math.round(estimate.distanceMeters) : null;
+  const updatedAt = new Date(now);
+  await pool.query(
+    "UPDATE service_requests SET eta_seconds = ?, eta_distance_meters = ?, eta_updated_at = ? WHERE id = ?",
+    [etaSeconds, distanceMeters, updatedAt, request.id]
+  );
+
+  // Claim the nearby alert in SQL so two pings (or two instances) cannot both send it.
+  let nearby = false;
+  if (etaSeconds <= LIVE_ETA_NEAR_SECONDS && !request.eta_near_notified_at) {
+    const [result] = await pool.query(
+      "UPDATE service_requests SET eta_near_notified_at = ? WHERE id = ? AND eta_near_notified_at IS NULL",
+      [updatedAt, request.id]
+    );
+    nearby = Number(result?.affectedRows || 0) > 0;
+  }
+
+  return {
+    requestId: Number(request.id),
+    userId: request.user_id,
+    technicianId: Number(key),
+    etaSeconds,
+    etaMinutes: Math.max(1, Math.ceil(etaSeconds / 60)),
+    distanceMeters,
+    source: estimate.source,
+    updatedAt: updatedAt.toISOString(),
+    nearby,
+  };
+}
@@ -0,0 +1,246 @@
+import { getPool } from "../db.js";
+
+/**
+ * Technician location breadcrumbs for active jobs.
+ * Pings are stored only while the technician holds a current_job_id, downsampled to at most one
+ * point per BREADCRUMB_MIN_INTERVAL_MS (and only after moving BREADCRUMB_MIN_DISTANCE_M), with a
+ * heartbeat point every BREADCRUMB_MAX_INTERVAL_MS while stationary. Points older than
+ * BREADCRUMB_RETENTION_DAYS are pruned by the retention monitor.
+ */
+
+const BREADCRUMB_MIN_INTERVAL_MS = Math.max(1000, Number(process.env.BREADCRUMB_MIN_INTERVAL_MS || 10000));
+const BREADCRUMB_MAX_INTERVAL_MS = Math.max(
+  BREADCRUMB_MIN_INTERVAL_MS,
+  Number(process.env.BREADCRUMB_MAX_INTERVAL_MS || 60000)
+);
+const BREADCRUMB_MIN_DISTANCE_M = Math.max(0, Number(process.env.BREADCRUMB_MIN_DISTANCE_M || 25));
+const BREADCRUMB_MAX_ACCURACY_M = Math.max(1, Number(process.env.BREADCRUMB_MAX_ACCURACY_M || 100));
+const BREADCRUMB_MAX_POINTS_PER_REQUEST = Math.max(100, Number(process.env.BREADCRUMB_MAX_POINTS_PER_REQUEST || 5000));
+const BREADCRUMB_RETENTION_DAYS = Math.max(1, Number(process.env.BREADCRUMB_RETENTION_DAYS || 90));
+const BREADCRUMB_PRUNE_INTERVAL_MS = Math.max(60000, Number(process.env.BREADCRUMB_PRUNE_INTERVAL_MS || 3600000));
+// Points reached faster than this from the previous point are treated as GPS jumps.
+const BREADCRUMB_MAX_SPEED_KMPH = Math.max(10, Number(process.env.BREADCRUMB_MAX_SPEED_KMPH || 180));
+const PRUNE_BATCH_SIZE = 5000;
+
+// technicianId -> { jobId, lat, lng, storedAt, checkedAt, pointCount }
+const trailState = new Map();
+
+let pruneTimer = null;
+let pruneBusy = false;
+
+function toCoordinate(value, limit) {
+  if (value == null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && Math.abs(parsed) <= limit ? parsed : null;
+}
+
+function toOptionalNumber(value) {
+  if (value == null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const r = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+    Math.cos((lat2 * Math.PI) / 180) *
+    Math.sin(dLon / 2) *
+    Math.sin(dLon / 2);
+  return r * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function isDue(state, jobId, lat, lng, now) {
+  if (!state || state.jobId !== jobId || state.storedAt == null) return true;
+  const elapsed = now - state.storedAt;
+  if (elapsed >= BREADCRUMB_MAX_INTERVAL_MS) return true;
+  if (elapsed < BREADCRUMB_MIN_INTERVAL_MS) return false;
+  return haversineKm(state.lat, state.lng, lat, lng) * 1000 >= BREADCRUMB_MIN_DISTANCE_M;
+}
+
+async function countRequestPoints(pool, requestId) {
+  const [rows] = await pool.query(
+    "SELECT COUNT(*) AS point_count FROM technician_location_breadcrumbs WHERE service_request_id = ?",
+    [requestId]
+  );
+  return Number(rows?.[0]?.point_count || 0);
+}
+
+/**
+ * Store a breadcrumb for a location ping if the technician is on a job and the point passes
+ * downsampling. The job comes from technicians.current_job_id, never from the client payload.
+ */
+export async function recordLocationBreadcrumb(technicianId, { latitude, longitude, accuracy, speed, heading } = {}) {
+  const key = String(technicianId || "");
+  const lat = toCoordinate(latitude, 90);
+  const lng = toCoordinate(longitude, 180);
+  if (!key || lat == null || lng == null) return false;
+
+  const accuracyM = toOptionalNumber(accuracy);
+  if (accuracyM != null && accuracyM > BREADCRUMB_MAX_ACCURACY_M) return false;
+
+  const now = Date.now();
+  const state = trailState.get(key);
+  // Look the job up at most once per interval per technician, not on every ping.
+  if (state && now - (state.checkedAt || 0) < BREADCRUMB_MIN_INTERVAL_MS) return false;
+
+  const pool = await getPool();
+  const [rows] = await pool.query("SELECT current_job_id FROM technicians WHERE id = ? LIMIT 1", [key]);
+  const jobId = Number(rows?.[0]?.current_job_id) || null;
+  if (!jobId) {
+    trailState.set(key, { jobId: null, checkedAt: now });
+    return false;
+  }
+
+  const sameJob = state?.jobId === jobId;
+  if (sameJob && !isDue(state, jobId, lat, lng, now)) {
+    state.checkedAt = now;
+    return false;
+  }
+
+  const pointCount = sameJob ? state.pointCount : await countRequestPoints(pool, jobId);
+  if (pointCount >= BREADCRUMB_MAX_POINTS_PER_REQUEST) {
+    trailState.set(key, { ...state, jobId, checkedAt: now, pointCount });
+    return false;
+  }
+
+  await pool.query(
+    `INSERT INTO technician_location_breadcrumbs
+      (technician_id, service_request_id, latitude, longitude, accuracy_m, speed_mps, heading, recorded_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [key, jobId, lat, lng, accuracyM, toOptionalNumber(speed), toOptionalNumber(heading), new Date(now)]
+  );
+  trailState.set(key, { jobId, lat, lng, storedAt: now, checkedAt: now, pointCount: pointCount + 1 });
+  return true;
+}
+
+/**
+ * Distance along a trail in km. A point reached at an impossible speed from the last accepted
+ * point is treated as a GPS jump and skipped. Points must belong to one technician, oldest first.
+ */
+export function computeTrailDistanceKm(points) {
+  let totalKm = 0;
+  let anchor = points?.[0];
+  for (let index = 1; index < (points || []).length; index += 1) {
+    const next = points[index];
+    const segmentKm = haversineKm(Number(anchor.lat), Number(anchor.lng), Number(next.lat), Number(next.lng));
+    const hours = (new Date(next.recordedAt).getTime() - new Date(anchor.recordedAt).getTime()) / 3600000;
+    if (hours > 0 && segmentKm / hours > BREADCRUMB_MAX_SPEED_KMPH) continue;
+    totalKm += segmentKm;
+    anchor = next;
+  }
+  return Math.round(totalKm * 100) / 100;
+}
+
+/**
+ * Full trail for a request plus a summary; a reassigned request has one trail per technician.
+ */
+export async function getRequestLocationReplay(requestId) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT technician_id, latitude, longitude, accuracy_m, speed_mps, heading, recorded_at
+     FROM technician_location_breadcrumbs
+     WHERE service_request_id = ?
+     ORDER BY recorded_at ASC, id ASC`,
+    [requestId]
+  );
+
+  const points = (rows || []).map((row) => ({
+    technicianId: Number(row.technician_id),
+    lat: Number(row.latitude),
+    lng: Number(row.longitude),
+    accuracyM: row.accuracy_m == null ? null : Number(row.accuracy_m),
+    speedMps: row.speed_mps == null ? null : Number(row.speed_mps),
+    heading: row.heading == null ? null : Number(row.heading),
+    recordedAt: row.recorded_at,
+  }));
+
+  const byTechnician = new Map();
+  points.forEach((point) => {
+    if (!byTechnician.has(point.technicianId)) byTechnician.set(point.technicianId, []);
+    byTechnician.get(point.technicianId).push(point);
+  });
+  const technicians = [...byTechnician.entries()].map(([technicianId, trail]) => ({
+    technicianId,
+    pointCount: trail.length,
+    distanceKm: computeTrailDistanceKm(trail),
+    startedAt: trail[0].recordedAt,
+    endedAt: trail[trail.length - 1].recordedAt,
+  }));
+
+  const startedAt = points[0]?.recordedAt || null;
+  const endedAt = points[points.length - 1]?.recordedAt || null;
+  return {
+    requestId: Number(requestId),
+    summary: {
+      pointCount: points.length,
+      distanceKm: Math.round(technicians.reduce((sum, entry) => sum + entry.distanceKm, 0) * 100) / 100,
+      startedAt,
+      endedAt,
+      durationSeconds:
+        startedAt && endedAt ? Math.round((new Date(endedAt).getTime() - new Date(startedAt).getTime()) / 1000) : 0,
+      technicians,
+    },
+    points,
+  };
+}
+
+/**
+ * Persist the distance travelled for a finished job on service_requests.distance_travelled_km.
+ */
+export async function updateRequestDistanceTravelled(requestId) {
+  const replay = await getRequestLocationReplay(requestId);
+  if (replay.summary.pointCount < 2) return null;
+
+  const pool = await getPool();
+  await pool.query("UPDATE service_requests SET distance_travelled_km = ? WHERE id = ?", [
+    replay.summary.distanceKm,
+    requestId,
+  ]);
+  return replay.summary.distanceKm;
+}
+
+export async function pruneLocationBreadcrumbs() {
+  const pool = await getPool();
+  let pruned = 0;
+  for (;;) {
+    const [result] = await pool.query(
+      `DELETE FROM technician_location_breadcrumbs
+       WHERE recorded_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+       LIMIT ${PRUNE_BATCH_SIZE}`,
+      [BREADCRUMB_RETENTION_DAYS]
+    );
+    const affected = Number(result?.affectedRows || 0);
+    pruned += affected;
+    if (affected < PRUNE_BATCH_SIZE) break;
+  }
+  if (pruned > 0) {
+    console.log(`[Breadcrumbs] Pruned ${pruned} point(s) older than ${BREADCRUMB_RETENTION_DAYS} days.`);
+  }
+  return pruned;
+}
+
+export function startBreadcrumbRetentionMonitor() {
+  if (pruneTimer) return;
+
+  pruneTimer = setInterval(() => {
+    if (pruneBusy) return;
+    pruneBusy = true;
+    pruneLocationBreadcrumbs()
+      .catch((err) => console.error("[Breadcrumbs] Retention tick failed:", err?.message || err))
+      .finally(() => {
+        pruneBusy = false;
+      });
+  }, BREADCRUMB_PRUNE_INTERVAL_MS);
+  pruneTimer.unref?.();
+  console.log(`[Breadcrumbs] Retention monitor started (${BREADCRUMB_RETENTION_DAYS} days).`);
+}
+
+export function stopBreadcrumbRetentionMonitor() {
+  if (!pruneTimer) return;
+  clearInterval(pruneTimer);
+  pruneTimer = null;
+}
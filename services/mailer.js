@@ -263,6 +263,7 @@ export async function sendMail({
 export async function sendInvoiceEmail(to, invoiceData, pdfBuffer = null) {
     const amount = Number(invoiceData?.amount || 0);
     const gst = Number(invoiceData?.gst || 0);
+    const surgeAmount = Number(invoiceData?.surgeAmount || 0);
     const totalAmount = Number(invoiceData?.totalAmount || 0);
 
     const html = `
@@ -298,6 +299,11 @@ export async function sendInvoiceEmail(to, invoiceData, pdfBuffer = null) {
                     <td style="padding: 10px 0;">Base Service Charge</td>
                     <td style="text-align: right;">INR ${amount.toFixed(2)}</td>
                 </tr>
+                ${surgeAmount > 0 ? `
+                <tr>
+                    <td style="padding: 10px 0;">Demand Surge${invoiceData.surgeMultiplier ? ` (x${Number(invoiceData.surgeMultiplier).toFixed(2)})` : ""}</td>
+                    <td style="text-align: right;">INR ${surgeAmount.toFixed(2)}</td>
+                </tr>` : ""}
                 ${gst > 0 ? `
                 <tr>
                     <td style="padding: 10px 0;">GST (18%)</td>
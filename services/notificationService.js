@@ -387,6 +387,30 @@ class NotificationService {
       };
     }
 
+    if (userType === "user" && event === "job:technician_nearby") {
+      const requestId = normalizeText(data?.requestId);
+      const requestPath = requestId ? `/service-tracking/${encodeURIComponent(requestId)}` : "/";
+      const requestLink = frontendBaseUrl ? `${frontendBaseUrl}${requestPath}` : undefined;
+      const minutes = Number(data?.etaMinutes);
+      return {
+        notification: {
+          title: "Technician Almost There",
+          body: Number.isFinite(minutes) && minutes > 1
+            ? `Your technician is about ${minutes} minutes away.`
+            : "Your technician is about a minute away.",
+        },
+        data: stringifyDataPayload({
+          event,
+          requestId,
+          etaSeconds: normalizeText(data?.etaSeconds),
+          deepLinkPath: requestPath,
+        }),
+        webpush: {
+          ...(requestLink ? { fcmOptions: { link: requestLink } } : {}),
+        },
+      };
+    }
+
     if (userType === "user" && event === "payment_completed") {
       const requestId = normalizeText(data?.requestId || data?.id);
       const requestPath = requestId ? `/service-tracking/${encodeURIComponent(requestId)}` : "/";
@@ -407,10 +431,38 @@ class NotificationService {
       };
     }
 
+    if (event === "booking:reminder") {
+      const requestId = normalizeText(data?.requestId || data?.id);
+      const serviceType = normalizeText(data?.serviceType || "service");
+      const minutes = Number(data?.minutesUntil);
+      const when = Number.isFinite(minutes) && minutes > 0 ? `in ${Math.round(minutes)} min` : "soon";
+      const requestPath = userType === "technician"
+        ? basePath
+        : requestId ? `/service-tracking/${encodeURIComponent(requestId)}` : "/";
+      return {
+        notification: {
+          title: "Upcoming Booking",
+          body: userType === "technician"
+            ? `Scheduled ${serviceType} job #${requestId} starts ${when}.`
+            : `Your scheduled ${serviceType} booking starts ${when}.`,
+        },
+        data: stringifyDataPayload({
+          event,
+          requestId,
+          scheduledFor: normalizeText(data?.scheduledFor),
+          deepLinkPath: requestPath,
+        }),
+      };
+    }
+
     return null;
   }
 
-  async sendPushNotification(userId, userType, event, data = {}) {
+  /**
+   * Push `event` to every registered device of the recipient. Failures are logged and swallowed
+   * unless `throwOnError` is set (the outbox dispatcher uses it to schedule a retry).
+   */
+  async sendPushNotification(userId, userType, event, data = {}, { throwOnError = false } = {}) {
     if (!this.isInitialized) {
       if (!this.hasLoggedDisabledState) {
         console.warn("[NotificationService] Push delivery skipped because Firebase is not initialized.");
@@ -458,6 +510,7 @@ class NotificationService {
       }
     } catch (error) {
       console.error(`[NotificationService] Failed to send push (${userType} ${userId}):`, error);
+      if (throwOnError) throw error;
     }
   }
 }
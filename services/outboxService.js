@@ -0,0 +1,352 @@
+import { randomUUID } from "crypto";
+import { getPool } from "../db.js";
+import { generateInvoicePDF } from "./invoiceService.js";
+import * as mail from "./mailer.js";
+import { notificationService } from "./notificationService.js";
+import { socketService } from "./socket.js";
+
+/**
+ * Transactional outbox for socket, push and email side effects, and invoice PDFs that should not
+ * be rendered while the issuing transaction holds its locks.
+ * Callers build entries with the helpers below and write them with enqueueOutbox() on the same
+ * connection (and transaction) as the state change, then call dispatchOutboxSoon() after commit.
+ * The dispatcher delivers entries in id order, retries failures with exponential backoff and
+ * moves an entry to `dead` after OUTBOX_MAX_ATTEMPTS; admins can inspect and requeue those.
+ *
+ * A `dedupeKey` makes an entry unique: enqueueing the same key again (e.g. a retried HTTP request)
+ * is a no-op. Keys are suffixed per channel, event and recipient by the helpers.
+ */
+
+export const OUTBOX_CHANNELS = Object.freeze({
+  SOCKET: "socket",
+  PUSH: "push",
+  EMAIL: "email",
+  INVOICE_PDF: "invoice_pdf",
+});
+
+const OUTBOX_POLL_MS = Math.max(500, Number(process.env.OUTBOX_POLL_MS || 2000));
+const OUTBOX_BATCH_SIZE = Math.max(1, Number(process.env.OUTBOX_BATCH_SIZE || 50));
+const OUTBOX_MAX_ATTEMPTS = Math.max(1, Number(process.env.OUTBOX_MAX_ATTEMPTS || 8));
+const OUTBOX_RETRY_BASE_SECONDS = Math.max(1, Number(process.env.OUTBOX_RETRY_BASE_SECONDS || 5));
+const OUTBOX_RETRY_MAX_SECONDS = Math.max(OUTBOX_RETRY_BASE_SECONDS, Number(process.env.OUTBOX_RETRY_MAX_SECONDS || 900));
+const OUTBOX_RETENTION_DAYS = Math.max(1, Number(process.env.OUTBOX_RETENTION_DAYS || 7));
+// An entry left in `processing` this long belongs to a worker that died mid-delivery.
+const OUTBOX_LOCK_TIMEOUT_SECONDS = 300;
+const OUTBOX_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const ADMIN_ROOM = "admins";
+
+let outboxTimer = null;
+let outboxBusy = false;
+let outboxRerun = false;
+let lastPrunedAt = 0;
+
+function withDedupeSuffix(dedupeKey, ...parts) {
+  if (!dedupeKey) return null;
+  return [dedupeKey, ...parts].join(":").slice(0, 191);
+}
+
+export function outboxSocketEmit(rooms, event, data, { dedupeKey = null } = {}) {
+  const roomList = (Array.isArray(rooms) ? rooms : [rooms]).filter(Boolean).map(String);
+  if (roomList.length === 0) return null;
+  return {
+    channel: OUTBOX_CHANNELS.SOCKET,
+    dedupeKey: withDedupeSuffix(dedupeKey, "socket", event, roomList.join(",")),
+    payload: { rooms: roomList, event, data },
+  };
+}
+
+export function outboxPush(recipientId, recipientType, event, data, { dedupeKey = null } = {}) {
+  if (!recipientId) return null;
+  return {
+    channel: OUTBOX_CHANNELS.PUSH,
+    dedupeKey: withDedupeSuffix(dedupeKey, "push", event, recipientType, recipientId),
+    payload: { recipientId: String(recipientId), recipientType, event, data },
+  };
+}
+
+export function outboxEmail({ to, subject, html = null, text = null }, { dedupeKey = null } = {}) {
+  if (!to || !subject) return null;
+  return {
+    channel: OUTBOX_CHANNELS.EMAIL,
+    dedupeKey: withDedupeSuffix(dedupeKey, "email", to),
+    payload: { to, subject, html, text },
+  };
+}
+
+/**
+ * Render `invoiceData` with generateInvoicePDF() and store it on the invoice row once delivered.
+ */
+export function outboxInvoicePdf(invoiceId, invoiceData, { dedupeKey = null } = {}) {
+  if (!invoiceId) return null;
+  return {
+    channel: OUTBOX_CHANNELS.INVOICE_PDF,
+    dedupeKey: withDedupeSuffix(dedupeKey, "invoice_pdf", invoiceId),
+    payload: { invoiceId: Number(invoiceId), invoiceData },
+  };
+}
+
+/**
+ * Outbox equivalent of socketService.notifyUser(): socket event to the user (and request room)
+ * plus a push notification.
+ */
+export function outboxNotifyUser(userId, event, data, options = {}) {
+  if (!userId) return [];
+  const rooms = [`user_${userId}`];
+  if (data?.requestId) rooms.push(`request_${data.requestId}`);
+  return [outboxSocketEmit(rooms, event, data, options), outboxPush(userId, "user", event, data, options)];
+}
+
+/**
+ * Outbox equivalent of socketService.notifyTechnician().
+ */
+export function outboxNotifyTechnician(technicianId, event, data, options = {}) {
+  if (!technicianId) return [];
+  return [
+    outboxSocketEmit(`technician_${technicianId}`, event, data, options),
+    outboxPush(technicianId, "technician", event, data, options),
+  ];
+}
+
+export function outboxNotifyAdmins(event, data, options = {}) {
+  return [outboxSocketEmit(ADMIN_ROOM, event, data, options)];
+}
+
+/**
+ * Write entries on `db` (a pool or a transaction connection). Accepts nested arrays and skips
+ * nulls so call sites can pass helper results directly. Returns the number of new rows.
+ */
+export async function enqueueOutbox(db, entries) {
+  const rows = (entries || []).flat(2).filter(Boolean);
+  if (rows.length === 0) return 0;
+  const [result] = await db.query(
+    "INSERT INTO outbox_events (channel, dedupe_key, payload) VALUES ? ON DUPLICATE KEY UPDATE id = id",
+    [rows.map((entry) => [entry.channel, entry.dedupeKey || null, JSON.stringify(entry.payload)])]
+  );
+  // ON DUPLICATE KEY no-ops report 0 affected rows, so this counts inserts only.
+  return Number(result?.affectedRows || 0);
+}
+
+async function deliverEntry(entry) {
+  const payload = typeof entry.payload === "string" ? JSON.parse(entry.payload) : entry.payload;
+  if (entry.channel === OUTBOX_CHANNELS.SOCKET) {
+    if (!socketService.io) throw new Error("Socket server is not initialized.");
+    socketService.io.to(payload.rooms).emit(payload.event, payload.data);
+    return;
+  }
+  if (entry.channel === OUTBOX_CHANNELS.PUSH) {
+    await notificationService.sendPushNotification(
+      payload.recipientId,
+      payload.recipientType,
+      payload.event,
+      payload.data,
+      { throwOnError: true }
+    );
+    return;
+  }
+  if (entry.channel === OUTBOX_CHANNELS.EMAIL) {
+    await mail.sendMail({
+      to: payload.to,
+      subject: payload.subject,
+      ...(payload.html ? { html: payload.html } : {}),
+      ...(payload.text ? { text: payload.text } : {}),
+    });
+    return;
+  }
+  if (entry.channel === OUTBOX_CHANNELS.INVOICE_PDF) {
+    const pdf = await generateInvoicePDF(payload.invoiceData);
+    const pool = await getPool();
+    await pool.query(
+      "UPDATE invoices SET invoice_pdf = ? WHERE id = ? AND invoice_pdf IS NULL",
+      [pdf, payload.invoiceId]
+    );
+    return;
+  }
+  throw new Error(`Unknown outbox channel '${entry.channel}'.`);
+}
+
+async function claimDueEntries(pool) {
+  await pool.query(
+    `UPDATE outbox_events
+     SET status = 'pending', locked_by = NULL, locked_at = NULL
+     WHERE status = 'processing' AND locked_at < DATE_SUB(NOW(3), INTERVAL ? SECOND)`,
+    [OUTBOX_LOCK_TIMEOUT_SECONDS]
+  );
+
+  const [dueRows] = await pool.query(
+    `SELECT id FROM outbox_events
+     WHERE status = 'pending' AND next_attempt_at <= NOW(3)
+     ORDER BY id ASC
+     LIMIT ?`,
+    [OUTBOX_BATCH_SIZE]
+  );
+  if (!dueRows || dueRows.length === 0) return [];
+
+  // Other instances may race for the same rows; only the ones stamped with our token are ours.
+  const lockToken = randomUUID();
+  await pool.query(
+    `UPDATE outbox_events
+     SET status = 'processing', locked_by = ?, locked_at = NOW(3), attempts = attempts + 1
+     WHERE id IN (?) AND status = 'pending'`,
+    [lockToken, dueRows.map((row) => row.id)]
+  );
+  const [claimed] = await pool.query(
+    "SELECT * FROM outbox_events WHERE locked_by = ? AND status = 'processing' ORDER BY id ASC",
+    [lockToken]
+  );
+  return claimed || [];
+}
+
+async function pruneDeliveredEntries(pool) {
+  if (Date.now() - lastPrunedAt < OUTBOX_PRUNE_INTERVAL_MS) return;
+  lastPrunedAt = Date.now();
+  const [result] = await pool.query(
+    "DELETE FROM outbox_events WHERE status = 'delivered' AND delivered_at < DATE_SUB(NOW(), INTERVAL ? DAY)",
+    [OUTBOX_RETENTION_DAYS]
+  );
+  if (result?.affectedRows) {
+    console.log(`[Outbox] Pruned ${result.affectedRows} delivered entr${result.affectedRows === 1 ? "y" : "ies"}.`);
+  }
+}
+
+/**
+ * Deliver one batch of due entries. Returns { delivered, failed, dead }.
+ */
+export async function processOutbox() {
+  const pool = await getPool();
+  const entries = await claimDueEntries(pool);
+  const summary = { delivered: 0, failed: 0, dead: 0 };
+
+  for (const entry of entries) {
+    try {
+      await deliverEntry(entry);
+      await pool.query(
+        `UPDATE outbox_events
+         SET status = 'delivered', delivered_at = NOW(3), locked_by = NULL, locked_at = NULL, last_error = NULL
+         WHERE id = ?`,
+        [entry.id]
+      );
+      summary.delivered += 1;
+    } catch (err) {
+      const attempts = Number(entry.attempts || 0);
+      const message = String(err?.message || err).slice(0, 1024);
+      if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+        await pool.query(
+          "UPDATE outbox_events SET status = 'dead', locked_by = NULL, locked_at = NULL, last_error = ? WHERE id = ?",
+          [message, entry.id]
+        );
+        summary.dead += 1;
+        console.error(`[Outbox] Entry #${entry.id} (${entry.channel}) dead after ${attempts} attempt(s): ${message}`);
+      } else {
+        const delaySeconds = Math.min(OUTBOX_RETRY_MAX_SECONDS, OUTBOX_RETRY_BASE_SECONDS * 2 ** (attempts - 1));
+        await pool.query(
+          `UPDATE outbox_events
+           SET status = 'pending', locked_by = NULL, locked_at = NULL, last_error = ?,
+               next_attempt_at = DATE_ADD(NOW(3), INTERVAL ? SECOND)
+           WHERE id = ?`,
+          [message, delaySeconds, entry.id]
+        );
+        summary.failed += 1;
+        console.warn(`[Outbox] Entry #${entry.id} (${entry.channel}) failed, retry in ${delaySeconds}s: ${message}`);
+      }
+    }
+  }
+
+  await pruneDeliveredEntries(pool);
+  return summary;
+}
+
+function runOutboxTick() {
+  if (outboxBusy) {
+    outboxRerun = true;
+    return;
+  }
+  outboxBusy = true;
+  processOutbox()
+    .catch((err) => console.error("[Outbox] Dispatch tick failed:", err?.message || err))
+    .finally(() => {
+      outboxBusy = false;
+      if (outboxRerun) {
+        outboxRerun = false;
+        setImmediate(runOutboxTick);
+      }
+    });
+}
+
+/**
+ * Deliver freshly committed entries without waiting for the next poll.
+ */
+export function dispatchOutboxSoon() {
+  setImmediate(runOutboxTick);
+}
+
+export async function listOutboxEntries({ status = "dead", channel = null, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status && status !== "all") {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (channel) {
+    where.push("channel = ?");
+    params.push(channel);
+  }
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT id, channel, dedupe_key, payload, status, attempts, last_error, next_attempt_at, delivered_at, created_at
+     FROM outbox_events
+     ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT ?`,
+    [...params, Math.min(500, Math.max(1, Number(limit) || 100))]
+  );
+  return (rows || []).map((row) => ({
+    ...row,
+    payload: typeof row.payload === "string" ? JSON.parse(row.payload) : row.payload,
+  }));
+}
+
+export async function getOutboxStats() {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT channel, status, COUNT(*) AS count, MIN(created_at) AS oldest_at
+     FROM outbox_events
+     GROUP BY channel, status`
+  );
+  return (rows || []).map((row) => ({
+    channel: row.channel,
+    status: row.status,
+    count: Number(row.count || 0),
+    oldestAt: row.oldest_at,
+  }));
+}
+
+/**
+ * Requeue a dead entry for immediate delivery with a fresh attempt budget.
+ * Returns false when the entry does not exist or is not dead.
+ */
+export async function retryOutboxEntry(entryId) {
+  const pool = await getPool();
+  const [result] = await pool.query(
+    `UPDATE outbox_events
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(3), last_error = NULL
+     WHERE id = ? AND status = 'dead'`,
+    [entryId]
+  );
+  if (!result?.affectedRows) return false;
+  dispatchOutboxSoon();
+  return true;
+}
+
+export function startOutboxDispatcher() {
+  if (outboxTimer) return;
+
+  outboxTimer = setInterval(runOutboxTick, OUTBOX_POLL_MS);
+  outboxTimer.unref?.();
+  console.log(`[Outbox] Dispatcher started (poll ${OUTBOX_POLL_MS}ms, max ${OUTBOX_MAX_ATTEMPTS} attempts).`);
+}
+
+export function stopOutboxDispatcher() {
+  if (!outboxTimer) return;
+  clearInterval(outboxTimer);
+  outboxTimer = null;
+}
@@ -0,0 +1,572 @@
+import { getPool } from "../db.js";
+import { generateInvoicePDF } from "./invoiceService.js";
+import { postServicePayment } from "./ledgerService.js";
+import { sendInvoiceEmail } from "./mailer.js";
+import { dispatchOutboxSoon, enqueueOutbox, outboxInvoicePdf } from "./outboxService.js";
+import { computePaymentAmounts, getPlatformPricingConfig } from "./platformPricing.js";
+import { estimateRequestAmount, estimateRequestAmountAsync } from "./pricingEstimator.js";
+import { queueCancellationRefunds, submitQueuedRefunds } from "./refundService.js";
+import { REQUEST_ACTORS, normalizeRequestStatus, transitionRequestStatus } from "./requestStateMachine.js";
+import { socketService } from "./socket.js";
+import { releaseTechnicianAvailability } from "./technicianStateService.js";
+
+/**
+ * Finalizing captured Razorpay payments for service requests: mark the payment completed, move the
+ * request to paid, post the ledger entry and issue the invoice. Shared by the checkout confirm
+ * route, the webhook and the gateway reconciliation job.
+ */
+
+export function paymentDiag(event, data = {}) {
+    console.log("[PAYMENT_DIAG]", JSON.stringify({
+        timestamp: new Date().toISOString(),
+        event,
+        ...data
+    }));
+}
+
+const toPositiveMoney = (value) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+const toPercentOrZero = (value) => {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed <= 0) return 0;
+    return Math.min(1, Math.max(0, parsed));
+};
+
+// Surge multiplier locked on the request at creation time.
+const getLockedSurgeMultiplier = (requestRow) => Number(requestRow?.surge_multiplier) || 1;
+
+export function getStoredPricingOptions(requestRow) {
+    const storedPercent = toPercentOrZero(requestRow?.applied_discount_percent);
+    const storedAmount = Number(requestRow?.applied_discount_amount);
+    const surgeMultiplier = getLockedSurgeMultiplier(requestRow);
+    if (Number.isFinite(storedAmount) && storedAmount > 0) {
+        return {
+            platformFeeDiscountAmount: storedAmount,
+            platformFeeDiscountPercent: storedPercent,
+            surgeMultiplier,
+        };
+    }
+    if (storedPercent > 0) {
+        return {
+            platformFeeDiscountPercent: storedPercent,
+            surgeMultiplier,
+        };
+    }
+    return { surgeMultiplier };
+}
+
+export async function resolveRequestBaseAmount(requestRow, pricingConfig) {
+    const technicianId = Number(requestRow?.technician_id);
+    let technicianProfile = null;
+
+    if (Number.isFinite(technicianId) && technicianId > 0) {
+        if (
+            requestRow?.technician_pricing != null ||
+            requestRow?.technician_service_costs != null ||
+            requestRow?.pricing != null ||
+            requestRow?.service_costs != null
+        ) {
+            technicianProfile = {
+                pricing: requestRow?.technician_pricing ?? requestRow?.pricing ?? null,
+                service_costs: requestRow?.technician_service_costs ?? requestRow?.service_costs ?? null
+            };
+        } else {
+            const pool = await getPool();
+            const [techRows] = await pool.query(
+                "SELECT pricing, service_costs FROM technicians WHERE id = ? LIMIT 1",
+                [technicianId]
+            );
+            if (techRows.length > 0) {
+                technicianProfile = techRows[0];
+            }
+        }
+    }
+
+    const techAmount = technicianProfile
+        ? estimateRequestAmount(
+            { service_type: requestRow?.service_type, vehicle_type: requestRow?.vehicle_type },
+            technicianProfile
+        )
+        : null;
+    if (techAmount != null) return techAmount;
+
+    const direct = toPositiveMoney(requestRow?.amount ?? requestRow?.service_charge);
+    if (direct != null) return direct;
+    return estimateRequestAmountAsync(
+        { service_type: requestRow?.service_type, vehicle_type: requestRow?.vehicle_type },
+        null,
+        pricingConfig
+    );
+}
+
+export async function upsertPendingRazorpayPayment({
+    pool,
+    userId,
+    requestId,
+    orderId,
+    breakdown
+}) {
+    const [existing] = await pool.query(
+        `SELECT id
+         FROM payments
+         WHERE service_request_id = ? AND razorpay_order_id = ?
+         ORDER BY id DESC
+         LIMIT 1`,
+        [requestId, orderId]
+    );
+
+    if (existing.length > 0) {
+        await pool.execute(
+            `UPDATE payments
+             SET status = ?, amount = ?, platform_fee = ?, technician_amount = ?, is_settled = TRUE
+             WHERE id = ?`,
+            ["PENDING", breakdown.totalAmount, breakdown.platformFee, breakdown.serviceAmount, existing[0].id]
+        );
+        return existing[0].id;
+    }
+
+    const [insertResult] = await pool.execute(
+        `INSERT INTO payments (
+            user_id,
+            service_request_id,
+            payment_method,
+            status,
+            amount,
+            platform_fee,
+            technician_amount,
+            is_settled,
+            razorpay_order_id
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            userId,
+            requestId,
+            "razorpay",
+            "PENDING",
+            breakdown.totalAmount,
+            breakdown.platformFee,
+            breakdown.serviceAmount,
+            true,
+            orderId
+        ]
+    );
+
+    return insertResult.insertId;
+}
+
+function buildInvoiceData({ invoiceId, request, breakdown, paymentId, orderId }) {
+    return {
+        invoiceId,
+        orderId,
+        requestId: request.id,
+        customerName: request.customer_name || "Customer",
+        customerPhone: request.customer_phone || "N/A",
+        customerAddress: request.address || "N/A",
+        serviceType: request.service_type || "Roadside Assistance",
+        vehicleType: request.vehicle_type || "Vehicle",
+        technicianName: request.technician_name || "Assigned Technician",
+        amount: breakdown.baseAmount,
+        surgeAmount: breakdown.surgeAmount,
+        surgeMultiplier: breakdown.surgeMultiplier,
+        platformFee: breakdown.platformFee,
+        gst: 0,
+        totalAmount: breakdown.totalAmount,
+        paymentMethod: "razorpay",
+        transactionId: paymentId || orderId
+    };
+}
+
+async function sendInvoiceEmailFromDatabase({ pool, invoiceId, toEmail, invoiceData }) {
+    if (!toEmail) return false;
+
+    const [invoiceRows] = await pool.query(
+        "SELECT invoice_pdf FROM invoices WHERE id = ? LIMIT 1",
+        [invoiceId]
+    );
+    if (invoiceRows.length === 0) {
+        throw new Error(`Invoice not found in DB for invoice id ${invoiceId}`);
+    }
+
+    // The outbox may not have rendered the PDF yet; render it here (outside any transaction) instead.
+    let invoicePdf = invoiceRows[0].invoice_pdf;
+    if (!invoicePdf) {
+        invoicePdf = await generateInvoicePDF(invoiceData);
+        await pool.execute("UPDATE invoices SET invoice_pdf = ? WHERE id = ? AND invoice_pdf IS NULL", [invoicePdf, invoiceId]);
+    }
+
+    await sendInvoiceEmail(toEmail, invoiceData, invoicePdf);
+    await pool.execute("UPDATE invoices SET status = ? WHERE id = ?", ["EMAILED", invoiceId]);
+    return true;
+}
+
+export async function finalizeCapturedServicePayment({ orderId, paymentId }) {
+    const pool = await getPool();
+    const conn = await pool.getConnection();
+
+    let result = {
+        processed: false,
+        duplicate: false,
+        requestId: null,
+        userId: null,
+        technicianId: null,
+        invoiceId: null,
+        invoiceStatus: null,
+        customerEmail: null,
+        invoiceData: null,
+    };
+
+    try {
+        await conn.beginTransaction();
+
+        const [paymentRows] = await conn.query(
+            `SELECT *
+             FROM payments
+             WHERE razorpay_order_id = ?
+             ORDER BY id DESC
+             LIMIT 1
+             FOR UPDATE`,
+            [orderId]
+        );
+
+        if (paymentRows.length === 0) {
+            await conn.rollback();
+            return {
+                ...result,
+                processed: false,
+                duplicate: false,
+                reason: "payment_row_not_found"
+            };
+        }
+
+        const paymentRow = paymentRows[0];
+        const requestId = Number(paymentRow.service_request_id);
+        if (!Number.isFinite(requestId) || requestId <= 0) {
+            await conn.rollback();
+            return {
+                ...result,
+                processed: false,
+                duplicate: false,
+                reason: "service_request_missing_on_payment"
+            };
+        }
+
+        const [requestRows] = await conn.query(
+            `SELECT sr.id, sr.user_id, sr.technician_id, sr.service_type, sr.vehicle_type, sr.amount, sr.service_charge,
+                    sr.address, sr.status, sr.payment_status,
+                    sr.applied_coupon_code, sr.applied_discount_percent, sr.applied_discount_amount, sr.surge_multiplier,
+                    u.email AS customer_email, u.full_name AS customer_name, u.phone AS customer_phone,
+                    t.name AS technician_name, t.pricing AS technician_pricing, t.service_costs AS technician_service_costs
+             FROM service_requests sr
+             JOIN users u ON u.id = sr.user_id
+             LEFT JOIN technicians t ON t.id = sr.technician_id
+             WHERE sr.id = ?
+             LIMIT 1
+             FOR UPDATE`,
+            [requestId]
+        );
+
+        if (requestRows.length === 0) {
+            await conn.rollback();
+            return {
+                ...result,
+                processed: false,
+                duplicate: false,
+                reason: "service_request_not_found"
+            };
+        }
+
+        const request = requestRows[0];
+        const pricingConfig = await getPlatformPricingConfig();
+        const baseAmount = await resolveRequestBaseAmount(request, pricingConfig);
+        const breakdown = computePaymentAmounts(
+            baseAmount,
+            pricingConfig,
+            getStoredPricingOptions(request)
+        );
+
+        let cancellationRefunds = null;
+        let paidTransitionApplied = true;
+        const requestWasPaid = (
+            String(request.status || "").toLowerCase() === "paid" ||
+            String(request.payment_status || "").toLowerCase() === "completed"
+        );
+
+        await conn.execute(
+            `UPDATE payments
+             SET status = ?, amount = ?, platform_fee = ?, technician_amount = ?, is_settled = TRUE, razorpay_payment_id = ?
+             WHERE id = ?`,
+            ["completed", breakdown.totalAmount, breakdown.platformFee, breakdown.serviceAmount, paymentId, paymentRow.id]
+        );
+
+        const paidFields = {
+            payment_status: "completed",
+            payment_method: "razorpay",
+            amount: breakdown.baseAmount,
+            surge_amount: breakdown.surgeAmount,
+        };
+        try {
+            await transitionRequestStatus(conn, {
+                requestId,
+                to: "paid",
+                actor: REQUEST_ACTORS.SYSTEM,
+                reason: "payment_captured",
+                set: paidFields,
+                metadata: { orderId, paymentId, totalAmount: breakdown.totalAmount },
+            });
+        } catch (transitionErr) {
+            if (Number(transitionErr?.statusCode) !== 409) throw transitionErr;
+            paidTransitionApplied = false;
+            // The money is captured either way: keep the payment on record and leave the status
+            // (e.g. a request cancelled while the customer was paying) for admin follow-up.
+            paymentDiag("captured_payment_status_not_changed", {
+                requestId,
+                orderId,
+                paymentId,
+                status: request.status,
+                error: transitionErr.message,
+            });
+            await conn.execute(
+                `UPDATE service_requests
+                 SET payment_status = ?, payment_method = ?, amount = ?, surge_amount = ?
+                 WHERE id = ?`,
+                [paidFields.payment_status, paidFields.payment_method, paidFields.amount, paidFields.surge_amount, requestId]
+            );
+            if (normalizeRequestStatus(request.status) === "cancelled") {
+                // Paid for a request that no longer exists: give the money back.
+                cancellationRefunds = await queueCancellationRefunds(conn, {
+                    requestId,
+                    previousStatus: "cancelled",
+                    actor: REQUEST_ACTORS.SYSTEM,
+                    reason: "Payment captured after cancellation"
+                });
+            }
+        }
+        if (request.technician_id) {
+            await releaseTechnicianAvailability(conn, request.technician_id, requestId);
+        }
+
+        // Money for a job that was not completed stays a customer deposit in the ledger.
+        await postServicePayment(conn, {
+            paymentId: paymentRow.id,
+            requestId,
+            technicianId: request.technician_id || null,
+            amount: breakdown.totalAmount,
+            technicianAmount: breakdown.serviceAmount,
+            recognized: paidTransitionApplied || requestWasPaid
+        });
+
+        let invoiceId = null;
+        let invoiceStatus = null;
+        const [invoiceRows] = await conn.query(
+            `SELECT id, status
+             FROM invoices
+             WHERE order_id = ? OR razorpay_payment_id = ?
+             ORDER BY id DESC
+             LIMIT 1
+             FOR UPDATE`,
+            [orderId, paymentId]
+        );
+
+        if (invoiceRows.length > 0) {
+            invoiceId = invoiceRows[0].id;
+            invoiceStatus = invoiceRows[0].status || "GENERATED";
+
+            await conn.execute(
+                `UPDATE invoices
+                 SET user_id = ?, order_id = ?, service_request_id = ?, technician_id = ?, razorpay_payment_id = ?, amount = ?,
+                     platform_fee = ?, technician_amount = ?, surge_amount = ?, gst = ?, total_amount = ?
+                 WHERE id = ?`,
+                [
+                    request.user_id,
+                    orderId,
+                    requestId,
+                    request.technician_id || null,
+                    paymentId,
+                    breakdown.totalAmount,
+                    breakdown.platformFee,
+                    breakdown.serviceAmount,
+                    breakdown.surgeAmount,
+                    0,
+                    breakdown.totalAmount,
+                    invoiceId
+                ]
+            );
+        } else {
+            const [insertInvoiceResult] = await conn.execute(
+                `INSERT INTO invoices (
+                    user_id,
+                    order_id,
+                    razorpay_payment_id,
+                    amount,
+                    status,
+                    service_request_id,
+                    technician_id,
+                    platform_fee,
+                    technician_amount,
+                    surge_amount,
+                    gst,
+                    total_amount
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    request.user_id,
+                    orderId,
+                    paymentId,
+                    breakdown.totalAmount,
+                    "GENERATED",
+                    requestId,
+                    request.technician_id || null,
+                    breakdown.platformFee,
+                    breakdown.serviceAmount,
+                    breakdown.surgeAmount,
+                    0,
+                    breakdown.totalAmount
+                ]
+            );
+            invoiceId = insertInvoiceResult.insertId;
+            invoiceStatus = "GENERATED";
+
+            // The PDF is rendered by the outbox after commit so pdfkit does not run under this transaction's locks.
+            await enqueueOutbox(conn, outboxInvoicePdf(
+                invoiceId,
+                buildInvoiceData({ invoiceId, request, breakdown, paymentId, orderId }),
+                { dedupeKey: `payment_invoice:${paymentRow.id}` }
+            ));
+        }
+
+        if (request.technician_id && !requestWasPaid) {
+            await conn.execute(
+                `UPDATE technicians
+                 SET jobs_completed = jobs_completed + 1,
+                     total_earnings = total_earnings + ?
+                 WHERE id = ?`,
+                [breakdown.serviceAmount, request.technician_id]
+            );
+        }
+
+        await conn.commit();
+        dispatchOutboxSoon();
+        if (cancellationRefunds) await submitQueuedRefunds(cancellationRefunds);
+
+        result = {
+            processed: true,
+            duplicate: requestWasPaid && String(paymentRow.status || "").toLowerCase() === "completed",
+            requestId,
+            userId: request.user_id,
+            technicianId: request.technician_id || null,
+            invoiceId,
+            invoiceStatus,
+            customerEmail: request.customer_email || null,
+            invoiceData: buildInvoiceData({
+                invoiceId,
+                request,
+                breakdown,
+                paymentId,
+                orderId
+            }),
+        };
+
+        return result;
+    } catch (error) {
+        try {
+            await conn.rollback();
+        } catch { }
+        throw error;
+    } finally {
+        conn.release();
+    }
+}
+
+/**
+ * Finalize a captured gateway payment. When no local payment row exists yet, it is rebuilt from
+ * the gateway notes (requestId / userId) first. Used by the webhook and the reconciliation job.
+ */
+export async function finalizeCapturedPaymentFromGateway({ orderId, paymentId, notes = {} }) {
+    let finalized = await finalizeCapturedServicePayment({ orderId, paymentId });
+
+    // Backfill support: if no payment row exists yet, attempt to reconstruct it from Razorpay notes.
+    if (!finalized.processed && finalized.reason === "payment_row_not_found") {
+        const requestIdFromNotes = Number(notes?.requestId || notes?.request_id);
+        const userIdFromNotes = Number(notes?.userId || notes?.user_id);
+
+        if (Number.isFinite(requestIdFromNotes) && requestIdFromNotes > 0 && Number.isFinite(userIdFromNotes) && userIdFromNotes > 0) {
+            const pool = await getPool();
+            const pricingConfig = await getPlatformPricingConfig();
+            const [reqRows] = await pool.query(
+                `SELECT amount, service_charge, service_type, vehicle_type, technician_id,
+                        applied_coupon_code, applied_discount_percent, applied_discount_amount, surge_multiplier
+                 FROM service_requests
+                 WHERE id = ? AND user_id = ?
+                 LIMIT 1`,
+                [requestIdFromNotes, userIdFromNotes]
+            );
+
+            if (reqRows.length > 0) {
+                const baseAmount = await resolveRequestBaseAmount(reqRows[0], pricingConfig);
+                const breakdown = computePaymentAmounts(
+                    baseAmount,
+                    pricingConfig,
+                    getStoredPricingOptions(reqRows[0])
+                );
+                await upsertPendingRazorpayPayment({
+                    pool,
+                    userId: userIdFromNotes,
+                    requestId: requestIdFromNotes,
+                    orderId,
+                    breakdown
+                });
+                finalized = await finalizeCapturedServicePayment({ orderId, paymentId });
+            }
+        }
+    }
+
+    return finalized;
+}
+
+export async function processFinalizedServicePaymentNotifications(finalized, { paymentMethod = "razorpay" } = {}) {
+    if (!finalized || !finalized.processed) return;
+    const pool = await getPool();
+
+    if (finalized.invoiceId && finalized.customerEmail && finalized.invoiceStatus !== "EMAILED") {
+        try {
+            await sendInvoiceEmailFromDatabase({
+                pool,
+                invoiceId: finalized.invoiceId,
+                toEmail: finalized.customerEmail,
+                invoiceData: finalized.invoiceData
+            });
+        } catch (emailErr) {
+            console.error("[Payments] Invoice email send failed:", emailErr);
+        }
+    }
+
+    socketService.notifyAdmins("admin:payment_update", {
+        requestId: finalized.requestId,
+        paymentMethod,
+        status: "completed",
+        at: new Date().toISOString()
+    });
+
+    if (finalized.technicianId) {
+        socketService.notifyTechnician(finalized.technicianId, "job:status_update", {
+            requestId: finalized.requestId,
+            status: "paid"
+        });
+        socketService.notifyTechnician(finalized.technicianId, "job:list_update", {
+            requestId: finalized.requestId,
+            action: "updated"
+        });
+    }
+
+    if (finalized.userId) {
+        socketService.notifyUser(finalized.userId, "payment_completed", {
+            requestId: finalized.requestId,
+            status: "paid"
+        });
+        socketService.notifyUser(finalized.userId, "job:status_update", {
+            requestId: finalized.requestId,
+            status: "paid"
+        });
+    }
+}
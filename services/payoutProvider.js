@@ -0,0 +1,185 @@
+import axios from "axios";
+import { randomUUID } from "crypto";
+
+/**
+ * Bank transfers to technicians behind one interface:
+ *   createPayout({ payoutId, amount, beneficiary: { name, accountNumber, ifsc }, reference, narration })
+ *     -> { providerPayoutId, status, failureReason }
+ *   findPayout({ reference }) -> { providerPayoutId, status, failureReason } | null
+ * `amount` is in rupees; `status` is one of processing | paid | failed. An error with a 4xx
+ * `statusCode` means the provider rejected the transfer and 503 means it is not configured; any
+ * other error (timeouts, dropped connections, 5xx) leaves it unknown whether the transfer was
+ * made, so look it up with findPayout() before sending it again.
+ *
+ * PAYOUT_PROVIDER selects the implementation: `razorpayx` (default) or `fake`, which settles
+ * payouts locally without calling out and is meant for development and tests.
+ */
+
+const PAYOUT_PROVIDER = String(process.env.PAYOUT_PROVIDER || "razorpayx").trim().toLowerCase();
+// Outcome reported by the fake provider: paid (default), processing (wait for a webhook) or failed.
+const PAYOUT_FAKE_STATUS = String(process.env.PAYOUT_FAKE_STATUS || "paid").trim().toLowerCase();
+
+const RAZORPAY_KEY_ID = String(process.env.RAZORPAY_KEY_ID || "");
+const RAZORPAY_KEY_SECRET = String(process.env.RAZORPAY_KEY_SECRET || "");
+// RazorpayX current account (or customer identifier) the transfers are debited from.
+const RAZORPAYX_ACCOUNT_NUMBER = String(process.env.RAZORPAYX_ACCOUNT_NUMBER || "").trim();
+const RAZORPAYX_API_URL = "https://api.razorpay.com/v1/payouts";
+const PAYOUT_PROVIDER_TIMEOUT_MS = Math.max(1000, Number(process.env.PAYOUT_PROVIDER_TIMEOUT_MS || 15000));
+const hasRazorpayXConfig = Boolean(
+  RAZORPAY_KEY_ID &&
+  RAZORPAY_KEY_SECRET &&
+  RAZORPAYX_ACCOUNT_NUMBER &&
+  !RAZORPAY_KEY_ID.includes("placeholder") &&
+  !RAZORPAY_KEY_SECRET.includes("placeholder")
+);
+
+const PAYOUT_STATUSES_FROM_PROVIDER = new Set(["processing", "paid", "failed"]);
+
+let activeProvider = null;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toPaise(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Map a RazorpayX payout status onto processing | paid | failed.
+ */
+export function normalizeRazorpayXStatus(status) {
+  const normalized = String(status || "").trim().toLowerCase();
+  if (normalized === "processed") return "paid";
+  if (["rejected", "failed", "cancelled", "reversed"].includes(normalized)) return "failed";
+  return "processing";
+}
+
+// Turn an axios error into one whose statusCode tells a rejection (4xx) from an unknown outcome.
+function toProviderError(err) {
+  const status = Number(err?.response?.status);
+  if (status >= 400 && status < 500) {
+    return createHttpError(err.response.data?.error?.description || `RazorpayX returned ${status}.`, status);
+  }
+  if (status) return createHttpError(err.response.data?.error?.description || `RazorpayX returned ${status}.`, 502);
+  // No response at all (timeout, dropped connection): RazorpayX may still have taken the payout.
+  return createHttpError(`RazorpayX request failed: ${err?.message || err}`, 504);
+}
+
+function toProviderPayout(body) {
+  const status = normalizeRazorpayXStatus(body?.status);
+  return {
+    providerPayoutId: body?.id || null,
+    status,
+    failureReason: status === "failed" ? body?.status_details?.description || "Payout failed." : null,
+  };
+}
+
+export function createRazorpayXPayoutProvider({ keyId, keySecret, accountNumber, timeoutMs = PAYOUT_PROVIDER_TIMEOUT_MS } = {}) {
+  const configured = Boolean(keyId && keySecret && accountNumber);
+  const auth = { username: keyId, password: keySecret };
+  return {
+    name: "razorpayx",
+    async createPayout({ payoutId, amount, beneficiary, reference, narration = "ResQNow payout" }) {
+      if (!configured) throw createHttpError("RazorpayX is not configured for payouts.", 503);
+
+      let res;
+      try {
+        res = await axios.post(RAZORPAYX_API_URL, {
+          account_number: accountNumber,
+          amount: toPaise(amount),
+          currency: "INR",
+          mode: "NEFT",
+          purpose: "payout",
+          queue_if_low_balance: true,
+          reference_id: String(reference).slice(0, 40),
+          narration: String(narration).replace(/[^A-Za-z0-9 ]/g, "").slice(0, 30),
+          notes: { payoutId: String(payoutId) },
+          fund_account: {
+            account_type: "bank_account",
+            bank_account: {
+              name: beneficiary.name,
+              ifsc: beneficiary.ifsc,
+              account_number: beneficiary.accountNumber,
+            },
+            contact: {
+              name: beneficiary.name,
+              type: "vendor",
+              reference_id: String(reference).slice(0, 40),
+            },
+          },
+        }, {
+          auth,
+          timeout: timeoutMs,
+          // Retrying the same payout attempt must not send money twice.
+          headers: { "X-Payout-Idempotency": String(reference) },
+        });
+      } catch (err) {
+        throw toProviderError(err);
+      }
+      return toProviderPayout(res.data);
+    },
+    async findPayout({ reference }) {
+      if (!configured) throw createHttpError("RazorpayX is not configured for payouts.", 503);
+
+      let res;
+      try {
+        res = await axios.get(RAZORPAYX_API_URL, {
+          auth,
+          timeout: timeoutMs,
+          params: { account_number: accountNumber, reference_id: String(reference).slice(0, 40) },
+        });
+      } catch (err) {
+        throw toProviderError(err);
+      }
+      const payout = res.data?.items?.[0];
+      return payout?.id ? toProviderPayout(payout) : null;
+    },
+  };
+}
+
+export function createFakePayoutProvider({ status = "paid" } = {}) {
+  const outcome = PAYOUT_STATUSES_FROM_PROVIDER.has(status) ? status : "paid";
+  // Payouts made so far by reference, so findPayout() can answer for this process's lifetime.
+  const payoutsByReference = new Map();
+  return {
+    name: "fake",
+    async createPayout({ amount, beneficiary, reference }) {
+      if (!(Number(amount) > 0)) throw createHttpError("Payout amount must be positive.", 400);
+      const payout = {
+        providerPayoutId: `pout_fake_${randomUUID().replace(/-/g, "").slice(0, 20)}`,
+        status: outcome,
+        failureReason: outcome === "failed" ? `Fake provider declined transfer to ${beneficiary?.ifsc || "bank"}.` : null,
+      };
+      if (reference) payoutsByReference.set(String(reference), payout);
+      return payout;
+    },
+    async findPayout({ reference }) {
+      return payoutsByReference.get(String(reference)) || null;
+    },
+  };
+}
+
+export function getPayoutProvider() {
+  if (activeProvider) return activeProvider;
+  if (PAYOUT_PROVIDER === "fake") {
+    activeProvider = createFakePayoutProvider({ status: PAYOUT_FAKE_STATUS });
+  } else {
+    activeProvider = createRazorpayXPayoutProvider(
+      hasRazorpayXConfig
+        ? { keyId: RAZORPAY_KEY_ID, keySecret: RAZORPAY_KEY_SECRET, accountNumber: RAZORPAYX_ACCOUNT_NUMBER }
+        : {}
+    );
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the provider used by payoutService (e.g. a fake in tests). Pass null to go back to
+ * the PAYOUT_PROVIDER setting.
+ */
+export function setPayoutProvider(provider) {
+  activeProvider = provider || null;
+}
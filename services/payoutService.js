@@ -0,0 +1,859 @@
+import { getPool } from "../db.js";
+import {
+  listTechnicianPayables,
+  postPayoutNetting,
+  postPayoutPaid,
+  postPayoutReserve,
+  postPayoutReversal,
+} from "./ledgerService.js";
+import { dispatchOutboxSoon, enqueueOutbox, outboxNotifyTechnician } from "./outboxService.js";
+import { getPayoutProvider, normalizeRazorpayXStatus } from "./payoutProvider.js";
+import { refreshTechnicianPendingDues } from "./technicianDuesService.js";
+
+/**
+ * Payout batches pay technicians what they earned on online payments (their ledger payable).
+ *
+ * 1. Generate (admin or the scheduler): one `pending` payout per technician who is owed money and
+ *    has no payout in flight. The batch starts as `draft`.
+ * 2. Approve: amounts are recomputed from the ledger. Unpaid platform fees from cash jobs are netted
+ *    off the earnings (those dues are marked settled), the rest moves to payouts in transit and the
+ *    payout becomes `approved`. A payout with nothing left to transfer is `paid` at once.
+ * 3. Pay: submit through the payout provider, or export the NEFT bulk CSV and mark payouts paid
+ *    after the bank upload. Payouts end `paid` or `failed`; a failed payout returns its amount to
+ *    the technician's payable and can be retried.
+ *
+ * Batch states: draft -> approved -> processing -> completed, or draft -> cancelled.
+ */
+
+export const PAYOUT_STATUSES = Object.freeze(["pending", "approved", "processing", "paid", "failed", "cancelled"]);
+export const PAYOUT_BATCH_STATUSES = Object.freeze(["draft", "approved", "processing", "completed", "cancelled"]);
+
+// Earnings below this stay in the technician's balance for the next batch (dues are still netted).
+const PAYOUT_MIN_AMOUNT = Math.max(0, Number(process.env.PAYOUT_MIN_AMOUNT ?? 100) || 0);
+// How often the scheduler opens a batch; 0 disables automatic generation.
+const PAYOUT_BATCH_INTERVAL_HOURS = Math.max(0, Number(process.env.PAYOUT_BATCH_INTERVAL_HOURS ?? 168) || 0);
+const PAYOUT_SCHEDULER_POLL_MS = Math.max(60000, Number(process.env.PAYOUT_SCHEDULER_POLL_MS || 3600000));
+
+const OPEN_PAYOUT_STATUSES = ["pending", "approved", "processing"];
+
+let payoutSchedulerTimer = null;
+let payoutSchedulerBusy = false;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+// Only a 4xx from the provider says the transfer was not made; anything else may have gone through.
+function isProviderRejection(err) {
+  const statusCode = Number(err?.statusCode);
+  return statusCode >= 400 && statusCode < 500;
+}
+
+function toPositiveId(value, label) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createHttpError(`${label} must be a positive integer.`, 400);
+  }
+  return parsed;
+}
+
+function safeParse(value, fallback) {
+  if (value == null) return fallback;
+  try {
+    return typeof value === "string" ? JSON.parse(value) : value;
+  } catch {
+    return fallback;
+  }
+}
+
+function pickString(source, keys) {
+  for (const key of keys) {
+    const value = source?.[key];
+    if (value != null && String(value).trim() !== "") return String(value).trim();
+  }
+  return null;
+}
+
+/**
+ * Bank details from technicians.payment_details, or null when they are incomplete or invalid.
+ */
+function resolveBeneficiary(technician) {
+  const details = safeParse(technician?.payment_details, {}) || {};
+  const accountNumber = (pickString(details, ["accountNumber", "account_number", "bankAccountNumber"]) || "").replace(/\s+/g, "");
+  const ifsc = (pickString(details, ["ifsc", "ifscCode", "ifsc_code"]) || "").toUpperCase();
+  const name = pickString(details, ["accountHolderName", "account_holder_name", "accountName", "account_name"]) || technician?.name;
+  if (!/^\d{9,18}$/.test(accountNumber) || !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc) || !name) return null;
+  return { name: String(name).slice(0, 120), accountNumber, ifsc };
+}
+
+function serializePayout(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    batchId: Number(row.batch_id),
+    technicianId: Number(row.technician_id),
+    technicianName: row.technician_name || null,
+    status: row.status,
+    grossAmount: roundMoney(row.gross_amount),
+    nettedDuesAmount: roundMoney(row.netted_dues_amount),
+    amount: roundMoney(row.amount),
+    nettedPaymentIds: safeParse(row.netted_payment_ids, []) || [],
+    attempts: Number(row.attempts || 0),
+    provider: row.provider || null,
+    providerPayoutId: row.provider_payout_id || null,
+    reference: row.reference || null,
+    failureReason: row.failure_reason || null,
+    beneficiary: row.beneficiary_account
+      ? {
+        name: row.beneficiary_name,
+        accountLast4: String(row.beneficiary_account).slice(-4),
+        ifsc: row.beneficiary_ifsc,
+      }
+      : null,
+    submittedAt: row.submitted_at || null,
+    processedAt: row.processed_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+function serializeBatch(row, payouts = null) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    status: row.status,
+    periodStart: row.period_start || null,
+    periodEnd: row.period_end,
+    payoutCount: Number(row.payout_count || 0),
+    totalGross: roundMoney(row.total_gross),
+    totalNetted: roundMoney(row.total_netted),
+    totalAmount: roundMoney(row.total_amount),
+    provider: row.provider || null,
+    createdBy: row.created_by || null,
+    approvedBy: row.approved_by || null,
+    approvedAt: row.approved_at || null,
+    exportedAt: row.exported_at || null,
+    completedAt: row.completed_at || null,
+    createdAt: row.created_at,
+    ...(payouts ? { payouts: payouts.map(serializePayout) } : {}),
+  };
+}
+
+async function loadPayout(db, payoutId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT p.*, t.name AS technician_name
+     FROM payouts p
+     JOIN technicians t ON t.id = p.technician_id
+     WHERE p.id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [payoutId]
+  );
+  return rows?.[0] || null;
+}
+
+async function loadBatchPayouts(db, batchId) {
+  const [rows] = await db.query(
+    `SELECT p.*, t.name AS technician_name
+     FROM payouts p
+     JOIN technicians t ON t.id = p.technician_id
+     WHERE p.batch_id = ?
+     ORDER BY p.id`,
+    [batchId]
+  );
+  return rows || [];
+}
+
+/**
+ * Cash-job platform fees the technician has not paid yet, oldest first.
+ */
+async function listUnsettledCashDues(conn, technicianId, { forUpdate = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT p.id, p.service_request_id, p.platform_fee
+     FROM payments p
+     JOIN service_requests sr ON sr.id = p.service_request_id
+     WHERE sr.technician_id = ? AND p.status = 'completed' AND p.is_settled = FALSE
+     ORDER BY p.created_at ASC, p.id ASC${forUpdate ? " FOR UPDATE" : ""}`,
+    [technicianId]
+  );
+  return rows || [];
+}
+
+/**
+ * What a payout would contain right now: whole dues are netted oldest first while they fit in
+ * the payable; the remainder is transferred when it reaches PAYOUT_MIN_AMOUNT.
+ */
+async function computePayout(conn, technicianId, payable, { forUpdate = false } = {}) {
+  const gross = roundMoney(payable);
+  const dues = await listUnsettledCashDues(conn, technicianId, { forUpdate });
+  let netted = 0;
+  const nettedDues = [];
+  for (const due of dues) {
+    const fee = roundMoney(due.platform_fee);
+    if (fee <= 0) continue;
+    if (roundMoney(netted + fee) > gross) break;
+    netted = roundMoney(netted + fee);
+    nettedDues.push(due);
+  }
+  const remainder = roundMoney(gross - netted);
+  return {
+    gross,
+    netted,
+    nettedDues,
+    amount: remainder >= PAYOUT_MIN_AMOUNT && remainder > 0 ? remainder : 0,
+  };
+}
+
+async function refreshBatch(conn, batchId) {
+  await conn.query(
+    `UPDATE payout_batches b
+     SET payout_count = (SELECT COUNT(*) FROM payouts WHERE batch_id = b.id AND status <> 'cancelled'),
+         total_gross = (SELECT COALESCE(SUM(gross_amount), 0) FROM payouts WHERE batch_id = b.id AND status <> 'cancelled'),
+         total_netted = (SELECT COALESCE(SUM(netted_dues_amount), 0) FROM payouts WHERE batch_id = b.id AND status <> 'cancelled'),
+         total_amount = (SELECT COALESCE(SUM(amount), 0) FROM payouts WHERE batch_id = b.id AND status <> 'cancelled')
+     WHERE b.id = ?`,
+    [batchId]
+  );
+  // Approved or processing batches complete once no payout is waiting on money to move.
+  await conn.query(
+    `UPDATE payout_batches b
+     SET status = 'completed', completed_at = NOW()
+     WHERE b.id = ? AND b.status IN ('approved', 'processing')
+       AND NOT EXISTS (SELECT 1 FROM payouts WHERE batch_id = b.id AND status IN ('approved', 'processing'))`,
+    [batchId]
+  );
+}
+
+function payoutNotification(payout, status) {
+  return outboxNotifyTechnician(payout.technician_id, "payout:update", {
+    payoutId: Number(payout.id),
+    batchId: Number(payout.batch_id),
+    status,
+    amount: roundMoney(payout.amount),
+    nettedDuesAmount: roundMoney(payout.netted_dues_amount),
+    failureReason: status === "failed" ? payout.failure_reason || null : null,
+  }, { dedupeKey: `payout:${payout.id}:${status}:${payout.attempts || 0}` });
+}
+
+/**
+ * Open a draft batch for every technician who is owed money and has no payout in flight.
+ * Returns the batch with its payouts, or null when nobody is due a payout.
+ */
+export async function generatePayoutBatch({ adminId = null } = {}) {
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  let batchId = null;
+  try {
+    await conn.beginTransaction();
+    const [lastRows] = await conn.query(
+      "SELECT period_end FROM payout_batches WHERE status <> 'cancelled' ORDER BY id DESC LIMIT 1 FOR UPDATE"
+    );
+    const [openRows] = await conn.query(
+      "SELECT DISTINCT technician_id FROM payouts WHERE status IN (?)",
+      [OPEN_PAYOUT_STATUSES]
+    );
+    const inFlight = new Set((openRows || []).map((row) => Number(row.technician_id)));
+
+    const candidates = [];
+    for (const { technicianId, payable } of await listTechnicianPayables(conn)) {
+      if (inFlight.has(technicianId)) continue;
+      const plan = await computePayout(conn, technicianId, payable);
+      if (plan.amount > 0 || plan.netted > 0) candidates.push({ technicianId, plan });
+    }
+    if (candidates.length === 0) {
+      await conn.commit();
+      return null;
+    }
+
+    const [batchResult] = await conn.query(
+      "INSERT INTO payout_batches (status, period_start, period_end, created_by) VALUES ('draft', ?, NOW(), ?)",
+      [lastRows?.[0]?.period_end || null, adminId || "system"]
+    );
+    batchId = batchResult.insertId;
+    await conn.query(
+      `INSERT INTO payouts (batch_id, technician_id, status, gross_amount, netted_dues_amount, amount, netted_payment_ids)
+       VALUES ?`,
+      [candidates.map(({ technicianId, plan }) => [
+        batchId,
+        technicianId,
+        "pending",
+        plan.gross,
+        plan.netted,
+        plan.amount,
+        JSON.stringify(plan.nettedDues.map((due) => Number(due.id))),
+      ])]
+    );
+    await refreshBatch(conn, batchId);
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+  return getPayoutBatch(batchId);
+}
+
+/**
+ * Approve a draft batch. Each payout is recomputed from the current ledger under lock, so the
+ * approved amounts can differ from the draft; `changed` lists the payouts that moved.
+ */
+export async function approvePayoutBatch(batchId, adminId = null) {
+  const id = toPositiveId(batchId, "batchId");
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  const changed = [];
+  try {
+    await conn.beginTransaction();
+    const [batchRows] = await conn.query("SELECT * FROM payout_batches WHERE id = ? FOR UPDATE", [id]);
+    const batch = batchRows?.[0];
+    if (!batch) throw createHttpError("Payout batch not found.", 404);
+    if (batch.status !== "draft") throw createHttpError(`Payout batch is ${batch.status}; only draft batches can be approved.`, 409);
+
+    const [payouts] = await conn.query(
+      "SELECT * FROM payouts WHERE batch_id = ? AND status = 'pending' ORDER BY id FOR UPDATE",
+      [id]
+    );
+    const outboxEntries = [];
+    for (const payout of payouts || []) {
+      const [technicianRows] = await conn.query(
+        "SELECT id, name, payment_details FROM technicians WHERE id = ? FOR UPDATE",
+        [payout.technician_id]
+      );
+      const [payableRow] = await listTechnicianPayables(conn, { technicianId: payout.technician_id });
+      const plan = await computePayout(conn, payout.technician_id, payableRow?.payable || 0, { forUpdate: true });
+      if (plan.gross !== roundMoney(payout.gross_amount) || plan.amount !== roundMoney(payout.amount)) {
+        changed.push({ payoutId: Number(payout.id), draftAmount: roundMoney(payout.amount), approvedAmount: plan.amount });
+      }
+
+      if (plan.amount <= 0 && plan.netted <= 0) {
+        await conn.query(
+          "UPDATE payouts SET status = 'cancelled', amount = 0, failure_reason = ? WHERE id = ?",
+          ["Nothing to pay at approval.", payout.id]
+        );
+        continue;
+      }
+
+      if (plan.netted > 0) {
+        const paymentIds = plan.nettedDues.map((due) => Number(due.id));
+        const requestIds = plan.nettedDues.map((due) => Number(due.service_request_id));
+        await postPayoutNetting(conn, { payoutId: payout.id, technicianId: payout.technician_id, amount: plan.netted });
+        await conn.query("UPDATE payments SET is_settled = TRUE WHERE id IN (?)", [paymentIds]);
+        // Keep legacy dues table in sync when rows exist.
+        await conn.query(
+          "UPDATE technician_dues SET status = 'paid' WHERE technician_id = ? AND service_request_id IN (?) AND status = 'pending'",
+          [payout.technician_id, requestIds]
+        );
+        await refreshTechnicianPendingDues(conn, payout.technician_id);
+      }
+
+      const beneficiary = resolveBeneficiary(technicianRows?.[0]);
+      const status = plan.amount > 0 ? "approved" : "paid";
+      if (plan.amount > 0) {
+        await postPayoutReserve(conn, { payoutId: payout.id, technicianId: payout.technician_id, amount: plan.amount, attempt: 1 });
+      }
+      await conn.query(
+        `UPDATE payouts
+         SET status = ?, gross_amount = ?, netted_dues_amount = ?, amount = ?, netted_payment_ids = ?,
+             attempts = ?, beneficiary_name = ?, beneficiary_account = ?, beneficiary_ifsc = ?,
+             processed_at = ${status === "paid" ? "NOW()" : "NULL"}
+         WHERE id = ?`,
+        [
+          status,
+          plan.gross,
+          plan.netted,
+          plan.amount,
+          JSON.stringify(plan.nettedDues.map((due) => Number(due.id))),
+          plan.amount > 0 ? 1 : 0,
+          beneficiary?.name || null,
+          beneficiary?.accountNumber || null,
+          beneficiary?.ifsc || null,
+          payout.id,
+        ]
+      );
+      outboxEntries.push(payoutNotification({
+        ...payout,
+        amount: plan.amount,
+        netted_dues_amount: plan.netted,
+        attempts: plan.amount > 0 ? 1 : 0,
+      }, status));
+    }
+
+    await conn.query(
+      "UPDATE payout_batches SET status = 'approved', approved_by = ?, approved_at = NOW(), provider = ? WHERE id = ?",
+      [adminId, getPayoutProvider().name, id]
+    );
+    await refreshBatch(conn, id);
+    await enqueueOutbox(conn, outboxEntries);
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+  dispatchOutboxSoon();
+  return { batch: await getPayoutBatch(id), changed };
+}
+
+export async function cancelPayoutBatch(batchId) {
+  const id = toPositiveId(batchId, "batchId");
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [batchRows] = await conn.query("SELECT status FROM payout_batches WHERE id = ? FOR UPDATE", [id]);
+    if (!batchRows?.[0]) throw createHttpError("Payout batch not found.", 404);
+    if (batchRows[0].status !== "draft") {
+      throw createHttpError(`Payout batch is ${batchRows[0].status}; only draft batches can be cancelled.`, 409);
+    }
+    await conn.query("UPDATE payouts SET status = 'cancelled' WHERE batch_id = ? AND status = 'pending'", [id]);
+    await conn.query("UPDATE payout_batches SET status = 'cancelled' WHERE id = ?", [id]);
+    await refreshBatch(conn, id);
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+  return getPayoutBatch(id);
+}
+
+/**
+ * Record the outcome of a payout. `paid` is final; `failed` returns the amount to the technician's
+ * payable. Returns { payout, changed }.
+ */
+async function settlePayout(payoutId, { status, providerPayoutId = null, failureReason = null, reference = null }) {
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  let payout = null;
+  try {
+    await conn.beginTransaction();
+    payout = await loadPayout(conn, payoutId, { forUpdate: true });
+    if (!payout || !["approved", "processing"].includes(payout.status) || payout.status === status) {
+      await conn.commit();
+      return { payout: serializePayout(payout), changed: false };
+    }
+
+    const amount = roundMoney(payout.amount);
+    if (status === "paid") {
+      await postPayoutPaid(conn, {
+        payoutId: payout.id,
+        technicianId: payout.technician_id,
+        amount,
+        reference: reference || providerPayoutId,
+      });
+    } else {
+      await postPayoutReversal(conn, {
+        payoutId: payout.id,
+        technicianId: payout.technician_id,
+        amount,
+        attempt: payout.attempts || 1,
+      });
+    }
+    await conn.query(
+      `UPDATE payouts
+       SET status = ?,
+           provider_payout_id = COALESCE(?, provider_payout_id),
+           reference = COALESCE(?, reference),
+           failure_reason = ?,
+           processed_at = ${status === "paid" ? "NOW()" : "processed_at"}
+       WHERE id = ?`,
+      [
+        status,
+        providerPayoutId,
+        reference,
+        status === "failed" ? String(failureReason || "Payout failed.").slice(0, 512) : null,
+        payout.id,
+      ]
+    );
+    payout = { ...payout, status, failure_reason: status === "failed" ? failureReason : null };
+    await enqueueOutbox(conn, payoutNotification(payout, status));
+    await refreshBatch(conn, payout.batch_id);
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+  dispatchOutboxSoon();
+  return { payout: serializePayout(await loadPayout(pool, payout.id)), changed: true };
+}
+
+/**
+ * Send an approved payout to the provider. Provider rejections mark the payout failed; a missing
+ * provider configuration (503) leaves it approved and is thrown. Any other error leaves it
+ * `processing` until the provider's webhook (or an admin) settles it.
+ */
+async function submitPayout(payoutId) {
+  const pool = await getPool();
+  const provider = getPayoutProvider();
+  const payout = await loadPayout(pool, payoutId);
+  if (!payout || payout.status !== "approved") return serializePayout(payout);
+
+  if (!payout.beneficiary_account || !payout.beneficiary_ifsc) {
+    return (await settlePayout(payout.id, { status: "failed", failureReason: "Missing or invalid bank account details." })).payout;
+  }
+
+  const reference = `payout_${payout.id}_${payout.attempts || 1}`;
+  const [claim] = await pool.query(
+    "UPDATE payouts SET status = 'processing', provider = ?, reference = ?, submitted_at = NOW() WHERE id = ? AND status = 'approved'",
+    [provider.name, reference, payout.id]
+  );
+  if (!claim?.affectedRows) return serializePayout(await loadPayout(pool, payout.id));
+
+  let result;
+  try {
+    result = await provider.createPayout({
+      payoutId: payout.id,
+      amount: roundMoney(payout.amount),
+      beneficiary: {
+        name: payout.beneficiary_name,
+        accountNumber: payout.beneficiary_account,
+        ifsc: payout.beneficiary_ifsc,
+      },
+      reference,
+      narration: `ResQNow payout ${payout.id}`,
+    });
+  } catch (err) {
+    if (Number(err?.statusCode) === 503) {
+      await pool.query("UPDATE payouts SET status = 'approved', submitted_at = NULL WHERE id = ? AND status = 'processing'", [payout.id]);
+      throw err;
+    }
+    const failureReason = err?.message || String(err);
+    if (!isProviderRejection(err)) {
+      console.error(`[Payouts] Outcome of payout #${payout.id} unknown, leaving it processing:`, failureReason);
+      return serializePayout(await loadPayout(pool, payout.id));
+    }
+    console.error(`[Payouts] Provider rejected payout #${payout.id}:`, failureReason);
+    return (await settlePayout(payout.id, { status: "failed", failureReason })).payout;
+  }
+
+  if (result.providerPayoutId) {
+    await pool.query(
+      "UPDATE payouts SET provider_payout_id = COALESCE(provider_payout_id, ?) WHERE id = ?",
+      [result.providerPayoutId, payout.id]
+    );
+  }
+  if (result.status === "processing") {
+    // RazorpayX settles asynchronously; the payout webhook finishes the job.
+    return serializePayout(await loadPayout(pool, payout.id));
+  }
+  return (await settlePayout(payout.id, {
+    status: result.status,
+    providerPayoutId: result.providerPayoutId,
+    failureReason: result.failureReason,
+  })).payout;
+}
+
+/**
+ * Submit every approved payout in a batch through the payout provider.
+ */
+export async function submitPayoutBatch(batchId) {
+  const id = toPositiveId(batchId, "batchId");
+  const pool = await getPool();
+  const [claim] = await pool.query(
+    "UPDATE payout_batches SET status = 'processing', provider = ? WHERE id = ? AND status IN ('approved', 'processing')",
+    [getPayoutProvider().name, id]
+  );
+  if (!claim?.affectedRows) {
+    const batch = await getPayoutBatch(id);
+    if (!batch) throw createHttpError("Payout batch not found.", 404);
+    throw createHttpError(`Payout batch is ${batch.status}; approve it before paying out.`, 409);
+  }
+
+  const [rows] = await pool.query("SELECT id FROM payouts WHERE batch_id = ? AND status = 'approved' ORDER BY id", [id]);
+  for (const row of rows || []) {
+    await submitPayout(row.id);
+  }
+
+  const conn = await pool.getConnection();
+  try {
+    await refreshBatch(conn, id);
+  } finally {
+    conn.release();
+  }
+  return getPayoutBatch(id);
+}
+
+/**
+ * Confirm payouts transferred outside the provider (e.g. the NEFT bulk upload). `reference` is the
+ * bank UTR. Pass `payoutId` for one payout, or `batchId` for every approved/processing payout in a batch.
+ */
+export async function markPayoutsPaid({ payoutId = null, batchId = null, reference = null }) {
+  const pool = await getPool();
+  const ids = payoutId
+    ? [toPositiveId(payoutId, "payoutId")]
+    : (await pool.query(
+      "SELECT id FROM payouts WHERE batch_id = ? AND status IN ('approved', 'processing') ORDER BY id",
+      [toPositiveId(batchId, "batchId")]
+    ))[0].map((row) => row.id);
+
+  const payouts = [];
+  for (const id of ids) {
+    const { payout, changed } = await settlePayout(id, {
+      status: "paid",
+      reference: reference ? String(reference).trim().slice(0, 64) : null,
+    });
+    if (payoutId && !changed) {
+      if (!payout) throw createHttpError("Payout not found.", 404);
+      throw createHttpError(`Payout is ${payout.status}; only approved or processing payouts can be marked paid.`, 409);
+    }
+    if (changed) payouts.push(payout);
+  }
+  return payouts;
+}
+
+export async function markPayoutFailed(payoutId, reason = null) {
+  const { payout, changed } = await settlePayout(toPositiveId(payoutId, "payoutId"), {
+    status: "failed",
+    failureReason: reason || "Marked failed by admin.",
+  });
+  if (!payout) throw createHttpError("Payout not found.", 404);
+  if (!changed) throw createHttpError(`Payout is ${payout.status}; only approved or processing payouts can fail.`, 409);
+  return payout;
+}
+
+/**
+ * Refuse to retry a payout whose last attempt the provider took after all (e.g. it was marked failed
+ * after a timeout). Looked up before the retry transaction so no locks are held during the call.
+ */
+async function assertPreviousAttemptNotMade(payout) {
+  const provider = getPayoutProvider();
+  if (!payout.reference || payout.provider !== provider.name) return;
+
+  let found;
+  try {
+    found = await provider.findPayout({ reference: payout.reference });
+  } catch (err) {
+    throw createHttpError(`Could not confirm the last attempt with the payout provider: ${err?.message || err}`, 502);
+  }
+  if (found && found.status !== "failed") {
+    throw createHttpError(`The provider has the last attempt of this payout as ${found.status}; it cannot be retried.`, 409);
+  }
+}
+
+/**
+ * Put a failed payout back in flight: re-reserve its amount from the technician's payable (with
+ * fresh bank details) and submit it again. The last attempt is looked up on the provider first.
+ */
+export async function retryPayout(payoutId) {
+  const id = toPositiveId(payoutId, "payoutId");
+  const pool = await getPool();
+  const current = await loadPayout(pool, id);
+  if (!current) throw createHttpError("Payout not found.", 404);
+  if (current.status !== "failed") throw createHttpError("Only failed payouts can be retried.", 409);
+  await assertPreviousAttemptNotMade(current);
+
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const payout = await loadPayout(conn, id, { forUpdate: true });
+    if (!payout) throw createHttpError("Payout not found.", 404);
+    if (payout.status !== "failed" || Number(payout.attempts) !== Number(current.attempts)) {
+      throw createHttpError("Only failed payouts can be retried.", 409);
+    }
+
+    const [technicianRows] = await conn.query(
+      "SELECT id, name, payment_details FROM technicians WHERE id = ? FOR UPDATE",
+      [payout.technician_id]
+    );
+    const [payableRow] = await listTechnicianPayables(conn, { technicianId: payout.technician_id });
+    const amount = roundMoney(payout.amount);
+    if (roundMoney(payableRow?.payable) < amount) {
+      throw createHttpError("Technician balance no longer covers this payout.", 409);
+    }
+    const attempt = Number(payout.attempts || 0) + 1;
+    await postPayoutReserve(conn, { payoutId: id, technicianId: payout.technician_id, amount, attempt });
+
+    const beneficiary = resolveBeneficiary(technicianRows?.[0]);
+    await conn.query(
+      `UPDATE payouts
+       SET status = 'approved', attempts = ?, failure_reason = NULL, provider_payout_id = NULL, reference = NULL,
+           beneficiary_name = ?, beneficiary_account = ?, beneficiary_ifsc = ?
+       WHERE id = ?`,
+      [attempt, beneficiary?.name || null, beneficiary?.accountNumber || null, beneficiary?.ifsc || null, id]
+    );
+    await conn.query(
+      "UPDATE payout_batches SET status = 'processing', completed_at = NULL WHERE id = ? AND status = 'completed'",
+      [payout.batch_id]
+    );
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+  return submitPayout(id);
+}
+
+/**
+ * Handle RazorpayX payout.* webhook events. Returns { handled, payoutId, status }.
+ */
+export async function handlePayoutWebhookEvent(event) {
+  const entity = event?.payload?.payout?.entity || {};
+  const providerPayoutId = String(entity.id || "").trim();
+  const notedId = Number(entity?.notes?.payoutId);
+
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    "SELECT id FROM payouts WHERE provider_payout_id = ? OR id = ? LIMIT 1",
+    [providerPayoutId || null, Number.isInteger(notedId) && notedId > 0 ? notedId : 0]
+  );
+  if (!rows?.[0]) return { handled: false, payoutId: null, status: null };
+
+  const status = normalizeRazorpayXStatus(entity.status || String(event?.event || "").replace(/^payout\./, ""));
+  if (status === "processing") return { handled: true, payoutId: Number(rows[0].id), status };
+
+  const { payout } = await settlePayout(rows[0].id, {
+    status,
+    providerPayoutId: providerPayoutId || null,
+    reference: entity.utr || null,
+    failureReason: entity?.status_details?.description || entity.failure_reason || null,
+  });
+  return { handled: true, payoutId: Number(rows[0].id), status: payout?.status || status };
+}
+
+function csvEscape(value) {
+  if (value == null) return "";
+  const str = String(value);
+  if (str.includes('"') || str.includes(",") || str.includes("\n")) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * NEFT bulk upload file for the approved/processing payouts of a batch. Payouts without bank
+ * details are left out and listed in `skipped`.
+ */
+export async function exportPayoutBatchCsv(batchId) {
+  const id = toPositiveId(batchId, "batchId");
+  const batch = await getPayoutBatch(id);
+  if (!batch) throw createHttpError("Payout batch not found.", 404);
+  if (!["approved", "processing", "completed"].includes(batch.status)) {
+    throw createHttpError(`Payout batch is ${batch.status}; approve it before exporting.`, 409);
+  }
+
+  const pool = await getPool();
+  const payouts = await loadBatchPayouts(pool, id);
+  const lines = [[
+    "Beneficiary Name",
+    "Beneficiary Account Number",
+    "IFSC",
+    "Amount",
+    "Payment Mode",
+    "Narration",
+    "Reference",
+  ].join(",")];
+  const skipped = [];
+  for (const payout of payouts) {
+    if (!["approved", "processing"].includes(payout.status) || !(Number(payout.amount) > 0)) continue;
+    if (!payout.beneficiary_account || !payout.beneficiary_ifsc) {
+      skipped.push({ payoutId: Number(payout.id), technicianId: Number(payout.technician_id), reason: "missing_bank_details" });
+      continue;
+    }
+    lines.push([
+      csvEscape(payout.beneficiary_name),
+      csvEscape(payout.beneficiary_account),
+      csvEscape(payout.beneficiary_ifsc),
+      roundMoney(payout.amount).toFixed(2),
+      "NEFT",
+      csvEscape(`ResQNow payout ${payout.id}`),
+      csvEscape(`payout_${payout.id}_${payout.attempts || 1}`),
+    ].join(","));
+  }
+
+  await pool.query("UPDATE payout_batches SET exported_at = NOW() WHERE id = ?", [id]);
+  return {
+    fileName: `payout_batch_${id}_neft.csv`,
+    csv: `${lines.join("\n")}\n`,
+    skipped,
+  };
+}
+
+export async function getPayoutBatch(batchId) {
+  const pool = await getPool();
+  const [rows] = await pool.query("SELECT * FROM payout_batches WHERE id = ? LIMIT 1", [batchId]);
+  if (!rows?.[0]) return null;
+  return serializeBatch(rows[0], await loadBatchPayouts(pool, batchId));
+}
+
+export async function listPayoutBatches({ status = "all", limit = 50 } = {}) {
+  const pool = await getPool();
+  const params = [];
+  let where = "";
+  if (status && status !== "all") {
+    where = "WHERE status = ?";
+    params.push(status);
+  }
+  const [rows] = await pool.query(
+    `SELECT * FROM payout_batches ${where} ORDER BY id DESC LIMIT ?`,
+    [...params, Math.min(200, Math.max(1, Number(limit) || 50))]
+  );
+  return (rows || []).map((row) => serializeBatch(row));
+}
+
+/**
+ * A technician's payouts, newest first (cancelled drafts are left out).
+ */
+export async function listTechnicianPayouts(technicianId, { limit = 20 } = {}) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT p.*, NULL AS technician_name
+     FROM payouts p
+     WHERE p.technician_id = ? AND p.status <> 'cancelled'
+     ORDER BY p.id DESC
+     LIMIT ?`,
+    [technicianId, Math.min(100, Math.max(1, Number(limit) || 20))]
+  );
+  return (rows || []).map(serializePayout);
+}
+
+/**
+ * Scheduler tick: open a batch when the last one is older than PAYOUT_BATCH_INTERVAL_HOURS.
+ */
+export async function generateScheduledPayoutBatch() {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT id FROM payout_batches
+     WHERE status <> 'cancelled' AND created_at > DATE_SUB(NOW(), INTERVAL ? HOUR)
+     LIMIT 1`,
+    [PAYOUT_BATCH_INTERVAL_HOURS]
+  );
+  if (rows?.length) return null;
+  const batch = await generatePayoutBatch({ adminId: "system" });
+  if (batch) {
+    console.log(`[Payouts] Opened draft batch #${batch.id} with ${batch.payoutCount} payouts (${batch.totalAmount.toFixed(2)}).`);
+  }
+  return batch;
+}
+
+export function startPayoutScheduler() {
+  if (payoutSchedulerTimer || PAYOUT_BATCH_INTERVAL_HOURS <= 0) return;
+
+  payoutSchedulerTimer = setInterval(() => {
+    if (payoutSchedulerBusy) return;
+    payoutSchedulerBusy = true;
+    generateScheduledPayoutBatch()
+      .catch((err) => console.error("[Payouts] Scheduler tick failed:", err?.message || err))
+      .finally(() => {
+        payoutSchedulerBusy = false;
+      });
+  }, PAYOUT_SCHEDULER_POLL_MS);
+  payoutSchedulerTimer.unref?.();
+  console.log(`[Payouts] Scheduler started (every ${PAYOUT_BATCH_INTERVAL_HOURS}h, provider ${getPayoutProvider().name}).`);
+}
+
+export function stopPayoutScheduler() {
+  if (!payoutSchedulerTimer) return;
+  clearInterval(payoutSchedulerTimer);
+  payoutSchedulerTimer = null;
+}
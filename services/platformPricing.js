@@ -100,6 +100,8 @@ const DEFAULT_SUBSCRIPTION_PLANS = Object.freeze([
     recommended: false,
     active: true,
     display_order: 0,
+    dispatch_priority: 0,
+    period_days: 30,
   },
   {
     id: "basic",
@@ -122,6 +124,8 @@ const DEFAULT_SUBSCRIPTION_PLANS = Object.freeze([
     recommended: true,
     active: true,
     display_order: 1,
+    dispatch_priority: 1,
+    period_days: 30,
   },
   {
     id: "premium",
@@ -144,6 +148,8 @@ const DEFAULT_SUBSCRIPTION_PLANS = Object.freeze([
     recommended: false,
     active: true,
     display_order: 2,
+    dispatch_priority: 2,
+    period_days: 30,
   },
 ]);
 
@@ -186,6 +192,15 @@ function normalizeServiceBasePrices(rawPrices) {
   return matrix;
 }
 
+// Billing period length implied by a plan's `period` label when period_days is not set.
+function periodDaysFromLabel(period) {
+  const label = String(period || "").toLowerCase();
+  if (label.includes("year") || label.includes("annual")) return 365;
+  if (label.includes("quarter")) return 90;
+  if (label.includes("week")) return 7;
+  return 30;
+}
+
 function normalizeSubscriptionPlan(plan, index, defaultPlan = null) {
   const idRaw = typeof plan?.id === "string" ? plan.id : defaultPlan?.id;
   const id = String(idRaw || `plan_${index + 1}`).trim().toLowerCase();
@@ -194,11 +209,13 @@ function normalizeSubscriptionPlan(plan, index, defaultPlan = null) {
     ? Number(plan.display_order)
     : (defaultPlan?.display_order ?? index);
 
+  const period = String(plan?.period || defaultPlan?.period || "per month").trim();
+
   return {
     id,
     name: String(plan?.name || defaultPlan?.name || id).trim(),
     amount: roundMoney(amount),
-    period: String(plan?.period || defaultPlan?.period || "per month").trim(),
+    period,
     description: String(plan?.description || defaultPlan?.description || "").trim(),
     features: toStringList(plan?.features, defaultPlan?.features || []),
     notIncluded: toStringList(plan?.notIncluded, defaultPlan?.notIncluded || []),
@@ -208,6 +225,13 @@ function normalizeSubscriptionPlan(plan, index, defaultPlan = null) {
     recommended: typeof plan?.recommended === "boolean" ? plan.recommended : !!defaultPlan?.recommended,
     active: typeof plan?.active === "boolean" ? plan.active : defaultPlan?.active !== false,
     display_order: displayOrder,
+    // 0 = standard dispatch; higher levels get bigger/wider waves and may preempt lower ones.
+    dispatch_priority: toPositiveInteger(plan?.dispatch_priority, defaultPlan?.dispatch_priority ?? 0, { allowZero: true }),
+    // Length of one paid billing period.
+    period_days: toPositiveInteger(
+      plan?.period_days,
+      plan?.period ? periodDaysFromLabel(period) : (defaultPlan?.period_days ?? periodDaysFromLabel(period))
+    ),
   };
 }
 
@@ -373,8 +397,13 @@ export function computePaymentAmounts(baseAmount, pricingConfig = null, options
   const safeBase = roundMoney(
     toPositiveNumber(baseAmount, toPositiveNumber(config.default_service_amount, DEFAULT_PLATFORM_PRICING_CONFIG.default_service_amount))
   );
+  // Surge is charged on the service price and paid out with it; the platform fee applies to both.
+  const parsedSurge = Number(options?.surgeMultiplier);
+  const surgeMultiplier = Number.isFinite(parsedSurge) && parsedSurge > 1 ? parsedSurge : 1;
+  const surgeAmount = roundMoney(safeBase * (surgeMultiplier - 1));
+  const serviceAmount = roundMoney(safeBase + surgeAmount);
   const feePercent = toPercent(config.platform_fee_percent, DEFAULT_PLATFORM_PRICING_CONFIG.platform_fee_percent);
-  const originalPlatformFee = roundMoney(safeBase * feePercent);
+  const originalPlatformFee = roundMoney(serviceAmount * feePercent);
   const discountPercent = toPercent(options?.platformFeeDiscountPercent, 0);
   const discountAmountByPercent = roundMoney(originalPlatformFee * discountPercent);
   const discountAmountRaw = toPositiveNumber(
@@ -386,11 +415,14 @@ export function computePaymentAmounts(baseAmount, pricingConfig = null, options
     Math.min(originalPlatformFee, Math.max(0, Number(discountAmountRaw || 0)))
   );
   const platformFee = roundMoney(Math.max(0, originalPlatformFee - discountAmount));
-  const totalAmount = roundMoney(safeBase + platformFee);
+  const totalAmount = roundMoney(serviceAmount + platformFee);
 
   return {
     currency: String(config.currency || "INR").toUpperCase(),
     baseAmount: safeBase,
+    surgeMultiplier,
+    surgeAmount,
+    serviceAmount,
     platformFeePercent: feePercent,
     originalPlatformFee,
     discountAmount,
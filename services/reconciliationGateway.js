@@ -0,0 +1,199 @@
+import { readFileSync } from "fs";
+import Razorpay from "razorpay";
+
+/**
+ * Read-only view of the payment gateway for reconciliation:
+ *   listOrders({ from, to })          -> [{ id, amount, amountPaid, status, receipt, notes, createdAt }]
+ *   listPayments({ from, to })        -> [{ id, orderId, amount, status, method, fee, tax, notes, createdAt }]
+ *   fetchPayment(paymentId)           -> payment (same shape) or null when the gateway does not know it
+ *   listSettlementItems({ from, to }) -> [{ settlementId, utr, type, entityId, amount, fee, tax, settledAt }]
+ * `from` / `to` are Dates; amounts are in rupees; `createdAt` / `settledAt` are Dates.
+ * `configured` is false when the gateway cannot be called (missing credentials).
+ *
+ * PAYMENT_RECONCILIATION_GATEWAY selects the implementation: `razorpay` (default) or `fake`, which
+ * serves a JSON fixture ({ orders, payments, settlementItems } in the shapes above, amounts in
+ * rupees, dates as ISO strings) from PAYMENT_RECONCILIATION_FIXTURE.
+ */
+
+const PAYMENT_RECONCILIATION_GATEWAY = String(process.env.PAYMENT_RECONCILIATION_GATEWAY || "razorpay").trim().toLowerCase();
+const PAYMENT_RECONCILIATION_FIXTURE = String(process.env.PAYMENT_RECONCILIATION_FIXTURE || "").trim();
+
+const RAZORPAY_KEY_ID = String(process.env.RAZORPAY_KEY_ID || "");
+const RAZORPAY_KEY_SECRET = String(process.env.RAZORPAY_KEY_SECRET || "");
+const hasRazorpayConfig = Boolean(
+  RAZORPAY_KEY_ID &&
+  RAZORPAY_KEY_SECRET &&
+  !RAZORPAY_KEY_ID.includes("placeholder") &&
+  !RAZORPAY_KEY_SECRET.includes("placeholder")
+);
+
+// Razorpay list endpoints return at most 100 items per page.
+const PAGE_SIZE = 100;
+// Upper bound per listing so a wide window cannot page forever.
+const MAX_ITEMS = 5000;
+
+let activeGateway = null;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function fromPaise(value) {
+  return Math.round(Number(value || 0)) / 100;
+}
+
+function fromUnix(seconds) {
+  const parsed = Number(seconds);
+  return Number.isFinite(parsed) && parsed > 0 ? new Date(parsed * 1000) : null;
+}
+
+function toUnix(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+async function collectPages(fetchPage) {
+  const items = [];
+  for (let skip = 0; skip < MAX_ITEMS; skip += PAGE_SIZE) {
+    const page = await fetchPage({ count: PAGE_SIZE, skip });
+    const pageItems = Array.isArray(page?.items) ? page.items : [];
+    items.push(...pageItems);
+    if (pageItems.length < PAGE_SIZE) break;
+  }
+  return items;
+}
+
+function mapRazorpayPayment(payment) {
+  return {
+    id: payment.id,
+    orderId: payment.order_id || null,
+    amount: fromPaise(payment.amount),
+    status: String(payment.status || "").toLowerCase(),
+    method: payment.method || null,
+    fee: fromPaise(payment.fee),
+    tax: fromPaise(payment.tax),
+    notes: payment.notes && !Array.isArray(payment.notes) ? payment.notes : {},
+    createdAt: fromUnix(payment.created_at),
+  };
+}
+
+export function createRazorpayReconciliationGateway(client) {
+  const requireClient = () => {
+    if (!client) throw createHttpError("Razorpay is not configured for reconciliation.", 503);
+    return client;
+  };
+
+  return {
+    name: "razorpay",
+    configured: Boolean(client),
+    async listOrders({ from, to }) {
+      const items = await collectPages((page) => requireClient().orders.all({ from: toUnix(from), to: toUnix(to), ...page }));
+      return items.map((order) => ({
+        id: order.id,
+        amount: fromPaise(order.amount),
+        amountPaid: fromPaise(order.amount_paid),
+        status: String(order.status || "").toLowerCase(),
+        receipt: order.receipt || null,
+        notes: order.notes && !Array.isArray(order.notes) ? order.notes : {},
+        createdAt: fromUnix(order.created_at),
+      }));
+    },
+    async listPayments({ from, to }) {
+      const items = await collectPages((page) => requireClient().payments.all({ from: toUnix(from), to: toUnix(to), ...page }));
+      return items.map(mapRazorpayPayment);
+    },
+    async fetchPayment(paymentId) {
+      try {
+        return mapRazorpayPayment(await requireClient().payments.fetch(paymentId));
+      } catch (err) {
+        if (Number(err?.statusCode) === 400 || Number(err?.statusCode) === 404) return null;
+        throw err;
+      }
+    },
+    async listSettlementItems({ from, to }) {
+      // The settlement recon report is per day.
+      const items = [];
+      const day = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+      while (day <= to) {
+        const dayItems = await collectPages((page) => requireClient().settlements.reports({
+          year: day.getUTCFullYear(),
+          month: day.getUTCMonth() + 1,
+          day: day.getUTCDate(),
+          ...page,
+        }));
+        items.push(...dayItems);
+        day.setUTCDate(day.getUTCDate() + 1);
+      }
+      return items.map((item) => ({
+        settlementId: item.settlement_id || null,
+        utr: item.settlement_utr || null,
+        type: String(item.type || "").toLowerCase(),
+        entityId: item.entity_id || null,
+        amount: fromPaise(item.amount),
+        fee: fromPaise(item.fee),
+        tax: fromPaise(item.tax),
+        settledAt: fromUnix(item.settled_at),
+      }));
+    },
+  };
+}
+
+/**
+ * Gateway backed by an in-memory fixture; entries outside the requested window are filtered out
+ * like the real listing endpoints do.
+ */
+export function createFakeReconciliationGateway(fixture = {}) {
+  const toDate = (value) => (value ? new Date(value) : null);
+  const orders = (fixture.orders || []).map((order) => ({ notes: {}, ...order, createdAt: toDate(order.createdAt) }));
+  const payments = (fixture.payments || []).map((payment) => ({ notes: {}, fee: 0, tax: 0, ...payment, createdAt: toDate(payment.createdAt) }));
+  const settlementItems = (fixture.settlementItems || []).map((item) => ({ fee: 0, tax: 0, ...item, settledAt: toDate(item.settledAt) }));
+  const inWindow = (date, from, to) => !date || (date >= from && date <= to);
+
+  return {
+    name: "fake",
+    configured: true,
+    async listOrders({ from, to }) {
+      return orders.filter((order) => inWindow(order.createdAt, from, to));
+    },
+    async listPayments({ from, to }) {
+      return payments.filter((payment) => inWindow(payment.createdAt, from, to));
+    },
+    async fetchPayment(paymentId) {
+      return payments.find((payment) => payment.id === paymentId) || null;
+    },
+    async listSettlementItems({ from, to }) {
+      return settlementItems.filter((item) => inWindow(item.settledAt, from, to));
+    },
+  };
+}
+
+function loadFixture(path) {
+  if (!path) return {};
+  try {
+    return JSON.parse(readFileSync(path, "utf8"));
+  } catch (err) {
+    console.error(`[Reconciliation] Could not read fixture ${path}:`, err?.message || err);
+    return {};
+  }
+}
+
+export function getReconciliationGateway() {
+  if (activeGateway) return activeGateway;
+  if (PAYMENT_RECONCILIATION_GATEWAY === "fake") {
+    activeGateway = createFakeReconciliationGateway(loadFixture(PAYMENT_RECONCILIATION_FIXTURE));
+  } else {
+    activeGateway = createRazorpayReconciliationGateway(
+      hasRazorpayConfig ? new Razorpay({ key_id: RAZORPAY_KEY_ID, key_secret: RAZORPAY_KEY_SECRET }) : null
+    );
+  }
+  return activeGateway;
+}
+
+/**
+ * Replace the gateway used by the reconciliation job (e.g. a fake in tests). Pass null to go back
+ * to the PAYMENT_RECONCILIATION_GATEWAY setting.
+ */
+export function setReconciliationGateway(gateway) {
+  activeGateway = gateway || null;
+}
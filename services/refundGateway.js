@@ -0,0 +1,131 @@
+import { randomUUID } from "crypto";
+import Razorpay from "razorpay";
+
+/**
+ * Payment gateway refunds behind one interface:
+ *   createRefund({ paymentId, amount, receipt, notes }) -> { gatewayRefundId, status, failureReason }
+ *   findRefund({ paymentId, receipt, gatewayRefundId }) -> { gatewayRefundId, status, failureReason } | null
+ * `amount` is in rupees; `status` is one of pending | processed | failed. An error with a 4xx
+ * `statusCode` means the gateway rejected the refund; any other error (timeouts, dropped
+ * connections, 5xx) leaves it unknown whether the refund was made, so look it up with
+ * findRefund() before sending it again.
+ *
+ * REFUND_GATEWAY selects the implementation: `razorpay` (default) or `fake`, which settles refunds
+ * locally without calling out and is meant for development and tests.
+ */
+
+const REFUND_GATEWAY = String(process.env.REFUND_GATEWAY || "razorpay").trim().toLowerCase();
+// Outcome reported by the fake gateway: processed (default), pending (wait for a webhook) or failed.
+const REFUND_FAKE_STATUS = String(process.env.REFUND_FAKE_STATUS || "processed").trim().toLowerCase();
+
+const RAZORPAY_KEY_ID = String(process.env.RAZORPAY_KEY_ID || "");
+const RAZORPAY_KEY_SECRET = String(process.env.RAZORPAY_KEY_SECRET || "");
+const hasRazorpayConfig = Boolean(
+  RAZORPAY_KEY_ID &&
+  RAZORPAY_KEY_SECRET &&
+  !RAZORPAY_KEY_ID.includes("placeholder") &&
+  !RAZORPAY_KEY_SECRET.includes("placeholder")
+);
+
+const REFUND_STATUSES_FROM_GATEWAY = new Set(["pending", "processed", "failed"]);
+
+let activeGateway = null;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toPaise(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function normalizeGatewayStatus(status) {
+  const normalized = String(status || "").trim().toLowerCase();
+  return REFUND_STATUSES_FROM_GATEWAY.has(normalized) ? normalized : "pending";
+}
+
+export function createRazorpayRefundGateway(client) {
+  return {
+    name: "razorpay",
+    async createRefund({ paymentId, amount, receipt = null, notes = {} }) {
+      if (!client) throw createHttpError("Razorpay is not configured for refunds.", 503);
+      if (!paymentId) throw createHttpError("Payment has no Razorpay payment id to refund.", 409);
+
+      const refund = await client.payments.refund(paymentId, {
+        amount: toPaise(amount),
+        speed: "normal",
+        notes,
+        ...(receipt ? { receipt: String(receipt).slice(0, 40) } : {}),
+      });
+      return {
+        gatewayRefundId: refund?.id || null,
+        status: normalizeGatewayStatus(refund?.status),
+        failureReason: null,
+      };
+    },
+    async findRefund({ paymentId, receipt = null, gatewayRefundId = null }) {
+      if (!client) throw createHttpError("Razorpay is not configured for refunds.", 503);
+      if (!paymentId) return null;
+
+      let refund = null;
+      if (gatewayRefundId) {
+        refund = await client.payments.fetchRefund(paymentId, gatewayRefundId);
+      } else if (receipt) {
+        const list = await client.payments.fetchMultipleRefund(paymentId, { count: 100 });
+        refund = (list?.items || []).find((item) => item?.receipt === String(receipt).slice(0, 40)) || null;
+      }
+      if (!refund?.id) return null;
+      return {
+        gatewayRefundId: refund.id,
+        status: normalizeGatewayStatus(refund.status),
+        failureReason: null,
+      };
+    },
+  };
+}
+
+export function createFakeRefundGateway({ status = "processed" } = {}) {
+  const outcome = normalizeGatewayStatus(status);
+  // Refunds made so far by receipt, so findRefund() can answer for this process's lifetime.
+  const refundsByReceipt = new Map();
+  return {
+    name: "fake",
+    async createRefund({ paymentId, amount, receipt = null }) {
+      if (!(Number(amount) > 0)) throw createHttpError("Refund amount must be positive.", 400);
+      const refund = {
+        gatewayRefundId: `rfnd_fake_${randomUUID().replace(/-/g, "").slice(0, 20)}`,
+        status: outcome,
+        failureReason: outcome === "failed" ? `Fake gateway declined refund for ${paymentId || "payment"}.` : null,
+      };
+      if (receipt) refundsByReceipt.set(String(receipt), refund);
+      return refund;
+    },
+    async findRefund({ receipt = null, gatewayRefundId = null }) {
+      if (receipt && refundsByReceipt.has(String(receipt))) return refundsByReceipt.get(String(receipt));
+      if (!gatewayRefundId) return null;
+      return [...refundsByReceipt.values()].find((refund) => refund.gatewayRefundId === gatewayRefundId) || null;
+    },
+  };
+}
+
+export function getRefundGateway() {
+  if (activeGateway) return activeGateway;
+  if (REFUND_GATEWAY === "fake") {
+    activeGateway = createFakeRefundGateway({ status: REFUND_FAKE_STATUS });
+  } else {
+    activeGateway = createRazorpayRefundGateway(
+      hasRazorpayConfig ? new Razorpay({ key_id: RAZORPAY_KEY_ID, key_secret: RAZORPAY_KEY_SECRET }) : null
+    );
+  }
+  return activeGateway;
+}
+
+/**
+ * Replace the gateway used by refundService (e.g. a fake in tests). Pass null to go back to
+ * the REFUND_GATEWAY setting.
+ */
+export function setRefundGateway(gateway) {
+  activeGateway = gateway || null;
+}
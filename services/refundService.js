@@ -0,0 +1,626 @@
+import { getPool } from "../db.js";
+import { postRefund } from "./ledgerService.js";
+import { getRefundGateway } from "./refundGateway.js";
+import {
+  dispatchOutboxSoon,
+  enqueueOutbox,
+  outboxEmail,
+  outboxNotifyAdmins,
+  outboxNotifyUser,
+} from "./outboxService.js";
+import { normalizeRequestStatus } from "./requestStateMachine.js";
+
+/**
+ * Refunds of captured online (Razorpay) payments.
+ * Cancellations queue refunds inside the cancelling transaction with queueCancellationRefunds();
+ * the share refunded depends on how far the job had progressed (REFUND_PERCENT_* per stage).
+ * Queued refunds are submitted to the gateway after commit and by a monitor that picks up any
+ * left behind. A refund whose submission ended ambiguously (timeout, dropped connection) stays
+ * `processing` until the monitor has looked it up on the gateway, so it is never sent twice. Gateway results and `refund.processed` / `refund.failed` webhooks settle them:
+ * the payment's refunded_amount is updated and the customer and admins are notified through
+ * the outbox.
+ *
+ * Cash payments are never refunded here; support settles those by hand.
+ */
+
+export const REFUND_STATUSES = Object.freeze(["pending", "processing", "processed", "failed"]);
+
+function toPercent(value, fallback) {
+  const parsed = Number(value ?? fallback);
+  return Number.isFinite(parsed) ? Math.min(100, Math.max(0, parsed)) : fallback;
+}
+
+// Share of the captured amount refunded when a request is cancelled at each stage.
+const REFUND_POLICY_PERCENT = Object.freeze({
+  before_dispatch: toPercent(process.env.REFUND_PERCENT_BEFORE_DISPATCH, 100),
+  before_travel: toPercent(process.env.REFUND_PERCENT_BEFORE_TRAVEL, 100),
+  en_route: toPercent(process.env.REFUND_PERCENT_EN_ROUTE, 100),
+  on_site: toPercent(process.env.REFUND_PERCENT_ON_SITE, 0),
+  after_service: toPercent(process.env.REFUND_PERCENT_AFTER_SERVICE, 0),
+  // Payment captured after the request was already cancelled: nothing was delivered.
+  after_cancellation: 100,
+});
+
+const REFUND_STAGE_BY_STATUS = Object.freeze({
+  scheduled: "before_dispatch",
+  pending: "before_dispatch",
+  assigned: "before_travel",
+  accepted: "before_travel",
+  "on-the-way": "en_route",
+  arrived: "on_site",
+  "in-progress": "on_site",
+  payment_pending: "after_service",
+  paid: "after_service",
+  completed: "after_service",
+  cancelled: "after_cancellation",
+});
+
+const REFUND_MONITOR_POLL_MS = Math.max(10000, Number(process.env.REFUND_MONITOR_POLL_MS || 60000));
+// Fresh refunds are submitted by the caller right after commit; the monitor only takes stragglers.
+const REFUND_MONITOR_GRACE_SECONDS = 30;
+const REFUND_MONITOR_BATCH_SIZE = 20;
+// Refunds left `processing` this long (lost webhook, crash, ambiguous gateway error) are looked up on the gateway.
+const REFUND_PROCESSING_STALE_SECONDS = 15 * 60;
+
+let refundMonitorTimer = null;
+let refundMonitorBusy = false;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+// Only a 4xx from the gateway says the refund was not made; anything else may have gone through.
+function isGatewayRejection(err) {
+  const statusCode = Number(err?.statusCode ?? err?.status);
+  return statusCode >= 400 && statusCode < 500;
+}
+
+function toPositiveId(value, label) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw createHttpError(`${label} must be a positive integer.`, 400);
+  }
+  return parsed;
+}
+
+function serializeRefund(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    paymentId: Number(row.payment_id),
+    requestId: Number(row.service_request_id),
+    userId: Number(row.user_id),
+    amount: roundMoney(row.amount),
+    status: row.status,
+    stage: row.stage || null,
+    policyPercent: row.policy_percent == null ? null : Number(row.policy_percent),
+    reason: row.reason || null,
+    gateway: row.gateway,
+    gatewayRefundId: row.gateway_refund_id || null,
+    failureReason: row.failure_reason || null,
+    initiatedBy: row.initiated_by,
+    initiatedById: row.initiated_by_id || null,
+    submittedAt: row.submitted_at || null,
+    processedAt: row.processed_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+export function resolveCancellationStage(status) {
+  return REFUND_STAGE_BY_STATUS[normalizeRequestStatus(status)] || "after_service";
+}
+
+/**
+ * Refund owed on `paidAmount` when a request in `status` is cancelled.
+ * `alreadyRefunded` (refunds queued or processed earlier) is deducted from the result.
+ */
+export function evaluateRefundPolicy({ status, paidAmount, alreadyRefunded = 0 }) {
+  const stage = resolveCancellationStage(status);
+  const percent = REFUND_POLICY_PERCENT[stage] ?? 0;
+  const refundable = Math.max(0, roundMoney(paidAmount) - roundMoney(alreadyRefunded));
+  const amount = Math.min(refundable, roundMoney((roundMoney(paidAmount) * percent) / 100));
+  return { stage, percent, refundableAmount: refundable, amount: roundMoney(amount) };
+}
+
+export function getRefundPolicy() {
+  return { ...REFUND_POLICY_PERCENT };
+}
+
+async function lockRefundablePayments(conn, requestId, paymentId = null) {
+  const [rows] = await conn.query(
+    `SELECT p.id, p.user_id, p.amount, p.razorpay_payment_id,
+            COALESCE((SELECT SUM(r.amount) FROM refunds r WHERE r.payment_id = p.id AND r.status <> 'failed'), 0) AS reserved_amount
+     FROM payments p
+     WHERE p.service_request_id = ?
+       AND p.payment_method = 'razorpay'
+       AND LOWER(COALESCE(p.status, '')) IN ('completed', 'refunded')
+       AND p.razorpay_payment_id IS NOT NULL${paymentId ? " AND p.id = ?" : ""}
+     ORDER BY p.id ASC
+     FOR UPDATE`,
+    paymentId ? [requestId, paymentId] : [requestId]
+  );
+  return rows || [];
+}
+
+async function insertRefund(conn, { payment, requestId, amount, stage, percent, reason, initiatedBy, initiatedById, idempotencyKey }) {
+  const [result] = await conn.query(
+    `INSERT INTO refunds
+       (payment_id, service_request_id, user_id, amount, stage, policy_percent, reason, gateway,
+        gateway_payment_id, idempotency_key, initiated_by, initiated_by_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE id = id`,
+    [
+      payment.id,
+      requestId,
+      payment.user_id,
+      amount,
+      stage,
+      percent,
+      reason ? String(reason).slice(0, 255) : null,
+      getRefundGateway().name,
+      payment.razorpay_payment_id,
+      idempotencyKey,
+      initiatedBy,
+      initiatedById == null ? null : String(initiatedById),
+    ]
+  );
+  // A repeated idempotency key is a no-op (affectedRows 0).
+  return Number(result?.affectedRows || 0) === 1 ? Number(result.insertId) : null;
+}
+
+/**
+ * Queue refunds for every captured online payment on a request being cancelled. Call inside the
+ * cancelling transaction with the status the request had before cancellation, then pass the
+ * result to submitQueuedRefunds() after commit.
+ * `withholdAmount` (e.g. a cancellation fee) is kept back from the refundable balance first.
+ * Returns { stage, percent, withheldAmount, refunds: [{ id, paymentId, amount }] }.
+ */
+export async function queueCancellationRefunds(conn, { requestId, previousStatus, actor = "system", actorId = null, reason = null, withholdAmount = 0 }) {
+  const stage = resolveCancellationStage(previousStatus);
+  const percent = REFUND_POLICY_PERCENT[stage] ?? 0;
+  const refunds = [];
+  let toWithhold = Math.max(0, roundMoney(withholdAmount));
+  let withheldAmount = 0;
+
+  const payments = await lockRefundablePayments(conn, requestId);
+  for (const payment of payments) {
+    const policy = evaluateRefundPolicy({
+      status: previousStatus,
+      paidAmount: payment.amount,
+      alreadyRefunded: payment.reserved_amount,
+    });
+    const withheld = Math.min(toWithhold, policy.refundableAmount);
+    toWithhold = roundMoney(toWithhold - withheld);
+    withheldAmount = roundMoney(withheldAmount + withheld);
+    policy.amount = roundMoney(Math.min(policy.amount, policy.refundableAmount - withheld));
+    if (!(policy.amount > 0)) continue;
+
+    const refundId = await insertRefund(conn, {
+      payment,
+      requestId,
+      amount: policy.amount,
+      stage,
+      percent,
+      reason: reason || "Request cancelled",
+      initiatedBy: actor,
+      initiatedById: actorId,
+      idempotencyKey: `cancel:${payment.id}`,
+    });
+    if (refundId) refunds.push({ id: refundId, paymentId: Number(payment.id), amount: policy.amount });
+  }
+  return { stage, percent, withheldAmount, refunds };
+}
+
+/**
+ * Admin-initiated refund of `amount` (default: everything still refundable) on one payment of a
+ * request. `idempotencyKey` lets clients retry the call safely.
+ */
+export async function createAdminRefund({ requestId, paymentId = null, amount = null, reason = null, adminId = null, idempotencyKey = null }) {
+  const parsedRequestId = toPositiveId(requestId, "requestId");
+  const parsedPaymentId = paymentId == null || paymentId === "" ? null : toPositiveId(paymentId, "paymentId");
+  const requestedAmount = amount == null || amount === "" ? null : roundMoney(amount);
+  if (requestedAmount != null && !(requestedAmount > 0)) {
+    throw createHttpError("amount must be a positive number.", 400);
+  }
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  let refundId = null;
+  try {
+    await conn.beginTransaction();
+    const payments = await lockRefundablePayments(conn, parsedRequestId, parsedPaymentId);
+    // Without an explicit payment, refund the latest one that still has money left on it.
+    const payment = payments.reverse().find((row) => roundMoney(row.amount) - roundMoney(row.reserved_amount) > 0);
+    if (!payment) {
+      throw createHttpError("No captured online payment with a refundable balance was found for this request.", 404);
+    }
+
+    const refundable = roundMoney(roundMoney(payment.amount) - roundMoney(payment.reserved_amount));
+    const refundAmount = requestedAmount ?? refundable;
+    if (refundAmount > refundable) {
+      throw createHttpError(`Refund exceeds the refundable balance of ${refundable.toFixed(2)}.`, 409);
+    }
+
+    refundId = await insertRefund(conn, {
+      payment,
+      requestId: parsedRequestId,
+      amount: refundAmount,
+      stage: null,
+      percent: roundMoney((refundAmount / roundMoney(payment.amount)) * 100),
+      reason: reason || "Refund issued by support",
+      initiatedBy: "admin",
+      initiatedById: adminId,
+      idempotencyKey: idempotencyKey ? `admin:${String(idempotencyKey).slice(0, 180)}` : null,
+    });
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+
+  if (!refundId) {
+    const [existing] = await pool.query(
+      "SELECT * FROM refunds WHERE idempotency_key = ? LIMIT 1",
+      [`admin:${String(idempotencyKey).slice(0, 180)}`]
+    );
+    return { refund: serializeRefund(existing?.[0]), duplicate: true };
+  }
+  return { refund: await submitRefund(refundId), duplicate: false };
+}
+
+async function loadRefund(db, refundId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT r.*, u.email AS customer_email, u.full_name AS customer_name
+     FROM refunds r
+     LEFT JOIN users u ON u.id = r.user_id
+     WHERE r.id = ?
+     LIMIT 1${forUpdate ? " FOR UPDATE" : ""}`,
+    [refundId]
+  );
+  return rows?.[0] || null;
+}
+
+function buildRefundNotifications(refund, status) {
+  const amount = roundMoney(refund.amount);
+  const payload = {
+    requestId: Number(refund.service_request_id),
+    refundId: Number(refund.id),
+    amount,
+    status,
+  };
+  const dedupeKey = `refund:${refund.id}:${status}`;
+  const entries = [
+    outboxNotifyAdmins("admin:refund_update", {
+      ...payload,
+      failureReason: refund.failure_reason || null,
+      at: new Date().toISOString(),
+    }, { dedupeKey }),
+  ];
+
+  if (status === "processed") {
+    entries.push(outboxNotifyUser(refund.user_id, "payment:refund_update", payload, { dedupeKey }));
+    entries.push(outboxEmail({
+      to: refund.customer_email,
+      subject: "Your Refund Has Been Processed - ResQNow",
+      html: `<p>Hello ${refund.customer_name || "there"},</p>
+             <p>We have refunded <b>₹${amount.toFixed(2)}</b> for request #${refund.service_request_id}.</p>
+             <p>It can take 5-7 working days to show up in your account, depending on your bank.</p>`,
+    }, { dedupeKey }));
+  }
+  return entries;
+}
+
+/**
+ * Move a refund to `processed` or `failed` and apply the side effects once.
+ * Returns { refund, changed }.
+ */
+async function settleRefund(refundId, { status, gatewayRefundId = null, failureReason = null }) {
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  let refund = null;
+  try {
+    await conn.beginTransaction();
+    refund = await loadRefund(conn, refundId, { forUpdate: true });
+    // A processed refund is final; a failed one can still turn processed (late webhook).
+    if (!refund || refund.status === "processed" || refund.status === status) {
+      await conn.commit();
+      return { refund: serializeRefund(refund), changed: false };
+    }
+
+    await conn.query(
+      `UPDATE refunds
+       SET status = ?,
+           gateway_refund_id = COALESCE(?, gateway_refund_id),
+           failure_reason = ?,
+           processed_at = ${status === "processed" ? "NOW()" : "processed_at"}
+       WHERE id = ?`,
+      [status, gatewayRefundId, status === "failed" ? String(failureReason || "Refund failed.").slice(0, 512) : null, refund.id]
+    );
+
+    if (status === "processed") {
+      const amount = roundMoney(refund.amount);
+      // status is assigned first so it still sees the old refunded_amount.
+      await conn.query(
+        `UPDATE payments
+         SET status = CASE WHEN COALESCE(refunded_amount, 0) + ? >= amount - 0.005 THEN 'refunded' ELSE status END,
+             refunded_amount = COALESCE(refunded_amount, 0) + ?
+         WHERE id = ?`,
+        [amount, amount, refund.payment_id]
+      );
+      const [paymentRows] = await conn.query(
+        `SELECT COALESCE(SUM(amount), 0) AS paid, COALESCE(SUM(refunded_amount), 0) AS refunded
+         FROM payments
+         WHERE service_request_id = ? AND LOWER(COALESCE(status, '')) IN ('completed', 'refunded')`,
+        [refund.service_request_id]
+      );
+      const fullyRefunded = roundMoney(paymentRows[0]?.refunded) >= roundMoney(paymentRows[0]?.paid) - 0.005;
+      await conn.query(
+        "UPDATE service_requests SET payment_status = ? WHERE id = ?",
+        [fullyRefunded ? "refunded" : "partially_refunded", refund.service_request_id]
+      );
+      await postRefund(conn, {
+        refundId: refund.id,
+        paymentId: refund.payment_id,
+        requestId: refund.service_request_id,
+        amount,
+      });
+    }
+
+    refund = { ...refund, status, failure_reason: status === "failed" ? failureReason : null };
+    await enqueueOutbox(conn, buildRefundNotifications(refund, status));
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+
+  dispatchOutboxSoon();
+  const title = status === "processed" ? "Refund processed" : "Refund failed";
+  const message = status === "processed"
+    ? `Refund #${refund.id} of ${roundMoney(refund.amount).toFixed(2)} for request #${refund.service_request_id} was processed.`
+    : `Refund #${refund.id} for request #${refund.service_request_id} failed: ${refund.failure_reason || "unknown error"}.`;
+  pool.query(
+    "INSERT INTO notifications (type, title, message, created_at) VALUES (?, ?, ?, NOW())",
+    ["refund_update", title, message]
+  ).catch(console.error);
+
+  return { refund: serializeRefund(await loadRefund(pool, refund.id)), changed: true };
+}
+
+/**
+ * Send a pending refund to the gateway. A gateway rejection marks the refund failed (admins can
+ * retry); any other gateway error leaves it `processing` for the monitor to look up. Only database
+ * errors are thrown. Returns the refund.
+ */
+export async function submitRefund(refundId) {
+  const pool = await getPool();
+  const [claim] = await pool.query(
+    "UPDATE refunds SET status = 'processing', submitted_at = NOW() WHERE id = ? AND status = 'pending'",
+    [refundId]
+  );
+  const refund = await loadRefund(pool, refundId);
+  if (!refund || !claim?.affectedRows) return serializeRefund(refund);
+
+  let result;
+  try {
+    result = await getRefundGateway().createRefund({
+      paymentId: refund.gateway_payment_id,
+      amount: roundMoney(refund.amount),
+      receipt: `refund_${refund.id}`,
+      notes: { refundId: String(refund.id), requestId: String(refund.service_request_id) },
+    });
+  } catch (err) {
+    const failureReason = err?.error?.description || err?.message || String(err);
+    if (!isGatewayRejection(err)) {
+      console.error(`[Refunds] Outcome of refund #${refund.id} unknown, leaving it processing:`, failureReason);
+      return serializeRefund(await loadRefund(pool, refund.id));
+    }
+    console.error(`[Refunds] Gateway rejected refund #${refund.id}:`, failureReason);
+    return (await settleRefund(refund.id, { status: "failed", failureReason })).refund;
+  }
+
+  return applyGatewayResult(pool, refund.id, result);
+}
+
+async function applyGatewayResult(pool, refundId, result) {
+  if (result.gatewayRefundId) {
+    await pool.query(
+      "UPDATE refunds SET gateway_refund_id = COALESCE(gateway_refund_id, ?) WHERE id = ?",
+      [result.gatewayRefundId, refundId]
+    );
+  }
+  if (result.status === "pending") {
+    // Razorpay settles asynchronously; the refund.processed webhook finishes the job.
+    return serializeRefund(await loadRefund(pool, refundId));
+  }
+  return (await settleRefund(refundId, {
+    status: result.status,
+    gatewayRefundId: result.gatewayRefundId,
+    failureReason: result.failureReason,
+  })).refund;
+}
+
+/**
+ * Submit refunds returned by queueCancellationRefunds() (or its `refunds` list). Never throws:
+ * anything left pending is picked up by the refund monitor.
+ */
+export async function submitQueuedRefunds(queued) {
+  const refunds = Array.isArray(queued) ? queued : (queued?.refunds || []);
+  const submitted = [];
+  for (const refund of refunds) {
+    try {
+      submitted.push(await submitRefund(refund.id));
+    } catch (err) {
+      console.error(`[Refunds] Submit failed for refund #${refund.id}:`, err?.message || err);
+      submitted.push({ ...refund, status: "pending" });
+    }
+  }
+  return submitted;
+}
+
+/**
+ * Apply a Razorpay `refund.*` webhook. Refunds are matched on the gateway refund id, or on the
+ * refundId note for webhooks that arrive before the create call has returned.
+ */
+export async function handleRefundWebhookEvent(event) {
+  const eventName = String(event?.event || "");
+  const entity = event?.payload?.refund?.entity || {};
+  const gatewayRefundId = String(entity.id || "").trim();
+  if (!gatewayRefundId) return { processed: false, reason: "missing_refund_id" };
+
+  const status = eventName === "refund.processed" ? "processed" : eventName === "refund.failed" ? "failed" : null;
+  if (!status) return { processed: false, reason: "ignored_event" };
+
+  const pool = await getPool();
+  const noteRefundId = Number(entity?.notes?.refundId);
+  const [rows] = await pool.query(
+    `SELECT id FROM refunds
+     WHERE gateway_refund_id = ?
+        OR (id = ? AND gateway_refund_id IS NULL)
+     ORDER BY gateway_refund_id IS NULL ASC
+     LIMIT 1`,
+    [gatewayRefundId, Number.isInteger(noteRefundId) ? noteRefundId : 0]
+  );
+  if (!rows?.[0]) return { processed: false, reason: "refund_not_found" };
+
+  const { refund, changed } = await settleRefund(rows[0].id, {
+    status,
+    gatewayRefundId,
+    failureReason: status === "failed" ? (entity.error_description || entity?.error?.description || "Refund failed at gateway.") : null,
+  });
+  return { processed: true, duplicate: !changed, refundId: refund?.id ?? null, status: refund?.status ?? status };
+}
+
+/**
+ * Requeue a failed refund and submit it again. Refunds only fail on a gateway rejection or a
+ * `refund.failed` webhook, so nothing was paid out for them.
+ */
+export async function retryRefund(refundId) {
+  const parsedRefundId = toPositiveId(refundId, "refundId");
+  const pool = await getPool();
+  const [result] = await pool.query(
+    "UPDATE refunds SET status = 'pending', failure_reason = NULL WHERE id = ? AND status = 'failed'",
+    [parsedRefundId]
+  );
+  if (!result?.affectedRows) return null;
+  return submitRefund(parsedRefundId);
+}
+
+export async function listRefunds({ status = null, requestId = null, limit = 100 } = {}) {
+  const where = [];
+  const params = [];
+  if (status && status !== "all") {
+    where.push("status = ?");
+    params.push(status);
+  }
+  if (requestId) {
+    where.push("service_request_id = ?");
+    params.push(toPositiveId(requestId, "requestId"));
+  }
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM refunds
+     ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY id DESC
+     LIMIT ?`,
+    [...params, Math.min(500, Math.max(1, Number(limit) || 100))]
+  );
+  return (rows || []).map(serializeRefund);
+}
+
+/**
+ * Look up a refund stuck in `processing` on the gateway. A refund the gateway has settles from its
+ * status; one the gateway never received goes back to `pending` and is submitted again.
+ */
+async function reconcileProcessingRefund(pool, row) {
+  let found;
+  try {
+    found = await getRefundGateway().findRefund({
+      paymentId: row.gateway_payment_id,
+      receipt: `refund_${row.id}`,
+      gatewayRefundId: row.gateway_refund_id || null,
+    });
+  } catch (err) {
+    console.error(`[Refunds] Could not look up refund #${row.id} on the gateway:`, err?.error?.description || err?.message || err);
+    return;
+  }
+
+  if (found) {
+    if (found.status === "pending") {
+      // Still settling at the gateway; check again after another stale interval.
+      await pool.query("UPDATE refunds SET submitted_at = NOW() WHERE id = ? AND status = 'processing'", [row.id]);
+    }
+    await applyGatewayResult(pool, row.id, found);
+    return;
+  }
+
+  const [requeued] = await pool.query(
+    "UPDATE refunds SET status = 'pending' WHERE id = ? AND status = 'processing' AND gateway_refund_id IS NULL",
+    [row.id]
+  );
+  if (requeued?.affectedRows) await submitRefund(row.id);
+}
+
+/**
+ * Reconcile refunds stuck in `processing` with the gateway, then submit refunds that were queued
+ * but never sent (e.g. the process stopped right after commit).
+ */
+export async function processPendingRefunds() {
+  const pool = await getPool();
+  const [stale] = await pool.query(
+    `SELECT id, gateway_payment_id, gateway_refund_id FROM refunds
+     WHERE status = 'processing' AND submitted_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+     ORDER BY id ASC
+     LIMIT ?`,
+    [REFUND_PROCESSING_STALE_SECONDS, REFUND_MONITOR_BATCH_SIZE]
+  );
+  for (const row of stale || []) {
+    try {
+      await reconcileProcessingRefund(pool, row);
+    } catch (err) {
+      console.error(`[Refunds] Reconcile failed for refund #${row.id}:`, err?.message || err);
+    }
+  }
+
+  const [rows] = await pool.query(
+    `SELECT id FROM refunds
+     WHERE status = 'pending' AND created_at < DATE_SUB(NOW(), INTERVAL ? SECOND)
+     ORDER BY id ASC
+     LIMIT ?`,
+    [REFUND_MONITOR_GRACE_SECONDS, REFUND_MONITOR_BATCH_SIZE]
+  );
+  const submitted = await submitQueuedRefunds(rows || []);
+  return (stale || []).length + submitted.length;
+}
+
+export function startRefundMonitor() {
+  if (refundMonitorTimer) return;
+
+  refundMonitorTimer = setInterval(() => {
+    if (refundMonitorBusy) return;
+    refundMonitorBusy = true;
+    processPendingRefunds()
+      .catch((err) => console.error("[Refunds] Monitor tick failed:", err?.message || err))
+      .finally(() => {
+        refundMonitorBusy = false;
+      });
+  }, REFUND_MONITOR_POLL_MS);
+  refundMonitorTimer.unref?.();
+  console.log(`[Refunds] Monitor started (poll ${REFUND_MONITOR_POLL_MS}ms, gateway ${getRefundGateway().name}).`);
+}
+
+export function stopRefundMonitor() {
+  if (!refundMonitorTimer) return;
+  clearInterval(refundMonitorTimer);
+  refundMonitorTimer = null;
+}
@@ -1,5 +1,8 @@
 import { getPool } from "../db.js";
 import { releaseTechnicianAvailability } from "./technicianStateService.js";
+import { REQUEST_ACTORS, transitionRequestStatus } from "./requestStateMachine.js";
+import { queueCancellationRefunds, submitQueuedRefunds } from "./refundService.js";
+import { refreshTechnicianPendingDues } from "./technicianDuesService.js";
 
 function createHttpError(message, statusCode) {
   const error = new Error(message);
@@ -23,11 +26,18 @@ function normalizeCloseStatus(value) {
 
 /**
  * Performs a status close/cancel flow atomically:
- * 1) update request status
- * 2) update payments status for completed/cancelled requests
+ * 1) update request status (through the request state machine, attributed to `actor`)
+ * 2) update payments status for completed/cancelled requests; captured online payments on a
+ *    cancelled request keep their status and are refunded per the cancellation refund policy
  * 3) expire dispatch offers + release technician availability
  */
-export async function closeRequestWithFinanceSync({ requestId, status, reason }) {
+export async function closeRequestWithFinanceSync({
+  requestId,
+  status,
+  reason,
+  actor = REQUEST_ACTORS.ADMIN,
+  actorId = null,
+}) {
   const parsedRequestId = toPositiveRequestId(requestId);
   const closeStatus = normalizeCloseStatus(status);
   const closeReason = String(reason || "Closed by admin").trim() || "Closed by admin";
@@ -66,8 +76,9 @@ export async function closeRequestWithFinanceSync({ requestId, status, reason })
          SET status = ?,
              is_settled = ?
          WHERE service_request_id = ?
-           AND LOWER(COALESCE(status, '')) <> ?`,
-        [paymentStatus, paymentSettled, parsedRequestId, paymentStatus]
+           AND LOWER(COALESCE(status, '')) <> ?
+           AND NOT (? = 'cancelled' AND payment_method = 'razorpay' AND LOWER(COALESCE(status, '')) IN ('completed', 'refunded'))`,
+        [paymentStatus, paymentSettled, parsedRequestId, paymentStatus, paymentStatus]
       );
       await conn.commit();
       return {
@@ -81,33 +92,42 @@ export async function closeRequestWithFinanceSync({ requestId, status, reason })
       };
     }
 
+    let refundPlan = null;
     if (closeStatus === "completed") {
       if (previousStatus === "cancelled") {
         throw createHttpError("Cancelled request cannot be marked as completed.", 409);
       }
 
-      await conn.execute(
-        `UPDATE service_requests
-         SET status = 'completed',
-             completed_at = COALESCE(completed_at, NOW()),
-             cancelled_at = NULL,
-             cancellation_reason = NULL,
-             updated_at = NOW()
-         WHERE id = ?`,
-        [parsedRequestId]
-      );
+      await transitionRequestStatus(conn, {
+        requestId: parsedRequestId,
+        to: "completed",
+        actor,
+        actorId,
+        reason: closeReason,
+        setSql: [
+          "completed_at = COALESCE(completed_at, NOW())",
+          "cancelled_at = NULL",
+          "cancellation_reason = NULL",
+        ],
+      });
     } else {
-      await conn.execute(
-        `UPDATE service_requests
-         SET status = 'cancelled',
-             technician_id = NULL,
-             cancelled_at = NOW(),
-             cancellation_reason = ?,
-             payment_status = 'cancelled',
-             updated_at = NOW()
-         WHERE id = ?`,
-        [closeReason, parsedRequestId]
-      );
+      refundPlan = await queueCancellationRefunds(conn, {
+        requestId: parsedRequestId,
+        previousStatus,
+        actor,
+        actorId,
+        reason: closeReason,
+      });
+      await transitionRequestStatus(conn, {
+        requestId: parsedRequestId,
+        to: "cancelled",
+        actor,
+        actorId,
+        reason: closeReason,
+        set: { technician_id: null, cancellation_reason: closeReason, payment_status: "cancelled" },
+        setSql: ["cancelled_at = NOW()"],
+        metadata: existing.technician_id ? { technicianId: Number(existing.technician_id) } : null,
+      });
     }
 
     const [offerUpdateResult] = await conn.execute(
@@ -125,16 +145,20 @@ export async function closeRequestWithFinanceSync({ requestId, status, reason })
        SET status = ?,
            is_settled = ?
        WHERE service_request_id = ?
-         AND LOWER(COALESCE(status, '')) <> ?`,
-      [paymentStatus, paymentSettled, parsedRequestId, paymentStatus]
+         AND LOWER(COALESCE(status, '')) <> ?
+         AND NOT (? = 'cancelled' AND payment_method = 'razorpay' AND LOWER(COALESCE(status, '')) IN ('completed', 'refunded'))`,
+      [paymentStatus, paymentSettled, parsedRequestId, paymentStatus, paymentStatus]
     );
     const paymentRowsUpdated = Number(paymentUpdateResult?.affectedRows || 0);
 
     if (existing.technician_id) {
       await releaseTechnicianAvailability(conn, existing.technician_id, parsedRequestId);
+      // Closing can settle or cancel a cash payment, which changes the technician's dues.
+      await refreshTechnicianPendingDues(conn, existing.technician_id);
     }
 
     await conn.commit();
+    const refunds = refundPlan ? await submitQueuedRefunds(refundPlan) : [];
 
     return {
       requestId: parsedRequestId,
@@ -144,6 +168,7 @@ export async function closeRequestWithFinanceSync({ requestId, status, reason })
       technicianId: existing.technician_id || null,
       paymentRowsUpdated,
       dispatchOffersUpdated: Number(offerUpdateResult?.affectedRows || 0),
+      refund: refundPlan ? { stage: refundPlan.stage, percent: refundPlan.percent, refunds } : null,
       alreadyTerminal: false,
     };
   } catch (error) {
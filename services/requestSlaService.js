@@ -0,0 +1,444 @@
+import { getPool } from "../db.js";
+import { broadcastEvent } from "../sse.js";
+import { canonicalizeServiceDomain } from "./serviceNormalization.js";
+import { escalateDispatchWaves } from "./dispatchWaveService.js";
+import { REQUEST_ACTORS, recordRequestEvent } from "./requestStateMachine.js";
+import { socketService } from "./socket.js";
+
+/**
+ * Request SLAs: time-to-accept, time-to-arrive and time-to-complete, all measured from when the
+ * request became due (creation, or the slot for scheduled bookings).
+ * Policies are rows keyed by (service_domain, priority) where '*' matches anything; each minute
+ * field falls back to the next less specific row and finally to the SLA_DEFAULT_* env values.
+ * NULL means "inherit" and 0 disables that SLA for the scope.
+ *
+ * The monitor records each breach once per request and SLA type, escalates dispatch for requests
+ * that are still searching, and alerts admins (notifications table, SSE stream and socket room).
+ * Breaches are closed when the request moves past the stage so recovery time can be reported.
+ */
+
+export const SLA_TYPES = Object.freeze(["accept", "arrive", "complete"]);
+export const SLA_PRIORITIES = Object.freeze(["normal", "high"]);
+
+const SLA_DEFAULT_MINUTES = Object.freeze({
+  accept: Math.max(0, Number(process.env.SLA_DEFAULT_ACCEPT_MINUTES ?? 10)),
+  arrive: Math.max(0, Number(process.env.SLA_DEFAULT_ARRIVE_MINUTES ?? 45)),
+  complete: Math.max(0, Number(process.env.SLA_DEFAULT_COMPLETE_MINUTES ?? 180)),
+});
+const SLA_MONITOR_POLL_MS = Math.max(10000, Number(process.env.SLA_MONITOR_POLL_MS || 60000));
+// Requests older than this are not evaluated, so stale rows do not flood admins after a deploy.
+const SLA_MONITOR_LOOKBACK_HOURS = Math.max(1, Number(process.env.SLA_MONITOR_LOOKBACK_HOURS || 24));
+const SLA_ESCALATION_DISPATCH_PRIORITY = Math.max(0, Number(process.env.SLA_ESCALATION_DISPATCH_PRIORITY || 1));
+const SLA_MONITOR_BATCH_SIZE = 500;
+const CACHE_TTL_MS = 30000;
+const MAX_SLA_MINUTES = 7 * 24 * 60;
+
+// Statuses in which each SLA is still running; leaving the set means the milestone was reached.
+const SLA_STAGE_STATUSES = Object.freeze({
+  accept: ["pending", "assigned"],
+  arrive: ["pending", "assigned", "accepted", "on-the-way"],
+  complete: ["pending", "assigned", "accepted", "on-the-way", "arrived", "in-progress"],
+});
+
+const SLA_COLUMNS = Object.freeze({
+  accept: "accept_minutes",
+  arrive: "arrive_minutes",
+  complete: "complete_minutes",
+});
+
+let cachedPolicies = null;
+let cacheTimestamp = 0;
+let slaMonitorTimer = null;
+let slaMonitorBusy = false;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function normalizeMinutes(value) {
+  if (value == null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.round(parsed) : null;
+}
+
+function normalizePolicyRow(row) {
+  return {
+    id: Number(row.id),
+    service_domain: row.service_domain,
+    priority: row.priority,
+    accept_minutes: normalizeMinutes(row.accept_minutes),
+    arrive_minutes: normalizeMinutes(row.arrive_minutes),
+    complete_minutes: normalizeMinutes(row.complete_minutes),
+    is_active: Boolean(row.is_active),
+    updated_by: row.updated_by || null,
+    updated_at: row.updated_at || null,
+  };
+}
+
+function normalizeScopeDomain(value) {
+  const raw = String(value ?? "*").trim();
+  if (!raw || raw === "*") return "*";
+  return canonicalizeServiceDomain(raw).slice(0, 64) || "*";
+}
+
+function normalizeRequestPriority(value) {
+  return String(value || "").trim().toLowerCase() === "high" ? "high" : "normal";
+}
+
+export async function listSlaPolicies({ includeInactive = false, forceRefresh = false } = {}) {
+  const isFresh = cachedPolicies && Date.now() - cacheTimestamp < CACHE_TTL_MS;
+  if (forceRefresh || !isFresh) {
+    const pool = await getPool();
+    const [rows] = await pool.query("SELECT * FROM request_sla_policies ORDER BY service_domain ASC, priority ASC");
+    cachedPolicies = (rows || []).map(normalizePolicyRow);
+    cacheTimestamp = Date.now();
+  }
+  return cachedPolicies.filter((policy) => includeInactive || policy.is_active);
+}
+
+/**
+ * Effective SLA minutes for a service type and priority, with the policy ids that contributed.
+ */
+export function resolveSlaTargets(serviceType, priority, policies) {
+  const domain = normalizeScopeDomain(serviceType);
+  const level = normalizeRequestPriority(priority);
+  const scopes = [[domain, level], [domain, "*"], ["*", level], ["*", "*"]];
+  const candidates = scopes
+    .map(([scopeDomain, scopePriority]) =>
+      policies.find((policy) => policy.service_domain === scopeDomain && policy.priority === scopePriority))
+    .filter(Boolean);
+
+  const targets = { serviceDomain: domain, priority: level, policyIds: [] };
+  SLA_TYPES.forEach((type) => {
+    const source = candidates.find((policy) => policy[SLA_COLUMNS[type]] != null);
+    targets[type] = source ? source[SLA_COLUMNS[type]] : SLA_DEFAULT_MINUTES[type];
+    if (source && !targets.policyIds.includes(source.id)) targets.policyIds.push(source.id);
+  });
+  return targets;
+}
+
+/**
+ * Create or replace the policy for a (service_domain, priority) scope. Omitted minute fields are
+ * stored as NULL and inherit from the broader scopes.
+ */
+export async function saveSlaPolicy(input = {}, updatedBy = "admin") {
+  const serviceDomain = normalizeScopeDomain(input.service_domain);
+  const priority = String(input.priority ?? "*").trim().toLowerCase() || "*";
+  if (priority !== "*" && !SLA_PRIORITIES.includes(priority)) {
+    throw badRequest(`priority must be '*' or one of: ${SLA_PRIORITIES.join(", ")}.`);
+  }
+
+  const minutes = {};
+  for (const type of SLA_TYPES) {
+    const column = SLA_COLUMNS[type];
+    const value = input[column];
+    if (value == null || value === "") {
+      minutes[column] = null;
+      continue;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0 || parsed > MAX_SLA_MINUTES) {
+      throw badRequest(`${column} must be a whole number of minutes between 0 and ${MAX_SLA_MINUTES}.`);
+    }
+    minutes[column] = parsed;
+  }
+
+  const pool = await getPool();
+  await pool.query(
+    `INSERT INTO request_sla_policies
+      (service_domain, priority, accept_minutes, arrive_minutes, complete_minutes, is_active, updated_by)
+     VALUES (?, ?, ?, ?, ?, TRUE, ?)
+     ON DUPLICATE KEY UPDATE
+       accept_minutes = VALUES(accept_minutes),
+       arrive_minutes = VALUES(arrive_minutes),
+       complete_minutes = VALUES(complete_minutes),
+       is_active = TRUE,
+       updated_by = VALUES(updated_by)`,
+    [
+      serviceDomain,
+      priority,
+      minutes.accept_minutes,
+      minutes.arrive_minutes,
+      minutes.complete_minutes,
+      String(updatedBy || "admin"),
+    ]
+  );
+
+  const policies = await listSlaPolicies({ includeInactive: true, forceRefresh: true });
+  return policies.find((policy) => policy.service_domain === serviceDomain && policy.priority === priority) || null;
+}
+
+export async function deactivateSlaPolicy(policyId, updatedBy = "admin") {
+  const pool = await getPool();
+  const [result] = await pool.query(
+    "UPDATE request_sla_policies SET is_active = FALSE, updated_by = ? WHERE id = ?",
+    [String(updatedBy || "admin"), policyId]
+  );
+  await listSlaPolicies({ forceRefresh: true });
+  return Number(result?.affectedRows || 0) > 0;
+}
+
+export function getSlaDefaults() {
+  return { ...SLA_DEFAULT_MINUTES };
+}
+
+async function resolveRecoveredBreaches(pool) {
+  let resolved = 0;
+  for (const type of SLA_TYPES) {
+    const [result] = await pool.query(
+      `UPDATE request_sla_breaches b
+       JOIN service_requests sr ON sr.id = b.service_request_id
+       SET b.resolved_at = NOW(), b.resolved_status = sr.status
+       WHERE b.resolved_at IS NULL AND b.sla_type = ? AND sr.status NOT IN (?)`,
+      [type, SLA_STAGE_STATUSES[type]]
+    );
+    resolved += Number(result?.affectedRows || 0);
+  }
+  return resolved;
+}
+
+async function claimBreach(pool, row, type, targets, elapsedMinutes) {
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO request_sla_breaches
+        (service_request_id, sla_type, service_domain, priority, threshold_minutes, elapsed_minutes, status_at_breach)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [row.id, type, targets.serviceDomain, targets.priority, targets[type], elapsedMinutes, row.status]
+    );
+    return result?.insertId || null;
+  } catch (err) {
+    // Already recorded by an earlier tick or another instance.
+    if (err?.code === "ER_DUP_ENTRY") return null;
+    throw err;
+  }
+}
+
+async function escalateBreach(pool, row, breach) {
+  const actions = { dispatchEscalated: false, waveNumber: null, radiusKm: null };
+  if (row.technician_id == null && row.status === "pending") {
+    try {
+      const wave = await escalateDispatchWaves(row.id, { minPriorityLevel: SLA_ESCALATION_DISPATCH_PRIORITY });
+      if (wave) {
+        actions.dispatchEscalated = true;
+        actions.waveNumber = wave.waveNumber;
+        actions.radiusKm = wave.radiusKm;
+      }
+    } catch (err) {
+      console.error(`[SLA] Dispatch escalation failed for request #${row.id}:`, err?.message || err);
+    }
+  }
+
+  await pool.query("UPDATE request_sla_breaches SET actions = ? WHERE id = ?", [JSON.stringify(actions), breach.id]);
+
+  await recordRequestEvent(pool, {
+    requestId: row.id,
+    eventType: "sla_breached",
+    fromStatus: row.status,
+    toStatus: row.status,
+    actor: REQUEST_ACTORS.SYSTEM,
+    reason: breach.slaType,
+    metadata: { ...breach, ...actions },
+  }).catch((err) => console.error(`[SLA] Event record failed for request #${row.id}:`, err?.message || err));
+
+  const title = `SLA breached: time to ${breach.slaType}`;
+  const message = `Request #${row.id} (${row.service_type || breach.serviceDomain}, ${breach.priority}) is ${breach.elapsedMinutes} min in against a ${breach.thresholdMinutes} min target (status ${row.status}).`;
+  pool.query(
+    "INSERT INTO notifications (type, title, message, created_at) VALUES (?, ?, ?, NOW())",
+    ["sla_breach", title, message]
+  ).catch(console.error);
+
+  const payload = { ...breach, requestId: row.id, status: row.status, ...actions, at: new Date().toISOString() };
+  socketService.notifyAdmins("admin:sla_breach", payload);
+  broadcastEvent("sla_breach", payload);
+}
+
+/**
+ * One monitor pass: close recovered breaches, then record and escalate new ones.
+ * Returns the number of new breaches.
+ */
+export async function processSlaBreaches() {
+  const pool = await getPool();
+  await resolveRecoveredBreaches(pool);
+
+  const policies = await listSlaPolicies();
+  const [rows] = await pool.query(
+    `SELECT sr.id, sr.status, sr.service_type, sr.priority, sr.technician_id,
+            TIMESTAMPDIFF(SECOND, GREATEST(sr.created_at, COALESCE(sr.scheduled_for, sr.created_at)), NOW()) AS elapsed_seconds,
+            GROUP_CONCAT(b.sla_type) AS breached_types
+     FROM service_requests sr
+     LEFT JOIN request_sla_breaches b ON b.service_request_id = sr.id
+     WHERE sr.status IN (?)
+       AND GREATEST(sr.created_at, COALESCE(sr.scheduled_for, sr.created_at)) >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+     GROUP BY sr.id
+     HAVING breached_types IS NULL OR FIND_IN_SET('complete', breached_types) = 0
+     ORDER BY elapsed_seconds DESC
+     LIMIT ?`,
+    [SLA_STAGE_STATUSES.complete, SLA_MONITOR_LOOKBACK_HOURS, SLA_MONITOR_BATCH_SIZE]
+  );
+
+  let breaches = 0;
+  for (const row of rows || []) {
+    const elapsedSeconds = Number(row.elapsed_seconds || 0);
+    const breachedTypes = new Set(String(row.breached_types || "").split(",").filter(Boolean));
+    const targets = resolveSlaTargets(row.service_type, row.priority, policies);
+
+    for (const type of SLA_TYPES) {
+      const thresholdMinutes = targets[type];
+      if (breachedTypes.has(type) || !SLA_STAGE_STATUSES[type].includes(row.status)) continue;
+      if (!(thresholdMinutes > 0) || elapsedSeconds < thresholdMinutes * 60) continue;
+
+      const elapsedMinutes = Math.floor(elapsedSeconds / 60);
+      try {
+        const breachId = await claimBreach(pool, row, type, targets, elapsedMinutes);
+        if (!breachId) continue;
+        breaches += 1;
+        console.warn(`[SLA] Request #${row.id} breached ${type} SLA (${elapsedMinutes}/${thresholdMinutes} min).`);
+        await escalateBreach(pool, row, {
+          id: breachId,
+          slaType: type,
+          serviceDomain: targets.serviceDomain,
+          priority: targets.priority,
+          thresholdMinutes,
+          elapsedMinutes,
+        });
+      } catch (err) {
+        console.error(`[SLA] Breach handling failed for request #${row.id} (${type}):`, err?.message || err);
+      }
+    }
+  }
+  return breaches;
+}
+
+export async function listSlaBreaches({ state = "open", limit = 100 } = {}) {
+  const where = state === "open" ? "WHERE b.resolved_at IS NULL" : state === "resolved" ? "WHERE b.resolved_at IS NOT NULL" : "";
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT b.*, sr.status AS current_status, sr.service_type, sr.technician_id, sr.dispatch_state
+     FROM request_sla_breaches b
+     JOIN service_requests sr ON sr.id = b.service_request_id
+     ${where}
+     ORDER BY b.breached_at DESC
+     LIMIT ?`,
+    [Math.min(500, Math.max(1, Number(limit) || 100))]
+  );
+  return (rows || []).map((row) => ({
+    ...row,
+    actions: typeof row.actions === "string" ? JSON.parse(row.actions) : row.actions,
+  }));
+}
+
+/**
+ * Breach counts and recovery times over the last `days` days, for the admin analytics views.
+ */
+export async function getSlaBreachMetrics({ days = 30 } = {}) {
+  const windowDays = Math.min(365, Math.max(1, Math.floor(Number(days) || 30)));
+  const pool = await getPool();
+  const [[totals], [byType], [byDomain], [byPriority], [daily]] = await Promise.all([
+    pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM service_requests WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)) AS total_requests,
+         COUNT(DISTINCT service_request_id) AS breached_requests,
+         COUNT(*) AS breaches,
+         SUM(CASE WHEN resolved_at IS NULL THEN 1 ELSE 0 END) AS open_breaches
+       FROM request_sla_breaches
+       WHERE breached_at >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [windowDays, windowDays]
+    ),
+    pool.query(
+      `SELECT sla_type, COUNT(*) AS breaches,
+              SUM(CASE WHEN resolved_at IS NULL THEN 1 ELSE 0 END) AS open_breaches,
+              AVG(CASE WHEN resolved_status <> 'cancelled' THEN TIMESTAMPDIFF(MINUTE, breached_at, resolved_at) END) AS avg_recovery_minutes,
+              SUM(CASE WHEN resolved_status = 'cancelled' THEN 1 ELSE 0 END) AS cancelled_after_breach,
+              SUM(CASE WHEN JSON_UNQUOTE(JSON_EXTRACT(actions, '$.dispatchEscalated')) = 'true' THEN 1 ELSE 0 END) AS dispatch_escalations
+       FROM request_sla_breaches
+       WHERE breached_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       GROUP BY sla_type`,
+      [windowDays]
+    ),
+    pool.query(
+      `SELECT service_domain, sla_type, COUNT(*) AS breaches
+       FROM request_sla_breaches
+       WHERE breached_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       GROUP BY service_domain, sla_type
+       ORDER BY breaches DESC`,
+      [windowDays]
+    ),
+    pool.query(
+      `SELECT priority, sla_type, COUNT(*) AS breaches
+       FROM request_sla_breaches
+       WHERE breached_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       GROUP BY priority, sla_type`,
+      [windowDays]
+    ),
+    pool.query(
+      `SELECT DATE(breached_at) AS day, sla_type, COUNT(*) AS breaches
+       FROM request_sla_breaches
+       WHERE breached_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       GROUP BY DATE(breached_at), sla_type
+       ORDER BY day ASC`,
+      [windowDays]
+    ),
+  ]);
+
+  const summary = totals?.[0] || {};
+  const totalRequests = Number(summary.total_requests || 0);
+  const breachedRequests = Number(summary.breached_requests || 0);
+  const toCount = (value) => Number(value || 0);
+  return {
+    windowDays,
+    totalRequests,
+    breachedRequests,
+    breaches: toCount(summary.breaches),
+    openBreaches: toCount(summary.open_breaches),
+    breachRate: totalRequests > 0 ? Number(((breachedRequests / totalRequests) * 100).toFixed(2)) : 0,
+    byType: (byType || []).map((row) => ({
+      slaType: row.sla_type,
+      breaches: toCount(row.breaches),
+      openBreaches: toCount(row.open_breaches),
+      avgRecoveryMinutes: row.avg_recovery_minutes == null ? null : Number(Number(row.avg_recovery_minutes).toFixed(1)),
+      cancelledAfterBreach: toCount(row.cancelled_after_breach),
+      dispatchEscalations: toCount(row.dispatch_escalations),
+    })),
+    byDomain: (byDomain || []).map((row) => ({
+      serviceDomain: row.service_domain,
+      slaType: row.sla_type,
+      breaches: toCount(row.breaches),
+    })),
+    byPriority: (byPriority || []).map((row) => ({
+      priority: row.priority,
+      slaType: row.sla_type,
+      breaches: toCount(row.breaches),
+    })),
+    daily: (daily || []).map((row) => ({
+      day: row.day instanceof Date ? row.day.toISOString().slice(0, 10) : String(row.day),
+      slaType: row.sla_type,
+      breaches: toCount(row.breaches),
+    })),
+  };
+}
+
+export function startSlaMonitor() {
+  if (slaMonitorTimer) return;
+
+  slaMonitorTimer = setInterval(() => {
+    if (slaMonitorBusy) return;
+    slaMonitorBusy = true;
+    processSlaBreaches()
+      .catch((err) => console.error("[SLA] Monitor tick failed:", err?.message || err))
+      .finally(() => {
+        slaMonitorBusy = false;
+      });
+  }, SLA_MONITOR_POLL_MS);
+  slaMonitorTimer.unref?.();
+  console.log(
+    `[SLA] Monitor started (poll ${SLA_MONITOR_POLL_MS}ms, defaults accept=${SLA_DEFAULT_MINUTES.accept} arrive=${SLA_DEFAULT_MINUTES.arrive} complete=${SLA_DEFAULT_MINUTES.complete} min).`
+  );
+}
+
+export function stopSlaMonitor() {
+  if (!slaMonitorTimer) return;
+  clearInterval(slaMonitorTimer);
+  slaMonitorTimer = null;
+}
@@ -0,0 +1,294 @@
+import { getPool } from "../db.js";
+
+/**
+ * Single source of truth for service request status changes.
+ * Every status write goes through transitionRequestStatus(), which checks the move against
+ * REQUEST_TRANSITIONS for the acting party and appends a row to service_request_events.
+ * Legacy spellings ('en-route', 'in_progress', 'processing', ...) are folded into one canonical set.
+ */
+
+export const REQUEST_ACTORS = Object.freeze({
+  USER: "user",
+  TECHNICIAN: "technician",
+  ADMIN: "admin",
+  SYSTEM: "system",
+});
+
+export const REQUEST_STATUSES = Object.freeze([
+  "scheduled",
+  "pending",
+  "assigned",
+  "accepted",
+  "on-the-way",
+  "arrived",
+  "in-progress",
+  "payment_pending",
+  "paid",
+  "completed",
+  "cancelled",
+]);
+
+const STATUS_ALIASES = {
+  open: "pending",
+  processing: "accepted",
+  "en-route": "on-the-way",
+  en_route: "on-the-way",
+  "en route": "on-the-way",
+  on_the_way: "on-the-way",
+  "on the way": "on-the-way",
+  in_progress: "in-progress",
+  "in progress": "in-progress",
+  "payment-pending": "payment_pending",
+};
+
+const { USER, TECHNICIAN, ADMIN, SYSTEM } = REQUEST_ACTORS;
+
+// from -> to -> actors allowed to make that move. Same-status entries are real transitions
+// (e.g. assigned -> assigned is a reassignment); any other same-status write is a no-op.
+const REQUEST_TRANSITIONS = {
+  scheduled: {
+    pending: [SYSTEM, ADMIN],
+    assigned: [SYSTEM, ADMIN],
+    cancelled: [USER, ADMIN, SYSTEM],
+  },
+  pending: {
+    assigned: [ADMIN, SYSTEM],
+    accepted: [TECHNICIAN, ADMIN, SYSTEM],
+    completed: [ADMIN],
+    cancelled: [USER, ADMIN, SYSTEM],
+    paid: [SYSTEM],
+  },
+  assigned: {
+    assigned: [TECHNICIAN, ADMIN, SYSTEM],
+    pending: [TECHNICIAN, ADMIN, SYSTEM],
+    accepted: [TECHNICIAN, ADMIN, SYSTEM],
+    "on-the-way": [TECHNICIAN],
+    arrived: [TECHNICIAN],
+    "in-progress": [TECHNICIAN],
+    completed: [ADMIN],
+    cancelled: [USER, ADMIN, SYSTEM],
+    paid: [SYSTEM],
+  },
+  accepted: {
+    assigned: [TECHNICIAN, ADMIN],
+    pending: [TECHNICIAN, ADMIN, SYSTEM],
+    "on-the-way": [TECHNICIAN],
+    arrived: [TECHNICIAN],
+    "in-progress": [TECHNICIAN],
+    payment_pending: [TECHNICIAN],
+    completed: [ADMIN],
+    cancelled: [USER, ADMIN, SYSTEM],
+    paid: [SYSTEM],
+  },
+  "on-the-way": {
+    assigned: [TECHNICIAN, ADMIN],
+    pending: [TECHNICIAN, ADMIN],
+    arrived: [TECHNICIAN, SYSTEM],
+    "in-progress": [TECHNICIAN],
+    payment_pending: [TECHNICIAN],
+    completed: [ADMIN],
+    cancelled: [USER, ADMIN, SYSTEM],
+    paid: [SYSTEM],
+  },
+  arrived: {
+    assigned: [TECHNICIAN, ADMIN],
+    pending: [TECHNICIAN, ADMIN],
+    "in-progress": [TECHNICIAN],
+    payment_pending: [TECHNICIAN],
+    completed: [ADMIN],
+    cancelled: [ADMIN, SYSTEM],
+    paid: [SYSTEM],
+  },
+  "in-progress": {
+    payment_pending: [TECHNICIAN],
+    completed: [ADMIN],
+    cancelled: [ADMIN],
+    paid: [SYSTEM],
+  },
+  payment_pending: {
+    paid: [SYSTEM, ADMIN],
+    completed: [ADMIN],
+    cancelled: [ADMIN],
+  },
+  paid: {
+    completed: [TECHNICIAN, ADMIN],
+    cancelled: [ADMIN],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normalizeActor(value) {
+  const actor = String(value || "").trim().toLowerCase();
+  return Object.values(REQUEST_ACTORS).includes(actor) ? actor : null;
+}
+
+/**
+ * Canonical status for any spelling used by clients or older rows; null when unknown.
+ */
+export function normalizeRequestStatus(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (!raw) return null;
+  const status = STATUS_ALIASES[raw] || raw;
+  return REQUEST_STATUSES.includes(status) ? status : null;
+}
+
+export function canTransition(fromStatus, toStatus, actor) {
+  const from = normalizeRequestStatus(fromStatus);
+  const to = normalizeRequestStatus(toStatus);
+  if (!from || !to) return false;
+  return Boolean(REQUEST_TRANSITIONS[from]?.[to]?.includes(normalizeActor(actor)));
+}
+
+export function getAllowedTransitions(fromStatus, actor) {
+  const from = normalizeRequestStatus(fromStatus);
+  const normalizedActor = normalizeActor(actor);
+  return Object.entries(REQUEST_TRANSITIONS[from] || {})
+    .filter(([, actors]) => actors.includes(normalizedActor))
+    .map(([to]) => to);
+}
+
+function toSetClauses(set, setSql) {
+  const clauses = [];
+  const params = [];
+  Object.entries(set || {}).forEach(([column, value]) => {
+    clauses.push(`${column} = ?`);
+    params.push(value);
+  });
+  (setSql || []).forEach((entry) => {
+    const fragment = typeof entry === "string" ? { sql: entry, params: [] } : entry;
+    clauses.push(fragment.sql);
+    params.push(...(fragment.params || []));
+  });
+  return { clauses, params };
+}
+
+/**
+ * Append an event to a request's history. Used by transitionRequestStatus() and for
+ * non-status events (creation, technician swaps) that should still show in the history.
+ * Returns the new event's id.
+ */
+export async function recordRequestEvent(db, {
+  requestId,
+  eventType,
+  fromStatus = null,
+  toStatus = null,
+  actor = SYSTEM,
+  actorId = null,
+  reason = null,
+  metadata = null,
+}) {
+  const conn = db || (await getPool());
+  const [result] = await conn.query(
+    `INSERT INTO service_request_events
+      (service_request_id, event_type, from_status, to_status, actor_type, actor_id, reason, metadata)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      requestId,
+      eventType,
+      fromStatus,
+      toStatus,
+      normalizeActor(actor) || SYSTEM,
+      actorId == null ? null : String(actorId),
+      reason ? String(reason).slice(0, 512) : null,
+      metadata ? JSON.stringify(metadata) : null,
+    ]
+  );
+  return Number(result.insertId);
+}
+
+/**
+ * Move a request to `to` on behalf of `actor`, applying any extra column updates in the same
+ * statement. Pass a transaction connection as `db` to take part in the caller's transaction.
+ *
+ * - `set` is { column: value }; `setSql` holds raw fragments ("col = NOW()" or { sql, params }).
+ * - `fromStatuses` turns the call into a conditional update: when the current status is not in
+ *   the list nothing happens and null is returned.
+ * - A disallowed move throws an Error with statusCode 409; a missing request throws 404.
+ *
+ * Returns { requestId, from, to, changed, eventId, userId, technicianId }; `eventId` is the recorded
+ * status event, or null when nothing changed.
+ */
+export async function transitionRequestStatus(db, {
+  requestId,
+  to,
+  actor,
+  actorId = null,
+  reason = null,
+  metadata = null,
+  set = {},
+  setSql = [],
+  fromStatuses = null,
+}) {
+  const conn = db || (await getPool());
+  const target = normalizeRequestStatus(to);
+  if (!target) throw createHttpError(`Unknown request status '${to}'.`, 400);
+  const normalizedActor = normalizeActor(actor);
+  if (!normalizedActor) throw new Error(`Unknown request actor '${actor}'.`);
+
+  const [rows] = await conn.query(
+    "SELECT id, status, user_id, technician_id FROM service_requests WHERE id = ? LIMIT 1 FOR UPDATE",
+    [requestId]
+  );
+  const row = rows?.[0];
+  if (!row) throw createHttpError("Service request not found.", 404);
+
+  const rawStatus = row.status;
+  const from = normalizeRequestStatus(rawStatus);
+  if (fromStatuses && !fromStatuses.map(normalizeRequestStatus).includes(from)) return null;
+
+  const result = {
+    requestId: Number(row.id),
+    from,
+    to: target,
+    changed: false,
+    eventId: null,
+    userId: row.user_id ?? null,
+    technicianId: row.technician_id ?? null,
+  };
+
+  const isTransition = Boolean(REQUEST_TRANSITIONS[from]?.[target]);
+  const { clauses, params } = toSetClauses(set, setSql);
+
+  if (from === target && !isTransition) {
+    // Repeated writes of the current status only refresh the extra columns.
+    if (clauses.length > 0) {
+      await conn.query(`UPDATE service_requests SET ${clauses.join(", ")} WHERE id = ?`, [...params, row.id]);
+    }
+    return result;
+  }
+
+  if (!canTransition(from, target, normalizedActor)) {
+    throw createHttpError(`Cannot move request from '${from || rawStatus}' to '${target}'.`, 409);
+  }
+
+  // Guard on the status we read so a concurrent writer cannot be silently overwritten.
+  const [update] = await conn.query(
+    `UPDATE service_requests
+     SET ${["status = ?", ...clauses, "updated_at = NOW()"].join(", ")}
+     WHERE id = ? AND status <=> ?`,
+    [target, ...params, row.id, rawStatus]
+  );
+  if (Number(update?.affectedRows || 0) === 0) {
+    throw createHttpError("Request status changed concurrently. Please retry.", 409);
+  }
+
+  const eventId = await recordRequestEvent(conn, {
+    requestId: row.id,
+    eventType: "status_changed",
+    fromStatus: from || rawStatus,
+    toStatus: target,
+    actor: normalizedActor,
+    actorId,
+    reason,
+    metadata,
+  });
+
+  return { ...result, changed: true, eventId };
+}
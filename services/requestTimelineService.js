@@ -0,0 +1,351 @@
+import { getPool } from "../db.js";
+import { ensureAdminExtendedSchema } from "./adminExtendedSchema.js";
+
+/**
+ * One ordered timeline per service request, merged from service_request_events, dispatch_waves,
+ * dispatch_offers, payments, refunds, invoices and admin_actions_log.
+ * Requests older than the event table have no status events, so their milestones are rebuilt
+ * from the timestamp columns on service_requests.
+ *
+ * Viewers: "user" (the customer), "technician" (current or offered technician) and "admin".
+ * Customers and technicians never see admin actions, other technicians' offers or gateway ids.
+ */
+
+const TIMELINE_ROLES = new Set(["user", "technician", "admin"]);
+
+// Tie-break for entries with the same timestamp so the order reads naturally.
+const TYPE_ORDER = {
+  request_created: 0,
+  dispatch_wave_started: 1,
+  offer_sent: 2,
+  offer_accepted: 3,
+  offer_declined: 3,
+  offer_expired: 3,
+  technician_assigned: 4,
+  status_changed: 5,
+  sla_breached: 6,
+  payment: 6,
+  invoice: 7,
+  refund: 7,
+  admin_action: 8,
+};
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function parseJson(value) {
+  if (value == null) return null;
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toMoney(value) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.round(parsed * 100) / 100 : null;
+}
+
+function entry(at, type, { actorType = "system", actorId = null, ...details } = {}) {
+  return { at: toIso(at), type, actor: { type: actorType, id: actorId == null ? null : String(actorId) }, ...details };
+}
+
+function offerOutcomeType(offer) {
+  const status = String(offer.status || "").toLowerCase();
+  if (status === "accepted") return "offer_accepted";
+  if (status === "rejected") return "offer_declined";
+  if (status === "expired") return "offer_expired";
+  return null;
+}
+
+async function loadRequest(pool, requestId) {
+  const [rows] = await pool.query(
+    `SELECT id, user_id, technician_id, status, created_at, started_at, arrived_at, arrival_source,
+            completed_at, cancelled_at, cancellation_reason, scheduled_for
+     FROM service_requests
+     WHERE id = ?
+     LIMIT 1`,
+    [requestId]
+  );
+  return rows?.[0] || null;
+}
+
+async function assertViewerAccess(pool, request, viewer) {
+  if (viewer.role === "admin") return;
+  if (viewer.role === "user" && String(request.user_id) === String(viewer.userId)) return;
+  if (viewer.role === "technician") {
+    if (request.technician_id != null && String(request.technician_id) === String(viewer.technicianId)) return;
+    const [offers] = await pool.query(
+      "SELECT id FROM dispatch_offers WHERE service_request_id = ? AND technician_id = ? LIMIT 1",
+      [request.id, viewer.technicianId]
+    );
+    if (offers.length > 0) return;
+  }
+  // Same answer as a missing request so ids cannot be probed.
+  throw createHttpError("Request not found.", 404);
+}
+
+// Internal operational events that only admins see.
+const ADMIN_ONLY_EVENT_TYPES = ["sla_breached"];
+
+async function loadRequestEvents(pool, requestId, viewer) {
+  const hidden = viewer.role === "admin" ? [] : ADMIN_ONLY_EVENT_TYPES;
+  const [rows] = await pool.query(
+    `SELECT event_type, from_status, to_status, actor_type, actor_id, reason, metadata, created_at
+     FROM service_request_events
+     WHERE service_request_id = ?${hidden.length > 0 ? " AND event_type NOT IN (?)" : ""}
+     ORDER BY created_at ASC, id ASC`,
+    hidden.length > 0 ? [requestId, hidden] : [requestId]
+  );
+  return rows || [];
+}
+
+function buildEventEntries(events, request) {
+  const entries = events.map((event) => {
+    const metadata = parseJson(event.metadata) || {};
+    if (event.event_type === "created") {
+      return entry(event.created_at, "request_created", {
+        actorType: event.actor_type,
+        actorId: event.actor_id,
+        status: event.to_status,
+        scheduledFor: metadata.scheduledFor || null,
+      });
+    }
+    if (event.event_type === "technician_assigned") {
+      return entry(event.created_at, "technician_assigned", {
+        actorType: event.actor_type,
+        actorId: event.actor_id,
+        technicianId: metadata.technicianId ?? null,
+        previousTechnicianId: metadata.previousTechnicianId ?? null,
+      });
+    }
+    if (event.event_type === "sla_breached") {
+      return entry(event.created_at, "sla_breached", {
+        slaType: metadata.slaType || event.reason,
+        thresholdMinutes: metadata.thresholdMinutes ?? null,
+        elapsedMinutes: metadata.elapsedMinutes ?? null,
+        status: event.to_status,
+        dispatchEscalated: Boolean(metadata.dispatchEscalated),
+      });
+    }
+    return entry(event.created_at, "status_changed", {
+      actorType: event.actor_type,
+      actorId: event.actor_id,
+      fromStatus: event.from_status,
+      toStatus: event.to_status,
+      reason: event.reason || null,
+      technicianId: metadata.technicianId ?? null,
+      ...(event.to_status === "arrived"
+        ? { arrivalSource: event.reason === "geofence" ? "geofence" : "manual" }
+        : {}),
+    });
+  });
+
+  if (!events.some((event) => event.event_type === "created")) {
+    entries.push(entry(request.created_at, "request_created", {
+      actorType: "user",
+      actorId: request.user_id,
+      scheduledFor: toIso(request.scheduled_for),
+    }));
+  }
+
+  // Historical requests: rebuild milestones from the request's own timestamps.
+  if (!events.some((event) => event.event_type === "status_changed")) {
+    const milestones = [
+      [request.started_at, "on-the-way", {}],
+      [request.arrived_at, "arrived", { arrivalSource: request.arrival_source || "manual" }],
+      [request.completed_at, "completed", {}],
+      [request.cancelled_at, "cancelled", { reason: request.cancellation_reason || null }],
+    ];
+    milestones.forEach(([at, toStatus, details]) => {
+      if (at) entries.push(entry(at, "status_changed", { toStatus, reconstructed: true, ...details }));
+    });
+  }
+  return entries;
+}
+
+async function buildDispatchEntries(pool, requestId, viewer) {
+  if (viewer.role === "user") return [];
+
+  const entries = [];
+  if (viewer.role === "admin") {
+    const [waves] = await pool.query(
+      `SELECT wave_number, radius_km, candidate_count, offered_count, status, started_at
+       FROM dispatch_waves
+       WHERE service_request_id = ?`,
+      [requestId]
+    );
+    (waves || []).forEach((wave) => {
+      entries.push(entry(wave.started_at, "dispatch_wave_started", {
+        waveNumber: wave.wave_number,
+        radiusKm: toMoney(wave.radius_km),
+        candidateCount: Number(wave.candidate_count || 0),
+        offeredCount: Number(wave.offered_count || 0),
+        waveStatus: wave.status,
+      }));
+    });
+  }
+
+  const [offers] = await pool.query(
+    `SELECT technician_id, wave_number, status, closed_reason, decline_reason, decline_note, sent_at, expires_at, responded_at
+     FROM dispatch_offers
+     WHERE service_request_id = ?${viewer.role === "technician" ? " AND technician_id = ?" : ""}`,
+    viewer.role === "technician" ? [requestId, viewer.technicianId] : [requestId]
+  );
+  (offers || []).forEach((offer) => {
+    entries.push(entry(offer.sent_at, "offer_sent", {
+      technicianId: offer.technician_id,
+      waveNumber: offer.wave_number ?? null,
+      expiresAt: toIso(offer.expires_at),
+    }));
+    const outcome = offerOutcomeType(offer);
+    const respondedAt = offer.responded_at || (outcome === "offer_expired" ? offer.expires_at : null);
+    if (outcome && respondedAt) {
+      entries.push(entry(respondedAt, outcome, {
+        actorType: outcome === "offer_expired" ? "system" : "technician",
+        actorId: outcome === "offer_expired" ? null : offer.technician_id,
+        technicianId: offer.technician_id,
+        closedReason: offer.closed_reason || null,
+        declineReason: offer.decline_reason || null,
+        ...(viewer.role === "admin" ? { declineNote: offer.decline_note || null } : {}),
+      }));
+    }
+  });
+  return entries;
+}
+
+async function buildPaymentEntries(pool, requestId, viewer) {
+  const [payments] = await pool.query(
+    `SELECT id, payment_method, status, amount, platform_fee, technician_amount,
+            razorpay_order_id, razorpay_payment_id, created_at
+     FROM payments
+     WHERE service_request_id = ?`,
+    [requestId]
+  );
+  const entries = (payments || []).map((payment) => entry(payment.created_at, "payment", {
+    paymentId: payment.id,
+    method: payment.payment_method,
+    paymentStatus: String(payment.status || "").toLowerCase(),
+    ...(viewer.role === "technician"
+      ? { technicianAmount: toMoney(payment.technician_amount) }
+      : { amount: toMoney(payment.amount) }),
+    ...(viewer.role === "admin"
+      ? {
+        platformFee: toMoney(payment.platform_fee),
+        technicianAmount: toMoney(payment.technician_amount),
+        razorpayOrderId: payment.razorpay_order_id || null,
+        razorpayPaymentId: payment.razorpay_payment_id || null,
+      }
+      : {}),
+  }));
+
+  if (viewer.role === "technician") return entries;
+
+  const [invoices] = await pool.query(
+    "SELECT id, status, invoice_type, total_amount, created_at FROM invoices WHERE service_request_id = ?",
+    [requestId]
+  );
+  (invoices || []).forEach((invoice) => {
+    entries.push(entry(invoice.created_at, "invoice", {
+      invoiceId: invoice.id,
+      invoiceStatus: invoice.status,
+      invoiceType: invoice.invoice_type || "service",
+      totalAmount: toMoney(invoice.total_amount),
+    }));
+  });
+
+  const [refunds] = await pool.query(
+    `SELECT id, payment_id, amount, status, stage, reason, gateway_refund_id, failure_reason,
+            initiated_by, initiated_by_id, created_at, processed_at
+     FROM refunds
+     WHERE service_request_id = ?`,
+    [requestId]
+  );
+  (refunds || []).forEach((refund) => {
+    entries.push(entry(refund.processed_at || refund.created_at, "refund", {
+      actorType: refund.initiated_by,
+      actorId: refund.initiated_by_id,
+      refundId: refund.id,
+      paymentId: refund.payment_id,
+      amount: toMoney(refund.amount),
+      refundStatus: refund.status,
+      stage: refund.stage || null,
+      ...(viewer.role === "admin"
+        ? {
+          reason: refund.reason || null,
+          gatewayRefundId: refund.gateway_refund_id || null,
+          failureReason: refund.failure_reason || null,
+        }
+        : {}),
+    }));
+  });
+  return entries;
+}
+
+async function buildAdminActionEntries(pool, requestId) {
+  await ensureAdminExtendedSchema();
+  const [actions] = await pool.query(
+    `SELECT admin_id, action_type, metadata, created_at
+     FROM admin_actions_log
+     WHERE target_type = 'service_request' AND target_id = ?`,
+    [String(requestId)]
+  );
+  return (actions || []).map((action) => entry(action.created_at, "admin_action", {
+    actorType: "admin",
+    actorId: action.admin_id,
+    actionType: action.action_type,
+    metadata: parseJson(action.metadata),
+  }));
+}
+
+/**
+ * Timeline for one request as seen by `viewer` ({ role, userId?, technicianId? }).
+ * Entries are { at, type, actor: { type, id }, ...details }, oldest first.
+ */
+export async function getRequestTimeline(requestId, viewer) {
+  const parsedRequestId = Number(requestId);
+  if (!Number.isInteger(parsedRequestId) || parsedRequestId <= 0) {
+    throw createHttpError("Invalid request id.", 400);
+  }
+  if (!TIMELINE_ROLES.has(viewer?.role)) throw createHttpError("Forbidden", 403);
+
+  const pool = await getPool();
+  const request = await loadRequest(pool, parsedRequestId);
+  if (!request) throw createHttpError("Request not found.", 404);
+  await assertViewerAccess(pool, request, viewer);
+
+  const [events, dispatchEntries, paymentEntries, adminEntries] = await Promise.all([
+    loadRequestEvents(pool, parsedRequestId, viewer),
+    buildDispatchEntries(pool, parsedRequestId, viewer),
+    buildPaymentEntries(pool, parsedRequestId, viewer),
+    viewer.role === "admin" ? buildAdminActionEntries(pool, parsedRequestId) : [],
+  ]);
+
+  let entries = [...buildEventEntries(events, request), ...dispatchEntries, ...paymentEntries, ...adminEntries];
+  if (viewer.role !== "admin") {
+    // Admin identities stay internal; other parties see the action as made by support.
+    entries = entries.map((item) => (item.actor.type === "admin" ? { ...item, actor: { type: "admin", id: null } } : item));
+  }
+
+  entries = entries
+    .filter((item) => item.at)
+    .sort((a, b) => a.at.localeCompare(b.at) || (TYPE_ORDER[a.type] ?? 99) - (TYPE_ORDER[b.type] ?? 99));
+
+  return {
+    requestId: parsedRequestId,
+    status: request.status,
+    viewer: viewer.role,
+    entries,
+  };
+}
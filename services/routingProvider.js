@@ -0,0 +1,237 @@
+import axios from "axios";
+
+/**
+ * Routing / ETA providers behind one interface:
+ *   provider.name
+ *   provider.getMatrix(origins, destination) -> Promise<Array<{ durationSeconds, distanceMeters } | null>>
+ *
+ * - "osrm": OSRM table (matrix) service, one HTTP call per batch.
+ * - "haversine": offline estimate from straight-line distance x road factor at a fixed speed.
+ * - "stub": deterministic straight-line estimate for tests/local runs.
+ *
+ * Results are cached per rounded origin/destination cell, and any provider failure falls back
+ * to the haversine provider so dispatch never blocks on routing.
+ */
+
+// OSRM Public Server (Demo only - use own instance for prod)
+const OSRM_ROUTE_URL = process.env.OSRM_URL || "http://router.project-osrm.org/route/v1/driving";
+const OSRM_TABLE_URL = process.env.OSRM_TABLE_URL || OSRM_ROUTE_URL.replace("/route/v1/", "/table/v1/");
+const OSRM_TIMEOUT_MS = Math.max(500, Number(process.env.OSRM_TIMEOUT_MS || 3000));
+
+const ROUTING_PROVIDER = String(process.env.ROUTING_PROVIDER || "osrm").trim().toLowerCase();
+const ROUTING_ROAD_FACTOR = Math.max(1, Number(process.env.ROUTING_ROAD_FACTOR || 1.3));
+const ROUTING_FALLBACK_SPEED_KMPH = Math.max(5, Number(process.env.ROUTING_FALLBACK_SPEED_KMPH || 30));
+const ROUTING_CACHE_TTL_MS = Math.max(0, Number(process.env.ROUTING_CACHE_TTL_MS || 120000));
+const ROUTING_CACHE_MAX_ENTRIES = Math.max(100, Number(process.env.ROUTING_CACHE_MAX_ENTRIES || 5000));
+// Decimal places kept when bucketing coordinates for the cache key (3 ~= 110 m).
+const ROUTING_CACHE_PRECISION = Math.min(6, Math.max(1, Number(process.env.ROUTING_CACHE_PRECISION || 3)));
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const r = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+    Math.cos((lat2 * Math.PI) / 180) *
+    Math.sin(dLon / 2) *
+    Math.sin(dLon / 2);
+  return r * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function toPoint(value) {
+  const lat = Number(value?.lat ?? value?.latitude);
+  const lng = Number(value?.lng ?? value?.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return { lat, lng };
+}
+
+function straightLineEstimate(origin, destination, { roadFactor, speedKmph }) {
+  const km = haversineKm(origin.lat, origin.lng, destination.lat, destination.lng) * roadFactor;
+  return {
+    durationSeconds: (km / speedKmph) * 3600,
+    distanceMeters: km * 1000,
+  };
+}
+
+export function createHaversineRoutingProvider({
+  roadFactor = ROUTING_ROAD_FACTOR,
+  speedKmph = ROUTING_FALLBACK_SPEED_KMPH,
+} = {}) {
+  return {
+    name: "haversine",
+    async getMatrix(origins, destination) {
+      return origins.map((origin) => straightLineEstimate(origin, destination, { roadFactor, speedKmph }));
+    },
+  };
+}
+
+export function createStubRoutingProvider({ speedKmph = 40, fail = false } = {}) {
+  return {
+    name: "stub",
+    async getMatrix(origins, destination) {
+      if (fail) throw new Error("stub routing provider failure");
+      return origins.map((origin) => straightLineEstimate(origin, destination, { roadFactor: 1, speedKmph }));
+    },
+  };
+}
+
+export function createOsrmRoutingProvider({ tableUrl = OSRM_TABLE_URL, timeoutMs = OSRM_TIMEOUT_MS } = {}) {
+  return {
+    name: "osrm",
+    async getMatrix(origins, destination) {
+      const coords = [...origins, destination].map((point) => `${point.lng},${point.lat}`).join(";");
+      const sources = origins.map((_, index) => index).join(";");
+      const url = `${tableUrl}/${coords}?sources=${sources}&destinations=${origins.length}&annotations=duration,distance`;
+      const res = await axios.get(url, { timeout: timeoutMs });
+
+      if (res.data?.code !== "Ok" || !Array.isArray(res.data?.durations)) {
+        throw new Error(`OSRM table failed: ${res.data?.code || "no durations"}`);
+      }
+
+      return origins.map((_, index) => {
+        const duration = res.data.durations?.[index]?.[0];
+        const distance = res.data.distances?.[index]?.[0];
+        if (!Number.isFinite(duration)) return null;
+        return {
+          durationSeconds: duration,
+          distanceMeters: Number.isFinite(distance) ? distance : null,
+        };
+      });
+    },
+  };
+}
+
+function createProviderByName(name) {
+  if (name === "haversine" || name === "offline") return createHaversineRoutingProvider();
+  if (name === "stub") return createStubRoutingProvider();
+  return createOsrmRoutingProvider();
+}
+
+let activeProvider = createProviderByName(ROUTING_PROVIDER);
+const fallbackProvider = createHaversineRoutingProvider();
+
+const routeCache = new Map();
+const metrics = {
+  lookups: 0,
+  cacheHits: 0,
+  cacheMisses: 0,
+  providerCalls: 0,
+  providerFailures: 0,
+  fallbackResults: 0,
+  lastFailureAt: null,
+  lastFailureMessage: null,
+};
+
+function cacheKey(origin, destination) {
+  const round = (value) => Number(value).toFixed(ROUTING_CACHE_PRECISION);
+  return `${activeProvider.name}:${round(origin.lat)},${round(origin.lng)}>${round(destination.lat)},${round(destination.lng)}`;
+}
+
+function readCache(key) {
+  const entry = routeCache.get(key);
+  if (!entry) return null;
+  if (Date.now() - entry.storedAt > ROUTING_CACHE_TTL_MS) {
+    routeCache.delete(key);
+    return null;
+  }
+  return entry.value;
+}
+
+function writeCache(key, value) {
+  if (ROUTING_CACHE_TTL_MS <= 0) return;
+  routeCache.delete(key);
+  routeCache.set(key, { value, storedAt: Date.now() });
+  // Map keeps insertion order, so the first key is the oldest entry.
+  while (routeCache.size > ROUTING_CACHE_MAX_ENTRIES) {
+    routeCache.delete(routeCache.keys().next().value);
+  }
+}
+
+/**
+ * Travel time from each origin to one destination, aligned with `origins`.
+ * Each result is { durationSeconds, distanceMeters, source } or null for an invalid origin.
+ */
+export async function estimateTravelTimes(origins, destination) {
+  const target = toPoint(destination);
+  const points = (origins || []).map(toPoint);
+  const results = new Array(points.length).fill(null);
+  if (!target) return results;
+
+  const misses = [];
+  points.forEach((point, index) => {
+    if (!point) return;
+    metrics.lookups += 1;
+    const cached = readCache(cacheKey(point, target));
+    if (cached) {
+      metrics.cacheHits += 1;
+      results[index] = { ...cached, source: "cache" };
+    } else {
+      metrics.cacheMisses += 1;
+      misses.push(index);
+    }
+  });
+  if (misses.length === 0) return results;
+
+  const missPoints = misses.map((index) => points[index]);
+  let providerResults = [];
+  try {
+    metrics.providerCalls += 1;
+    providerResults = await activeProvider.getMatrix(missPoints, target);
+  } catch (err) {
+    metrics.providerFailures += 1;
+    metrics.lastFailureAt = new Date().toISOString();
+    metrics.lastFailureMessage = err?.message || String(err);
+    console.error(`[Routing] ${activeProvider.name} provider failed:`, metrics.lastFailureMessage);
+  }
+
+  const fallbackResults = await fallbackProvider.getMatrix(missPoints, target);
+  misses.forEach((pointIndex, missIndex) => {
+    const routed = providerResults?.[missIndex];
+    if (routed && Number.isFinite(routed.durationSeconds)) {
+      const value = {
+        durationSeconds: routed.durationSeconds,
+        distanceMeters: Number.isFinite(routed.distanceMeters)
+          ? routed.distanceMeters
+          : fallbackResults[missIndex].distanceMeters,
+      };
+      writeCache(cacheKey(points[pointIndex], target), value);
+      results[pointIndex] = { ...value, source: activeProvider.name };
+    } else {
+      // Do not cache fallbacks so the real provider is retried next time.
+      metrics.fallbackResults += 1;
+      results[pointIndex] = { ...fallbackResults[missIndex], source: fallbackProvider.name };
+    }
+  });
+
+  return results;
+}
+
+export async function estimateTravelTime(origin, destination) {
+  const [result] = await estimateTravelTimes([origin], destination);
+  return result;
+}
+
+export function getRoutingMetrics() {
+  return {
+    provider: activeProvider.name,
+    cacheEntries: routeCache.size,
+    cacheTtlMs: ROUTING_CACHE_TTL_MS,
+    cacheHitRate: metrics.lookups > 0 ? Number((metrics.cacheHits / metrics.lookups).toFixed(4)) : 0,
+    providerFailureRate: metrics.providerCalls > 0
+      ? Number((metrics.providerFailures / metrics.providerCalls).toFixed(4))
+      : 0,
+    ...metrics,
+  };
+}
+
+/**
+ * Swap the active provider (tests / runtime override). Clears the cache.
+ */
+export function setRoutingProvider(provider) {
+  if (!provider || typeof provider.getMatrix !== "function") {
+    throw new Error("Routing provider must implement getMatrix(origins, destination).");
+  }
+  activeProvider = provider;
+  routeCache.clear();
+}
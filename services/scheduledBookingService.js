@@ -0,0 +1,275 @@
+import { getPool } from "../db.js";
+import { socketService } from "./socket.js";
+import { findTechniciansNearLocation } from "./technicianGeoIndex.js";
+import { isWithinWorkingHours } from "./workingHours.js";
+import { markTechnicianReserved } from "./technicianStateService.js";
+import { startDispatchWaves } from "./dispatchWaveService.js";
+import { REQUEST_ACTORS, normalizeRequestStatus, transitionRequestStatus } from "./requestStateMachine.js";
+
+/**
+ * Scheduled (advance) bookings.
+ * A booking with `scheduled_for` is stored with status 'scheduled' and does not dispatch on create.
+ * The monitor opens dispatch SCHEDULED_DISPATCH_LEAD_MINUTES before the slot and sends one reminder
+ * to the customer (and the assigned technician, if any) SCHEDULED_REMINDER_MINUTES before it.
+ */
+
+export const SCHEDULED_BOOKING_MIN_LEAD_MINUTES = Math.max(0, Number(process.env.SCHEDULED_BOOKING_MIN_LEAD_MINUTES || 60));
+export const SCHEDULED_BOOKING_MAX_DAYS_AHEAD = Math.max(1, Number(process.env.SCHEDULED_BOOKING_MAX_DAYS_AHEAD || 30));
+const SCHEDULED_DISPATCH_LEAD_MINUTES = Math.max(1, Number(process.env.SCHEDULED_DISPATCH_LEAD_MINUTES || 45));
+const SCHEDULED_REMINDER_MINUTES = Math.max(1, Number(process.env.SCHEDULED_REMINDER_MINUTES || 60));
+const SCHEDULED_BOOKING_POLL_MS = Math.max(5000, Number(process.env.SCHEDULED_BOOKING_POLL_MS || 30000));
+
+let bookingMonitorTimer = null;
+let bookingMonitorBusy = false;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse and range-check a requested slot. Throws a 400 error for invalid input.
+ */
+export function parseScheduledFor(value, now = new Date()) {
+  const scheduledFor = new Date(value);
+  if (value == null || value === "" || Number.isNaN(scheduledFor.getTime())) {
+    throw badRequest("scheduled_for must be a valid ISO date-time.");
+  }
+
+  const minStart = now.getTime() + SCHEDULED_BOOKING_MIN_LEAD_MINUTES * 60 * 1000;
+  if (scheduledFor.getTime() < minStart) {
+    throw badRequest(`Scheduled bookings must be at least ${SCHEDULED_BOOKING_MIN_LEAD_MINUTES} minutes ahead.`);
+  }
+  const maxStart = now.getTime() + SCHEDULED_BOOKING_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000;
+  if (scheduledFor.getTime() > maxStart) {
+    throw badRequest(`Scheduled bookings can be made at most ${SCHEDULED_BOOKING_MAX_DAYS_AHEAD} days ahead.`);
+  }
+  return scheduledFor;
+}
+
+/**
+ * Check the slot against technician working_hours.
+ * Direct bookings need the chosen technician on shift; open bookings need at least one
+ * approved technician around the location on shift.
+ */
+export async function validateScheduledSlot({ scheduledFor, technician = null, latitude, longitude }) {
+  if (technician) {
+    if (!isWithinWorkingHours(technician.working_hours, scheduledFor)) {
+      throw badRequest("Selected technician does not work at the selected time.");
+    }
+    return { availableTechnicians: 1 };
+  }
+
+  if (!Number.isFinite(Number(latitude)) || !Number.isFinite(Number(longitude))) {
+    throw badRequest("location_lat and location_lng are required for scheduled bookings.");
+  }
+
+  const nearby = await findTechniciansNearLocation({
+    latitude,
+    longitude,
+    where: "status = 'approved' AND is_active = TRUE",
+  });
+  const onShift = nearby.filter((tech) => isWithinWorkingHours(tech.working_hours, scheduledFor));
+  if (onShift.length === 0) {
+    throw badRequest("No technicians near this location work at the selected time. Please pick another slot.");
+  }
+  return { availableTechnicians: onShift.length };
+}
+
+function toJobRequest(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    location_lat: row.location_lat,
+    location_lng: row.location_lng,
+    service_type: row.service_type,
+    vehicle_type: row.vehicle_type,
+    address: row.address,
+    amount: row.amount,
+    contact_name: row.contact_name || null,
+    dispatch_priority: row.dispatch_priority,
+    scheduled_for: row.scheduled_for,
+    zone_id: row.zone_id,
+  };
+}
+
+// Check and reserve the booked technician under row locks (request first, then technician, like
+// acceptJob) so a live dispatch accept cannot take them at the same moment.
+async function assignScheduledTechnician(pool, row) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [requestRows] = await conn.query(
+      "SELECT id, status FROM service_requests WHERE id = ? FOR UPDATE",
+      [row.id]
+    );
+    if (normalizeRequestStatus(requestRows?.[0]?.status) !== "scheduled") {
+      await conn.rollback();
+      return true;
+    }
+
+    const [techRows] = await conn.query(
+      "SELECT id, is_active, is_available, current_job_id FROM technicians WHERE id = ? FOR UPDATE",
+      [row.technician_id]
+    );
+    const tech = techRows?.[0];
+    if (!tech || !tech.is_active || !tech.is_available || tech.current_job_id != null) {
+      await conn.rollback();
+      return false;
+    }
+
+    const claim = await transitionRequestStatus(conn, {
+      requestId: row.id,
+      to: "assigned",
+      actor: REQUEST_ACTORS.SYSTEM,
+      fromStatuses: ["scheduled"],
+      reason: "scheduled_slot_due",
+      set: { dispatch_state: null },
+      metadata: { technicianId: Number(row.technician_id) },
+    });
+    if (!claim) {
+      await conn.rollback();
+      return true;
+    }
+
+    await markTechnicianReserved(conn, row.technician_id, row.id);
+    await conn.commit();
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+
+  socketService.notifyTechnician(row.technician_id, "job:assigned", {
+    id: String(row.id),
+    jobId: String(row.id),
+    requestId: String(row.id),
+    customerName: row.contact_name || "Customer",
+    serviceType: row.service_type,
+    vehicleType: row.vehicle_type,
+    scheduledFor: row.scheduled_for,
+    location: {
+      lat: row.location_lat,
+      lng: row.location_lng,
+      address: row.address,
+    },
+    address: row.address,
+    amount: row.amount || 0,
+    priceAmount: row.amount || 0,
+  });
+  socketService.notifyUser(row.user_id, "job:status_update", { requestId: row.id, status: "assigned" });
+  return true;
+}
+
+/**
+ * Start dispatch for scheduled bookings whose slot is within the dispatch lead time.
+ * A direct booking whose technician is busy falls back to open dispatch.
+ */
+export async function processDueScheduledBookings() {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM service_requests
+     WHERE status = 'scheduled' AND scheduled_for <= DATE_ADD(NOW(), INTERVAL ? MINUTE)
+     ORDER BY scheduled_for ASC
+     LIMIT 50`,
+    [SCHEDULED_DISPATCH_LEAD_MINUTES]
+  );
+
+  let started = 0;
+  for (const row of rows || []) {
+    try {
+      if (row.technician_id != null && (await assignScheduledTechnician(pool, row))) {
+        started += 1;
+        continue;
+      }
+
+      const claim = await transitionRequestStatus(pool, {
+        requestId: row.id,
+        to: "pending",
+        actor: REQUEST_ACTORS.SYSTEM,
+        fromStatuses: ["scheduled"],
+        reason: row.technician_id != null ? "scheduled_technician_unavailable" : "scheduled_slot_due",
+        set: { technician_id: null, dispatch_state: null },
+      });
+      if (!claim) continue;
+
+      if (row.technician_id != null) {
+        console.log(`[ScheduledBooking] Technician ${row.technician_id} unavailable for #${row.id}; opening dispatch.`);
+      }
+      socketService.notifyUser(row.user_id, "job:status_update", { requestId: row.id, status: "pending" });
+      await startDispatchWaves(toJobRequest(row));
+      started += 1;
+    } catch (err) {
+      console.error(`[ScheduledBooking] Dispatch start failed for request #${row.id}:`, err);
+    }
+  }
+  return started;
+}
+
+/**
+ * Send one reminder per booking to the customer and the assigned technician.
+ */
+export async function sendDueBookingReminders() {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT id, user_id, technician_id, service_type, address, scheduled_for
+     FROM service_requests
+     WHERE scheduled_for IS NOT NULL
+       AND scheduled_reminder_sent_at IS NULL
+       AND status NOT IN ('cancelled', 'completed', 'rejected')
+       AND scheduled_for > NOW()
+       AND scheduled_for <= DATE_ADD(NOW(), INTERVAL ? MINUTE)
+     LIMIT 100`,
+    [SCHEDULED_REMINDER_MINUTES]
+  );
+
+  let sent = 0;
+  for (const row of rows || []) {
+    const [claim] = await pool.query(
+      "UPDATE service_requests SET scheduled_reminder_sent_at = NOW() WHERE id = ? AND scheduled_reminder_sent_at IS NULL",
+      [row.id]
+    );
+    if (!claim?.affectedRows) continue;
+
+    const scheduledFor = new Date(row.scheduled_for);
+    const payload = {
+      requestId: row.id,
+      serviceType: row.service_type,
+      address: row.address,
+      scheduledFor: scheduledFor.toISOString(),
+      minutesUntil: Math.max(0, Math.round((scheduledFor.getTime() - Date.now()) / 60000)),
+    };
+    socketService.notifyUser(row.user_id, "booking:reminder", payload);
+    if (row.technician_id != null) {
+      socketService.notifyTechnician(row.technician_id, "booking:reminder", payload);
+    }
+    sent += 1;
+  }
+  return sent;
+}
+
+export function startScheduledBookingMonitor() {
+  if (bookingMonitorTimer) return;
+
+  bookingMonitorTimer = setInterval(() => {
+    if (bookingMonitorBusy) return;
+    bookingMonitorBusy = true;
+    Promise.all([processDueScheduledBookings(), sendDueBookingReminders()])
+      .catch((err) => console.error("[ScheduledBooking] Monitor tick failed:", err?.message || err))
+      .finally(() => {
+        bookingMonitorBusy = false;
+      });
+  }, SCHEDULED_BOOKING_POLL_MS);
+  bookingMonitorTimer.unref?.();
+  console.log(
+    `[ScheduledBooking] Monitor started (poll ${SCHEDULED_BOOKING_POLL_MS}ms, dispatch ${SCHEDULED_DISPATCH_LEAD_MINUTES}m ahead).`
+  );
+}
+
+export function stopScheduledBookingMonitor() {
+  if (!bookingMonitorTimer) return;
+  clearInterval(bookingMonitorTimer);
+  bookingMonitorTimer = null;
+}
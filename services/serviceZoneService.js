@@ -0,0 +1,341 @@
+import { getPool } from "../db.js";
+import { getShiftStatus } from "./workingHours.js";
+import { canonicalizeServiceDomain, canonicalizeVehicleFamily } from "./serviceNormalization.js";
+
+/**
+ * Admin-managed service zones (radius or polygon).
+ * A zone carries optional pricing overrides, a default dispatch radius and operating hours
+ * (same JSON shape as technician working_hours). With no active zones configured, coverage is
+ * not enforced.
+ */
+
+// What to do with requests outside every active zone (or in a closed zone): waitlist | reject | allow.
+export const SERVICE_ZONE_COVERAGE_POLICY = ["waitlist", "reject", "allow"].includes(
+  String(process.env.SERVICE_ZONE_COVERAGE_POLICY || "").trim().toLowerCase()
+)
+  ? String(process.env.SERVICE_ZONE_COVERAGE_POLICY).trim().toLowerCase()
+  : "waitlist";
+const SERVICE_ZONE_CACHE_TTL_MS = Math.max(0, Number(process.env.SERVICE_ZONE_CACHE_TTL_MS || 60000));
+
+const ZONE_TYPES = ["radius", "polygon"];
+
+let cachedZones = null;
+let cacheTimestamp = 0;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function parseJsonValue(value, fallback = null) {
+  if (value == null || value === "") return fallback;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+}
+
+function toFiniteNumber(value) {
+  if (value == null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const r = 6371;
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos((lat1 * Math.PI) / 180) *
+    Math.cos((lat2 * Math.PI) / 180) *
+    Math.sin(dLon / 2) *
+    Math.sin(dLon / 2);
+  return r * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function normalizePolygon(value) {
+  const points = parseJsonValue(value, []);
+  if (!Array.isArray(points)) return [];
+  return points
+    .map((point) => {
+      const lat = toFiniteNumber(Array.isArray(point) ? point[0] : point?.lat ?? point?.latitude);
+      const lng = toFiniteNumber(Array.isArray(point) ? point[1] : point?.lng ?? point?.longitude);
+      if (lat == null || lng == null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+      return { lat, lng };
+    })
+    .filter(Boolean);
+}
+
+function normalizeZoneRow(row) {
+  const polygon = normalizePolygon(row.polygon);
+  return {
+    id: row.id,
+    name: row.name,
+    city: row.city || null,
+    zone_type: row.zone_type,
+    center_lat: toFiniteNumber(row.center_lat),
+    center_lng: toFiniteNumber(row.center_lng),
+    radius_km: toFiniteNumber(row.radius_km),
+    polygon: polygon.length > 0 ? polygon : null,
+    pricing_overrides: parseJsonValue(row.pricing_overrides, null),
+    dispatch_radius_km: toFiniteNumber(row.dispatch_radius_km),
+    operating_hours: parseJsonValue(row.operating_hours, null),
+    priority: Number(row.priority || 0),
+    is_active: !!row.is_active,
+    updated_by: row.updated_by || null,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+  };
+}
+
+function invalidateZoneCache() {
+  cachedZones = null;
+  cacheTimestamp = 0;
+}
+
+export async function listServiceZones({ includeInactive = false, forceRefresh = false } = {}) {
+  const cacheFresh = cachedZones && Date.now() - cacheTimestamp < SERVICE_ZONE_CACHE_TTL_MS;
+  if (!cacheFresh || forceRefresh) {
+    const pool = await getPool();
+    const [rows] = await pool.query("SELECT * FROM service_zones ORDER BY priority DESC, id ASC");
+    cachedZones = (rows || []).map(normalizeZoneRow);
+    cacheTimestamp = Date.now();
+  }
+  return includeInactive ? [...cachedZones] : cachedZones.filter((zone) => zone.is_active);
+}
+
+export async function getServiceZoneById(zoneId) {
+  const id = Number(zoneId);
+  if (!Number.isInteger(id) || id <= 0) return null;
+  const zones = await listServiceZones({ includeInactive: true });
+  return zones.find((zone) => Number(zone.id) === id) || null;
+}
+
+function isPointInPolygon(lat, lng, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.lat > lat) !== (b.lat > lat);
+    if (crosses && lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function isPointInZone(zone, latitude, longitude) {
+  const lat = toFiniteNumber(latitude);
+  const lng = toFiniteNumber(longitude);
+  if (!zone || lat == null || lng == null) return false;
+
+  if (zone.zone_type === "polygon") {
+    return Array.isArray(zone.polygon) && zone.polygon.length >= 3 && isPointInPolygon(lat, lng, zone.polygon);
+  }
+  if (zone.center_lat == null || zone.center_lng == null || !(zone.radius_km > 0)) return false;
+  return haversineKm(lat, lng, zone.center_lat, zone.center_lng) <= zone.radius_km;
+}
+
+/**
+ * Highest-priority active zone containing the point, or null.
+ */
+export async function resolveZoneForLocation(latitude, longitude) {
+  const zones = await listServiceZones();
+  return zones.find((zone) => isPointInZone(zone, latitude, longitude)) || null;
+}
+
+/**
+ * Coverage decision for a new request.
+ * Returns { covered, enforced, zone, reason } where reason is null, "outside_coverage" or "zone_closed".
+ */
+export async function checkZoneCoverage({ latitude, longitude, at = new Date() }) {
+  const zones = await listServiceZones();
+  if (zones.length === 0) return { covered: true, enforced: false, zone: null, reason: null };
+
+  const zone = zones.find((entry) => isPointInZone(entry, latitude, longitude)) || null;
+  if (!zone) return { covered: false, enforced: true, zone: null, reason: "outside_coverage" };
+  if (zone.operating_hours && !getShiftStatus(zone.operating_hours, at).working) {
+    return { covered: false, enforced: true, zone, reason: "zone_closed" };
+  }
+  return { covered: true, enforced: true, zone, reason: null };
+}
+
+/**
+ * Apply a zone's pricing overrides to a platform (matrix) amount.
+ * pricing_overrides: { service_base_prices: { <domain>: { <vehicle>: amount } }, multiplier }
+ */
+export function applyZonePricing(amount, zone, { service_type, vehicle_type } = {}) {
+  const overrides = zone?.pricing_overrides;
+  if (!overrides || typeof overrides !== "object") return amount;
+
+  const rawService = String(service_type || "");
+  const domain = canonicalizeServiceDomain(rawService.replace(/^(car|bike|ev|commercial)-/i, ""));
+  const vehicle = canonicalizeVehicleFamily(vehicle_type || rawService.split("-")[0]);
+  const matrixPrice = toFiniteNumber(overrides.service_base_prices?.[domain]?.[vehicle]);
+
+  let result = matrixPrice != null && matrixPrice > 0 ? matrixPrice : Number(amount);
+  const multiplier = toFiniteNumber(overrides.multiplier);
+  if (multiplier != null && multiplier > 0) result *= multiplier;
+  return Number.isFinite(result) ? Math.round(result * 100) / 100 : amount;
+}
+
+function normalizeZoneInput(input = {}, existing = null) {
+  const merged = { ...(existing || {}), ...input };
+  const name = String(merged.name || "").trim();
+  if (!name) throw badRequest("name is required.");
+
+  const zoneType = String(merged.zone_type || "radius").trim().toLowerCase();
+  if (!ZONE_TYPES.includes(zoneType)) throw badRequest(`zone_type must be one of: ${ZONE_TYPES.join(", ")}.`);
+
+  const centerLat = toFiniteNumber(merged.center_lat);
+  const centerLng = toFiniteNumber(merged.center_lng);
+  const radiusKm = toFiniteNumber(merged.radius_km);
+  const polygon = normalizePolygon(merged.polygon);
+  if (zoneType === "radius") {
+    if (centerLat == null || centerLng == null || Math.abs(centerLat) > 90 || Math.abs(centerLng) > 180) {
+      throw badRequest("center_lat and center_lng are required for radius zones.");
+    }
+    if (radiusKm == null || radiusKm <= 0) throw badRequest("radius_km must be a positive number.");
+  } else if (polygon.length < 3) {
+    throw badRequest("polygon must have at least 3 [lat, lng] points.");
+  }
+
+  const dispatchRadiusKm = toFiniteNumber(merged.dispatch_radius_km);
+  if (dispatchRadiusKm != null && dispatchRadiusKm <= 0) throw badRequest("dispatch_radius_km must be positive.");
+
+  const pricingOverrides = parseJsonValue(merged.pricing_overrides, null);
+  if (pricingOverrides != null && (typeof pricingOverrides !== "object" || Array.isArray(pricingOverrides))) {
+    throw badRequest("pricing_overrides must be an object.");
+  }
+  const multiplier = toFiniteNumber(pricingOverrides?.multiplier);
+  if (pricingOverrides?.multiplier != null && (multiplier == null || multiplier <= 0)) {
+    throw badRequest("pricing_overrides.multiplier must be a positive number.");
+  }
+
+  const operatingHours = parseJsonValue(merged.operating_hours, null);
+  if (operatingHours != null && (typeof operatingHours !== "object" || Array.isArray(operatingHours))) {
+    throw badRequest("operating_hours must be an object.");
+  }
+
+  // Keep the polygon centroid as the center so probes/audits have a point to start from.
+  const center = zoneType === "polygon" && (centerLat == null || centerLng == null)
+    ? {
+      lat: polygon.reduce((sum, point) => sum + point.lat, 0) / polygon.length,
+      lng: polygon.reduce((sum, point) => sum + point.lng, 0) / polygon.length,
+    }
+    : { lat: centerLat, lng: centerLng };
+
+  return {
+    name,
+    city: merged.city ? String(merged.city).trim() : null,
+    zone_type: zoneType,
+    center_lat: center.lat,
+    center_lng: center.lng,
+    radius_km: zoneType === "radius" ? radiusKm : null,
+    polygon: zoneType === "polygon" ? JSON.stringify(polygon.map((point) => [point.lat, point.lng])) : null,
+    pricing_overrides: pricingOverrides ? JSON.stringify(pricingOverrides) : null,
+    dispatch_radius_km: dispatchRadiusKm,
+    operating_hours: operatingHours ? JSON.stringify(operatingHours) : null,
+    priority: Math.trunc(toFiniteNumber(merged.priority) || 0),
+    is_active: merged.is_active === undefined ? true : merged.is_active === true || merged.is_active === 1 || merged.is_active === "true",
+  };
+}
+
+export async function createServiceZone(input, updatedBy = null) {
+  const zone = normalizeZoneInput(input);
+  const pool = await getPool();
+  const [result] = await pool.query(
+    `INSERT INTO service_zones
+      (name, city, zone_type, center_lat, center_lng, radius_km, polygon, pricing_overrides,
+       dispatch_radius_km, operating_hours, priority, is_active, updated_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      zone.name,
+      zone.city,
+      zone.zone_type,
+      zone.center_lat,
+      zone.center_lng,
+      zone.radius_km,
+      zone.polygon,
+      zone.pricing_overrides,
+      zone.dispatch_radius_km,
+      zone.operating_hours,
+      zone.priority,
+      zone.is_active,
+      updatedBy,
+    ]
+  );
+  invalidateZoneCache();
+  return getServiceZoneById(result.insertId);
+}
+
+export async function updateServiceZone(zoneId, input, updatedBy = null) {
+  const existing = await getServiceZoneById(zoneId);
+  if (!existing) return null;
+
+  const zone = normalizeZoneInput(input, existing);
+  const pool = await getPool();
+  await pool.query(
+    `UPDATE service_zones
+     SET name = ?, city = ?, zone_type = ?, center_lat = ?, center_lng = ?, radius_km = ?, polygon = ?,
+         pricing_overrides = ?, dispatch_radius_km = ?, operating_hours = ?, priority = ?, is_active = ?, updated_by = ?
+     WHERE id = ?`,
+    [
+      zone.name,
+      zone.city,
+      zone.zone_type,
+      zone.center_lat,
+      zone.center_lng,
+      zone.radius_km,
+      zone.polygon,
+      zone.pricing_overrides,
+      zone.dispatch_radius_km,
+      zone.operating_hours,
+      zone.priority,
+      zone.is_active,
+      updatedBy,
+      existing.id,
+    ]
+  );
+  invalidateZoneCache();
+  return getServiceZoneById(existing.id);
+}
+
+/**
+ * Zones are deactivated rather than deleted so historical requests keep their zone_id.
+ */
+export async function deactivateServiceZone(zoneId, updatedBy = null) {
+  const pool = await getPool();
+  const [result] = await pool.query(
+    "UPDATE service_zones SET is_active = FALSE, updated_by = ? WHERE id = ?",
+    [updatedBy, zoneId]
+  );
+  invalidateZoneCache();
+  return Number(result?.affectedRows || 0) > 0;
+}
+
+export async function addToServiceWaitlist(entry) {
+  const pool = await getPool();
+  const [result] = await pool.query(
+    `INSERT INTO service_waitlist
+      (user_id, zone_id, reason, service_type, vehicle_type, address, location_lat, location_lng, contact_phone, scheduled_for)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entry.user_id,
+      entry.zone_id || null,
+      entry.reason,
+      entry.service_type,
+      entry.vehicle_type || null,
+      entry.address || null,
+      toFiniteNumber(entry.location_lat),
+      toFiniteNumber(entry.location_lng),
+      entry.contact_phone || null,
+      entry.scheduled_for || null,
+    ]
+  );
+  return result.insertId;
+}
@@ -1,6 +1,36 @@
 import { Server } from "socket.io";
 import { isOriginAllowed } from "../config/network.js";
+import { getPool } from "../db.js";
+import { verifySocketToken } from "../middleware/auth.js";
 import { notificationService } from "./notificationService.js";
+import { recordTechnicianLocationPing } from "./technicianGeoIndex.js";
+import { recordLocationBreadcrumb } from "./locationBreadcrumbService.js";
+import { recomputeLiveEta } from "./liveEtaService.js";
+import { detectGeofenceArrival } from "./arrivalGeofenceService.js";
+
+// Request-room access decisions are cached per socket for this long (assignments can change).
+const REQUEST_ACCESS_CACHE_MS = 30000;
+
+const ADMIN_ROOM = "admins";
+
+function readHandshakeToken(handshake) {
+  const header = String(handshake?.headers?.authorization || "");
+  return handshake?.auth?.token || (header.startsWith("Bearer ") ? header.slice(7) : "") || handshake?.query?.token || "";
+}
+
+async function canAccessRequest(auth, requestId) {
+  if (auth.role === "admin") return true;
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    "SELECT user_id, technician_id FROM service_requests WHERE id = ? LIMIT 1",
+    [requestId]
+  );
+  const row = rows?.[0];
+  if (!row) return false;
+  if (auth.role === "user") return String(row.user_id) === auth.userId;
+  if (auth.role === "technician") return row.technician_id != null && String(row.technician_id) === auth.technicianId;
+  return false;
+}
 
 class SocketService {
   constructor() {
@@ -21,36 +51,133 @@ class SocketService {
       },
     });
 
+    // Same JWTs as the REST API; pass it as `auth: { token }` (or an Authorization header).
+    this.io.use((socket, next) => {
+      try {
+        socket.data.auth = verifySocketToken(readHandshakeToken(socket.handshake));
+        socket.data.requestAccess = new Map();
+        return next();
+      } catch (err) {
+        console.log(`[Socket] rejected handshake ${socket.id}: ${err?.message || err}`);
+        return next(new Error("Unauthorized"));
+      }
+    });
+
     this.io.on("connection", (socket) => {
-      console.log(`[Socket] connected ${socket.id}`);
+      const auth = socket.data.auth;
+      console.log(`[Socket] connected ${socket.id} (${auth.role})`);
 
+      // Room membership is derived from the token, not from client-supplied ids.
+      if (auth.role === "technician") {
+        this.activeTechnicians.set(auth.technicianId, socket.id);
+        socket.join(`technician_${auth.technicianId}`);
+      } else if (auth.role === "user") {
+        socket.join(`user_${auth.userId}`);
+      } else if (auth.role === "admin") {
+        socket.join(ADMIN_ROOM);
+      }
+
+      const deny = (event, reason) => {
+        console.log(`[Socket] ${event} denied for ${socket.id} (${auth.role}): ${reason}`);
+        socket.emit("socket:error", { event, error: "Forbidden" });
+      };
+
+      const authorizeRequest = async (requestId) => {
+        const key = String(requestId);
+        const cached = socket.data.requestAccess.get(key);
+        if (cached && Date.now() - cached.checkedAt < REQUEST_ACCESS_CACHE_MS) return cached.allowed;
+        const allowed = await canAccessRequest(auth, key);
+        socket.data.requestAccess.set(key, { allowed, checkedAt: Date.now() });
+        return allowed;
+      };
+
+      // Kept for existing clients; only the caller's own room can be joined.
       socket.on("join_technician_room", (technicianId) => {
         if (!technicianId) return;
-        const id = String(technicianId);
-        this.activeTechnicians.set(id, socket.id);
-        socket.join(`technician_${id}`);
+        if (auth.role !== "technician" || String(technicianId) !== auth.technicianId) {
+          deny("join_technician_room", `technician ${technicianId}`);
+          return;
+        }
+        this.activeTechnicians.set(auth.technicianId, socket.id);
+        socket.join(`technician_${auth.technicianId}`);
       });
 
       socket.on("join_user_room", (userId) => {
         if (!userId) return;
-        socket.join(`user_${String(userId)}`);
+        if (auth.role !== "user" || String(userId) !== auth.userId) {
+          deny("join_user_room", `user ${userId}`);
+          return;
+        }
+        socket.join(`user_${auth.userId}`);
       });
 
-      socket.on("join_request_room", (requestId) => {
-        if (!requestId) return;
-        socket.join(`request_${String(requestId)}`);
+      socket.on("join_request_room", async (requestId, ack) => {
+        const respond = typeof ack === "function" ? ack : () => {};
+        if (!requestId) return respond({ ok: false, error: "requestId is required" });
+        try {
+          if (!(await authorizeRequest(requestId))) {
+            deny("join_request_room", `request ${requestId}`);
+            return respond({ ok: false, error: "Forbidden" });
+          }
+          socket.join(`request_${String(requestId)}`);
+          return respond({ ok: true });
+        } catch (err) {
+          console.error("[SocketService] Request room authorization error:", err?.message || err);
+          return respond({ ok: false, error: "Authorization failed" });
+        }
       });
 
-      socket.on("technician:location_update", (data = {}) => {
-        const technicianId = data.technicianId ? String(data.technicianId) : null;
-        if (!technicianId) return;
+      socket.on("technician:location_update", async (data = {}) => {
+        if (auth.role !== "technician") {
+          deny("technician:location_update", "not a technician");
+          return;
+        }
+        if (data.technicianId != null && String(data.technicianId) !== auth.technicianId) {
+          deny("technician:location_update", `spoofed technician ${data.technicianId}`);
+          return;
+        }
 
-        this.io.to(`technician_${technicianId}`).emit("location_update", data);
-        this.io.emit(`technician:${technicianId}:location`, data);
+        const technicianId = auth.technicianId;
+        const latitude = data.lat ?? data.latitude;
+        const longitude = data.lng ?? data.longitude;
+        const payload = { ...data, technicianId };
 
+        let requestRoom = null;
         if (data.requestId) {
-          this.io.to(`request_${String(data.requestId)}`).emit("location_update", data);
+          try {
+            if (await authorizeRequest(data.requestId)) {
+              requestRoom = `request_${String(data.requestId)}`;
+            } else {
+              deny("technician:location_update", `request ${data.requestId}`);
+              delete payload.requestId;
+            }
+          } catch (err) {
+            console.error("[SocketService] Request authorization error:", err?.message || err);
+            delete payload.requestId;
+          }
         }
+
+        this.io.to(`technician_${technicianId}`).emit("location_update", payload);
+        // Live positions go to admins and the customer on the technician's own request only.
+        const locationRooms = requestRoom ? [ADMIN_ROOM, requestRoom] : [ADMIN_ROOM];
+        this.io.to(locationRooms).emit(`technician:${technicianId}:location`, payload);
+        if (requestRoom) {
+          this.io.to(requestRoom).emit("location_update", payload);
+        }
+
+        // Keep the technician's grid cell current for dispatch lookups (throttled).
+        recordTechnicianLocationPing(technicianId, latitude, longitude)
+          .catch((err) => console.error("[SocketService] Location persist error:", err?.message || err));
+        // Trail for the technician's active job (downsampled).
+        recordLocationBreadcrumb(technicianId, {
+          latitude,
+          longitude,
+          accuracy: data.accuracy,
+          speed: data.speed,
+          heading: data.heading,
+        }).catch((err) => console.error("[SocketService] Breadcrumb persist error:", err?.message || err));
+        this.refreshLiveEta(technicianId, latitude, longitude);
+        this.checkGeofenceArrival(technicianId, { latitude, longitude, accuracy: data.accuracy });
       });
 
       socket.on("disconnect", () => {
@@ -88,6 +215,50 @@ class SocketService {
     });
   }
 
+  notifyAdmins(event, data) {
+    if (!this.io) return;
+    this.io.to(ADMIN_ROOM).emit(event, data);
+  }
+
+  /**
+   * Recompute the ETA for the technician's en-route job (throttled) and publish it as
+   * `job:eta_update` to the request room; the first update under the nearby threshold
+   * also notifies the customer with a push.
+   */
+  refreshLiveEta(technicianId, latitude, longitude) {
+    recomputeLiveEta(technicianId, latitude, longitude)
+      .then((update) => {
+        if (!update || !this.io) return;
+        const { userId, nearby, ...payload } = update;
+        this.io.to(`request_${update.requestId}`).emit("job:eta_update", payload);
+        if (nearby) {
+          this.notifyUser(userId, "job:technician_nearby", payload);
+        }
+      })
+      .catch((err) => console.error("[SocketService] Live ETA error:", err?.message || err));
+  }
+
+  /**
+   * Mark the technician's en-route job as arrived once they are inside the geofence, then
+   * tell both sides exactly as a manual `arrived` status update would.
+   */
+  checkGeofenceArrival(technicianId, ping) {
+    detectGeofenceArrival(technicianId, ping)
+      .then((arrival) => {
+        if (!arrival) return;
+        const payload = {
+          requestId: arrival.requestId,
+          status: "arrived",
+          technicianId: arrival.technicianId,
+          arrived_at: arrival.arrivedAt,
+          arrival_source: arrival.source,
+        };
+        this.notifyUser(arrival.userId, "job:status_update", payload);
+        this.notifyTechnician(arrival.technicianId, "job:status_update", payload);
+      })
+      .catch((err) => console.error("[SocketService] Geofence arrival error:", err?.message || err));
+  }
+
   notifyAllTechnicians(event, data) {
     if (!this.io) return;
     this.io.emit(event, data);
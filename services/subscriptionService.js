@@ -0,0 +1,577 @@
+import { getPool } from "../db.js";
+import { postSubscriptionPayment } from "./ledgerService.js";
+import { dispatchOutboxSoon, enqueueOutbox, outboxNotifyUser } from "./outboxService.js";
+import { getPlatformPricingConfig, getSubscriptionPlanById } from "./platformPricing.js";
+
+/**
+ * Customer subscriptions with billing periods.
+ *
+ * Every paid period is one user_subscriptions row:
+ *   pending -> (payment captured) -> scheduled | active -> grace -> expired
+ * A renewal paid before the current period ends is `scheduled` to start when it does. When a
+ * period runs out without a renewal the plan stays on for SUBSCRIPTION_GRACE_DAYS (`grace`); a
+ * renewal paid during grace starts at the old period end, so billing dates do not drift.
+ *
+ * Changing plan takes effect immediately: the unused part of the current period is credited
+ * against the new plan's price and the old row becomes `superseded`. When the credit is larger
+ * than the new price (a downgrade) the rest extends the new period instead of being refunded.
+ *
+ * Rows are only activated by a captured payment (the Razorpay webhook, or checkout verification
+ * after the payment has been fetched from the gateway). users.subscription mirrors the plan of
+ * the active/grace row and falls back to `free`, so dispatch priority keeps reading it.
+ */
+
+const FREE_PLAN_ID = "free";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SUBSCRIPTION_GRACE_DAYS = Math.max(0, Number(process.env.SUBSCRIPTION_GRACE_DAYS ?? 3) || 0);
+// Remind the user this many days before a period ends with nothing scheduled after it.
+const SUBSCRIPTION_RENEWAL_REMINDER_DAYS = Math.max(0, Number(process.env.SUBSCRIPTION_RENEWAL_REMINDER_DAYS ?? 3) || 0);
+// Unpaid checkout rows are marked abandoned after this long.
+const SUBSCRIPTION_PENDING_ORDER_TTL_HOURS = Math.max(1, Number(process.env.SUBSCRIPTION_PENDING_ORDER_TTL_HOURS || 24));
+const SUBSCRIPTION_MONITOR_POLL_MS = Math.max(60000, Number(process.env.SUBSCRIPTION_MONITOR_POLL_MS || 300000));
+
+const CURRENT_STATUSES = ["active", "grace", "scheduled"];
+const PLAN_CHANGE_KINDS = new Set(["upgrade", "downgrade"]);
+
+let subscriptionMonitorTimer = null;
+let subscriptionMonitorBusy = false;
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + Number(days) * DAY_MS);
+}
+
+function serializeSubscription(row) {
+  return {
+    id: Number(row.id),
+    userId: Number(row.user_id),
+    planId: row.plan_id,
+    planName: row.plan_name,
+    planAmount: roundMoney(row.plan_amount),
+    periodDays: Number(row.period_days),
+    kind: row.kind,
+    status: row.status,
+    amount: roundMoney(row.amount),
+    prorationCredit: roundMoney(row.proration_credit),
+    previousSubscriptionId: row.previous_subscription_id == null ? null : Number(row.previous_subscription_id),
+    periodStart: toDate(row.period_start),
+    periodEnd: toDate(row.period_end),
+    graceUntil: toDate(row.grace_until),
+    razorpayOrderId: row.razorpay_order_id,
+    razorpayPaymentId: row.razorpay_payment_id,
+    paidAt: toDate(row.paid_at),
+    endedAt: toDate(row.ended_at),
+    endReason: row.end_reason,
+    createdAt: toDate(row.created_at),
+  };
+}
+
+async function loadCurrentRows(db, userId, { forUpdate = false } = {}) {
+  const [rows] = await db.query(
+    `SELECT * FROM user_subscriptions
+     WHERE user_id = ? AND status IN (?)
+     ORDER BY period_start, id${forUpdate ? " FOR UPDATE" : ""}`,
+    [userId, CURRENT_STATUSES]
+  );
+  return {
+    current: (rows || []).find((row) => row.status === "active" || row.status === "grace") || null,
+    scheduled: (rows || []).filter((row) => row.status === "scheduled"),
+  };
+}
+
+/**
+ * Unused value of an active period, pro rata by time.
+ */
+function unusedCredit(row, now) {
+  if (!row || row.status !== "active") return 0;
+  const start = new Date(row.period_start).getTime();
+  const end = new Date(row.period_end).getTime();
+  if (!(end > start)) return 0;
+  const remaining = Math.min(end - start, Math.max(0, end - now.getTime()));
+  return roundMoney((Number(row.plan_amount) * remaining) / (end - start));
+}
+
+/**
+ * Price the purchase of `planId` for a user: a new subscription, a renewal of the plan they are
+ * on, or a prorated upgrade/downgrade. Without `planId` the user's current plan is renewed.
+ */
+export async function quoteSubscription(userId, planId = null) {
+  const pool = await getPool();
+  const { current, scheduled } = await loadCurrentRows(pool, userId);
+  const tail = scheduled[scheduled.length - 1] || current;
+
+  const requestedPlanId = planId || tail?.plan_id;
+  if (!requestedPlanId) throw createHttpError("There is no subscription to renew.", 409);
+
+  const pricingConfig = await getPlatformPricingConfig();
+  const plan = getSubscriptionPlanById(requestedPlanId, pricingConfig);
+  if (!plan || plan.active === false) throw createHttpError("Invalid or inactive planId", 400);
+  if (!(Number(plan.amount) > 0)) {
+    throw createHttpError("Selected plan does not require online payment", 400);
+  }
+
+  const now = new Date();
+  const quote = {
+    planId: plan.id,
+    planName: plan.name,
+    planAmount: roundMoney(plan.amount),
+    periodDays: plan.period_days,
+    currency: pricingConfig.currency || "INR",
+    kind: "new",
+    amount: roundMoney(plan.amount),
+    prorationCredit: 0,
+    previousSubscriptionId: null,
+    startsAt: null,
+  };
+
+  if (tail && tail.plan_id === plan.id) {
+    return {
+      ...quote,
+      kind: "renewal",
+      previousSubscriptionId: Number(tail.id),
+      startsAt: toDate(tail.period_end),
+    };
+  }
+  if (!current) return quote;
+
+  if (scheduled.length > 0) {
+    throw createHttpError("A renewal is already scheduled; change plan once it has started.", 409);
+  }
+  const credit = unusedCredit(current, now);
+  return {
+    ...quote,
+    kind: Number(plan.amount) > Number(current.plan_amount) ? "upgrade" : "downgrade",
+    amount: roundMoney(Math.max(0, Number(plan.amount) - credit)),
+    prorationCredit: credit,
+    previousSubscriptionId: Number(current.id),
+    startsAt: now,
+  };
+}
+
+/**
+ * Move a user's rows along as time passes: start scheduled periods, put lapsed periods into
+ * grace, expire finished grace periods, and mirror the resulting plan onto users.subscription.
+ * Call on `conn` inside a transaction. Returns { current, entries } with outbox entries.
+ */
+async function advanceUserSubscriptions(conn, userId, now = new Date()) {
+  const { current: loadedCurrent, scheduled } = await loadCurrentRows(conn, userId, { forUpdate: true });
+  let current = loadedCurrent;
+  const entries = [];
+
+  for (;;) {
+    const next = scheduled[0] && new Date(scheduled[0].period_start) <= now ? scheduled[0] : null;
+    if (current && next && (current.status === "grace" || new Date(current.period_end) <= now)) {
+      await conn.query(
+        "UPDATE user_subscriptions SET status = 'expired', ended_at = ?, end_reason = 'renewed' WHERE id = ?",
+        [now, current.id]
+      );
+      current = null;
+    }
+    if (!current && next) {
+      scheduled.shift();
+      await conn.query("UPDATE user_subscriptions SET status = 'active' WHERE id = ?", [next.id]);
+      current = { ...next, status: "active" };
+      continue;
+    }
+    if (!current) break;
+
+    if (current.status === "active" && new Date(current.period_end) <= now) {
+      const graceUntil = addDays(current.period_end, SUBSCRIPTION_GRACE_DAYS);
+      await conn.query(
+        "UPDATE user_subscriptions SET status = 'grace', grace_until = ? WHERE id = ?",
+        [graceUntil, current.id]
+      );
+      current = { ...current, status: "grace", grace_until: graceUntil };
+      if (graceUntil > now) {
+        entries.push(outboxNotifyUser(userId, "user:subscription_grace", {
+          subscriptionId: Number(current.id),
+          planId: current.plan_id,
+          graceUntil,
+          message: "Your plan has run out. Renew before the grace period ends to keep your benefits.",
+        }, { dedupeKey: `subscription_grace:${current.id}` }));
+      }
+      continue;
+    }
+    if (current.status === "grace" && new Date(current.grace_until) <= now) {
+      await conn.query(
+        "UPDATE user_subscriptions SET status = 'expired', ended_at = ?, end_reason = 'lapsed' WHERE id = ?",
+        [now, current.id]
+      );
+      entries.push(outboxNotifyUser(userId, "user:subscription_expired", {
+        subscriptionId: Number(current.id),
+        planId: current.plan_id,
+        message: "Your plan has expired. You are back on pay-as-you-go.",
+      }, { dedupeKey: `subscription_expired:${current.id}` }));
+      current = null;
+      continue;
+    }
+    break;
+  }
+
+  await conn.query("UPDATE users SET subscription = ? WHERE id = ?", [current ? current.plan_id : FREE_PLAN_ID, userId]);
+  return { current, entries };
+}
+
+/**
+ * Place a paid (or fully credited) row into the user's timeline. Plan changes start now and
+ * supersede the current period; new subscriptions and renewals queue after the last period.
+ */
+async function activateSubscriptionRow(conn, row, now = new Date()) {
+  const { current, scheduled } = await loadCurrentRows(conn, row.user_id, { forUpdate: true });
+  const periodDays = Number(row.period_days);
+  let periodStart;
+  let periodEnd;
+
+  if (PLAN_CHANGE_KINDS.has(row.kind) && current) {
+    const planAmount = Number(row.plan_amount);
+    const surplus = Math.max(0, Number(row.proration_credit) - planAmount);
+    const bonusDays = planAmount > 0 ? (surplus / planAmount) * periodDays : 0;
+    periodStart = now;
+    periodEnd = addDays(now, periodDays + bonusDays);
+    await conn.query(
+      "UPDATE user_subscriptions SET status = 'superseded', ended_at = ?, end_reason = 'plan_change' WHERE id = ?",
+      [now, current.id]
+    );
+    // Already-paid renewals keep their length and move behind the new period.
+    let cursor = periodEnd;
+    for (const upcoming of scheduled) {
+      const length = new Date(upcoming.period_end).getTime() - new Date(upcoming.period_start).getTime();
+      const upcomingEnd = new Date(cursor.getTime() + length);
+      await conn.query(
+        "UPDATE user_subscriptions SET period_start = ?, period_end = ? WHERE id = ?",
+        [cursor, upcomingEnd, upcoming.id]
+      );
+      cursor = upcomingEnd;
+    }
+  } else {
+    const tail = scheduled[scheduled.length - 1] || current;
+    periodStart = tail ? new Date(tail.period_end) : now;
+    periodEnd = addDays(periodStart, periodDays);
+  }
+
+  await conn.query(
+    `UPDATE user_subscriptions
+     SET status = 'scheduled', period_start = ?, period_end = ?, previous_subscription_id = COALESCE(previous_subscription_id, ?)
+     WHERE id = ?`,
+    [periodStart, periodEnd, current?.id || null, row.id]
+  );
+
+  const { current: after, entries } = await advanceUserSubscriptions(conn, row.user_id, now);
+  const startedNow = Number(after?.id) === Number(row.id);
+  entries.push(outboxNotifyUser(row.user_id, "user:subscription_activated", {
+    subscriptionId: Number(row.id),
+    planId: row.plan_id,
+    status: startedNow ? "active" : "scheduled",
+    periodStart,
+    periodEnd,
+    message: startedNow
+      ? `Your ${row.plan_name || row.plan_id} plan is active.`
+      : `Your ${row.plan_name || row.plan_id} renewal starts when the current period ends.`,
+  }, { dedupeKey: `subscription_activated:${row.id}` }));
+  return entries;
+}
+
+async function getSubscriptionRow(db, id) {
+  const [rows] = await db.query("SELECT * FROM user_subscriptions WHERE id = ? LIMIT 1", [id]);
+  return rows?.[0] || null;
+}
+
+/**
+ * Record a checkout for a quote. `orderId` is the Razorpay order the user will pay; without one
+ * (a plan change fully covered by the proration credit) the row is activated straight away.
+ */
+export async function recordSubscriptionCheckout(userId, quote, { orderId = null } = {}) {
+  if (!orderId && quote.amount > 0) throw createHttpError("A payment order is required for this plan.", 400);
+
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  let entries = [];
+  let subscriptionId = null;
+  try {
+    await conn.beginTransaction();
+    const [result] = await conn.query(
+      `INSERT INTO user_subscriptions
+         (user_id, plan_id, plan_name, plan_amount, period_days, kind, status, amount, proration_credit,
+          previous_subscription_id, razorpay_order_id)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)`,
+      [
+        userId,
+        quote.planId,
+        quote.planName,
+        quote.planAmount,
+        quote.periodDays,
+        quote.kind,
+        quote.amount,
+        quote.prorationCredit,
+        quote.previousSubscriptionId,
+        orderId,
+      ]
+    );
+    subscriptionId = result.insertId;
+    const row = await getSubscriptionRow(conn, subscriptionId);
+    if (!orderId) {
+      entries = await activateSubscriptionRow(conn, row);
+      await enqueueOutbox(conn, entries);
+    }
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+
+  if (entries.length) dispatchOutboxSoon();
+  return serializeSubscription(await getSubscriptionRow(pool, subscriptionId));
+}
+
+/**
+ * Activate the subscription paid by a captured Razorpay payment. Idempotent per order.
+ * `amount` (rupees) is checked against the checkout when given. Orders created before
+ * user_subscriptions existed are recognised from their notes (userId, planId).
+ * Returns { processed, duplicate, reason, subscription }.
+ */
+export async function confirmSubscriptionPayment({ orderId, paymentId, amount = null, notes = null, userId = null }) {
+  const pool = await getPool();
+  const conn = await pool.getConnection();
+  let entries = [];
+  let subscriptionId = null;
+  try {
+    await conn.beginTransaction();
+    let [rows] = await conn.query(
+      "SELECT * FROM user_subscriptions WHERE razorpay_order_id = ? LIMIT 1 FOR UPDATE",
+      [orderId]
+    );
+    if (!rows?.[0] && notes?.type === "subscription" && Number(notes.userId) > 0 && notes.planId) {
+      const plan = getSubscriptionPlanById(notes.planId, await getPlatformPricingConfig());
+      if (plan) {
+        await conn.query(
+          `INSERT INTO user_subscriptions
+             (user_id, plan_id, plan_name, plan_amount, period_days, kind, status, amount, razorpay_order_id)
+           VALUES (?, ?, ?, ?, ?, 'new', 'pending', ?, ?)`,
+          [Number(notes.userId), plan.id, plan.name, plan.amount, plan.period_days, roundMoney(amount ?? notes.planAmount ?? plan.amount), orderId]
+        );
+        [rows] = await conn.query(
+          "SELECT * FROM user_subscriptions WHERE razorpay_order_id = ? LIMIT 1 FOR UPDATE",
+          [orderId]
+        );
+      }
+    }
+    const row = rows?.[0];
+    if (!row) {
+      await conn.commit();
+      return { processed: false, duplicate: false, reason: "unknown_order", subscription: null };
+    }
+    if (userId != null && Number(row.user_id) !== Number(userId)) {
+      throw createHttpError("Order does not belong to this user.", 400);
+    }
+    subscriptionId = row.id;
+
+    if (row.status !== "pending" && row.status !== "abandoned") {
+      await conn.commit();
+      return { processed: true, duplicate: true, reason: null, subscription: serializeSubscription(row) };
+    }
+    if (amount != null && Math.abs(Number(amount) - Number(row.amount)) > 0.01) {
+      await conn.commit();
+      console.error(`[Subscriptions] Order ${orderId} captured ${amount} but the checkout was for ${row.amount}.`);
+      return { processed: false, duplicate: false, reason: "amount_mismatch", subscription: serializeSubscription(row) };
+    }
+
+    await conn.query(
+      "UPDATE user_subscriptions SET razorpay_payment_id = ?, paid_at = ? WHERE id = ?",
+      [paymentId, new Date(), row.id]
+    );
+    await postSubscriptionPayment(conn, { subscriptionId: row.id, amount: row.amount, gatewayPaymentId: paymentId });
+    entries = await activateSubscriptionRow(conn, row);
+    await enqueueOutbox(conn, entries);
+    await conn.commit();
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+
+  if (entries.length) dispatchOutboxSoon();
+  return {
+    processed: true,
+    duplicate: false,
+    reason: null,
+    subscription: serializeSubscription(await getSubscriptionRow(pool, subscriptionId)),
+  };
+}
+
+/**
+ * The user's current plan: the active (or grace) period plus paid renewals queued after it.
+ */
+export async function getUserSubscription(userId) {
+  const pool = await getPool();
+  const { current, scheduled } = await loadCurrentRows(pool, userId);
+  const now = Date.now();
+  return {
+    planId: current ? current.plan_id : FREE_PLAN_ID,
+    status: current ? current.status : "none",
+    current: current ? serializeSubscription(current) : null,
+    upcoming: scheduled.map(serializeSubscription),
+    daysRemaining: current?.status === "active"
+      ? Math.max(0, Math.ceil((new Date(current.period_end).getTime() - now) / DAY_MS))
+      : 0,
+    renewsOn: current ? toDate((scheduled[scheduled.length - 1] || current).period_end) : null,
+  };
+}
+
+/**
+ * Paid periods, newest first. Unpaid checkouts are left out unless `includeUnpaid` is set.
+ */
+export async function listSubscriptionHistory(userId, { limit = 50, includeUnpaid = false } = {}) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT * FROM user_subscriptions
+     WHERE user_id = ?${includeUnpaid ? "" : " AND status NOT IN ('pending', 'abandoned')"}
+     ORDER BY created_at DESC, id DESC
+     LIMIT ?`,
+    [userId, Math.min(200, Math.max(1, Number(limit) || 50))]
+  );
+  return (rows || []).map(serializeSubscription);
+}
+
+/**
+ * Give users who bought a plan before billing periods existed one period from now, so their
+ * plan renews or expires like everyone else's. Safe to run on every start.
+ */
+export async function backfillLegacySubscriptions(connOrPool) {
+  const [users] = await connOrPool.query(
+    `SELECT u.id, u.subscription
+     FROM users u
+     LEFT JOIN user_subscriptions s ON s.user_id = u.id
+     WHERE u.subscription IS NOT NULL AND u.subscription <> ? AND s.id IS NULL`,
+    [FREE_PLAN_ID]
+  );
+  if (!users?.length) return 0;
+
+  const pricingConfig = await getPlatformPricingConfig();
+  const now = new Date();
+  const values = [];
+  for (const user of users) {
+    const plan = getSubscriptionPlanById(user.subscription, pricingConfig);
+    if (!plan || !(Number(plan.amount) > 0)) continue;
+    values.push([user.id, plan.id, plan.name, plan.amount, plan.period_days, "legacy", "active", 0, now, addDays(now, plan.period_days)]);
+  }
+  if (!values.length) return 0;
+  const [result] = await connOrPool.query(
+    `INSERT INTO user_subscriptions
+       (user_id, plan_id, plan_name, plan_amount, period_days, kind, status, amount, period_start, period_end)
+     VALUES ?`,
+    [values]
+  );
+  return Number(result?.affectedRows || 0);
+}
+
+/**
+ * One monitor pass: abandon stale checkouts, move due periods along and send renewal reminders.
+ */
+export async function processSubscriptionLifecycle({ limit = 200 } = {}) {
+  const pool = await getPool();
+  const now = new Date();
+
+  const [abandonResult] = await pool.query(
+    `UPDATE user_subscriptions SET status = 'abandoned'
+     WHERE status = 'pending' AND created_at < NOW() - INTERVAL ? HOUR`,
+    [SUBSCRIPTION_PENDING_ORDER_TTL_HOURS]
+  );
+
+  const [dueUsers] = await pool.query(
+    `SELECT DISTINCT user_id FROM user_subscriptions
+     WHERE (status = 'active' AND period_end <= ?)
+        OR (status = 'grace' AND grace_until <= ?)
+        OR (status = 'scheduled' AND period_start <= ?)
+     LIMIT ?`,
+    [now, now, now, limit]
+  );
+
+  let advanced = 0;
+  let notified = 0;
+  for (const { user_id: userId } of dueUsers || []) {
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const { entries } = await advanceUserSubscriptions(conn, userId, now);
+      notified += await enqueueOutbox(conn, entries);
+      await conn.commit();
+      advanced += 1;
+    } catch (err) {
+      await conn.rollback();
+      console.error(`[Subscriptions] Failed to advance subscriptions for user ${userId}:`, err?.message || err);
+    } finally {
+      conn.release();
+    }
+  }
+
+  let reminded = 0;
+  if (SUBSCRIPTION_RENEWAL_REMINDER_DAYS > 0) {
+    const [expiring] = await pool.query(
+      `SELECT s.* FROM user_subscriptions s
+       WHERE s.status = 'active' AND s.period_end <= ? AND s.renewal_reminder_sent_at IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM user_subscriptions n WHERE n.user_id = s.user_id AND n.status = 'scheduled'
+         )
+       LIMIT ?`,
+      [addDays(now, SUBSCRIPTION_RENEWAL_REMINDER_DAYS), limit]
+    );
+    for (const row of expiring || []) {
+      const [result] = await pool.query(
+        "UPDATE user_subscriptions SET renewal_reminder_sent_at = ? WHERE id = ? AND renewal_reminder_sent_at IS NULL",
+        [now, row.id]
+      );
+      if (!result?.affectedRows) continue;
+      notified += await enqueueOutbox(pool, [
+        outboxNotifyUser(row.user_id, "user:subscription_renewal_due", {
+          subscriptionId: Number(row.id),
+          planId: row.plan_id,
+          periodEnd: toDate(row.period_end),
+          amount: roundMoney(row.plan_amount),
+          message: `Your ${row.plan_name || row.plan_id} plan ends soon. Renew to keep your benefits.`,
+        }, { dedupeKey: `subscription_renewal_due:${row.id}` }),
+      ]);
+      reminded += 1;
+    }
+  }
+
+  if (notified > 0) dispatchOutboxSoon();
+  return { abandoned: Number(abandonResult?.affectedRows || 0), advanced, reminded };
+}
+
+export function startSubscriptionMonitor() {
+  if (subscriptionMonitorTimer) return;
+
+  subscriptionMonitorTimer = setInterval(() => {
+    if (subscriptionMonitorBusy) return;
+    subscriptionMonitorBusy = true;
+    processSubscriptionLifecycle()
+      .catch((err) => console.error("[Subscriptions] Monitor tick failed:", err?.message || err))
+      .finally(() => {
+        subscriptionMonitorBusy = false;
+      });
+  }, SUBSCRIPTION_MONITOR_POLL_MS);
+  subscriptionMonitorTimer.unref?.();
+  console.log(`[Subscriptions] Monitor started (poll ${SUBSCRIPTION_MONITOR_POLL_MS}ms, grace ${SUBSCRIPTION_GRACE_DAYS}d).`);
+}
+
+export function stopSubscriptionMonitor() {
+  if (!subscriptionMonitorTimer) return;
+  clearInterval(subscriptionMonitorTimer);
+  subscriptionMonitorTimer = null;
+}
@@ -0,0 +1,270 @@
+import { getPool } from "../db.js";
+import { buildBoundingBox, findTechniciansNearLocation, toGeoCell } from "./technicianGeoIndex.js";
+import { isWithinWorkingHours } from "./workingHours.js";
+import { getServiceZoneById, isPointInZone, listServiceZones } from "./serviceZoneService.js";
+
+/**
+ * Demand-based surge pricing.
+ * Demand is the number of open (pending) requests created in the last SURGE_WINDOW_MINUTES in the
+ * zone (or within SURGE_RADIUS_KM for unzoned locations); supply is approved, active, available
+ * technicians there who are on shift. Once demand reaches SURGE_MIN_OPEN_REQUESTS, every full
+ * SURGE_RATIO_THRESHOLD of demand/supply above 1:1 adds SURGE_STEP to the multiplier, capped at
+ * SURGE_MAX_MULTIPLIER (or the zone's pricing_overrides.surge_max_multiplier).
+ * An active admin override (zone-specific first, then global) replaces the computed value.
+ * The multiplier is locked on the request row at creation; payment quotes reuse it.
+ */
+
+const SURGE_PRICING_ENABLED = String(process.env.SURGE_PRICING_ENABLED || "true").trim().toLowerCase() !== "false";
+const SURGE_WINDOW_MINUTES = Math.max(5, Number(process.env.SURGE_WINDOW_MINUTES || 30));
+const SURGE_RADIUS_KM = Math.max(1, Number(process.env.SURGE_RADIUS_KM || 10));
+const SURGE_MIN_OPEN_REQUESTS = Math.max(1, Number(process.env.SURGE_MIN_OPEN_REQUESTS || 3));
+const SURGE_RATIO_THRESHOLD = Math.max(0.1, Number(process.env.SURGE_RATIO_THRESHOLD || 1));
+const SURGE_STEP = Math.max(0, Number(process.env.SURGE_STEP || 0.25));
+const SURGE_MAX_MULTIPLIER = Math.max(1, Number(process.env.SURGE_MAX_MULTIPLIER || 2));
+const SURGE_CACHE_TTL_MS = Math.max(0, Number(process.env.SURGE_CACHE_TTL_MS || 60000));
+
+// Hard bounds for admin overrides; an override of 1.00 switches surge off for its window.
+const SURGE_OVERRIDE_MIN_MULTIPLIER = 1;
+const SURGE_OVERRIDE_MAX_MULTIPLIER = 5;
+
+const NO_SURGE = Object.freeze({ multiplier: 1, source: "none" });
+
+const surgeCache = new Map();
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function toFiniteNumber(value) {
+  if (value == null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+const roundMultiplier = (value) => Math.round(Number(value) * 100) / 100;
+
+export function normalizeSurgeMultiplier(value) {
+  const parsed = toFiniteNumber(value);
+  if (parsed == null || parsed <= 1) return 1;
+  return roundMultiplier(Math.min(SURGE_OVERRIDE_MAX_MULTIPLIER, parsed));
+}
+
+function resolveZoneCap(zone) {
+  const zoneCap = toFiniteNumber(zone?.pricing_overrides?.surge_max_multiplier);
+  return zoneCap != null && zoneCap >= 1 ? Math.min(zoneCap, SURGE_OVERRIDE_MAX_MULTIPLIER) : SURGE_MAX_MULTIPLIER;
+}
+
+/**
+ * Multiplier for a demand/supply pair; supply of zero counts as one technician.
+ */
+export function computeSurgeMultiplier(demand, supply, cap = SURGE_MAX_MULTIPLIER) {
+  const openRequests = Math.max(0, Number(demand) || 0);
+  if (openRequests < SURGE_MIN_OPEN_REQUESTS) return 1;
+
+  const ratio = openRequests / Math.max(1, Number(supply) || 0);
+  const steps = Math.floor(Math.max(0, ratio - 1) / SURGE_RATIO_THRESHOLD);
+  return roundMultiplier(Math.min(cap, 1 + steps * SURGE_STEP));
+}
+
+// Circle enclosing the zone, used to prefilter technicians before the exact zone test.
+function zoneSearchArea(zone) {
+  if (zone.zone_type === "polygon" && Array.isArray(zone.polygon) && zone.polygon.length >= 3) {
+    const lats = zone.polygon.map((point) => point.lat);
+    const lngs = zone.polygon.map((point) => point.lng);
+    const latitude = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const longitude = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+    const radiusKm = Math.max(
+      ...zone.polygon.map((point) => Math.hypot(point.lat - latitude, (point.lng - longitude) * Math.cos((latitude * Math.PI) / 180)) * 111.32)
+    );
+    return { latitude, longitude, radiusKm: Math.max(1, radiusKm) };
+  }
+  return { latitude: zone.center_lat, longitude: zone.center_lng, radiusKm: zone.radius_km };
+}
+
+async function findActiveOverride(pool, zoneId, at) {
+  const [rows] = await pool.query(
+    `SELECT id, zone_id, multiplier, starts_at, ends_at, reason
+     FROM surge_overrides
+     WHERE is_active = TRUE
+       AND starts_at <= ?
+       AND (ends_at IS NULL OR ends_at > ?)
+       AND (zone_id = ? OR zone_id IS NULL)
+     ORDER BY zone_id IS NULL ASC, starts_at DESC, id DESC
+     LIMIT 1`,
+    [at, at, zoneId ?? 0]
+  );
+  return rows?.[0] || null;
+}
+
+async function measureDemandAndSupply(pool, { zone, latitude, longitude, at }) {
+  const area = zone
+    ? zoneSearchArea(zone)
+    : { latitude: toFiniteNumber(latitude), longitude: toFiniteNumber(longitude), radiusKm: SURGE_RADIUS_KM };
+  if (area.latitude == null || area.longitude == null) return null;
+
+  const containsPoint = zone
+    ? (lat, lng) => isPointInZone(zone, lat, lng)
+    : (lat, lng) =>
+      isPointInZone(
+        { zone_type: "radius", center_lat: area.latitude, center_lng: area.longitude, radius_km: area.radiusKm },
+        lat,
+        lng
+      );
+
+  let demand = 0;
+  if (zone) {
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) AS open_count
+       FROM service_requests
+       WHERE zone_id = ? AND status = 'pending' AND created_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+      [zone.id, SURGE_WINDOW_MINUTES]
+    );
+    demand = Number(rows?.[0]?.open_count || 0);
+  } else {
+    const box = buildBoundingBox(area.latitude, area.longitude, area.radiusKm);
+    const [rows] = await pool.query(
+      `SELECT location_lat, location_lng
+       FROM service_requests
+       WHERE status = 'pending'
+         AND created_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+         AND location_lat BETWEEN ? AND ?
+         AND location_lng BETWEEN ? AND ?`,
+      [SURGE_WINDOW_MINUTES, box.minLat, box.maxLat, box.minLng, box.maxLng]
+    );
+    demand = (rows || []).filter((row) => containsPoint(row.location_lat, row.location_lng)).length;
+  }
+
+  const nearby = await findTechniciansNearLocation({
+    latitude: area.latitude,
+    longitude: area.longitude,
+    radiusKm: area.radiusKm,
+    where: "status = 'approved' AND is_active = TRUE AND is_available = TRUE AND current_job_id IS NULL",
+    pool,
+  });
+  const supply = nearby.filter(
+    (tech) => containsPoint(tech.latitude, tech.longitude) && isWithinWorkingHours(tech.working_hours, at)
+  ).length;
+
+  return { demand, supply };
+}
+
+/**
+ * Surge for a location at a point in time.
+ * Returns { multiplier, source: "none" | "demand" | "override", zoneId, demand, supply, ... }.
+ * Scheduled slots only pick up overrides; live demand says nothing about a future window.
+ */
+export async function resolveSurge({ zone = null, latitude, longitude, at = new Date(), scheduled = false } = {}) {
+  const pool = await getPool();
+  const zoneId = zone?.id ?? null;
+
+  const override = await findActiveOverride(pool, zoneId, at);
+  if (override) {
+    return {
+      multiplier: normalizeSurgeMultiplier(override.multiplier),
+      source: "override",
+      zoneId,
+      overrideId: override.id,
+      reason: override.reason || null,
+    };
+  }
+  if (!SURGE_PRICING_ENABLED || scheduled) return { ...NO_SURGE, zoneId };
+
+  const cell = zone ? null : toGeoCell(latitude, longitude);
+  const cacheKey = zone ? `zone:${zone.id}` : cell ? `cell:${cell.cellLat}:${cell.cellLng}` : null;
+  if (!cacheKey) return { ...NO_SURGE, zoneId };
+
+  const cached = surgeCache.get(cacheKey);
+  if (cached && Date.now() - cached.computedAt < SURGE_CACHE_TTL_MS) return cached.value;
+
+  const measured = await measureDemandAndSupply(pool, { zone, latitude, longitude, at });
+  if (!measured) return { ...NO_SURGE, zoneId };
+
+  const multiplier = computeSurgeMultiplier(measured.demand, measured.supply, resolveZoneCap(zone));
+  const value = {
+    multiplier,
+    source: multiplier > 1 ? "demand" : "none",
+    zoneId,
+    demand: measured.demand,
+    supply: measured.supply,
+    windowMinutes: SURGE_WINDOW_MINUTES,
+  };
+  surgeCache.set(cacheKey, { computedAt: Date.now(), value });
+  return value;
+}
+
+/**
+ * Current surge for every active zone, bypassing the cache (admin view).
+ */
+export async function getSurgeSnapshot() {
+  surgeCache.clear();
+  const zones = await listServiceZones();
+  const snapshot = [];
+  for (const zone of zones) {
+    snapshot.push({ zoneName: zone.name, ...(await resolveSurge({ zone })) });
+  }
+  return {
+    enabled: SURGE_PRICING_ENABLED,
+    windowMinutes: SURGE_WINDOW_MINUTES,
+    minOpenRequests: SURGE_MIN_OPEN_REQUESTS,
+    ratioThreshold: SURGE_RATIO_THRESHOLD,
+    step: SURGE_STEP,
+    maxMultiplier: SURGE_MAX_MULTIPLIER,
+    zones: snapshot,
+  };
+}
+
+function parseOverrideDate(value, field) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw badRequest(`${field} must be a valid date-time.`);
+  return date;
+}
+
+export async function listSurgeOverrides({ includeExpired = false } = {}) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT o.*, z.name AS zone_name
+     FROM surge_overrides o
+     LEFT JOIN service_zones z ON z.id = o.zone_id
+     ${includeExpired ? "" : "WHERE o.is_active = TRUE AND (o.ends_at IS NULL OR o.ends_at > NOW())"}
+     ORDER BY o.starts_at DESC, o.id DESC`
+  );
+  return (rows || []).map((row) => ({ ...row, multiplier: Number(row.multiplier), is_active: !!row.is_active }));
+}
+
+export async function createSurgeOverride(input = {}, createdBy = null) {
+  const multiplier = toFiniteNumber(input.multiplier);
+  if (multiplier == null || multiplier < SURGE_OVERRIDE_MIN_MULTIPLIER || multiplier > SURGE_OVERRIDE_MAX_MULTIPLIER) {
+    throw badRequest(
+      `multiplier must be between ${SURGE_OVERRIDE_MIN_MULTIPLIER} and ${SURGE_OVERRIDE_MAX_MULTIPLIER}.`
+    );
+  }
+
+  let zoneId = null;
+  if (input.zone_id != null && input.zone_id !== "") {
+    const zone = await getServiceZoneById(input.zone_id);
+    if (!zone) throw badRequest("zone_id does not match a service zone.");
+    zoneId = zone.id;
+  }
+
+  const startsAt = input.starts_at ? parseOverrideDate(input.starts_at, "starts_at") : new Date();
+  const endsAt = input.ends_at ? parseOverrideDate(input.ends_at, "ends_at") : null;
+  if (endsAt && endsAt <= startsAt) throw badRequest("ends_at must be after starts_at.");
+
+  const pool = await getPool();
+  const [result] = await pool.query(
+    `INSERT INTO surge_overrides (zone_id, multiplier, starts_at, ends_at, reason, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [zoneId, roundMultiplier(multiplier), startsAt, endsAt, String(input.reason || "").trim().slice(0, 255) || null, createdBy]
+  );
+  surgeCache.clear();
+  return { id: result.insertId, zone_id: zoneId, multiplier: roundMultiplier(multiplier), starts_at: startsAt, ends_at: endsAt };
+}
+
+export async function deactivateSurgeOverride(overrideId) {
+  const pool = await getPool();
+  const [result] = await pool.query("UPDATE surge_overrides SET is_active = FALSE WHERE id = ?", [overrideId]);
+  surgeCache.clear();
+  return Number(result?.affectedRows || 0) > 0;
+}
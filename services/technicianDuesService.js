@@ -0,0 +1,202 @@
+import { getPool } from "../db.js";
+import { outboxNotifyAdmins, outboxNotifyTechnician } from "./outboxService.js";
+
+/**
+ * Platform commission owed by technicians on cash jobs.
+ *
+ * Every completed cash payment the technician has not settled (`payments.is_settled = FALSE`) is a
+ * due; a `technician_dues` row is written per cash job for the statement. The running total is
+ * cached in `technicians.pending_dues` so dispatch can check the credit limit from the technician
+ * row without another query. Technicians over their limit are not offered jobs
+ * (`dues_limit_exceeded`) until they pay through `/api/technicians/me/pay-dues`.
+ */
+
+// Default credit limit in rupees; 0 disables the limit. technicians.dues_credit_limit overrides it.
+const TECHNICIAN_DUES_CREDIT_LIMIT = Math.max(0, Number(process.env.TECHNICIAN_DUES_CREDIT_LIMIT ?? 2000) || 0);
+// Remind the technician once their dues pass this share of the limit.
+const TECHNICIAN_DUES_REMINDER_PERCENT = Math.min(
+  100,
+  Math.max(1, Number(process.env.TECHNICIAN_DUES_REMINDER_PERCENT ?? 80) || 80)
+);
+
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+/**
+ * Credit limit that applies to a technician row; 0 means unlimited.
+ */
+export function getTechnicianDuesLimit(tech) {
+  const override = tech?.dues_credit_limit;
+  if (override != null && override !== "") return Math.max(0, roundMoney(override));
+  return TECHNICIAN_DUES_CREDIT_LIMIT;
+}
+
+export function isDuesLimitExceeded(tech) {
+  const limit = getTechnicianDuesLimit(tech);
+  return limit > 0 && roundMoney(tech?.pending_dues) > limit;
+}
+
+/**
+ * Dues summary for a technician row (needs pending_dues and dues_credit_limit).
+ */
+export function describeTechnicianDues(tech) {
+  const pendingDues = roundMoney(tech?.pending_dues);
+  const creditLimit = getTechnicianDuesLimit(tech);
+  return {
+    pendingDues,
+    creditLimit: creditLimit > 0 ? creditLimit : null,
+    availableCredit: creditLimit > 0 ? roundMoney(Math.max(0, creditLimit - pendingDues)) : null,
+    limitExceeded: isDuesLimitExceeded(tech),
+  };
+}
+
+/**
+ * Recompute technicians.pending_dues from unsettled cash payments. Call it on `conn` whenever dues
+ * are created or settled. Returns { before, after, creditLimit }.
+ */
+export async function refreshTechnicianPendingDues(conn, technicianId) {
+  const [techRows] = await conn.query(
+    "SELECT id, pending_dues, dues_credit_limit FROM technicians WHERE id = ? FOR UPDATE",
+    [technicianId]
+  );
+  if (!techRows?.[0]) return null;
+
+  const [sumRows] = await conn.query(
+    `SELECT COALESCE(SUM(p.platform_fee), 0) AS pending
+     FROM payments p
+     JOIN service_requests sr ON sr.id = p.service_request_id
+     WHERE sr.technician_id = ? AND p.status = 'completed' AND p.is_settled = FALSE`,
+    [technicianId]
+  );
+  const after = roundMoney(sumRows?.[0]?.pending);
+  await conn.query("UPDATE technicians SET pending_dues = ? WHERE id = ?", [after, technicianId]);
+  return {
+    before: roundMoney(techRows[0].pending_dues),
+    after,
+    creditLimit: getTechnicianDuesLimit(techRows[0]),
+  };
+}
+
+/**
+ * Notifications for dues crossing the reminder threshold or the limit, for enqueueOutbox.
+ */
+function buildDuesThresholdNotifications(technicianId, { before, after, creditLimit }, requestId) {
+  if (!(creditLimit > 0) || after <= before) return [];
+  const reminderAt = roundMoney((creditLimit * TECHNICIAN_DUES_REMINDER_PERCENT) / 100);
+  const payload = { pendingDues: after, creditLimit, requestId: requestId || null };
+  const dedupeKey = `dues_threshold:${technicianId}:${requestId || "refresh"}`;
+
+  if (before <= creditLimit && after > creditLimit) {
+    return [
+      outboxNotifyTechnician(technicianId, "technician:dues_limit_exceeded", {
+        ...payload,
+        message: "Your unpaid commission is over your credit limit. Pay your dues to receive new jobs.",
+      }, { dedupeKey }),
+      outboxNotifyAdmins("admin:technician_dues_limit", { technicianId, ...payload }, { dedupeKey }),
+    ];
+  }
+  if (before < reminderAt && after >= reminderAt && after <= creditLimit) {
+    return [
+      outboxNotifyTechnician(technicianId, "technician:dues_reminder", {
+        ...payload,
+        availableCredit: roundMoney(creditLimit - after),
+        message: "Your unpaid commission is close to your credit limit. Pay your dues to keep receiving jobs.",
+      }, { dedupeKey }),
+    ];
+  }
+  return [];
+}
+
+/**
+ * Record the platform fee of a completed cash job as a technician due, inside the payment
+ * transaction. Returns outbox entries (reminder / limit notifications) for the caller to enqueue.
+ */
+export async function recordCashJobDue(conn, { technicianId, requestId, amount }) {
+  if (!technicianId) return [];
+  const fee = roundMoney(amount);
+  if (fee > 0) {
+    const [existing] = await conn.query(
+      "SELECT id FROM technician_dues WHERE technician_id = ? AND service_request_id = ? LIMIT 1",
+      [technicianId, requestId]
+    );
+    if (!existing?.length) {
+      await conn.query(
+        `INSERT INTO technician_dues (technician_id, service_request_id, amount, reason, status)
+         VALUES (?, ?, ?, 'cash_job_commission', 'pending')`,
+        [technicianId, requestId, fee]
+      );
+    }
+  }
+  const totals = await refreshTechnicianPendingDues(conn, technicianId);
+  return totals ? buildDuesThresholdNotifications(technicianId, totals, requestId) : [];
+}
+
+/**
+ * Rebuild pending_dues for every technician (startup; fixes rows written before the column existed).
+ */
+export async function syncTechnicianPendingDues(connOrPool) {
+  const [result] = await connOrPool.query(
+    `UPDATE technicians t
+     LEFT JOIN (
+       SELECT sr.technician_id, SUM(p.platform_fee) AS pending
+       FROM payments p
+       JOIN service_requests sr ON sr.id = p.service_request_id
+       WHERE p.status = 'completed' AND p.is_settled = FALSE AND sr.technician_id IS NOT NULL
+       GROUP BY sr.technician_id
+     ) d ON d.technician_id = t.id
+     SET t.pending_dues = COALESCE(d.pending, 0)`
+  );
+  return Number(result?.changedRows || 0);
+}
+
+/**
+ * Set (or clear with null) a technician's own credit limit.
+ */
+export async function setTechnicianDuesLimit(technicianId, creditLimit) {
+  const id = Number(technicianId);
+  if (!Number.isInteger(id) || id <= 0) throw createHttpError("technicianId must be a positive integer.", 400);
+  let value = null;
+  if (creditLimit != null && creditLimit !== "") {
+    value = Number(creditLimit);
+    if (!Number.isFinite(value) || value < 0) throw createHttpError("creditLimit must be a non-negative number or null.", 400);
+    value = roundMoney(value);
+  }
+
+  const pool = await getPool();
+  const [result] = await pool.query("UPDATE technicians SET dues_credit_limit = ? WHERE id = ?", [value, id]);
+  if (!result?.affectedRows) throw createHttpError("Technician not found.", 404);
+  const [rows] = await pool.query(
+    "SELECT id, name, pending_dues, dues_credit_limit FROM technicians WHERE id = ? LIMIT 1",
+    [id]
+  );
+  return { technicianId: id, name: rows[0].name, ...describeTechnicianDues(rows[0]) };
+}
+
+/**
+ * Technicians with unpaid commission, largest first. `status`: all | near_limit | over_limit.
+ */
+export async function listTechnicianDues({ status = "all", limit = 100 } = {}) {
+  const pool = await getPool();
+  const [rows] = await pool.query(
+    `SELECT id, name, phone, pending_dues, dues_credit_limit
+     FROM technicians
+     WHERE pending_dues > 0
+     ORDER BY pending_dues DESC`
+  );
+  const reminderShare = TECHNICIAN_DUES_REMINDER_PERCENT / 100;
+  return (rows || [])
+    .map((row) => ({ technicianId: Number(row.id), name: row.name, phone: row.phone, ...describeTechnicianDues(row) }))
+    .filter((row) => {
+      if (status === "over_limit") return row.limitExceeded;
+      if (status === "near_limit") return !row.limitExceeded && row.creditLimit != null && row.pendingDues >= row.creditLimit * reminderShare;
+      return true;
+    })
+    .slice(0, Math.min(500, Math.max(1, Number(limit) || 100)));
+}
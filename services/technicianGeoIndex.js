@@ -0,0 +1,155 @@
+import { getPool } from "../db.js";
+
+/**
+ * Grid-cell spatial index for technician lookups.
+ * Each technician row carries integer cell coordinates (geo_cell_lat/geo_cell_lng) derived from
+ * its last known position, so candidate queries can use an index range instead of a full scan.
+ * Eligibility is still decided by jobDispatchService.evaluateTechnicianForRequest.
+ */
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+export const GEO_CELL_SIZE_DEG = Math.min(1, Math.max(0.005, Number(process.env.GEO_CELL_SIZE_DEG || 0.05)));
+export const GEO_DEFAULT_SEARCH_RADIUS_KM = Math.max(1, Number(process.env.GEO_DEFAULT_SEARCH_RADIUS_KM || 100));
+const GEO_LOCATION_WRITE_INTERVAL_MS = Math.max(0, Number(process.env.GEO_LOCATION_WRITE_INTERVAL_MS || 10000));
+
+const lastLocationWriteAt = new Map();
+
+function toCoordinate(value, limit) {
+  if (value == null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && Math.abs(parsed) <= limit ? parsed : null;
+}
+
+export function toGeoCell(latitude, longitude) {
+  const lat = toCoordinate(latitude, 90);
+  const lng = toCoordinate(longitude, 180);
+  if (lat == null || lng == null) return null;
+  return {
+    cellLat: Math.floor(lat / GEO_CELL_SIZE_DEG),
+    cellLng: Math.floor(lng / GEO_CELL_SIZE_DEG),
+  };
+}
+
+export function buildBoundingBox(latitude, longitude, radiusKm) {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  const radius = Math.max(0, Number(radiusKm) || 0);
+  const latDelta = radius / KM_PER_DEGREE_LAT;
+  const cosLat = Math.cos((lat * Math.PI) / 180);
+  const lngDelta = cosLat > 0.01 ? radius / (KM_PER_DEGREE_LAT * cosLat) : 180;
+
+  return {
+    minLat: Math.max(-90, lat - latDelta),
+    maxLat: Math.min(90, lat + latDelta),
+    minLng: Math.max(-180, lng - lngDelta),
+    maxLng: Math.min(180, lng + lngDelta),
+  };
+}
+
+/**
+ * SQL fragment restricting technicians to the cells covering a radius, then to its bounding box.
+ * The cell range is padded by one cell so DB/JS rounding at cell edges never drops a row.
+ */
+export function buildGeoCellFilter(latitude, longitude, radiusKm, alias = "") {
+  const prefix = alias ? `${alias}.` : "";
+  const box = buildBoundingBox(latitude, longitude, radiusKm);
+  const minCell = toGeoCell(box.minLat, box.minLng);
+  const maxCell = toGeoCell(box.maxLat, box.maxLng);
+
+  return {
+    sql: `(${prefix}geo_cell_lat BETWEEN ? AND ? AND ${prefix}geo_cell_lng BETWEEN ? AND ?
+      AND ${prefix}latitude BETWEEN ? AND ? AND ${prefix}longitude BETWEEN ? AND ?)`,
+    params: [
+      minCell.cellLat - 1,
+      maxCell.cellLat + 1,
+      minCell.cellLng - 1,
+      maxCell.cellLng + 1,
+      box.minLat,
+      box.maxLat,
+      box.minLng,
+      box.maxLng,
+    ],
+  };
+}
+
+/**
+ * Load technicians near a point. Returns [] for an invalid point.
+ * `where`/`params` add extra conditions; `includeUnlocated` keeps rows without coordinates.
+ */
+export async function findTechniciansNearLocation({
+  latitude,
+  longitude,
+  radiusKm = null,
+  where = "",
+  params = [],
+  includeUnlocated = false,
+  pool = null,
+}) {
+  const lat = toCoordinate(latitude, 90);
+  const lng = toCoordinate(longitude, 180);
+  if (lat == null || lng == null) return [];
+
+  const parsedRadius = Number(radiusKm);
+  const radius = Number.isFinite(parsedRadius) && parsedRadius > 0 ? parsedRadius : GEO_DEFAULT_SEARCH_RADIUS_KM;
+  const filter = buildGeoCellFilter(lat, lng, radius);
+  const locationSql = includeUnlocated
+    ? `(${filter.sql} OR latitude IS NULL OR longitude IS NULL)`
+    : filter.sql;
+  const whereSql = where ? `${locationSql} AND (${where})` : locationSql;
+
+  const db = pool || (await getPool());
+  const [rows] = await db.query(`SELECT * FROM technicians WHERE ${whereSql}`, [...filter.params, ...params]);
+  return rows || [];
+}
+
+/**
+ * Persist a technician position together with its grid cell.
+ */
+export async function updateTechnicianLocation(connOrPool, technicianId, latitude, longitude) {
+  const cell = toGeoCell(latitude, longitude);
+  if (!cell || !technicianId) return false;
+
+  await connOrPool.query(
+    `UPDATE technicians
+     SET latitude = ?, longitude = ?, geo_cell_lat = ?, geo_cell_lng = ?
+     WHERE id = ?`,
+    [Number(latitude), Number(longitude), cell.cellLat, cell.cellLng, technicianId]
+  );
+  lastLocationWriteAt.set(String(technicianId), Date.now());
+  return true;
+}
+
+/**
+ * Throttled variant for high-frequency socket pings.
+ */
+export async function recordTechnicianLocationPing(technicianId, latitude, longitude) {
+  const key = String(technicianId || "");
+  if (!key) return false;
+  const lastWrite = lastLocationWriteAt.get(key) || 0;
+  if (Date.now() - lastWrite < GEO_LOCATION_WRITE_INTERVAL_MS) return false;
+
+  const pool = await getPool();
+  return updateTechnicianLocation(pool, key, latitude, longitude);
+}
+
+/**
+ * Recompute cells for rows written before the index existed (or after a cell size change).
+ */
+export async function backfillTechnicianGeoCells(pool) {
+  const [result] = await pool.query(
+    `UPDATE technicians
+     SET geo_cell_lat = FLOOR(latitude / ?), geo_cell_lng = FLOOR(longitude / ?)
+     WHERE latitude IS NOT NULL AND longitude IS NOT NULL
+       AND (
+         geo_cell_lat IS NULL OR geo_cell_lng IS NULL
+         OR geo_cell_lat <> FLOOR(latitude / ?) OR geo_cell_lng <> FLOOR(longitude / ?)
+       )`,
+    [GEO_CELL_SIZE_DEG, GEO_CELL_SIZE_DEG, GEO_CELL_SIZE_DEG, GEO_CELL_SIZE_DEG]
+  );
+  const updated = Number(result?.affectedRows || 0);
+  if (updated > 0) {
+    console.log(`[GeoIndex] Backfilled grid cells for ${updated} technician(s).`);
+  }
+  return updated;
+}
@@ -1,3 +1,13 @@
+import { getPool } from "../db.js";
+import { getShiftStatus } from "./workingHours.js";
+
+// Opt-in: flip is_available at working_hours shift boundaries for online technicians.
+const WORKING_HOURS_AUTO_AVAILABILITY = String(process.env.WORKING_HOURS_AUTO_AVAILABILITY || "false").toLowerCase() === "true";
+const WORKING_HOURS_SYNC_INTERVAL_MS = Math.max(10000, Number(process.env.WORKING_HOURS_SYNC_INTERVAL_MS || 60000));
+
+let shiftSyncTimer = null;
+let shiftSyncBusy = false;
+
 const ACTIVE_JOB_STATUSES = new Set([
   "assigned",
   "accepted",
@@ -114,3 +124,68 @@ export async function reconcileTechnicianAvailability(connOrPool) {
          END`
   );
 }
+
+/**
+ * Align is_available with working_hours for online (is_active) technicians without a job.
+ * Off-shift, on-break and holiday technicians go unavailable; they come back at the next shift start.
+ */
+export async function syncWorkingHoursAvailability(connOrPool, at = new Date()) {
+  const [rows] = await connOrPool.query(
+    `SELECT id, is_available, working_hours
+     FROM technicians
+     WHERE LOWER(COALESCE(status, '')) = 'approved'
+       AND is_active = TRUE
+       AND current_job_id IS NULL
+       AND working_hours IS NOT NULL`
+  );
+
+  const toAvailable = [];
+  const toUnavailable = [];
+  (rows || []).forEach((row) => {
+    const working = getShiftStatus(row.working_hours, at).working;
+    if (working && !row.is_available) toAvailable.push(row.id);
+    if (!working && row.is_available) toUnavailable.push(row.id);
+  });
+
+  if (toAvailable.length > 0) {
+    await connOrPool.query(
+      "UPDATE technicians SET is_available = TRUE WHERE id IN (?) AND is_active = TRUE AND current_job_id IS NULL",
+      [toAvailable]
+    );
+  }
+  if (toUnavailable.length > 0) {
+    await connOrPool.query(
+      "UPDATE technicians SET is_available = FALSE WHERE id IN (?) AND current_job_id IS NULL",
+      [toUnavailable]
+    );
+  }
+  return { available: toAvailable, unavailable: toUnavailable };
+}
+
+export function startWorkingHoursAvailabilityMonitor() {
+  if (!WORKING_HOURS_AUTO_AVAILABILITY || shiftSyncTimer) return;
+
+  shiftSyncTimer = setInterval(async () => {
+    if (shiftSyncBusy) return;
+    shiftSyncBusy = true;
+    try {
+      const pool = await getPool();
+      const { available, unavailable } = await syncWorkingHoursAvailability(pool);
+      if (available.length > 0 || unavailable.length > 0) {
+        console.log(`[Shift] Availability synced: +${available.length} on shift, -${unavailable.length} off shift.`);
+      }
+    } catch (err) {
+      console.error("[Shift] Availability sync failed:", err?.message || err);
+    } finally {
+      shiftSyncBusy = false;
+    }
+  }, WORKING_HOURS_SYNC_INTERVAL_MS);
+  shiftSyncTimer.unref?.();
+  console.log(`[Shift] Working-hours availability monitor started (every ${WORKING_HOURS_SYNC_INTERVAL_MS}ms).`);
+}
+
+export function stopWorkingHoursAvailabilityMonitor() {
+  if (!shiftSyncTimer) return;
+  clearInterval(shiftSyncTimer);
+  shiftSyncTimer = null;
+}
@@ -0,0 +1,219 @@
+/**
+ * Technician working_hours parsing.
+ * Accepted shape (keys are case-insensitive, `days`/`schedule` wrappers are optional):
+ *   {
+ *     "timezone": "Asia/Kolkata",
+ *     "mon": { "start": "09:00", "end": "18:00" },
+ *     "tuesday": ["09:00-13:00", "14:00-18:00"],
+ *     "wed": { "start": "09:00", "end": "18:00", "breaks": ["13:00-13:30"] },
+ *     "sun": { "closed": true },
+ *     "breaks": [{ "start": "16:00", "end": "16:15", "days": ["mon", "fri"] }],
+ *     "holidays": ["2026-12-25", { "date": "2027-01-01" }]
+ *   }
+ * Ranges ending before they start run past midnight. Top-level breaks without `days` apply every
+ * day; holidays are local dates in the schedule's timezone. A technician without any configured
+ * day is treated as always working.
+ */
+
+export const DEFAULT_WORKING_HOURS_TIMEZONE = String(process.env.WORKING_HOURS_TIMEZONE || "Asia/Kolkata").trim();
+
+const DAY_ALIASES = {
+  sun: 0, sunday: 0, 0: 0, 7: 0,
+  mon: 1, monday: 1, 1: 1,
+  tue: 2, tues: 2, tuesday: 2, 2: 2,
+  wed: 3, wednesday: 3, 3: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, 4: 4,
+  fri: 5, friday: 5, 5: 5,
+  sat: 6, saturday: 6, 6: 6,
+};
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatterCache = new Map();
+
+function parseJsonValue(value) {
+  if (value == null || value === "") return null;
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toMinutes(value) {
+  const match = String(value ?? "").trim().match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+function parseRange(value) {
+  if (value == null) return null;
+  if (typeof value === "string") {
+    const [start, end] = value.split("-");
+    return parseRange({ start, end });
+  }
+  if (typeof value !== "object") return null;
+
+  const start = toMinutes(value.start ?? value.open ?? value.from);
+  const end = toMinutes(value.end ?? value.close ?? value.to);
+  if (start == null || end == null || start === end) return null;
+  return { start, end };
+}
+
+function parseRangeList(value) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map(parseRange).filter(Boolean);
+}
+
+function parseDay(value) {
+  if (value == null || value === false) return { ranges: [], breaks: [] };
+  if (value === true) return { ranges: [{ start: 0, end: 1440 }], breaks: [] };
+  if (typeof value === "object" && !Array.isArray(value)) {
+    if (value.closed === true || value.enabled === false || value.open === false || value.available === false) {
+      return { ranges: [], breaks: [] };
+    }
+    const breaks = parseRangeList(value.breaks);
+    if (Array.isArray(value.slots || value.ranges)) {
+      return { ranges: parseRangeList(value.slots || value.ranges), breaks };
+    }
+    return { ranges: parseRangeList(value), breaks };
+  }
+  return { ranges: parseRangeList(value), breaks: [] };
+}
+
+function parseHolidays(value) {
+  const list = Array.isArray(value) ? value : [];
+  const dates = list
+    .map((entry) => (typeof entry === "object" && entry ? entry.date : entry))
+    .map((entry) => String(entry ?? "").trim().slice(0, 10))
+    .filter((entry) => /^\d{4}-\d{2}-\d{2}$/.test(entry));
+  return new Set(dates);
+}
+
+function parseBreakDays(value) {
+  if (value == null) return [0, 1, 2, 3, 4, 5, 6];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .map((day) => DAY_ALIASES[String(day).trim().toLowerCase()])
+    .filter((day) => day != null);
+}
+
+/**
+ * Normalize a working_hours value (JSON string or object).
+ * Returns { timezone, days, breaks (both { 0..6: [{ start, end }] }), holidays: Set, configured }.
+ */
+export function parseWorkingHours(raw) {
+  const parsed = parseJsonValue(raw);
+  const source = parsed && typeof parsed === "object" ? parsed : {};
+  const dayMap = source.days || source.schedule || source;
+  const timezone = isValidTimeZone(source.timezone || source.tz)
+    ? source.timezone || source.tz
+    : DEFAULT_WORKING_HOURS_TIMEZONE;
+
+  const days = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+  const breaks = { 0: [], 1: [], 2: [], 3: [], 4: [], 5: [], 6: [] };
+  let configured = false;
+  if (dayMap && typeof dayMap === "object" && !Array.isArray(dayMap)) {
+    for (const [key, value] of Object.entries(dayMap)) {
+      const dayIndex = DAY_ALIASES[String(key).trim().toLowerCase()];
+      if (dayIndex == null) continue;
+      configured = true;
+      const day = parseDay(value);
+      days[dayIndex] = days[dayIndex].concat(day.ranges);
+      breaks[dayIndex] = breaks[dayIndex].concat(day.breaks);
+    }
+  }
+
+  const globalBreaks = Array.isArray(source.breaks) ? source.breaks : [];
+  globalBreaks.forEach((entry) => {
+    const range = parseRange(entry);
+    if (!range) return;
+    parseBreakDays(entry?.days).forEach((dayIndex) => {
+      breaks[dayIndex].push(range);
+    });
+  });
+
+  return { timezone, days, breaks, holidays: parseHolidays(source.holidays), configured };
+}
+
+/**
+ * Weekday (0 = Sunday) and minute-of-day of `date` in `timeZone`.
+ */
+export function getLocalTimeParts(date, timeZone = DEFAULT_WORKING_HOURS_TIMEZONE) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : DEFAULT_WORKING_HOURS_TIMEZONE;
+  if (!formatterCache.has(zone)) {
+    formatterCache.set(
+      zone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: zone,
+        weekday: "short",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      })
+    );
+  }
+
+  const parts = Object.fromEntries(
+    formatterCache.get(zone).formatToParts(date).map((part) => [part.type, part.value])
+  );
+  return {
+    weekday: WEEKDAY_INDEX[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+function coversMinute(rangesByDay, weekday, minutes) {
+  const today = rangesByDay[weekday] || [];
+  if (today.some((range) => (
+    range.start < range.end
+      ? minutes >= range.start && minutes < range.end
+      : minutes >= range.start
+  ))) {
+    return true;
+  }
+
+  // Overnight ranges from the previous day spill into the early hours of this one.
+  const yesterday = rangesByDay[(weekday + 6) % 7] || [];
+  return yesterday.some((range) => range.start > range.end && minutes < range.end);
+}
+
+/**
+ * Shift status of a schedule at `date`: { working, reason } where reason is
+ * null, "off_shift", "on_break" or "holiday".
+ */
+export function getShiftStatus(rawWorkingHours, date = new Date()) {
+  const schedule = parseWorkingHours(rawWorkingHours);
+  if (!schedule.configured) return { working: true, reason: null };
+
+  const { weekday, minutes, dateKey } = getLocalTimeParts(date, schedule.timezone);
+  if (schedule.holidays.has(dateKey)) return { working: false, reason: "holiday" };
+  if (!coversMinute(schedule.days, weekday, minutes)) return { working: false, reason: "off_shift" };
+  if (coversMinute(schedule.breaks, weekday, minutes)) return { working: false, reason: "on_break" };
+  return { working: true, reason: null };
+}
+
+/**
+ * True when `date` falls inside the technician's schedule (always true without a schedule).
+ */
+export function isWithinWorkingHours(rawWorkingHours, date = new Date()) {
+  return getShiftStatus(rawWorkingHours, date).working;
+}
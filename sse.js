@@ -16,3 +16,9 @@ export function addClient(res) {
         console.log(`[SSE] Client disconnected. Total: ${clients.length}`);
     });
 }
+
+// Push an event to every connected admin stream. Clients read `type` to tell events apart.
+export function broadcastEvent(type, data) {
+    const message = `data: ${JSON.stringify({ type, ...data })}\n\n`;
+    clients.forEach(client => client.write(message));
+}